@@ -0,0 +1,30 @@
+// Worker thread of the CLI scan: reads and scans batches of files with the shared core scanner
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { parentPort, workerData } from 'node:worker_threads';
+import { getRulesForLanguage } from '../src/core/rules.js';
+import { compileRules, scanSource } from '../src/core/scanner.js';
+
+const { root, rules, contextLines } = workerData;
+const compiledByType = new Map();
+
+const rulesFor = (projectType) => {
+  if (!compiledByType.has(projectType)) compiledByType.set(projectType, compileRules(getRulesForLanguage(rules, projectType)));
+  return compiledByType.get(projectType);
+};
+
+// batch: [{ index, path, projectType, module }]; answers { scanned: [{ index, findings }] } or { error }
+parentPort.on('message', async (batch) => {
+  try {
+    const scanned = [];
+    for (const item of batch) {
+      const content = await readFile(join(root, ...item.path.split('/')), 'utf8');
+      const findings = scanSource(item.path, content, rulesFor(item.projectType), { contextLines })
+        .map(finding => ({ ...finding, module: item.module }));
+      scanned.push({ index: item.index, findings });
+    }
+    parentPort.postMessage({ scanned });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
@@ -0,0 +1,334 @@
+#!/usr/bin/env node
+// Cross-platform scanner CLI: the same rules engine as the web app, without Bash, jq or PowerShell.
+// Writes the stateful-analysis.json that analyze.sh/analyze.ps1 write, so the result can be uploaded
+// on the Upload JSON tab, and can fail a CI build on its own.
+//
+//   npx statelessor scan [path] [options]     # or: npm run scan -- [path] [options]
+//
+// Exit codes: 0 success, 1 findings at or above --fail-on or a failed --policies quality gate,
+// 2 usage or scan error.
+import { readFile, readdir, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import { basename, join, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import { Worker } from 'node:worker_threads';
+import { SEVERITY_ORDER, buildResults } from '../src/core/aggregate.js';
+import { RELEVANT_FILE } from '../src/core/archive.js';
+import { MAX_CONTEXT_LINES } from '../src/core/context.js';
+import { importRuleSet } from '../src/core/customRules.js';
+import { toSarif } from '../src/core/exporters/sarif.js';
+import { globToRegExp } from '../src/core/filters.js';
+import { isIgnored, parseGitignore } from '../src/core/gitignore.js';
+import { formatMessage } from '../src/core/i18n.js';
+import { POLICY_OPERATORS, evaluatePolicies, formatMetricValue, importPolicies } from '../src/core/policies.js';
+import { BUILT_IN_RULES, RULES_VERSION } from '../src/core/rules.js';
+import { planScan, rawScanOutput } from '../src/core/scanner.js';
+import en from '../src/locales/en.js';
+
+const VERSION = '1.0.0';
+const OUTPUT_FILENAME = 'stateful-analysis.json';
+const BATCH_SIZE = 25;
+
+const SOURCE_FILE = /\.(cs|java)$/i;
+const SKIPPED_DIRS = new Set(['.git', 'node_modules']);
+
+const USAGE = `Usage: statelessor scan [path] [options]
+
+Scans a .NET or Java project (every .sln/.csproj, pom.xml or build.gradle directory is a module)
+and writes ${OUTPUT_FILENAME} in the same format as the analysis scripts.
+
+Options:
+  -o, --output <file>     Where to write the JSON (default: <path>/${OUTPUT_FILENAME}, "-" for stdout)
+      --sarif <file>      Also write a SARIF 2.1.0 log for code scanning
+      --include <glob>    Only scan matching source files (repeatable), e.g. "src/**"
+      --exclude <glob>    Skip matching source files (repeatable), e.g. "**/*Tests.cs"
+      --no-gitignore      Also scan files ignored by .gitignore
+      --rules <file>      Add custom rules exported from the web app's rule catalog
+      --context <n>       Lines of source to include around each finding (0-${MAX_CONTEXT_LINES}, default 0)
+  -j, --jobs <n>          Files are scanned on n worker threads (default: number of CPUs)
+      --fail-on <level>   Exit with code 1 when a finding is at or above high, medium or low
+      --policies <file>   Check quality gate policies exported from the web app; exit with code 1
+                          when one is violated
+  -q, --quiet             Only print errors
+  -h, --help              Show this help
+  -v, --version           Show the CLI and rules version
+`;
+
+class UsageError extends Error {}
+
+const colors = process.stderr.isTTY && !process.env.NO_COLOR;
+const paint = (code) => (text) => (colors ? `\u001b[${code}m${text}\u001b[0m` : text);
+const red = paint('31');
+const green = paint('32');
+const blue = paint('34');
+
+const parseOptions = (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      output: { type: 'string', short: 'o' },
+      sarif: { type: 'string' },
+      include: { type: 'string', multiple: true, default: [] },
+      exclude: { type: 'string', multiple: true, default: [] },
+      'no-gitignore': { type: 'boolean', default: false },
+      rules: { type: 'string' },
+      context: { type: 'string', default: '0' },
+      jobs: { type: 'string', short: 'j' },
+      'fail-on': { type: 'string' },
+      policies: { type: 'string' },
+      quiet: { type: 'boolean', short: 'q', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+      version: { type: 'boolean', short: 'v', default: false }
+    }
+  });
+  const [command, path = '.', ...rest] = positionals;
+  if (values.help || values.version) return { ...values, command };
+  if (command !== 'scan') throw new UsageError(command ? `Unknown command: ${command}` : 'Missing command');
+  if (rest.length) throw new UsageError(`Unexpected argument: ${rest[0]}`);
+
+  const contextLines = Number(values.context);
+  if (!Number.isInteger(contextLines) || contextLines < 0 || contextLines > MAX_CONTEXT_LINES) {
+    throw new UsageError(`--context must be a whole number from 0 to ${MAX_CONTEXT_LINES}`);
+  }
+  // availableParallelism arrived in Node 18.14
+  const defaultJobs = os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+  const jobs = values.jobs == null ? defaultJobs : Number(values.jobs);
+  if (!Number.isInteger(jobs) || jobs < 1) throw new UsageError('--jobs must be a whole number of at least 1');
+  const failOn = values['fail-on'];
+  if (failOn != null && !SEVERITY_ORDER.includes(failOn)) {
+    throw new UsageError(`--fail-on must be one of ${SEVERITY_ORDER.join(', ')}`);
+  }
+  const root = resolve(path);
+  return {
+    ...values,
+    command,
+    root,
+    output: values.output || join(root, OUTPUT_FILENAME),
+    gitignore: !values['no-gitignore'],
+    contextLines,
+    jobs,
+    failOn
+  };
+};
+
+// The CLI speaks English, with the web app's English messages
+const text = (message) => formatMessage({ en }, 'en', message);
+
+// One line per skipped rule or policy of an import, e.g. "Rule 2: Category is required"
+const importErrorLines = (errors, noun) => errors
+  .map(error => `${error.label || `${noun} ${error.number}`}: ${error.messages.map(text).join('; ')}`)
+  .join('\n  ');
+
+// One line per check, e.g. "✗ Zero high severity: 3 (must be ≤ 0)"
+const describeCheck = (check) => `${check.passed ? '✓' : '✗'} ${check.name}: ${formatMetricValue(check.actual)}`
+  + ` (must be ${POLICY_OPERATORS[check.operator].label} ${formatMetricValue(check.threshold)})`;
+
+// Custom rule sets are all-or-nothing: a CI gate must not silently run without some of its rules
+const loadRules = async (file) => {
+  if (!file) return BUILT_IN_RULES;
+  let document;
+  try {
+    document = JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    throw new UsageError(`Could not read rules from ${file}: ${error.message}`);
+  }
+  const { rules, errors } = importRuleSet(document);
+  if (errors.length) throw new UsageError(`Invalid rules in ${file}:\n  ${importErrorLines(errors, 'Rule')}`);
+  return [...BUILT_IN_RULES, ...rules];
+};
+
+// Policy files are all-or-nothing too, so a typo cannot quietly pass the gate
+const loadPolicies = async (file) => {
+  if (!file) return [];
+  let document;
+  try {
+    document = JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    throw new UsageError(`Could not read policies from ${file}: ${error.message}`);
+  }
+  let imported;
+  try {
+    imported = importPolicies(document);
+  } catch (error) {
+    throw new UsageError(`Invalid policies in ${file}: ${error.message}`);
+  }
+  if (imported.errors.length) throw new UsageError(`Invalid policies in ${file}:\n  ${importErrorLines(imported.errors, 'Policy')}`);
+  return imported.policies;
+};
+
+// Relative paths of the project files, honouring .gitignore files at every level
+const listProject = async (root, { gitignore }) => {
+  const paths = [];
+  const ignoreRules = [];
+  const walk = async (directory, relativeDir) => {
+    const entries = (await readdir(directory, { withFileTypes: true })).sort((a, b) => a.name.localeCompare(b.name));
+    if (gitignore && entries.some(entry => entry.isFile() && entry.name === '.gitignore')) {
+      ignoreRules.push(...parseGitignore(await readFile(join(directory, '.gitignore'), 'utf8'), relativeDir));
+    }
+    for (const entry of entries) {
+      const path = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!SKIPPED_DIRS.has(entry.name) && !(gitignore && isIgnored(ignoreRules, path, true))) {
+          await walk(join(directory, entry.name), path);
+        }
+      } else if (entry.isFile() && RELEVANT_FILE.test(entry.name) && !(gitignore && isIgnored(ignoreRules, path))) {
+        paths.push(path);
+      }
+    }
+  };
+  await walk(root, '');
+  return paths;
+};
+
+// Globs only select source files; build manifests are always kept so modules are still detected
+const selectFiles = (paths, { include, exclude }) => {
+  const includes = include.map(globToRegExp);
+  const excludes = exclude.map(globToRegExp);
+  return paths.filter(path => !SOURCE_FILE.test(path)
+    || ((includes.length === 0 || includes.some(glob => glob.test(path))) && !excludes.some(glob => glob.test(path))));
+};
+
+// Hands out batches of files to a pool of workers; findings come back in file order
+const scanInWorkers = (root, sources, { rules, contextLines, jobs, onProgress }) => new Promise((resolvePromise, reject) => {
+  const findings = new Array(sources.length);
+  const workers = [];
+  let next = 0;
+  let done = 0;
+  let finished = false;
+
+  const finish = (error) => {
+    if (finished) return;
+    finished = true;
+    workers.forEach(worker => worker.terminate());
+    if (error) reject(error);
+    else resolvePromise(findings.flat());
+  };
+
+  const sendBatch = (worker) => {
+    if (next >= sources.length) return;
+    const batch = sources.slice(next, next + BATCH_SIZE).map((source, offset) => ({
+      index: next + offset,
+      path: source.file.path,
+      projectType: source.module.projectType,
+      module: source.module.path
+    }));
+    next += batch.length;
+    worker.postMessage(batch);
+  };
+
+  // Each worker gets its next batch as soon as it reports the last one
+  const receive = (worker) => (message) => {
+    if (message.error) return finish(new Error(message.error));
+    message.scanned.forEach(({ index, findings: fileFindings }) => { findings[index] = fileFindings; });
+    done += message.scanned.length;
+    onProgress(done, sources.length);
+    if (done === sources.length) finish();
+    else sendBatch(worker);
+  };
+
+  const count = Math.min(jobs, Math.ceil(sources.length / BATCH_SIZE));
+  for (let i = 0; i < count; i++) {
+    const worker = new Worker(new URL('./scan-worker.mjs', import.meta.url), { workerData: { root, rules, contextLines } });
+    worker.on('message', receive(worker));
+    worker.on('error', finish);
+    workers.push(worker);
+    sendBatch(worker);
+  }
+});
+
+const plural = (count, word) => `${count} ${count === 1 ? word : `${word}s`}`;
+
+const log = (options, ...lines) => {
+  if (!options.quiet) lines.forEach(line => process.stderr.write(`${line}\n`));
+};
+
+const printSummary = (options, raw, results) => {
+  const bySeverity = SEVERITY_ORDER.map(severity => `${raw.findings.filter(f => f.severity === severity).length} ${severity}`);
+  log(options,
+    '',
+    `${green('✓')} Scanned ${plural(raw.totalFiles, 'file')} in ${plural(raw.modules.length, 'module')}: ${plural(raw.findings.length, 'finding')} (${bySeverity.join(', ')})`,
+    ...results.summary.map(category => `  ${category.severity.padEnd(6)} ${category.category}: ${raw.findings.filter(f => f.category === category.category).length}`));
+};
+
+const writeOutput = async (file, content) => {
+  if (file === '-') process.stdout.write(content);
+  else await writeFile(file, content);
+};
+
+const scan = async (options) => {
+  const rules = await loadRules(options.rules);
+  const policies = await loadPolicies(options.policies);
+  log(options, blue(`Statelessor ${VERSION} (rules ${RULES_VERSION}) scanning ${options.root}`));
+  const paths = selectFiles(await listProject(options.root, options), options);
+  const { modules, sources } = planScan(paths.map(path => ({ path })));
+  modules.forEach(module => log(options, `  ${module.path} (${module.projectType}, ${plural(module.totalFiles, 'file')})`));
+
+  const progress = process.stderr.isTTY && !options.quiet
+    ? (done, total) => process.stderr.write(`\rScanned ${done}/${total} files`)
+    : () => {};
+  const findings = await scanInWorkers(options.root, sources, { rules, contextLines: options.contextLines, jobs: options.jobs, onProgress: progress });
+  if (process.stderr.isTTY && !options.quiet) process.stderr.write('\n');
+
+  const raw = rawScanOutput({ modules, findings, rootPath: options.root });
+  const results = buildResults(raw, { projectName: basename(options.root) });
+  const verdict = evaluatePolicies(results, policies, text);
+  await writeOutput(options.output, `${JSON.stringify(raw, null, 2)}\n`);
+  if (options.sarif) await writeOutput(options.sarif, `${JSON.stringify(toSarif(results, { toolVersion: VERSION, verdict }), null, 2)}\n`);
+
+  printSummary(options, raw, results);
+  if (options.output !== '-') log(options, `${green('✓')} Output saved to ${options.output}`);
+  if (options.sarif && options.sarif !== '-') log(options, `${green('✓')} SARIF saved to ${options.sarif}`);
+
+  let code = 0;
+  if (options.failOn) {
+    const threshold = SEVERITY_ORDER.indexOf(options.failOn);
+    const failing = raw.findings.filter(f => SEVERITY_ORDER.indexOf(f.severity) <= threshold).length;
+    if (failing > 0) {
+      process.stderr.write(`${red('✗')} ${plural(failing, 'finding')} at or above ${options.failOn} severity\n`);
+      code = 1;
+    } else {
+      log(options, `${green('✓')} No findings at or above ${options.failOn} severity`);
+    }
+  }
+  if (verdict) {
+    // Violations are errors, so they are printed even with --quiet
+    verdict.checks.forEach(check => {
+      if (check.passed) log(options, `  ${green(describeCheck(check))}`);
+      else process.stderr.write(`  ${red(describeCheck(check))}\n`);
+    });
+    if (verdict.passed) {
+      log(options, `${green('✓')} Quality gate passed`);
+    } else {
+      process.stderr.write(`${red('✗')} Quality gate failed\n`);
+      code = 1;
+    }
+  }
+  return code;
+};
+
+const main = async () => {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (error) {
+    process.stderr.write(`${red(error.message)}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (options.version) {
+    process.stdout.write(`statelessor ${VERSION} (rules ${RULES_VERSION})\n`);
+    return 0;
+  }
+  try {
+    return await scan(options);
+  } catch (error) {
+    process.stderr.write(`${red('✗')} ${error instanceof UsageError ? error.message : `Scan failed: ${error.key ? text(error) : error.message}`}\n`);
+    return 2;
+  }
+};
+
+main().then(code => { process.exitCode = code; });
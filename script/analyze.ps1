@@ -1,9 +1,16 @@
 # Stateful Code Analyzer - Local Analysis Script (PowerShell)
 # Production-ready version with actual pattern detection
 # Supports: .NET Framework, ASP.NET, Java/Spring
+#
+# Every directory with a .sln/.csproj, pom.xml or build.gradle is analyzed as its own module.
+# -Include limits the analysis: a module path selects that module, any other folder everything below it.
 
 param(
-    [string]$OutputPath = $null
+    [string]$OutputPath = $null,
+    # Lines of source to include around each finding as its "context" field (0 = none)
+    [int]$ContextLines = 0,
+    # Module paths or folders to analyze, relative to the script directory (default: everything)
+    [string[]]$Include = @()
 )
 
 $ErrorActionPreference = "Stop"
@@ -18,19 +25,78 @@ Write-Host "║   Analyzing codebase for stateful patterns   ║" -ForegroundCol
 Write-Host "╚═══════════════════════════════════════════════╝" -ForegroundColor Blue
 Write-Host ""
 
-# Detect project type
-$ProjectType = "unknown"
-if ((Test-Path "*.csproj") -or (Test-Path "*.sln") -or (Get-ChildItem -Recurse -Filter "*.csproj" -Depth 3)) {
-    $ProjectType = "dotnet"
-    Write-Host "✓ Detected .NET project" -ForegroundColor Green
-} elseif ((Test-Path "pom.xml") -or (Test-Path "build.gradle")) {
-    $ProjectType = "java"
-    Write-Host "✓ Detected Java project" -ForegroundColor Green
-} else {
+# "C:\repo\services\orders" -> "services/orders"; the script directory itself is "."
+function Get-RelativePath {
+    param([string]$FullPath)
+    $relative = $FullPath.Substring($ScriptDir.Length).TrimStart('\', '/') -replace '\\', '/'
+    if ($relative) { return $relative } else { return "." }
+}
+
+function ConvertTo-ModulePath {
+    param([string]$Path)
+    $path = ($Path -replace '\\', '/') -replace '^\./', '' -replace '/+$', ''
+    if ($path -and $path -ne ".") { return $path } else { return "." }
+}
+
+# True when $Path is the directory $Directory or lies below it
+function Test-Within {
+    param([string]$Path, [string]$Directory)
+    return ($Directory -eq ".") -or ($Path -eq $Directory) -or $Path.StartsWith("$Directory/")
+}
+
+# Detect modules: every directory with a .sln/.csproj (dotnet) or pom.xml/build.gradle (java)
+$IgnoredDirs = @('node_modules', '.git', 'bin', 'obj', 'packages', '.vs', 'target', 'build', '.idea')
+$Modules = @(Get-ChildItem -Path $ScriptDir -Recurse -File -Include *.sln, *.csproj, pom.xml, build.gradle, build.gradle.kts |
+    Where-Object {
+        $dir = Get-RelativePath $_.DirectoryName
+        -not ($dir -split '/' | Where-Object { $IgnoredDirs -contains $_ })
+    } |
+    Sort-Object FullName |
+    ForEach-Object {
+        [pscustomobject]@{
+            Type = if ($_.Extension -in '.sln', '.csproj') { "dotnet" } else { "java" }
+            Path = Get-RelativePath $_.DirectoryName
+            Manifest = Get-RelativePath $_.FullName
+        }
+    } |
+    Sort-Object Type, Path -Unique |
+    Sort-Object Path)
+
+if ($Modules.Count -eq 0) {
     Write-Host "✗ Could not detect project type" -ForegroundColor Red
-    Write-Host "Please ensure you're in the project root directory"
+    Write-Host "Please ensure you're in the project root directory (no .sln/.csproj, pom.xml or build.gradle found)"
     exit 1
 }
+Write-Host "✓ Detected $($Modules.Count) module(s)" -ForegroundColor Green
+$Include = @($Include | ForEach-Object { ConvertTo-ModulePath $_ })
+
+# Rules: one tab-separated row per rule with language, category, severity, regex (-match),
+# exclude regex ("-" for none) and remediation. The built-in rows mirror src/core/rules.js; scripts
+# downloaded from the web app also carry the custom rules of the rule catalog.
+# BEGIN RULES
+$RulesTable = @'
+dotnet	Session State	high	Session\[	-	Replace session state with stateless alternatives such as JWT claims or a distributed cache (Redis, SQL).
+dotnet	Application State	high	Application\[	-	Move application-wide state to a distributed cache or configuration provider shared by all instances.
+dotnet	ViewState	medium	ViewState\[	-	Keep page data in the client or reload it per request instead of round-tripping ViewState.
+dotnet	Static Mutable Field	high	(private|public)\s+static.*=	readonly	Replace static mutable fields with services registered through dependency injection and an external state store.
+dotnet	In-Process Cache	medium	(MemoryCache\.Default|HttpRuntime\.Cache)	-	Use IDistributedCache backed by Redis or another shared cache instead of the in-process cache.
+java	Session State	high	(\.getSession\(|session\.setAttribute)	-	Replace HttpSession with token-based authentication or Spring Session backed by Redis/JDBC.
+java	Application State	high	getServletContext\(\)\.setAttribute	-	Move ServletContext attributes to a distributed cache or externalized configuration.
+java	Static Mutable Field	high	(private|public)\s+static.*=	final	Replace static mutable fields with Spring-managed beans and an external state store.
+java	Thread-Local Storage	high	ThreadLocal	-	Pass request context explicitly or use request-scoped beans instead of ThreadLocal storage.
+java	In-Process Cache	medium	(CacheManager|EhCache|\.put\()	-	Use a distributed cache (Redis, Hazelcast) behind Spring Cache instead of a local cache.
+'@
+$Rules = @($RulesTable -split "\r?\n" | Where-Object { $_ -and -not $_.StartsWith('#') } | ForEach-Object {
+    $fields = $_ -split "`t"
+    [pscustomobject]@{
+        Language = $fields[0]
+        Category = $fields[1]
+        Severity = $fields[2]
+        Regex = $fields[3]
+        Exclude = if ($fields[4] -eq '-') { $null } else { $fields[4] }
+        Remediation = $fields[5]
+    }
+})
 
 # Initialize findings array
 @() | ConvertTo-Json | Out-File -FilePath $TempFindings -Encoding UTF8
@@ -43,7 +109,10 @@ function Add-Finding {
         [int]$LineNum,
         [string]$Code,
         [string]$Category,
-        [string]$Severity
+        [string]$Severity,
+        [object]$Context = $null,
+        [string]$Module = $CurrentModule.Path,
+        [string]$Remediation = ""
     )
     
     $finding = @{
@@ -53,6 +122,11 @@ function Add-Finding {
         code = $Code
         category = $Category
         severity = $Severity
+        remediation = $Remediation
+        module = $Module
+    }
+    if ($Context) {
+        $finding.context = $Context
     }
     
     $current = Get-Content $TempFindings | ConvertFrom-Json
@@ -60,6 +134,24 @@ function Add-Finding {
     $current | ConvertTo-Json -Depth 10 | Out-File -FilePath $TempFindings -Encoding UTF8
 }
 
+# Function to capture the lines around a finding
+function Get-Context {
+    param(
+        [string[]]$Lines,
+        [int]$Index
+    )
+    
+    if ($ContextLines -le 0) {
+        return $null
+    }
+    $start = [Math]::Max(0, $Index - $ContextLines)
+    $end = [Math]::Min($Lines.Length - 1, $Index + $ContextLines)
+    return @{
+        startLine = $start + 1
+        lines = @($Lines[$start..$end])
+    }
+}
+
 # Function to extract method/function name
 function Get-FunctionName {
     param(
@@ -78,157 +170,153 @@ function Get-FunctionName {
     return "Unknown"
 }
 
-# .NET specific patterns
+# Runs every rule of one language over the lines of a file; returns the number of findings
+function Invoke-Rules {
+    param(
+        [string]$Language,
+        [object]$File,
+        [string]$RelativeFile,
+        [string[]]$Content
+    )
+    
+    $found = 0
+    foreach ($rule in @($Rules | Where-Object { $_.Language -eq $Language })) {
+        for ($i = 0; $i -lt $Content.Length; $i++) {
+            if ($Content[$i] -match $rule.Regex -and -not ($rule.Exclude -and $Content[$i] -match $rule.Exclude)) {
+                $function = Get-FunctionName $File.FullName ($i + 1)
+                Add-Finding $RelativeFile $function ($i + 1) $Content[$i].Trim() $rule.Category $rule.Severity (Get-Context $Content $i) -Remediation $rule.Remediation
+                $found++
+            }
+        }
+    }
+    return $found
+}
+
+# .NET files
 function Analyze-DotNet {
     Write-Host "Analyzing .NET code..." -ForegroundColor Yellow
     $totalFiles = 0
     $issuesFound = 0
     
-    $csFiles = Get-ChildItem -Recurse -Filter "*.cs" | Where-Object {
-        $_.FullName -notmatch '\\(bin|obj|packages|\\.vs)\\' 
-    }
+    $csFiles = @(Get-ChildItem -Path $ScanRoots -Recurse -Filter "*.cs" | Where-Object {
+        $_.FullName -notmatch '\\(bin|obj|packages|\\.vs)\\' -and -not (Test-NestedModuleFile $_.FullName)
+    })
     
     foreach ($file in $csFiles) {
         $totalFiles++
         $relativeFile = $file.FullName.Replace("$ScriptDir\", "")
-        $content = Get-Content $file.FullName
-        
-        # Pattern 1: Session State
-        for ($i = 0; $i -lt $content.Length; $i++) {
-            if ($content[$i] -match 'Session\[') {
-                $function = Get-FunctionName $file.FullName ($i + 1)
-                Add-Finding $relativeFile $function ($i + 1) $content[$i].Trim() "Session State" "high"
-                $issuesFound++
-            }
-        }
-        
-        # Pattern 2: Application State
-        for ($i = 0; $i -lt $content.Length; $i++) {
-            if ($content[$i] -match 'Application\[') {
-                $function = Get-FunctionName $file.FullName ($i + 1)
-                Add-Finding $relativeFile $function ($i + 1) $content[$i].Trim() "Application State" "high"
-                $issuesFound++
-            }
-        }
-        
-        # Pattern 3: ViewState
-        for ($i = 0; $i -lt $content.Length; $i++) {
-            if ($content[$i] -match 'ViewState\[') {
-                $function = Get-FunctionName $file.FullName ($i + 1)
-                Add-Finding $relativeFile $function ($i + 1) $content[$i].Trim() "ViewState" "medium"
-                $issuesFound++
-            }
-        }
-        
-        # Pattern 4: Static mutable fields
-        for ($i = 0; $i -lt $content.Length; $i++) {
-            if ($content[$i] -match '(private|public)\s+static.*=' -and $content[$i] -notmatch 'readonly') {
-                $function = Get-FunctionName $file.FullName ($i + 1)
-                Add-Finding $relativeFile $function ($i + 1) $content[$i].Trim() "Static Mutable Field" "high"
-                $issuesFound++
-            }
-        }
-        
-        # Pattern 5: MemoryCache
-        for ($i = 0; $i -lt $content.Length; $i++) {
-            if ($content[$i] -match '(MemoryCache\.Default|HttpRuntime\.Cache)') {
-                $function = Get-FunctionName $file.FullName ($i + 1)
-                Add-Finding $relativeFile $function ($i + 1) $content[$i].Trim() "In-Process Cache" "medium"
-                $issuesFound++
-            }
-        }
+        $content = @(Get-Content $file.FullName)
+        $issuesFound += Invoke-Rules "dotnet" $file $relativeFile $content
         
         Write-Progress -Activity "Scanning .NET files" -Status "Scanned: $totalFiles files, Found: $issuesFound issues" -PercentComplete (($totalFiles / $csFiles.Count) * 100)
     }
     
+    $script:ModuleFiles = $totalFiles
     Write-Host ""
     Write-Host "✓ .NET analysis complete" -ForegroundColor Green
     Write-Host "  Files scanned: $totalFiles"
     Write-Host "  Issues found: $issuesFound"
 }
 
-# Java specific patterns
+# Java files
 function Analyze-Java {
     Write-Host "Analyzing Java code..." -ForegroundColor Yellow
     $totalFiles = 0
     $issuesFound = 0
     
-    $javaFiles = Get-ChildItem -Recurse -Filter "*.java" | Where-Object {
-        $_.FullName -notmatch '\\(target|build|\\.idea)\\' 
-    }
+    $javaFiles = @(Get-ChildItem -Path $ScanRoots -Recurse -Filter "*.java" | Where-Object {
+        $_.FullName -notmatch '\\(target|build|\\.idea)\\' -and -not (Test-NestedModuleFile $_.FullName)
+    })
     
     foreach ($file in $javaFiles) {
         $totalFiles++
         $relativeFile = $file.FullName.Replace("$ScriptDir\", "")
-        $content = Get-Content $file.FullName
-        
-        # Pattern 1: HttpSession
-        for ($i = 0; $i -lt $content.Length; $i++) {
-            if ($content[$i] -match '(\.getSession\(|session\.setAttribute)') {
-                $function = Get-FunctionName $file.FullName ($i + 1)
-                Add-Finding $relativeFile $function ($i + 1) $content[$i].Trim() "Session State" "high"
-                $issuesFound++
-            }
-        }
-        
-        # Pattern 2: ServletContext
-        for ($i = 0; $i -lt $content.Length; $i++) {
-            if ($content[$i] -match 'getServletContext\(\)\.setAttribute') {
-                $function = Get-FunctionName $file.FullName ($i + 1)
-                Add-Finding $relativeFile $function ($i + 1) $content[$i].Trim() "Application State" "high"
-                $issuesFound++
-            }
-        }
-        
-        # Pattern 3: Static mutable fields
-        for ($i = 0; $i -lt $content.Length; $i++) {
-            if ($content[$i] -match '(private|public)\s+static.*=' -and $content[$i] -notmatch 'final') {
-                $function = Get-FunctionName $file.FullName ($i + 1)
-                Add-Finding $relativeFile $function ($i + 1) $content[$i].Trim() "Static Mutable Field" "high"
-                $issuesFound++
-            }
-        }
-        
-        # Pattern 4: ThreadLocal
-        for ($i = 0; $i -lt $content.Length; $i++) {
-            if ($content[$i] -match 'ThreadLocal') {
-                $function = Get-FunctionName $file.FullName ($i + 1)
-                Add-Finding $relativeFile $function ($i + 1) $content[$i].Trim() "Thread-Local Storage" "high"
-                $issuesFound++
-            }
-        }
-        
-        # Pattern 5: Cache
-        for ($i = 0; $i -lt $content.Length; $i++) {
-            if ($content[$i] -match '(CacheManager|EhCache|\.put\()') {
-                $function = Get-FunctionName $file.FullName ($i + 1)
-                Add-Finding $relativeFile $function ($i + 1) $content[$i].Trim() "In-Process Cache" "medium"
-                $issuesFound++
-            }
-        }
+        $content = @(Get-Content $file.FullName)
+        $issuesFound += Invoke-Rules "java" $file $relativeFile $content
         
         Write-Progress -Activity "Scanning Java files" -Status "Scanned: $totalFiles files, Found: $issuesFound issues" -PercentComplete (($totalFiles / $javaFiles.Count) * 100)
     }
     
+    $script:ModuleFiles = $totalFiles
     Write-Host ""
     Write-Host "✓ Java analysis complete" -ForegroundColor Green
     Write-Host "  Files scanned: $totalFiles"
     Write-Host "  Issues found: $issuesFound"
 }
 
-# Run appropriate analyzer
-if ($ProjectType -eq "dotnet") {
-    Analyze-DotNet
-} elseif ($ProjectType -eq "java") {
-    Analyze-Java
+# The module itself, or only the included folders inside it (none when the module is not included)
+function Get-ScanRoots {
+    param([object]$Module)
+    $toFullPath = { param($path) if ($path -eq ".") { $ScriptDir } else { Join-Path $ScriptDir $path } }
+    if ($Include.Count -eq 0) { return @(& $toFullPath $Module.Path) }
+    $modulePaths = @($Modules | ForEach-Object { $_.Path })
+    $roots = @()
+    foreach ($entry in $Include) {
+        if ($modulePaths -contains $entry) {
+            if ($entry -eq $Module.Path) { return @(& $toFullPath $Module.Path) }
+        } elseif (Test-Within $Module.Path $entry) {
+            return @(& $toFullPath $Module.Path)
+        } elseif (Test-Within $entry $Module.Path) {
+            $roots += & $toFullPath $entry
+        }
+    }
+    return $roots
+}
+
+# Files of deeper modules of the same language belong to those modules
+function Test-NestedModuleFile {
+    param([string]$FullPath)
+    $path = Get-RelativePath $FullPath
+    foreach ($other in $Modules) {
+        if ($other.Type -eq $CurrentModule.Type -and $other.Path -ne $CurrentModule.Path -and
+            (Test-Within $other.Path $CurrentModule.Path) -and (Test-Within $path $other.Path)) {
+            return $true
+        }
+    }
+    return $false
+}
+
+# Run each module's analyzer with its own language rules
+$ScannedModules = @()
+$TotalFiles = 0
+foreach ($CurrentModule in $Modules) {
+    $ScanRoots = @(Get-ScanRoots $CurrentModule)
+    if ($ScanRoots.Count -eq 0) { continue }
+    $script:ModuleFiles = 0
+    Write-Host "▸ Module $($CurrentModule.Path) ($($CurrentModule.Manifest))" -ForegroundColor Blue
+    if ($CurrentModule.Type -eq "dotnet") {
+        Analyze-DotNet
+    } else {
+        Analyze-Java
+    }
+    if ($script:ModuleFiles -gt 0) {
+        $TotalFiles += $script:ModuleFiles
+        $ScannedModules += [ordered]@{
+            path = $CurrentModule.Path
+            projectType = $CurrentModule.Type
+            manifest = $CurrentModule.Manifest
+            totalFiles = $script:ModuleFiles
+        }
+    }
+}
+
+if ($ScannedModules.Count -eq 0) {
+    Write-Host "✗ No source files found in the selected modules" -ForegroundColor Red
+    Remove-Item $TempFindings -ErrorAction SilentlyContinue
+    exit 1
 }
+$moduleTypes = @($ScannedModules | ForEach-Object { $_.projectType } | Select-Object -Unique)
+$ProjectType = if ($moduleTypes.Count -eq 1) { $moduleTypes[0] } else { "mixed" }
 
 # Create final JSON output
 $findings = Get-Content $TempFindings | ConvertFrom-Json
 $analysis = @{
+    schemaVersion = 1
     projectType = $ProjectType
     scanDate = (Get-Date -Format o)
     rootPath = $ScriptDir
+    totalFiles = $TotalFiles
+    modules = $ScannedModules
     findings = $findings
 }
 
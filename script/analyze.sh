@@ -2,6 +2,10 @@
 # Stateful Code Analyzer - Local Analysis Script
 # Production-ready version with actual pattern detection
 # Supports: .NET Framework, ASP.NET, Java/Spring
+#
+# Usage: ./analyze.sh [--context N] [--include PATH]...
+# Every directory with a .sln/.csproj, pom.xml or build.gradle is analyzed as its own module.
+# --include limits the analysis: a module path selects that module, any other folder everything below it.
 
 set -e
 
@@ -9,6 +13,27 @@ SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 OUTPUT_FILE="$SCRIPT_DIR/stateful-analysis.json"
 TEMP_FINDINGS="$SCRIPT_DIR/.findings_temp.json"
 
+MODULES_TEMP="$SCRIPT_DIR/.modules_temp"
+
+# "./services/orders/" -> "services/orders", "" or "./" -> "."
+normalize_path() {
+    local path="${1#./}"
+    path="${path%/}"
+    [ -z "$path" ] && path="."
+    echo "$path"
+}
+
+# Optional: include N lines of source around each finding (--context N or STATELESSOR_CONTEXT_LINES=N)
+CONTEXT_LINES="${STATELESSOR_CONTEXT_LINES:-0}"
+INCLUDE=()
+while [ $# -gt 0 ]; do
+    case "$1" in
+        --context) CONTEXT_LINES="$2"; shift 2 ;;
+        --include) INCLUDE+=("$(normalize_path "$2")"); shift 2 ;;
+        *) echo "Unknown option: $1"; exit 1 ;;
+    esac
+done
+
 # Colors for output
 RED='\033[0;31m'
 GREEN='\033[0;32m'
@@ -22,23 +47,71 @@ echo -e "${BLUE}║   Analyzing codebase for stateful patterns   ║${NC}"
 echo -e "${BLUE}╚═══════════════════════════════════════════════╝${NC}"
 echo ""
 
-# Detect project type
-PROJECT_TYPE="unknown"
-if [ -f *.csproj ] || [ -f *.sln ] || find . -maxdepth 3 -name "*.csproj" | grep -q .; then
-    PROJECT_TYPE="dotnet"
-    echo -e "${GREEN}✓ Detected .NET project${NC}"
-elif [ -f pom.xml ] || [ -f build.gradle ]; then
-    PROJECT_TYPE="java"
-    echo -e "${GREEN}✓ Detected Java project${NC}"
-else
+# Detect modules: one line "<type><TAB><directory><TAB><manifest>" per module directory
+find . -type d \( -name node_modules -o -name .git -o -name bin -o -name obj -o -name packages -o -name .vs \
+        -o -name target -o -name build -o -name .idea \) -prune \
+    -o -type f \( -name "*.sln" -o -name "*.csproj" -o -name pom.xml -o -name build.gradle -o -name build.gradle.kts \) -print \
+    | sort | while IFS= read -r manifest; do
+        case "$manifest" in
+            *.sln|*.csproj) type="dotnet" ;;
+            *) type="java" ;;
+        esac
+        printf '%s\t%s\t%s\n' "$type" "$(normalize_path "$(dirname "$manifest")")" "$(normalize_path "$manifest")"
+    done | awk -F'\t' '!seen[$1 FS $2]++' > "$MODULES_TEMP"
+
+if [ ! -s "$MODULES_TEMP" ]; then
     echo -e "${RED}✗ Could not detect project type${NC}"
-    echo "Please ensure you're in the project root directory"
+    echo "Please ensure you're in the project root directory (no .sln/.csproj, pom.xml or build.gradle found)"
+    rm -f "$MODULES_TEMP"
     exit 1
 fi
+echo -e "${GREEN}✓ Detected $(wc -l < "$MODULES_TEMP" | tr -d ' ') module(s)${NC}"
+
+# Rules: one tab-separated row per rule with language, category, severity, regex (grep -E),
+# exclude regex ("-" for none) and remediation. The built-in rows mirror src/core/rules.js; scripts
+# downloaded from the web app also carry the custom rules of the rule catalog.
+# BEGIN RULES
+RULES=$(cat <<'STATELESSOR_RULES'
+dotnet	Session State	high	Session\[	-	Replace session state with stateless alternatives such as JWT claims or a distributed cache (Redis, SQL).
+dotnet	Application State	high	Application\[	-	Move application-wide state to a distributed cache or configuration provider shared by all instances.
+dotnet	ViewState	medium	ViewState\[	-	Keep page data in the client or reload it per request instead of round-tripping ViewState.
+dotnet	Static Mutable Field	high	(private|public)\s+static.*=	readonly	Replace static mutable fields with services registered through dependency injection and an external state store.
+dotnet	In-Process Cache	medium	(MemoryCache\.Default|HttpRuntime\.Cache)	-	Use IDistributedCache backed by Redis or another shared cache instead of the in-process cache.
+java	Session State	high	(\.getSession\(|session\.setAttribute)	-	Replace HttpSession with token-based authentication or Spring Session backed by Redis/JDBC.
+java	Application State	high	getServletContext\(\)\.setAttribute	-	Move ServletContext attributes to a distributed cache or externalized configuration.
+java	Static Mutable Field	high	(private|public)\s+static.*=	final	Replace static mutable fields with Spring-managed beans and an external state store.
+java	Thread-Local Storage	high	ThreadLocal	-	Pass request context explicitly or use request-scoped beans instead of ThreadLocal storage.
+java	In-Process Cache	medium	(CacheManager|EhCache|\.put\()	-	Use a distributed cache (Redis, Hazelcast) behind Spring Cache instead of a local cache.
+STATELESSOR_RULES
+)
 
 # Initialize findings array
 echo "[]" > "$TEMP_FINDINGS"
 
+# Escape a string for use inside a JSON string literal
+json_escape() {
+    local tab
+    tab=$(printf '\t')
+    printf '%s' "$1" | sed -e 's/\\/\\\\/g' -e 's/"/\\"/g' -e "s/${tab}/\\\\t/g" -e 's/\r$//'
+}
+
+# Build the optional "context" field: the lines around a match as a JSON array
+build_context() {
+    local source="$1"
+    local line_num="$2"
+    local start=$((line_num - CONTEXT_LINES))
+    [ $start -lt 1 ] && start=1
+    local end=$((line_num + CONTEXT_LINES))
+    local lines=""
+    
+    while IFS= read -r context_line || [ -n "$context_line" ]; do
+        [ -n "$lines" ] && lines="$lines, "
+        lines="$lines\"$(json_escape "$context_line")\""
+    done < <(sed -n "${start},${end}p" "$source")
+    
+    printf ',\n  "context": { "startLine": %d, "lines": [%s] }' "$start" "$lines"
+}
+
 # Function to add finding to JSON
 add_finding() {
     local file="$1"
@@ -47,9 +120,19 @@ add_finding() {
     local code="$4"
     local category="$5"
     local severity="$6"
+    local source="$7"
+    local module="$8"
+    local remediation="$9"
+    local context_json=""
+    
+    # Escape backslashes, quotes and tabs; categories and remediation may come from custom rules
+    code=$(json_escape "$code")
+    category=$(json_escape "$category")
+    remediation=$(json_escape "$remediation")
     
-    # Escape quotes in code
-    code=$(echo "$code" | sed 's/"/\\"/g')
+    if [ "$CONTEXT_LINES" -gt 0 ] && [ -n "$source" ]; then
+        context_json=$(build_context "$source" "$line_num")
+    fi
     
     # Create finding JSON
     local finding=$(cat <<EOF
@@ -59,7 +142,9 @@ add_finding() {
   "lineNum": $line_num,
   "code": "$code",
   "category": "$category",
-  "severity": "$severity"
+  "severity": "$severity",
+  "remediation": "$remediation",
+  "module": "$module"$context_json
 }
 EOF
 )
@@ -95,7 +180,30 @@ extract_function_name() {
     ' "$file" | tail -1
 }
 
-# .NET specific patterns
+# Runs every rule of one language over a file; sets FILE_ISSUES to the number of findings
+scan_file() {
+    local file="$1"
+    local language="$2"
+    local relative_file="${file#$SCRIPT_DIR/}"
+    local rule_language category severity regex exclude remediation line_info line_num code function
+    FILE_ISSUES=0
+    while IFS=$'\t' read -r rule_language category severity regex exclude remediation; do
+        case "$rule_language" in ''|'#'*) continue ;; esac
+        [ "$rule_language" = "$language" ] || continue
+        while IFS= read -r line_info; do
+            line_num="${line_info%%:*}"
+            code="${line_info#*:}"
+            if [ "$exclude" != "-" ] && printf '%s\n' "$code" | grep -qE -- "$exclude"; then
+                continue
+            fi
+            function=$(extract_function_name "$file" "$line_num")
+            add_finding "$relative_file" "$function" "$line_num" "$code" "$category" "$severity" "$file" "$CURRENT_MODULE" "$remediation"
+            FILE_ISSUES=$((FILE_ISSUES + 1))
+        done < <(grep -nE -- "$regex" "$file" 2>/dev/null || true)
+    done <<< "$RULES"
+}
+
+# .NET files
 analyze_dotnet() {
     echo -e "${YELLOW}Analyzing .NET code...${NC}"
     local total_files=0
@@ -103,73 +211,28 @@ analyze_dotnet() {
     
     # Find all C# files
     while IFS= read -r -d '' file; do
-        ((total_files++))
-        relative_file="${file#$SCRIPT_DIR/}"
-        
-        # Pattern 1: Session State
-        while IFS= read -r line_info; do
-            line_num=$(echo "$line_info" | cut -d: -f1)
-            code=$(echo "$line_info" | cut -d: -f2-)
-            function=$(extract_function_name "$file" "$line_num")
-            add_finding "$relative_file" "$function" "$line_num" "$code" "Session State" "high"
-            ((issues_found++))
-        done < <(grep -n 'Session\[' "$file" 2>/dev/null || true)
-        
-        # Pattern 2: Application State
-        while IFS= read -r line_info; do
-            line_num=$(echo "$line_info" | cut -d: -f1)
-            code=$(echo "$line_info" | cut -d: -f2-)
-            function=$(extract_function_name "$file" "$line_num")
-            add_finding "$relative_file" "$function" "$line_num" "$code" "Application State" "high"
-            ((issues_found++))
-        done < <(grep -n 'Application\[' "$file" 2>/dev/null || true)
-        
-        # Pattern 3: ViewState
-        while IFS= read -r line_info; do
-            line_num=$(echo "$line_info" | cut -d: -f1)
-            code=$(echo "$line_info" | cut -d: -f2-)
-            function=$(extract_function_name "$file" "$line_num")
-            add_finding "$relative_file" "$function" "$line_num" "$code" "ViewState" "medium"
-            ((issues_found++))
-        done < <(grep -n 'ViewState\[' "$file" 2>/dev/null || true)
-        
-        # Pattern 4: Static mutable fields
-        while IFS= read -r line_info; do
-            line_num=$(echo "$line_info" | cut -d: -f1)
-            code=$(echo "$line_info" | cut -d: -f2-)
-            # Exclude readonly
-            if ! echo "$code" | grep -q "readonly"; then
-                function=$(extract_function_name "$file" "$line_num")
-                add_finding "$relative_file" "$function" "$line_num" "$code" "Static Mutable Field" "high"
-                ((issues_found++))
-            fi
-        done < <(grep -nE '(private|public)\s+static.*=' "$file" 2>/dev/null || true)
-        
-        # Pattern 5: MemoryCache
-        while IFS= read -r line_info; do
-            line_num=$(echo "$line_info" | cut -d: -f1)
-            code=$(echo "$line_info" | cut -d: -f2-)
-            function=$(extract_function_name "$file" "$line_num")
-            add_finding "$relative_file" "$function" "$line_num" "$code" "In-Process Cache" "medium"
-            ((issues_found++))
-        done < <(grep -nE '(MemoryCache\.Default|HttpRuntime\.Cache)' "$file" 2>/dev/null || true)
+        total_files=$((total_files + 1))
+        scan_file "$file" dotnet
+        issues_found=$((issues_found + FILE_ISSUES))
         
         echo -ne "\rScanned: $total_files files, Found: $issues_found issues"
         
-    done < <(find . -type f -name "*.cs" \
+    done < <(find "${SCAN_ROOTS[@]}" -type f -name "*.cs" \
         ! -path "*/bin/*" \
         ! -path "*/obj/*" \
         ! -path "*/packages/*" \
         ! -path "*/.vs/*" \
+        "${NESTED_EXCLUDES[@]}" \
         -print0)
     
+    MODULE_FILES=$total_files
     echo ""
     echo -e "${GREEN}✓ .NET analysis complete${NC}"
     echo "  Files scanned: $total_files"
     echo "  Issues found: $issues_found"
 }
 
-# Java specific patterns
+# Java files
 analyze_java() {
     echo -e "${YELLOW}Analyzing Java code...${NC}"
     local total_files=0
@@ -177,64 +240,20 @@ analyze_java() {
     
     # Find all Java files
     while IFS= read -r -d '' file; do
-        ((total_files++))
-        relative_file="${file#$SCRIPT_DIR/}"
-        
-        # Pattern 1: HttpSession
-        while IFS= read -r line_info; do
-            line_num=$(echo "$line_info" | cut -d: -f1)
-            code=$(echo "$line_info" | cut -d: -f2-)
-            function=$(extract_function_name "$file" "$line_num")
-            add_finding "$relative_file" "$function" "$line_num" "$code" "Session State" "high"
-            ((issues_found++))
-        done < <(grep -nE '(\.getSession\(|session\.setAttribute)' "$file" 2>/dev/null || true)
-        
-        # Pattern 2: ServletContext
-        while IFS= read -r line_info; do
-            line_num=$(echo "$line_info" | cut -d: -f1)
-            code=$(echo "$line_info" | cut -d: -f2-)
-            function=$(extract_function_name "$file" "$line_num")
-            add_finding "$relative_file" "$function" "$line_num" "$code" "Application State" "high"
-            ((issues_found++))
-        done < <(grep -n 'getServletContext()\.setAttribute' "$file" 2>/dev/null || true)
-        
-        # Pattern 3: Static mutable fields
-        while IFS= read -r line_info; do
-            line_num=$(echo "$line_info" | cut -d: -f1)
-            code=$(echo "$line_info" | cut -d: -f2-)
-            if ! echo "$code" | grep -q "final"; then
-                function=$(extract_function_name "$file" "$line_num")
-                add_finding "$relative_file" "$function" "$line_num" "$code" "Static Mutable Field" "high"
-                ((issues_found++))
-            fi
-        done < <(grep -nE '(private|public)\s+static.*=' "$file" 2>/dev/null || true)
-        
-        # Pattern 4: ThreadLocal
-        while IFS= read -r line_info; do
-            line_num=$(echo "$line_info" | cut -d: -f1)
-            code=$(echo "$line_info" | cut -d: -f2-)
-            function=$(extract_function_name "$file" "$line_num")
-            add_finding "$relative_file" "$function" "$line_num" "$code" "Thread-Local Storage" "high"
-            ((issues_found++))
-        done < <(grep -n 'ThreadLocal' "$file" 2>/dev/null || true)
-        
-        # Pattern 5: Cache
-        while IFS= read -r line_info; do
-            line_num=$(echo "$line_info" | cut -d: -f1)
-            code=$(echo "$line_info" | cut -d: -f2-)
-            function=$(extract_function_name "$file" "$line_num")
-            add_finding "$relative_file" "$function" "$line_num" "$code" "In-Process Cache" "medium"
-            ((issues_found++))
-        done < <(grep -nE '(CacheManager|EhCache|\.put\()' "$file" 2>/dev/null || true)
+        total_files=$((total_files + 1))
+        scan_file "$file" java
+        issues_found=$((issues_found + FILE_ISSUES))
         
         echo -ne "\rScanned: $total_files files, Found: $issues_found issues"
         
-    done < <(find . -type f -name "*.java" \
+    done < <(find "${SCAN_ROOTS[@]}" -type f -name "*.java" \
         ! -path "*/target/*" \
         ! -path "*/build/*" \
         ! -path "*/.idea/*" \
+        "${NESTED_EXCLUDES[@]}" \
         -print0)
     
+    MODULE_FILES=$total_files
     echo ""
     echo -e "${GREEN}✓ Java analysis complete${NC}"
     echo "  Files scanned: $total_files"
@@ -251,25 +270,108 @@ if ! command -v jq &> /dev/null; then
     fi
 fi
 
-# Run appropriate analyzer
-if [ "$PROJECT_TYPE" = "dotnet" ]; then
-    analyze_dotnet
-elif [ "$PROJECT_TYPE" = "java" ]; then
-    analyze_java
+# True when $1 is the directory $2 or lies below it
+is_within() {
+    [ "$2" = "." ] || [ "$1" = "$2" ] || [ "${1#$2/}" != "$1" ]
+}
+
+is_module_path() {
+    cut -f2 "$MODULES_TEMP" | grep -Fxq -- "$1"
+}
+
+# find needs "." for the root and "./dir" elsewhere so the ./-prefixed exclusions match
+find_root() {
+    if [ "$1" = "." ]; then echo "."; else echo "./$1"; fi
+}
+
+# Sets SCAN_ROOTS for a module: the module itself, or only the included folders inside it
+set_scan_roots() {
+    local dir="$1"
+    local entry
+    SCAN_ROOTS=()
+    if [ ${#INCLUDE[@]} -eq 0 ]; then
+        SCAN_ROOTS=("$(find_root "$dir")")
+        return 0
+    fi
+    for entry in "${INCLUDE[@]}"; do
+        if is_module_path "$entry"; then
+            if [ "$entry" = "$dir" ]; then
+                SCAN_ROOTS=("$(find_root "$dir")")
+                return 0
+            fi
+        elif is_within "$dir" "$entry"; then
+            SCAN_ROOTS=("$(find_root "$dir")")
+            return 0
+        elif is_within "$entry" "$dir"; then
+            SCAN_ROOTS+=("$(find_root "$entry")")
+        fi
+    done
+    return 0
+}
+
+# Sets NESTED_EXCLUDES: files of deeper modules of the same language belong to those modules
+set_nested_excludes() {
+    local type="$1"
+    local dir="$2"
+    local other_type other_dir other_manifest
+    NESTED_EXCLUDES=()
+    while IFS=$'\t' read -r other_type other_dir other_manifest; do
+        if [ "$other_type" = "$type" ] && [ "$other_dir" != "$dir" ] && is_within "$other_dir" "$dir"; then
+            NESTED_EXCLUDES+=(! -path "./$other_dir/*")
+        fi
+    done < "$MODULES_TEMP"
+}
+
+# Run each module's analyzer with its own language rules
+MODULES_JSON=""
+PROJECT_TYPE=""
+TOTAL_FILES=0
+while IFS=$'\t' read -r module_type module_dir module_manifest; do
+    set_scan_roots "$module_dir"
+    [ ${#SCAN_ROOTS[@]} -eq 0 ] && continue
+    set_nested_excludes "$module_type" "$module_dir"
+    CURRENT_MODULE="$module_dir"
+    MODULE_FILES=0
+    echo -e "${BLUE}▸ Module $module_dir ($module_manifest)${NC}"
+    if [ "$module_type" = "dotnet" ]; then
+        analyze_dotnet
+    else
+        analyze_java
+    fi
+    [ "$MODULE_FILES" -eq 0 ] && continue
+    TOTAL_FILES=$((TOTAL_FILES + MODULE_FILES))
+    [ -n "$MODULES_JSON" ] && MODULES_JSON="$MODULES_JSON,"
+    MODULES_JSON="$MODULES_JSON
+    { \"path\": \"$(json_escape "$module_dir")\", \"projectType\": \"$module_type\", \"manifest\": \"$(json_escape "$module_manifest")\", \"totalFiles\": $MODULE_FILES }"
+    if [ -z "$PROJECT_TYPE" ] || [ "$PROJECT_TYPE" = "$module_type" ]; then
+        PROJECT_TYPE="$module_type"
+    else
+        PROJECT_TYPE="mixed"
+    fi
+done < "$MODULES_TEMP"
+
+if [ -z "$MODULES_JSON" ]; then
+    echo -e "${RED}✗ No source files found in the selected modules${NC}"
+    rm -f "$MODULES_TEMP" "$TEMP_FINDINGS"
+    exit 1
 fi
 
 # Create final JSON output
 cat > "$OUTPUT_FILE" <<EOF
 {
+  "schemaVersion": 1,
   "projectType": "$PROJECT_TYPE",
   "scanDate": "$(date -Iseconds)",
   "rootPath": "$SCRIPT_DIR",
+  "totalFiles": $TOTAL_FILES,
+  "modules": [$MODULES_JSON
+  ],
   "findings": $(cat "$TEMP_FINDINGS")
 }
 EOF
 
-# Clean up temp file
-rm -f "$TEMP_FINDINGS" "$TEMP_FINDINGS.tmp"
+# Clean up temp files
+rm -f "$TEMP_FINDINGS" "$TEMP_FINDINGS.tmp" "$MODULES_TEMP"
 
 # Summary
 TOTAL_ISSUES=$(jq '.findings | length' "$OUTPUT_FILE")
@@ -0,0 +1,555 @@
+// Local stand-in for the backend's /analyze job protocol (see backend-api-spec.md, "Analysis Jobs API").
+// Scans uploaded ZIPs and git repositories with the same engine the browser uses, so the UI's
+// progress, cancel and resume handling can be exercised without the real backend.
+// It also serves the analysis scripts (GET /api/script/bash|powershell) from script/, and a stub
+// LLM endpoint (POST /v1/chat/completions) for the app's AI fix suggestions.
+//
+//   npm run job-server                      # listens on http://localhost:3001
+//   REACT_APP_API_URL=http://localhost:3001 npm start
+//
+// JOB_SERVER_DELAY_MS slows every scanned file down so progress and cancel can be watched on small projects.
+// SSH_KEY_EXPIRY_HOURS sets how long generated deploy keys stay valid (default 24).
+import { spawn } from 'node:child_process';
+import { generateKeyPairSync, randomUUID } from 'node:crypto';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { tmpdir } from 'node:os';
+import { dirname, isAbsolute, join, relative, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { unzipSync } from 'fflate';
+import { buildResults } from '../src/core/aggregate.js';
+import { RELEVANT_FILE } from '../src/core/archive.js';
+import { BUILT_IN_RULES, getRulesForLanguage } from '../src/core/rules.js';
+import { compileRules, listModules, planScan, rawScanOutput, scanSource, stripCommonRoot } from '../src/core/scanner.js';
+import { SCRIPT_SHELLS, replaceScriptRules } from '../src/core/scriptRules.js';
+import { pemToOpenSsh, sshFingerprint } from '../src/core/sshKey.js';
+
+const PORT = Number(process.env.PORT) || 3001;
+const STEP_DELAY_MS = Number(process.env.JOB_SERVER_DELAY_MS) || 0;
+const MAX_UPLOAD_BYTES = 200 * 1024 * 1024;
+const JOB_TTL_MS = 60 * 60 * 1000;
+const HEARTBEAT_MS = 15000;
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+const SCRIPT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'script');
+const SSH_KEY_TTL_MS = (Number(process.env.SSH_KEY_EXPIRY_HOURS) || 24) * 60 * 60 * 1000;
+
+const jobs = new Map();
+const sshKeys = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class CancelledError extends Error {}
+
+// ---- jobs ----
+
+const snapshot = (job) => ({
+  jobId: job.id,
+  status: job.status,
+  phase: job.phase,
+  progress: job.progress,
+  message: job.message,
+  error: job.error,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt,
+  result: job.status === 'completed' ? job.result : undefined
+});
+
+const sendEvent = (res, job) => res.write(`data: ${JSON.stringify(snapshot(job))}\n\n`);
+
+// Once a job is finished (including a cancel reported by the endpoint) later updates are dropped
+const update = (job, patch) => {
+  if (TERMINAL_STATUSES.includes(job.status)) return;
+  Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+  job.listeners.forEach(res => {
+    sendEvent(res, job);
+    if (TERMINAL_STATUSES.includes(job.status)) res.end();
+  });
+  if (TERMINAL_STATUSES.includes(job.status)) {
+    job.listeners.clear();
+    job.done();
+    setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+  }
+};
+
+const createJob = () => {
+  const now = new Date().toISOString();
+  const job = {
+    id: randomUUID(),
+    status: 'queued',
+    phase: 'queued',
+    progress: null,
+    message: 'Waiting to start',
+    createdAt: now,
+    updatedAt: now,
+    listeners: new Set(),
+    controller: new AbortController()
+  };
+  job.finished = new Promise(resolve => { job.done = resolve; });
+  jobs.set(job.id, job);
+  return job;
+};
+
+const checkCancelled = (job) => {
+  if (job.controller.signal.aborted) throw new CancelledError();
+};
+
+// ---- sources ----
+
+const readZip = (buffer) => {
+  const entries = unzipSync(new Uint8Array(buffer), {
+    filter: (entry) => !entry.name.endsWith('/') && RELEVANT_FILE.test(entry.name)
+  });
+  const decoder = new TextDecoder('utf-8');
+  const names = Object.keys(entries).map(name => name.replace(/\\/g, '/'));
+  const { root, paths } = stripCommonRoot(names);
+  return {
+    root,
+    files: Object.keys(entries).map((name, index) => ({ path: paths[index], content: decoder.decode(entries[name]) }))
+  };
+};
+
+// Access tokens go to git as an HTTP header through GIT_CONFIG_* variables, so they never appear
+// in the clone URL, the process list or the cloned repository's config.
+// SSH URLs use the local user's SSH agent; keyId is ignored by this stand-in (the generated Ed25519
+// private keys are PKCS8, which OpenSSH cannot load directly).
+const gitEnv = (auth) => {
+  const env = { ...process.env, GIT_TERMINAL_PROMPT: '0' };
+  if (auth && auth.type === 'token' && auth.token) {
+    const credentials = Buffer.from(`${auth.username || 'git'}:${auth.token}`).toString('base64');
+    Object.assign(env, {
+      GIT_CONFIG_COUNT: '1',
+      GIT_CONFIG_KEY_0: 'http.extraHeader',
+      GIT_CONFIG_VALUE_0: `Authorization: Basic ${credentials}`
+    });
+  }
+  return env;
+};
+
+const runGit = (args, { auth, signal } = {}) => new Promise((resolve, reject) => {
+  const child = spawn('git', args, { stdio: ['ignore', 'ignore', 'pipe'], env: gitEnv(auth) });
+  let stderr = '';
+  child.stderr.on('data', chunk => { stderr += chunk; });
+  const onAbort = () => child.kill();
+  if (signal) signal.addEventListener('abort', onAbort);
+  child.on('error', reject);
+  child.on('close', code => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    if (signal && signal.aborted) reject(new CancelledError());
+    else if (code === 0) resolve();
+    else reject(new Error(stderr.trim().split('\n').pop() || `git ${args[0]} exited with code ${code}`));
+  });
+});
+
+const gitClone = ({ gitUrl, branch, auth }, directory, signal) => runGit(
+  ['clone', '--depth', '1', ...(branch ? ['--branch', branch] : []), '--', gitUrl, directory],
+  { auth, signal }
+);
+
+// Relative paths of the files needed for module detection and scanning
+const listTree = async (directory) => {
+  const paths = [];
+  const walk = async (dir) => {
+    for (const entry of await readdir(dir, { withFileTypes: true })) {
+      const fullPath = join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (entry.name !== '.git') await walk(fullPath);
+      } else if (RELEVANT_FILE.test(entry.name)) {
+        paths.push(relative(directory, fullPath).split(sep).join('/'));
+      }
+    }
+  };
+  await walk(directory);
+  return paths;
+};
+
+const readTree = async (directory) => {
+  const files = [];
+  for (const path of await listTree(directory)) {
+    files.push({ path, content: await readFile(join(directory, ...path.split('/')), 'utf8') });
+  }
+  return files;
+};
+
+// Clones into a temporary directory, hands it to read and always removes it afterwards
+const withClone = async (input, signal, read) => {
+  const directory = await mkdtemp(join(tmpdir(), 'statelessor-'));
+  try {
+    await gitClone(input, directory, signal);
+    return await read(directory);
+  } finally {
+    await rm(directory, { recursive: true, force: true });
+  }
+};
+
+const cloneRepository = async (job, input) => {
+  update(job, { status: 'running', phase: 'cloning', message: `Cloning ${input.gitUrl}` });
+  return withClone(input, job.controller.signal, async (directory) => {
+    // include supersedes the older single subfolder, which re-roots the scan instead of filtering it
+    const root = input.subfolder && !input.include ? resolve(directory, input.subfolder) : directory;
+    const path = relative(directory, root);
+    if (isAbsolute(path) || path.split(sep)[0] === '..') throw new Error(`Subfolder ${input.subfolder} is outside the repository`);
+    return { root: input.gitUrl.replace(/\.git$/, '').split(/[/:]/).pop(), files: await readTree(root) };
+  });
+};
+
+// ---- scanning ----
+
+// Same steps as core scanFiles, but yields between files so progress is streamed and cancel is honoured
+const scan = async (job, { root, files }, include = []) => {
+  const { modules, sources } = planScan(files, { include });
+  const compiledRules = {
+    dotnet: compileRules(getRulesForLanguage(BUILT_IN_RULES, 'dotnet')),
+    java: compileRules(getRulesForLanguage(BUILT_IN_RULES, 'java'))
+  };
+  const findings = [];
+
+  for (let index = 0; index < sources.length; index++) {
+    const { file, module } = sources[index];
+    checkCancelled(job);
+    scanSource(file.path, file.content, compiledRules[module.projectType])
+      .forEach(finding => findings.push({ ...finding, module: module.path }));
+    update(job, {
+      phase: 'scanning',
+      progress: { current: index + 1, total: sources.length },
+      message: `Scanning ${file.path}`
+    });
+    await sleep(STEP_DELAY_MS);
+  }
+
+  return rawScanOutput({ modules, findings, rootPath: root });
+};
+
+const runJob = async (job, input) => {
+  try {
+    let source;
+    if (input.type === 'git') {
+      source = await cloneRepository(job, input);
+    } else {
+      update(job, { status: 'running', phase: 'extracting', message: `Extracting ${input.fileName}` });
+      await sleep(STEP_DELAY_MS);
+      source = readZip(input.buffer);
+    }
+    checkCancelled(job);
+    const raw = await scan(job, source, input.include);
+    update(job, { phase: 'aggregating', progress: null, message: 'Aggregating results' });
+    const projectName = input.type === 'git' ? source.root : input.fileName.replace(/\.zip$/i, '');
+    const result = buildResults(raw, { projectName });
+    checkCancelled(job);
+    update(job, { status: 'completed', phase: 'done', message: `${result.stats.totalIssues} issues found`, result });
+  } catch (error) {
+    if (error instanceof CancelledError || job.controller.signal.aborted) {
+      update(job, { status: 'cancelled', message: 'Cancelled' });
+    } else {
+      update(job, { status: 'failed', error: error.message, message: 'Failed' });
+    }
+  }
+};
+
+// ---- http ----
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-Request-ID, Prefer',
+  'Access-Control-Expose-Headers': 'Location, X-Request-ID'
+};
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_UPLOAD_BYTES) {
+      reject(Object.assign(new Error('Upload too large'), { status: 413 }));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+const readJson = async (req) => JSON.parse((await readBody(req)).toString('utf8') || '{}');
+
+// Minimal multipart/form-data parser: returns { field: string | { fileName, buffer } }
+const parseMultipart = (buffer, contentType) => {
+  const match = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/);
+  if (!match) throw Object.assign(new Error('Missing multipart boundary'), { status: 400 });
+  const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+  const fields = {};
+  let start = buffer.indexOf(delimiter);
+  while (start !== -1) {
+    const next = buffer.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) break;
+    const part = buffer.subarray(start + delimiter.length + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    const headers = part.subarray(0, headerEnd).toString('utf8');
+    const body = part.subarray(headerEnd + 4);
+    const name = (headers.match(/name="([^"]*)"/) || [])[1];
+    const fileName = (headers.match(/filename="([^"]*)"/) || [])[1];
+    if (name) fields[name] = fileName !== undefined ? { fileName, buffer: body } : body.toString('utf8');
+    start = next;
+  }
+  return fields;
+};
+
+const parseAnalyzeRequest = async (req) => {
+  const contentType = req.headers['content-type'] || '';
+  const body = await readBody(req);
+  if (contentType.startsWith('multipart/form-data')) {
+    const fields = parseMultipart(body, contentType);
+    if (!fields.zipFile || typeof fields.zipFile === 'string') {
+      throw Object.assign(new Error('Missing zipFile'), { status: 400 });
+    }
+    const include = typeof fields.include === 'string' ? JSON.parse(fields.include) : undefined;
+    return { type: 'zip', fileName: fields.zipFile.fileName, buffer: fields.zipFile.buffer, include };
+  }
+  const json = JSON.parse(body.toString('utf8') || '{}');
+  if (json.type !== 'git' || !json.gitUrl) {
+    throw Object.assign(new Error('Expected a zipFile upload or { type: "git", gitUrl }'), { status: 400 });
+  }
+  return {
+    type: 'git',
+    gitUrl: json.gitUrl,
+    branch: json.branch,
+    subfolder: json.subfolder,
+    include: Array.isArray(json.include) && json.include.length ? json.include : undefined,
+    auth: json.auth
+  };
+};
+
+const gitModules = async (req, res) => {
+  const input = await readJson(req);
+  if (!input.gitUrl) return sendJson(res, 400, { success: false, message: 'Missing gitUrl' });
+  try {
+    const modules = await withClone(input, undefined, async (directory) => listModules(await listTree(directory)));
+    return sendJson(res, 200, { success: true, modules });
+  } catch (error) {
+    return sendJson(res, 200, { success: false, message: error.message });
+  }
+};
+
+const testConnection = async (req, res) => {
+  const { gitUrl, branch, auth } = await readJson(req);
+  if (!gitUrl) return sendJson(res, 400, { success: false, message: 'Missing gitUrl' });
+  try {
+    await runGit(['ls-remote', '--exit-code', '--', gitUrl, ...(branch ? [`refs/heads/${branch}`] : ['HEAD'])], { auth });
+    return sendJson(res, 200, { success: true });
+  } catch (error) {
+    // --exit-code makes ls-remote exit with 2 when the ref does not exist
+    const message = /code 2$/.test(error.message) ? `Branch "${branch || 'HEAD'}" not found` : error.message;
+    return sendJson(res, 200, { success: false, message });
+  }
+};
+
+const analyze = async (req, res) => {
+  const input = await parseAnalyzeRequest(req);
+  const job = createJob();
+  const statusUrl = `/analyze/jobs/${job.id}`;
+  console.log(`[${job.id}] ${input.type} analysis queued (request ${req.headers['x-request-id'] || '-'})`);
+  runJob(job, input).then(() => console.log(`[${job.id}] ${job.status}`));
+
+  // Clients that do not ask for a job get the old blocking behaviour
+  if (!/respond-async/.test(req.headers.prefer || '')) {
+    await job.finished;
+    if (job.status === 'completed') return sendJson(res, 200, job.result);
+    return sendJson(res, 500, { error: true, message: job.error || 'Analysis cancelled' });
+  }
+  return sendJson(res, 202, {
+    jobId: job.id,
+    status: job.status,
+    statusUrl,
+    eventsUrl: `${statusUrl}/events`,
+    cancelUrl: `${statusUrl}/cancel`
+  }, { Location: statusUrl });
+};
+
+const streamEvents = (res, job) => {
+  res.writeHead(200, {
+    ...CORS_HEADERS,
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.write(`retry: 2000\n\n`);
+  sendEvent(res, job);
+  if (TERMINAL_STATUSES.includes(job.status)) {
+    res.end();
+    return;
+  }
+  job.listeners.add(res);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    job.listeners.delete(res);
+  });
+};
+
+// ---- ssh keys ----
+
+const publicKeyInfo = (key) => ({
+  keyId: key.keyId,
+  publicKey: key.publicKey,
+  fingerprint: key.fingerprint,
+  createdAt: key.createdAt,
+  expiresAt: key.expiresAt
+});
+
+const activeKey = (keyId) => {
+  const key = sshKeys.get(keyId);
+  if (key && Date.parse(key.expiresAt) <= Date.now()) {
+    sshKeys.delete(keyId);
+    return null;
+  }
+  return key || null;
+};
+
+const createSshKey = async (sessionId) => {
+  const keyId = randomUUID();
+  const { publicKey, privateKey } = generateKeyPairSync('ed25519', {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+  const openSsh = pemToOpenSsh(publicKey, `statelessor-${keyId.slice(0, 8)}`);
+  const createdAt = new Date();
+  const key = {
+    keyId,
+    sessionId,
+    publicKey: openSsh,
+    privateKey,
+    fingerprint: await sshFingerprint(openSsh),
+    createdAt: createdAt.toISOString(),
+    expiresAt: new Date(createdAt.getTime() + SSH_KEY_TTL_MS).toISOString()
+  };
+  sshKeys.set(keyId, key);
+  console.log(`[ssh] generated ${key.fingerprint} for session ${sessionId || '-'}`);
+  return key;
+};
+
+const routeSshKeys = async (req, res, pathname, searchParams) => {
+  if (req.method === 'POST' && pathname === '/api/ssh/generate') {
+    const { sessionId } = await readJson(req);
+    return sendJson(res, 200, { success: true, ...publicKeyInfo(await createSshKey(sessionId)) });
+  }
+  if (req.method === 'GET' && pathname === '/api/ssh/keys') {
+    const sessionId = searchParams.get('sessionId');
+    const keys = [...sshKeys.keys()].map(activeKey).filter(key => key && key.sessionId === sessionId);
+    return sendJson(res, 200, { success: true, keys: keys.map(publicKeyInfo) });
+  }
+
+  const match = pathname.match(/^\/api\/ssh\/keys\/([\w-]+)(\/rotate)?$/);
+  const key = match && activeKey(match[1]);
+  if (!match) return sendJson(res, 404, { error: true, message: 'Not found' });
+  if (!key) return sendJson(res, 404, { success: false, code: 'KEY_NOT_FOUND', error: 'Key not found or expired' });
+
+  if (req.method === 'DELETE' && !match[2]) {
+    sshKeys.delete(key.keyId);
+    console.log(`[ssh] revoked ${key.fingerprint}`);
+    return sendJson(res, 200, { success: true, keyId: key.keyId });
+  }
+  if (req.method === 'POST' && match[2]) {
+    const replacement = await createSshKey(key.sessionId);
+    sshKeys.delete(key.keyId);
+    console.log(`[ssh] rotated ${key.fingerprint} to ${replacement.fingerprint}`);
+    return sendJson(res, 200, { success: true, revokedKeyId: key.keyId, ...publicKeyInfo(replacement) });
+  }
+  return sendJson(res, 405, { error: true, message: 'Method not allowed' });
+};
+
+// ---- scripts ----
+
+const SCRIPT_CONTENT_TYPES = { bash: 'application/x-sh', powershell: 'application/x-powershell' };
+
+// The analysis scripts from script/, with their rules table regenerated from rules.js
+const sendScript = async (res, shell) => {
+  const script = await readFile(join(SCRIPT_DIR, SCRIPT_SHELLS[shell].filename), 'utf8');
+  res.writeHead(200, {
+    ...CORS_HEADERS,
+    'Content-Type': `${SCRIPT_CONTENT_TYPES[shell]}; charset=utf-8`,
+    'Content-Disposition': `attachment; filename="${SCRIPT_SHELLS[shell].filename}"`,
+    'Cache-Control': 'no-cache'
+  });
+  res.end(replaceScriptRules(script, BUILT_IN_RULES, shell));
+};
+
+// ---- fix suggestions ----
+
+// Answers the prompt of src/core/fixes.js like an OpenAI-compatible model would, so "Suggest fix"
+// can be tried without one: the flagged line is commented out under a TODO with the remediation.
+const suggestFix = async (req, res) => {
+  const { messages = [] } = await readJson(req);
+  const prompt = (messages.filter(message => message.role === 'user').pop() || {}).content || '';
+  const flagged = Number((prompt.match(/^Flagged line: (\d+)/m) || [])[1]);
+  const remediation = (prompt.match(/^Remediation: (.*)$/m) || [])[1] || 'Move this state out of the process.';
+  const code = prompt.match(/```(\w*)\n([\s\S]*?)\n```/);
+  const lines = code ? code[2].split('\n') : [];
+  if (!flagged || flagged > lines.length) {
+    return sendJson(res, 400, { error: { message: 'Expected a Statelessor fix prompt' } });
+  }
+  const target = lines[flagged - 1];
+  const indent = target.match(/^\s*/)[0];
+  lines.splice(flagged - 1, 1, `${indent}// TODO(statelessor): ${remediation}`, `${indent}// ${target.trim()}`);
+  await sleep(STEP_DELAY_MS);
+  sendJson(res, 200, {
+    id: `chatcmpl-${randomUUID()}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: 'statelessor-stub',
+    choices: [{
+      index: 0,
+      finish_reason: 'stop',
+      message: {
+        role: 'assistant',
+        content: `The stub comments out the flagged line and leaves the remediation as a TODO.\n\n\`\`\`${code[1]}\n${lines.join('\n')}\n\`\`\``
+      }
+    }]
+  });
+};
+
+const route = async (req, res) => {
+  const { pathname, searchParams } = new URL(req.url, `http://${req.headers.host}`);
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    return res.end();
+  }
+  if (req.method === 'POST' && pathname === '/analyze') return analyze(req, res);
+  if (req.method === 'POST' && pathname === '/api/git/test-connection') return testConnection(req, res);
+  if (req.method === 'POST' && pathname === '/api/git/modules') return gitModules(req, res);
+  if (req.method === 'POST' && pathname === '/v1/chat/completions') return suggestFix(req, res);
+  if (pathname.startsWith('/api/ssh/')) return routeSshKeys(req, res, pathname, searchParams);
+  const script = pathname.match(/^\/api\/script\/(\w+)$/);
+  if (req.method === 'GET' && script && SCRIPT_SHELLS[script[1]]) return sendScript(res, script[1]);
+
+  const match = pathname.match(/^\/analyze\/jobs\/([\w-]+)(\/events|\/cancel)?$/);
+  const job = match && jobs.get(match[1]);
+  if (!match) return sendJson(res, 404, { error: true, message: 'Not found' });
+  if (!job) return sendJson(res, 404, { error: true, code: 'JOB_NOT_FOUND', message: 'Job not found or expired' });
+
+  if (req.method === 'GET' && !match[2]) return sendJson(res, 200, snapshot(job));
+  if (req.method === 'GET' && match[2] === '/events') return streamEvents(res, job);
+  if (req.method === 'POST' && match[2] === '/cancel') {
+    if (TERMINAL_STATUSES.includes(job.status)) {
+      return sendJson(res, 409, { error: true, code: 'JOB_FINISHED', message: `Job already ${job.status}` });
+    }
+    job.controller.abort();
+    // Jobs that are between steps notice the abort on their next check; report it right away
+    update(job, { status: 'cancelled', message: 'Cancelled' });
+    return sendJson(res, 200, snapshot(job));
+  }
+  return sendJson(res, 405, { error: true, message: 'Method not allowed' });
+};
+
+createServer((req, res) => {
+  route(req, res).catch(error => {
+    console.error(error);
+    if (!res.headersSent) sendJson(res, error.status || 500, { error: true, message: error.message });
+  });
+}).listen(PORT, () => {
+  console.log(`Statelessor job server listening on http://localhost:${PORT}`);
+});
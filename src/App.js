@@ -1,51 +1,315 @@
-import React, { useState } from 'react';
-import { AlertCircle, FileCode, Download, Upload, Github, Play, Loader } from 'lucide-react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { AlertCircle, BookOpen, CalendarRange, FileCode, Download, Upload, GitBranch, Play, Loader, GitCompare, ListTree, Sparkles } from 'lucide-react';
 import './App.css';
 import statelessorLogo from './statelessor.png';
+import ComparisonView from './components/ComparisonView';
+import Dashboard from './components/Dashboard';
+import ExportMenu from './components/ExportMenu';
+import { AccessTokenSteps, DeployKeySteps } from './components/GitProviderHelp';
+import FindingsFilterBar from './components/FindingsFilterBar';
+import FindingsTree from './components/FindingsTree';
+import FixSettings from './components/FixSettings';
+import HistoryPanel from './components/HistoryPanel';
+import ModuleBreakdown from './components/ModuleBreakdown';
+import ModulePicker from './components/ModulePicker';
+import QualityGate from './components/QualityGate';
+import RuleCatalog from './components/RuleCatalog';
+import SprintPlan from './components/SprintPlan';
+import SshKeyPanel from './components/SshKeyPanel';
+import SuppressedFindings from './components/SuppressedFindings';
+import Tabs, { tabPanelProps } from './components/Tabs';
+import Toasts from './components/Toasts';
+import ZipInspector from './components/ZipInspector';
+import { planRepack } from './core/archive';
+import { compareResults } from './core/compare';
+import { renderExport } from './core/exporters';
+import { buildPatch, overlappingFix, windowEndLine } from './core/fixes';
+import { buildEffortIndex, filterFindings, groupFindings, isFilterActive } from './core/filters';
+import { GIT_PROVIDERS, describeRepository, parseGitUrl } from './core/gitUrl';
+import { evaluatePolicies } from './core/policies';
+import { DEFAULT_VIEW, INPUT_TABS, analysisRoute, inputRoute, rulesRoute } from './core/routes';
+import { BUILT_IN_RULES } from './core/rules';
+import { SCRIPT_SHELLS, embedRules } from './core/scriptRules';
+import { applyTriage, createSuppression, upsertSuppression } from './core/triage';
+import {
+  cancelJob,
+  clearActiveJob,
+  jobPercent,
+  loadActiveJob,
+  saveActiveJob,
+  submitAnalysis,
+  watchJob
+} from './services/analysisJobs';
+import { API_BASE_URL, USE_MOCK_API, api } from './services/apiClient';
+import { downloadFile, readAnalysisFile } from './services/files';
+import { endpointHost, loadFixSettings, requestFix, saveFixSettings } from './services/fixSuggestions';
+import { routeUrl, useHashRoute } from './services/hashRoute';
+import { LOCALES, useI18n } from './services/i18n';
+import { createEntry, getAnalysis, saveAnalysis } from './services/historyStore';
+import { scanZipLocally } from './services/localScan';
+import { buildInclude, fetchGitModules, testGitConnection } from './services/moduleDetection';
+import { POLICY_FILENAME, downloadPolicies, loadPolicies, savePolicies } from './services/policyStore';
+import { RULE_SET_FILENAME, downloadRuleSet, loadCustomRules, saveCustomRules } from './services/ruleStore';
+import { createZipSourceProvider } from './services/sourceProvider';
+import { loadSelectedKeyId, saveSelectedKeyId } from './services/sshKeys';
+import { loadSuppressions, saveSuppressions } from './services/suppressionStore';
+import { useToasts } from './services/toasts';
+import { inspectZip, repackZip } from './services/zipUpload';
 
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'https://statelessor-api.port2aws.pro';
+// Access tokens are only sent to an HTTPS API (or a local development server, or the in-browser mock)
+const CAN_SEND_TOKENS = USE_MOCK_API || /^https:\/\//.test(API_BASE_URL) || /^http:\/\/(localhost|127\.0\.0\.1)(:|\/|$)/.test(API_BASE_URL);
+
+// "Suggest Fixes" on a category asks for one fix after the other, at most this many per click
+const FIX_BATCH_LIMIT = 10;
+
+const toggleId = (ids, id) => (ids.includes(id) ? ids.filter(i => i !== id) : [...ids, id]);
 
 const StatefulAnalyzer = () => {
-  const [activeTab, setActiveTab] = useState('upload');
-  const [analysisResults, setAnalysisResults] = useState(null);
+  const { locale, setLocale, t, has, describeError, formatDate, formatNumber } = useI18n();
+  // Tabs, the open analysis and its filters live in the URL hash (core/routes), so views can be linked
+  const [route, navigate] = useHashRoute();
+  const [openAnalysis, setOpenAnalysis] = useState(null);
+  const [missingAnalysisId, setMissingAnalysisId] = useState(null);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [gitUrl, setGitUrl] = useState('');
   const [uploadedFile, setUploadedFile] = useState(null);
+  // Pre-flight view of the uploaded ZIP: { inspection, excluded } (see components/ZipInspector)
+  const [zipUpload, setZipUpload] = useState(null);
   const [jsonData, setJsonData] = useState(null);
-  const [sshKey, setSshKey] = useState(null);
-  const [isGeneratingKey, setIsGeneratingKey] = useState(false);
-  const [keyId, setKeyId] = useState(null);
+  const [jsonReport, setJsonReport] = useState(null);
+  const [isReadingJson, setIsReadingJson] = useState(false);
+  const [keyId, setKeyId] = useState(loadSelectedKeyId);
+  const [useAccessToken, setUseAccessToken] = useState(false);
+  const [accessToken, setAccessToken] = useState('');
   const [branch, setBranch] = useState('');
-  const [subfolder, setSubfolder] = useState('');
-  const [expandedCategories, setExpandedCategories] = useState(new Set());
-  const [expandedActions, setExpandedActions] = useState(new Set());
+  const [subfolders, setSubfolders] = useState('');
+  // Modules found per tab ('upload', 'git') and the paths picked for analysis
+  const [detectedModules, setDetectedModules] = useState({});
+  const [selectedModules, setSelectedModules] = useState({});
+  const [isDetectingModules, setIsDetectingModules] = useState(false);
   const [isTestingConnection, setIsTestingConnection] = useState(false);
-  
-  // Check if repository is public based on URL (both HTTPS and SSH)
-  const isPublicRepo = gitUrl && gitUrl.includes('github.com');
+  // Outcome of "Test Connection": { ok, message, requestId }
+  const [connectionResult, setConnectionResult] = useState(null);
+  const [scanLocally, setScanLocally] = useState(false);
+  const [scanProgress, setScanProgress] = useState(null);
+  const [compareFiles, setCompareFiles] = useState({ baseline: null, current: null });
+  const [comparison, setComparison] = useState(null);
+  const [sourceProvider, setSourceProvider] = useState(null);
+  const [suppressions, setSuppressions] = useState(loadSuppressions);
+  const [customRules, setCustomRules] = useState(loadCustomRules);
+  const [policies, setPolicies] = useState(loadPolicies);
+  const [jobProgress, setJobProgress] = useState(null);
+  const [fixSettings, setFixSettings] = useState(loadFixSettings);
+  const [showFixSettings, setShowFixSettings] = useState(false);
+  // Fix suggestions for the open analysis by finding id (see components/FixSuggestion)
+  const [fixes, setFixes] = useState({});
+  // The linked finding the findings tree still has to scroll to
+  const [scrollTarget, setScrollTarget] = useState(null);
+  const { toasts, notify, dismiss: dismissToast } = useToasts();
+  const jobControllerRef = useRef(null);
+  const fixControllersRef = useRef(new Map());
+  const lastTabRef = useRef(INPUT_TABS[0]);
+  const linkedFindingRef = useRef(null);
+  const resumeJobRef = useRef(null);
+
+  const activeTab = route.name === 'input' ? route.tab : null;
+  const view = route.name === 'analysis' ? route.view : DEFAULT_VIEW;
+  const { filter, groupBy } = view;
+  const analysisResults = route.name === 'analysis' && openAnalysis && openAnalysis.id === route.id ? openAnalysis.results : null;
+  const expandedCategories = useMemo(() => new Set(view.open), [view.open]);
+  const expandedActions = useMemo(() => new Set(view.roadmaps), [view.roadmaps]);
+  const uploadPlan = useMemo(
+    () => (zipUpload ? planRepack(zipUpload.inspection, zipUpload.excluded) : null),
+    [zipUpload]
+  );
+
+  // analysisResults is kept as scanned; everything below works on the triaged view of it
+  const results = useMemo(() => applyTriage(analysisResults, suppressions), [analysisResults, suppressions]);
+  // Unnamed policies are named in the UI language; exports carry the names as they were shown
+  const verdict = useMemo(
+    () => evaluatePolicies(results, policies, ({ key, params }) => t(key, params)),
+    [results, policies, t]
+  );
+  const effortIndex = useMemo(
+    () => (results ? buildEffortIndex(results) : new Map()),
+    [results]
+  );
+  const visibleFindings = useMemo(
+    () => (results ? filterFindings(results.detailed, filter) : []),
+    [results, filter]
+  );
+  const visibleGroups = useMemo(
+    () => (results ? groupFindings(results, visibleFindings, groupBy, effortIndex) : []),
+    [results, visibleFindings, groupBy, effortIndex]
+  );
+
+  const parsedGitUrl = useMemo(() => parseGitUrl(gitUrl), [gitUrl]);
+  const gitUrlError = !gitUrl ? null
+    : !parsedGitUrl.valid ? t(parsedGitUrl.error.key, parsedGitUrl.error.params)
+    : parsedGitUrl.hasCredentials ? t('git.credentialsInUrl')
+    : null;
+  const repository = describeRepository(parsedGitUrl);
+  const sendsToken = parsedGitUrl.valid && parsedGitUrl.protocol === 'https' && useAccessToken;
+  const gitReady = !!gitUrl && !gitUrlError && (!sendsToken || (!!accessToken.trim() && CAN_SEND_TOKENS));
+
+  // Shared by /analyze and /api/git/test-connection; the token travels in the JSON body, never in the URL
+  const gitAccessPayload = () => {
+    const payload = { gitUrl: parsedGitUrl.url, provider: parsedGitUrl.provider };
+    if (parsedGitUrl.protocol === 'ssh' && keyId) {
+      payload.keyId = keyId;
+    }
+    if (sendsToken) {
+      payload.auth = {
+        type: 'token',
+        username: GIT_PROVIDERS[parsedGitUrl.provider].tokenUsername,
+        token: accessToken.trim()
+      };
+    }
+    return payload;
+  };
+
+  const setTabModules = (tab, modules) => {
+    setDetectedModules(prev => ({ ...prev, [tab]: modules }));
+    setSelectedModules(prev => ({ ...prev, [tab]: modules ? [...new Set(modules.map(m => m.path))] : [] }));
+  };
+
+  const includeFor = (tab) => buildInclude(detectedModules[tab], selectedModules[tab] || [], tab === 'git' ? subfolders : '');
+
+  // Modules were listed but every one of them was unticked
+  const nothingSelected = (tab) => !!detectedModules[tab] && includeFor(tab).length === 0 && (selectedModules[tab] || []).length === 0;
+
+  // API errors with a known code, and errors with a catalog message, are shown in the UI language;
+  // others keep the server's message
+  const errorMessage = (error) => (error.code && has(`apiErrors.${error.code}`)
+    ? t(`apiErrors.${error.code}`, { url: API_BASE_URL })
+    : describeError(error));
+
+  // API errors carry a request id (see services/apiClient), shown so it can be quoted in a bug report
+  const reportError = (prefix, error) => notify(`${prefix}: ${errorMessage(error)}`, { type: 'error', requestId: error.requestId });
+
+  const invalidFileMessage = (report) => {
+    const [first] = report.errors;
+    return t('notify.invalidFile', {
+      file: report.fileName,
+      count: report.errors.length,
+      path: first.path,
+      expected: first.expected,
+      actual: first.actual
+    });
+  };
+
+  // Phase of a backend job (see services/analysisJobs), with the file count while scanning
+  const describeJob = (job) => {
+    if (job.phase === 'scanning' && job.progress) {
+      return t('job.scanningFiles', { current: job.progress.current, total: job.progress.total });
+    }
+    return has(`job.${job.phase}`) ? t(`job.${job.phase}`) : job.phase;
+  };
 
   const downloadScript = async (os) => {
+    let script;
     try {
-      const requestId = crypto.randomUUID();
-      const response = await fetch(`${API_BASE_URL}/api/script/${os}`, {
-        headers: {
-          'X-Request-ID': requestId
-        }
-      });
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
-      const blob = await response.blob();
-      const filename = os === 'bash' ? 'analyze.sh' : 'analyze.ps1';
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = filename;
-      a.click();
-      URL.revokeObjectURL(url);
+      ({ data: script } = await api.get(`/api/script/${os}`, { responseType: 'text' }));
     } catch (error) {
       console.error('Download failed:', error);
-      alert('Backend API not available. Please ensure the backend server is running on port 3001.');
+      reportError(t('notify.downloadScriptFailed'), error);
+      return;
+    }
+    try {
+      downloadFile(embedRules(script, customRules, os), SCRIPT_SHELLS[os].filename, 'text/plain');
+    } catch (error) {
+      notify(t('notify.scriptRulesUnsupported', { error: error.message }), { type: 'error' });
+    }
+  };
+
+  const updateCustomRules = (rules) => {
+    setCustomRules(rules);
+    saveCustomRules(rules);
+  };
+
+  // Every completed analysis is kept in the local history so it survives "New Analysis" and reloads,
+  // and its history id is the one in #/analysis/<id> links
+  const showResults = (scanned, source) => {
+    const entry = createEntry(scanned, source);
+    // The uploaded ZIP stays in the browser, so its files can back the source context view
+    setSourceProvider(source.type === 'zip' && uploadedFile ? createZipSourceProvider(uploadedFile) : null);
+    setOpenAnalysis({ id: entry.id, results: scanned });
+    navigate(analysisRoute(entry.id));
+    saveAnalysis(entry).catch(error => {
+      console.warn('Could not save analysis to history:', error);
+    });
+  };
+
+  const updateSuppressions = (next) => {
+    setSuppressions(next);
+    saveSuppressions(next);
+  };
+
+  const triageFinding = (finding, triage) => {
+    updateSuppressions(upsertSuppression(suppressions, createSuppression(finding, triage)));
+  };
+
+  const openFromHistory = (entry) => {
+    setSourceProvider(null);
+    setOpenAnalysis({ id: entry.id, results: entry.results });
+    navigate(analysisRoute(entry.id));
+  };
+
+  // A link to an analysis that is not in this browser's history: the shared analysis file is stored
+  // under the linked id, so the link's filters apply and later visits of the link work too
+  const openLinkedFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const { report, results: loaded } = await readAnalysisFile(file);
+    if (!loaded) {
+      notify(invalidFileMessage(report), { type: 'error' });
+      return;
+    }
+    const entry = { ...createEntry(loaded, { type: 'json', fileName: report.fileName }), id: route.id };
+    setSourceProvider(null);
+    setOpenAnalysis({ id: entry.id, results: loaded });
+    setMissingAnalysisId(null);
+    saveAnalysis(entry).catch(error => {
+      console.warn('Could not save analysis to history:', error);
+    });
+  };
+
+  const newAnalysis = () => navigate(inputRoute(lastTabRef.current));
+
+  // Filters and expanded groups replace the current history entry instead of adding one per click
+  const updateView = useCallback(
+    (changes) => navigate(analysisRoute(route.id, { ...view, ...changes }), { replace: true }),
+    [navigate, route.id, view]
+  );
+  const setFilter = (next) => updateView({ filter: next });
+  const setGroupBy = (next) => updateView({ groupBy: next });
+  const openPage = (page) => navigate(analysisRoute(route.id, { ...view, page }));
+
+  const copyFindingLink = async (finding) => {
+    const target = analysisRoute(route.id, { ...view, finding: finding.id });
+    linkedFindingRef.current = `${route.id}:${finding.id}`;
+    navigate(target, { replace: true });
+    try {
+      await navigator.clipboard.writeText(routeUrl(target));
+      notify(t('notify.linkCopied'), { type: 'success' });
+    } catch (error) {
+      reportError(t('notify.copyFailed'), error);
+    }
+  };
+
+  const cliCommand = [
+    'npx statelessor scan path/to/project --fail-on high --sarif statelessor.sarif',
+    customRules.length > 0 ? ` --rules ${RULE_SET_FILENAME}` : '',
+    policies.length > 0 ? ` --policies ${POLICY_FILENAME}` : ''
+  ].join('');
+
+  const copyCliCommand = async () => {
+    try {
+      await navigator.clipboard.writeText(cliCommand);
+      notify(t('notify.commandCopied'), { type: 'success' });
+    } catch (error) {
+      reportError(t('notify.copyFailed'), error);
     }
   };
 
@@ -54,212 +318,396 @@ const StatefulAnalyzer = () => {
     if (file) {
       if (file.name.endsWith('.zip')) {
         setUploadedFile(file);
-        setActiveTab('upload');
+        setZipUpload(null);
+        setTabModules('upload', null);
+        inspectZip(file)
+          .then(inspection => updateZipExclusions(inspection, inspection.defaultExcluded))
+          .catch(error => console.warn('Could not list the contents of the ZIP:', error));
       } else if (file.name.endsWith('.json')) {
-        const reader = new FileReader();
-        reader.onload = (event) => {
-          try {
-            const json = JSON.parse(event.target.result);
-            setJsonData(json);
-            setActiveTab('json');
-          } catch (err) {
-            alert('Invalid JSON file');
-          }
-        };
-        reader.readAsText(file);
+        setJsonReport(null);
+        setJsonData(null);
+        setIsReadingJson(true);
+        readAnalysisFile(file)
+          .then(({ report, results: loaded }) => {
+            setJsonReport(report);
+            setJsonData(loaded);
+          })
+          .catch(error => reportError(t('notify.readFileFailed', { file: file.name }), error))
+          .finally(() => setIsReadingJson(false));
       }
     }
   };
 
-  const analyzeCode = async () => {
+  // Modules inside excluded folders are not offered for analysis
+  const updateZipExclusions = (inspection, excluded) => {
+    setZipUpload({ inspection, excluded });
+    setTabModules('upload', planRepack(inspection, excluded).modules);
+  };
+
+  // The uploaded ZIP trimmed to the planned files; as uploaded when it could not be inspected
+  const packUpload = (signal) => (uploadPlan
+    ? repackZip(uploadedFile, zipUpload.inspection, uploadPlan.files, { signal })
+    : Promise.resolve(uploadedFile));
+
+  const analyzeLocally = async () => {
     setIsAnalyzing(true);
     try {
-      const requestId = crypto.randomUUID();
-      let response;
-      
-      if (activeTab === 'upload' && uploadedFile) {
-        const formData = new FormData();
-        formData.append('zipFile', uploadedFile);
-        formData.append('type', 'zip');
-        
-        response = await fetch(`${API_BASE_URL}/analyze`, {
-          method: 'POST',
-          headers: {
-            'X-Request-ID': requestId
-          },
-          body: formData
-        });
-      } else if (activeTab === 'git' && gitUrl) {
-        const payload = {
-          type: 'git',
-          gitUrl: gitUrl,
-          branch: branch || undefined,
-          subfolder: subfolder || undefined
-        };
-        
-        // Add keyId for SSH URLs when available
-        if (gitUrl.startsWith('git@') && keyId) {
-          payload.keyId = keyId;
-        }
-        
-        console.log('Sending payload to backend:', payload);
-        
-        response = await fetch(`${API_BASE_URL}/analyze`, {
-          method: 'POST',
-          headers: { 
-            'X-Request-ID': requestId,
-            'Content-Type': 'application/json' 
-          },
-          body: JSON.stringify(payload)
-        });
-      } else if (activeTab === 'json' && jsonData) {
-        response = await fetch(`${API_BASE_URL}/analyze`, {
-          method: 'POST',
-          headers: { 
-            'X-Request-ID': requestId,
-            'Content-Type': 'application/json' 
-          },
-          body: JSON.stringify({
-            type: 'json',
-            jsonData: JSON.stringify(jsonData)
-          })
-        });
-      }
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('HTTP Error:', response.status, errorText);
-        alert(`Analysis failed (${response.status}): ${errorText}`);
-        setIsAnalyzing(false);
-        return;
-      }
-      
-      const results = await response.json();
-      console.log('Backend response:', results);
-      
-      if (results.error) {
-        alert('Analysis failed: ' + (results.message || 'Unknown error'));
-        setIsAnalyzing(false);
-        return;
-      } else {
-        setAnalysisResults(results);
-      }
+      setScanProgress({ phase: 'packing' });
+      const scanned = await scanZipLocally(await packUpload(), {
+        include: includeFor('upload'),
+        rules: [...BUILT_IN_RULES, ...customRules],
+        projectName: uploadedFile.name.replace(/\.zip$/i, ''),
+        onProgress: setScanProgress
+      });
+      showResults(scanned, { type: 'zip', fileName: uploadedFile.name, local: true });
     } catch (error) {
-      console.error('Analysis failed:', error);
-      if (error.name === 'TypeError' && error.message.includes('fetch')) {
-        alert('Cannot connect to backend server. Please check your connection and try again.');
-      } else {
-        alert('Analysis failed: ' + error.message);
-      }
+      console.error('Local scan failed:', error);
+      reportError(t('notify.localScanFailed'), error);
     } finally {
       setIsAnalyzing(false);
+      setScanProgress(null);
     }
-    setIsAnalyzing(false);
   };
 
-  const generateSSHKey = async () => {
-    setIsGeneratingKey(true);
+  // jsonData is already aggregated by readAnalysisFile
+  const analyzeJson = () => showResults(jsonData, { type: 'json', fileName: jsonReport.fileName });
+
+  const handleCompareUpload = async (slot, e) => {
+    const file = e.target.files[0];
+    if (!file) return;
     try {
-      const requestId = crypto.randomUUID();
-      const response = await fetch(`${API_BASE_URL}/api/ssh/generate`, {
-        method: 'POST',
-        headers: { 
-          'X-Request-ID': requestId,
-          'Content-Type': 'application/json' 
-        },
-        body: JSON.stringify({})
-      });
-      const data = await response.json();
-      if (data.success) {
-        setSshKey(data.publicKey);
-        setKeyId(data.keyId);
-      } else {
-        alert('Failed to generate SSH key: ' + data.error);
-      }
+      const loaded = await readAnalysisFile(file);
+      setCompareFiles(prev => ({ ...prev, [slot]: loaded }));
+    } catch (error) {
+      reportError(t('notify.readFileFailed', { file: file.name }), error);
+    }
+  };
+
+  const compareWithBaseline = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    let loaded;
+    try {
+      loaded = await readAnalysisFile(file);
     } catch (error) {
-      alert('Failed to generate SSH key. Please try again.');
+      reportError(t('notify.readFileFailed', { file: file.name }), error);
+      return;
+    }
+    const { report, results: baseline } = loaded;
+    if (!baseline) {
+      notify(invalidFileMessage(report), { type: 'error' });
+      return;
     }
-    setIsGeneratingKey(false);
+    setComparison(compareResults(applyTriage(baseline, suppressions), results));
   };
 
-  const copySSHKey = () => {
-    navigator.clipboard.writeText(sshKey);
-    alert('SSH key copied to clipboard!');
+  const analyzeCode = async () => {
+    if (activeTab === 'upload' && uploadedFile && scanLocally) {
+      return analyzeLocally();
+    }
+    if (activeTab === 'json' && jsonData) {
+      return analyzeJson();
+    }
+    if (activeTab === 'compare') {
+      return setComparison(compareResults(
+        applyTriage(compareFiles.baseline.results, suppressions),
+        applyTriage(compareFiles.current.results, suppressions)
+      ));
+    }
+
+    if (activeTab === 'upload' && uploadedFile) {
+      const include = includeFor('upload');
+      return runBackendAnalysis(async (signal) => {
+        setJobProgress({ phase: 'packing' });
+        const formData = new FormData();
+        formData.append('zipFile', await packUpload(signal));
+        formData.append('type', 'zip');
+        if (include.length) formData.append('include', JSON.stringify(include));
+        return { body: formData };
+      }, { type: 'zip', fileName: uploadedFile.name, include });
+    }
+    if (activeTab === 'git' && gitReady) {
+      const include = includeFor('git');
+      const payload = {
+        type: 'git',
+        ...gitAccessPayload(),
+        branch: branch || undefined,
+        include: include.length ? include : undefined,
+        // Backends without module support only understand a single subfolder
+        subfolder: include.length === 1 ? include[0] : undefined
+      };
+      return runBackendAnalysis(
+        { body: JSON.stringify(payload), headers: { 'Content-Type': 'application/json' } },
+        { type: 'git', gitUrl: payload.gitUrl, branch: payload.branch, include: payload.include }
+      );
+    }
   };
 
-  const toggleCategory = (categoryId) => {
-    const newExpanded = new Set(expandedCategories);
-    if (newExpanded.has(categoryId)) {
-      newExpanded.delete(categoryId);
-    } else {
-      newExpanded.add(categoryId);
+  // Follows a backend job to completion. The job id is remembered until then so a reload can resume it.
+  const followJob = async (jobId, source, signal) => {
+    saveActiveJob({ jobId, source });
+    setJobProgress({ jobId, phase: 'queued' });
+    const results = await watchJob(api, jobId, {
+      signal,
+      onProgress: (job) => setJobProgress({ jobId, ...job })
+    });
+    showResults(results, source);
+  };
+
+  const trackBackendAnalysis = async (run) => {
+    const controller = new AbortController();
+    jobControllerRef.current = controller;
+    setIsAnalyzing(true);
+    try {
+      await run(controller.signal);
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.error('Analysis failed:', error);
+      if (error.code === 'ANALYSIS_FAILED') {
+        notify(error.detail ? t('notify.analysisFailedReason', { reason: error.detail }) : t('notify.analysisFailed'), { type: 'error' });
+      } else {
+        reportError(t('notify.analysisFailed'), error);
+      }
+    } finally {
+      clearActiveJob();
+      jobControllerRef.current = null;
+      setJobProgress(null);
+      setIsAnalyzing(false);
     }
-    setExpandedCategories(newExpanded);
   };
 
-  const toggleActions = (categoryId) => {
-    const newExpanded = new Set(expandedActions);
-    if (newExpanded.has(categoryId)) {
-      newExpanded.delete(categoryId);
+  // request may also be a function of the abort signal that prepares it, like packing a ZIP
+  const runBackendAnalysis = (request, source) => trackBackendAnalysis(async (signal) => {
+    const prepared = typeof request === 'function' ? await request(signal) : request;
+    setJobProgress({ phase: 'uploading' });
+    const submitted = await submitAnalysis(api, { ...prepared, signal });
+    if (submitted.jobId) {
+      await followJob(submitted.jobId, source, signal);
     } else {
-      newExpanded.add(categoryId);
+      showResults(submitted.results, source);
     }
-    setExpandedActions(newExpanded);
+  });
+
+  const cancelAnalysis = () => {
+    if (jobProgress && jobProgress.jobId) {
+      cancelJob(api, jobProgress.jobId).catch(error => {
+        console.warn('Could not cancel the analysis job on the server:', error);
+      });
+    }
+    if (jobControllerRef.current) jobControllerRef.current.abort();
   };
 
-  const testConnection = async () => {
-    if (!gitUrl) {
-      alert('Please enter a repository URL first.');
+  // Resume watching a job that was still running when the page was closed or reloaded. That happens
+  // once, on mount, so the effect reaches the job handlers of the latest render through a ref.
+  resumeJobRef.current = (active) => trackBackendAnalysis(signal => followJob(active.jobId, active.source, signal));
+  useEffect(() => {
+    const active = loadActiveJob();
+    if (active && active.jobId) resumeJobRef.current(active);
+  }, []);
+
+  // The selected deploy key survives reloads, so a key already added to the repository is reused
+  const selectKey = useCallback((id) => {
+    setKeyId(id);
+    saveSelectedKeyId(id);
+  }, []);
+
+  useEffect(() => {
+    if (route.name === 'input') lastTabRef.current = route.tab;
+  }, [route]);
+
+  // Comparisons have no route; navigating anywhere else closes them
+  useEffect(() => {
+    setComparison(null);
+  }, [route.name, route.id, route.tab]);
+
+  // Suggestions belong to the analysis they were made for
+  useEffect(() => {
+    fixControllersRef.current.forEach(controller => controller.abort());
+    fixControllersRef.current.clear();
+    setFixes({});
+  }, [analysisResults]);
+
+  // Opening #/analysis/<id> directly (a shared link, a reload, Back) reads the analysis from the history
+  useEffect(() => {
+    if (route.name !== 'analysis' || (openAnalysis && openAnalysis.id === route.id)) return;
+    let cancelled = false;
+    setMissingAnalysisId(null);
+    getAnalysis(route.id)
+      .then(entry => {
+        if (cancelled) return;
+        if (entry) {
+          setSourceProvider(null);
+          setOpenAnalysis({ id: entry.id, results: entry.results });
+        } else {
+          setMissingAnalysisId(route.id);
+        }
+      })
+      .catch(error => {
+        console.warn('Could not read analysis history:', error);
+        if (!cancelled) setMissingAnalysisId(route.id);
+      });
+    return () => { cancelled = true; };
+  }, [route.name, route.id, openAnalysis]);
+
+  // A linked finding: expand its group once, then have the findings tree scroll to it
+  useEffect(() => {
+    const key = `${route.id}:${view.finding}`;
+    if (!view.finding || !analysisResults || linkedFindingRef.current === key) return;
+    const group = visibleGroups.find(g => g.findings.some(f => f.id === view.finding));
+    if (!group) return;
+    if (!view.open.includes(group.id)) {
+      updateView({ open: [...view.open, group.id] });
       return;
     }
-    
+    linkedFindingRef.current = key;
+    setScrollTarget(view.finding);
+  }, [route.id, view.finding, view.open, analysisResults, visibleGroups, updateView]);
+
+  const toggleCategory = (categoryId) => updateView({ open: toggleId(view.open, categoryId) });
+
+  const toggleActions = (categoryId) => updateView({ roadmaps: toggleId(view.roadmaps, categoryId) });
+
+  // A result only stands for the repository settings it was tested with
+  useEffect(() => setConnectionResult(null), [gitUrl, branch, keyId, useAccessToken, accessToken]);
+
+  const testConnection = async () => {
     setIsTestingConnection(true);
+    setConnectionResult(null);
     try {
-      const requestId = crypto.randomUUID();
-      const payload = {
-        gitUrl: gitUrl,
-        branch: branch || undefined
-      };
-      
-      // Add keyId for SSH URLs when available
-      if (gitUrl.startsWith('git@') && keyId) {
-        payload.keyId = keyId;
-      }
-      
-      const response = await fetch(`${API_BASE_URL}/api/git/test-connection`, {
-        method: 'POST',
-        headers: {
-          'X-Request-ID': requestId,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(payload)
-      });
-      
-      const result = await response.json();
-      if (result.success) {
-        alert('✓ Connection successful! Repository is accessible.');
-      } else {
-        alert('✗ Connection failed: ' + (result.message || 'Repository not accessible'));
-      }
+      await testGitConnection(api, { ...gitAccessPayload(), branch: branch || undefined });
+      setConnectionResult({ ok: true });
     } catch (error) {
       console.error('Connection test failed:', error);
-      alert('✗ Connection test failed. Please check your network and try again.');
+      setConnectionResult({ ok: false, message: errorMessage(error), requestId: error.requestId });
     }
     setIsTestingConnection(false);
   };
 
-  const exportResults = () => {
-    if (!analysisResults) return;
-    const csv = [['Filename', 'Function', 'Line', 'Code', 'Issue Type', 'Severity', 'Remediation'], ...analysisResults.detailed.map(f => [f.filename, f.function, f.lineNum, f.code, f.category, f.severity, f.remediation])].map(row => row.map(cell => `"${cell}"`).join(',')).join('\n');
-    const blob = new Blob([csv], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'stateful-analysis-results.csv';
-    a.click();
-    URL.revokeObjectURL(url);
+  const detectGitModules = async () => {
+    setIsDetectingModules(true);
+    try {
+      setTabModules('git', await fetchGitModules(api, { ...gitAccessPayload(), branch: branch || undefined }));
+    } catch (error) {
+      console.error('Module detection failed:', error);
+      reportError(t('notify.moduleDetectionFailed'), error);
+    }
+    setIsDetectingModules(false);
   };
 
+  const toggleModuleFilter = (path) => setFilter({ ...filter, modules: toggleId(filter.modules, path) });
+
+  const handleExport = (format) => {
+    if (!results) return;
+    const { content, filename, mimeType } = renderExport(format, results, { findings: visibleFindings, verdict });
+    downloadFile(content, filename, mimeType);
+  };
+
+  const acceptedFixes = Object.values(fixes).filter(fix => fix.accepted);
+
+  const updateFix = (id, changes) => setFixes(prev => (prev[id] ? { ...prev, [id]: { ...prev[id], ...changes } } : prev));
+
+  const discardFix = (id) => setFixes(prev => {
+    const { [id]: discarded, ...rest } = prev;
+    return rest;
+  });
+
+  const remediationFor = (finding) => {
+    const category = results.summary.find(c => c.category === finding.category);
+    return category ? category.remediation : '';
+  };
+
+  const suggestFixes = async (findings) => {
+    if (!fixSettings.url) {
+      setShowFixSettings(true);
+      return;
+    }
+    const batch = findings.slice(0, FIX_BATCH_LIMIT);
+    setFixes(prev => ({ ...prev, ...Object.fromEntries(batch.map(finding => [finding.id, { status: 'loading', filename: finding.filename }])) }));
+    // Queued requests can be cancelled too
+    batch.forEach(finding => fixControllersRef.current.set(finding.id, new AbortController()));
+    for (const finding of batch) {
+      const controller = fixControllersRef.current.get(finding.id);
+      if (!controller || controller.signal.aborted) continue;
+      try {
+        const suggestion = await requestFix(fixSettings, finding, remediationFor(finding), sourceProvider, { signal: controller.signal });
+        updateFix(finding.id, { status: 'ready', ...suggestion });
+      } catch (error) {
+        if (error.name === 'AbortError') continue;
+        console.warn('Fix suggestion failed:', error);
+        updateFix(finding.id, { status: 'error', error: error.name === 'TypeError' ? t('notify.fixUnreachable', { url: fixSettings.url }) : describeError(error) });
+      } finally {
+        fixControllersRef.current.delete(finding.id);
+      }
+    }
+  };
+
+  const fixActions = {
+    batchLimit: FIX_BATCH_LIMIT,
+    endpointHost: endpointHost(fixSettings.url),
+    suggest: suggestFixes,
+    accept: (id) => {
+      const conflict = overlappingFix(acceptedFixes, fixes[id]);
+      if (conflict) {
+        notify(t('notify.fixOverlap', {
+          start: String(conflict.window.startLine),
+          end: String(windowEndLine(conflict.window)),
+          file: conflict.filename
+        }), { type: 'error' });
+        return;
+      }
+      updateFix(id, { accepted: true });
+    },
+    undo: (id) => updateFix(id, { accepted: false }),
+    edit: (id, lines) => updateFix(id, { lines }),
+    discard: discardFix,
+    cancel: (id) => {
+      const controller = fixControllersRef.current.get(id);
+      if (controller) controller.abort();
+      discardFix(id);
+    }
+  };
+
+  const changePolicies = (next) => {
+    setPolicies(next);
+    savePolicies(next);
+  };
+
+  const saveFixEndpoint = (settings) => {
+    setFixSettings(settings);
+    saveFixSettings(settings);
+    setShowFixSettings(false);
+  };
+
+  const downloadPatch = () => {
+    downloadFile(buildPatch(acceptedFixes), `${results.projectName}-stateless-fixes.patch`, 'text/x-diff');
+  };
+
+  const compareSlot = (slot, title) => {
+    const loaded = compareFiles[slot];
+    return (
+      <div className="upload-area">
+        <FileCode size={48} aria-hidden="true" />
+        <label className="upload-label">
+          <span className="upload-title">{title}</span>
+          <p className="upload-desc">{t('compare.fileDescription')}</p>
+          <input type="file" className="file-input" accept=".json" onChange={(e) => handleCompareUpload(slot, e)} />
+          <span className="btn-primary">{t('json.chooseFile')}</span>
+        </label>
+        {loaded && loaded.results && <p className="success">✓ {loaded.report.fileName}</p>}
+        {loaded && !loaded.results && (
+          <p className="error">{t('compare.invalid', { file: loaded.report.fileName, count: loaded.report.errors.length })}</p>
+        )}
+      </div>
+    );
+  };
+
+  const canStart = activeTab === 'compare'
+    ? !!(compareFiles.baseline && compareFiles.baseline.results && compareFiles.current && compareFiles.current.results)
+    : activeTab === 'git' ? gitReady && !nothingSelected('git')
+    : activeTab === 'upload' ? !!uploadedFile && !nothingSelected('upload') && !(uploadPlan && uploadPlan.files.length === 0)
+    : !!jsonData;
+
   return (
     <div className="app">
       <div className="header">
@@ -270,334 +718,526 @@ const StatefulAnalyzer = () => {
             </div>
             <div>
               <h1 className="title">Statelessor</h1>
-              <p className="subtitle">Identify reasons for Statefulness; Use AI Assisted fix to make Stateless</p>
+              <p className="subtitle">{t('app.subtitle')}</p>
             </div>
           </div>
           <div className="header-buttons">
             {/* Download buttons moved to JSON tab */}
+            {USE_MOCK_API && (
+              <span className="mock-badge" title={t('app.mockApiHint')}>
+                {t('app.mockApi')}
+              </span>
+            )}
+            <select
+              value={locale}
+              onChange={(e) => setLocale(e.target.value)}
+              className="text-input language-select"
+              aria-label={t('app.language')}
+            >
+              {Object.entries(LOCALES).map(([id, name]) => <option key={id} value={id} lang={id}>{name}</option>)}
+            </select>
+            <button onClick={() => navigate(rulesRoute())} className="btn-secondary">
+              <BookOpen size={16} />
+              {customRules.length > 0 ? t('app.rulesWithCustom', { count: customRules.length }) : t('app.rules')}
+            </button>
           </div>
         </div>
       </div>
 
       <div className="main-content">
-        {!analysisResults ? (
-          <div className="card">
-            <h2>Choose Analysis Method</h2>
-            <p className="analysis-description">
-              <em>You have 3 options to complete the analysis for statefulness. The 1st method expects Source code to be uploaded in ZIP form, while 2nd Option expects you to share and authorize GitHub repo. The last option is to run the scan manually and upload the scanned output here. 1st option is recommended for small project while last option is recommended for proprietory/confidential assets</em>
-            </p>
+        {comparison ? (
+          <ComparisonView comparison={comparison} onClose={() => setComparison(null)} />
+        ) : route.name === 'rules' ? (
+          <RuleCatalog
+            customRules={customRules}
+            onChange={updateCustomRules}
+            onClose={() => navigate(inputRoute(lastTabRef.current))}
+            onNotify={notify}
+          />
+        ) : route.name === 'input' ? (
+          <>
+            <div className="card">
+              <h2>{t('input.heading')}</h2>
+              <p className="analysis-description">
+                <em>{t('input.description')}</em>
+              </p>
             
-            <div className="tabs">
-              {[{id: 'upload', label: 'Upload ZIP', icon: Upload}, {id: 'git', label: 'Git Repository', icon: Github}, {id: 'json', label: 'Upload JSON', icon: FileCode}].map(tab => (
-                <button key={tab.id} onClick={() => setActiveTab(tab.id)} className={`tab ${activeTab === tab.id ? 'active' : ''}`}>
-                  <tab.icon size={16} />
-                  {tab.label}
-                </button>
-              ))}
-            </div>
+              <Tabs
+                idPrefix="input"
+                label={t('input.tabs')}
+                tabs={[
+                  { id: 'upload', label: t('input.tab.upload'), icon: Upload },
+                  { id: 'git', label: t('input.tab.git'), icon: GitBranch },
+                  { id: 'json', label: t('input.tab.json'), icon: FileCode },
+                  { id: 'compare', label: t('input.tab.compare'), icon: GitCompare }
+                ]}
+                selected={activeTab}
+                onSelect={(id) => navigate(inputRoute(id))}
+              />
 
-            <div className="tab-content">
-              {activeTab === 'upload' && (
-                <div className="upload-tab-container">
-                  <div className="upload-left">
-                    <div className="instructions">
-                      <p>You can upload your source code to get this analysis done. Please ensure to compress this at Project Root folder and upload the Zip file here.</p>
-                      <p>If your project is big (spanning multiple folders and files), please follow other 2 process of analysis, instead of this.</p>
-                    </div>
-                  </div>
-                  <div className="upload-right">
-                    <div className="upload-area">
-                      <Upload size={48} />
-                      <label className="upload-label">
-                        <span className="upload-title">Upload your source code</span>
-                        <p className="upload-desc">ZIP files containing .NET or Java projects</p>
-                        <input type="file" className="file-input" accept=".zip" onChange={handleFileUpload} />
-                        <span className="btn-primary">Choose File</span>
+              <div className="tab-content" {...tabPanelProps('input', activeTab)}>
+                {activeTab === 'upload' && (
+                  <div className="upload-tab-container">
+                    <div className="upload-left">
+                      <div className="instructions">
+                        <p>{t('upload.instructions')}</p>
+                        <p>{t('upload.repackInfo', { git: <code>.git</code> })}</p>
+                      </div>
+                      <label className="local-scan-option">
+                        <input type="checkbox" checked={scanLocally} onChange={(e) => setScanLocally(e.target.checked)} />
+                        <span>
+                          <strong>{t('upload.scanLocally')}</strong>
+                          <small>{t('upload.scanLocallyHint')}</small>
+                        </span>
                       </label>
-                      {uploadedFile && <p className="success">✓ {uploadedFile.name}</p>}
+                    </div>
+                    <div className="upload-right">
+                      <div className="upload-area">
+                        <Upload size={48} aria-hidden="true" />
+                        <label className="upload-label">
+                          <span className="upload-title">{t('upload.title')}</span>
+                          <p className="upload-desc">{t('upload.description')}</p>
+                          <input type="file" className="file-input" accept=".zip" onChange={handleFileUpload} />
+                          <span className="btn-primary">{t('upload.chooseFile')}</span>
+                        </label>
+                        {uploadedFile && <p className="success">✓ {uploadedFile.name}</p>}
+                      </div>
+                      {zipUpload && (
+                        <ZipInspector
+                          inspection={zipUpload.inspection}
+                          excluded={zipUpload.excluded}
+                          plan={uploadPlan}
+                          onChange={(excluded) => updateZipExclusions(zipUpload.inspection, excluded)}
+                        />
+                      )}
+                      <ModulePicker
+                        modules={detectedModules.upload}
+                        selected={selectedModules.upload || []}
+                        onChange={(paths) => setSelectedModules(prev => ({ ...prev, upload: paths }))}
+                      />
                     </div>
                   </div>
-                </div>
-              )}
+                )}
 
-              {activeTab === 'git' && (
-                <div className="git-tab-container">
-                  <div className="git-left">
-                    <div className="repo-input-section">
-                      <label className="input-label">GitHub Repository URL</label>
-                      <input 
-                        type="url" 
-                        value={gitUrl} 
-                        onChange={(e) => setGitUrl(e.target.value)} 
-                        placeholder="https://github.com/username/repository" 
-                        className="text-input" 
-                      />
-                      <div className="repo-options">
-                        <div className="option-group">
-                          <label className="input-label">Branch (optional)</label>
-                          <input 
-                            type="text" 
-                            value={branch}
-                            onChange={(e) => setBranch(e.target.value)}
-                            placeholder="main" 
-                            className="text-input" 
-                          />
-                        </div>
-                        <div className="option-group">
-                          <label className="input-label">Subfolder (optional)</label>
-                          <input 
-                            type="text" 
-                            value={subfolder}
-                            onChange={(e) => setSubfolder(e.target.value)}
-                            placeholder="src/" 
-                            className="text-input" 
-                          />
+                {activeTab === 'git' && (
+                  <div className="git-tab-container">
+                    <div className="git-left">
+                      <div className="repo-input-section">
+                        <label className="input-label" htmlFor="git-url">{t('git.url')}</label>
+                        <input 
+                          id="git-url"
+                          type="text" 
+                          value={gitUrl} 
+                          onChange={(e) => {
+                            setGitUrl(e.target.value);
+                            setTabModules('git', null);
+                          }}
+                          placeholder={t('git.urlPlaceholder')}
+                          className="text-input" 
+                          spellCheck={false}
+                          autoComplete="off"
+                        />
+                        {gitUrlError && <p className="error git-url-status">{gitUrlError}</p>}
+                        {!gitUrlError && parsedGitUrl.valid && (
+                          <p className="success git-url-status">
+                            ✓ {t(repository.key, repository.params)} ({parsedGitUrl.protocol.toUpperCase()})
+                          </p>
+                        )}
+                        <div className="repo-options">
+                          <div className="option-group">
+                            <label className="input-label" htmlFor="git-branch">{t('git.branch')}</label>
+                            <input 
+                              id="git-branch"
+                              type="text" 
+                              value={branch}
+                              onChange={(e) => setBranch(e.target.value)}
+                              placeholder="main" 
+                              className="text-input" 
+                            />
+                          </div>
+                          <div className="option-group">
+                            <label className="input-label" htmlFor="git-subfolders">{t('git.subfolders')}</label>
+                            <input 
+                              id="git-subfolders"
+                              type="text" 
+                              value={subfolders}
+                              onChange={(e) => setSubfolders(e.target.value)}
+                              placeholder="services/orders, libs/common" 
+                              className="text-input" 
+                            />
+                          </div>
                         </div>
+                        <button 
+                          onClick={testConnection}
+                          disabled={isTestingConnection || !gitReady}
+                          className="btn-secondary test-connection-btn"
+                        >
+                          {isTestingConnection ? <Loader className="spinner" size={16} /> : t('git.testConnection')}
+                        </button>
+                        {connectionResult && (connectionResult.ok ? (
+                          <p className="connection-result ok" role="status">{t('git.connectionOk')}</p>
+                        ) : (
+                          <p className="connection-result error" role="alert">
+                            {t('git.connectionFailed', { message: connectionResult.message })}
+                            {connectionResult.requestId && <small> {t('common.requestId', { id: <code>{connectionResult.requestId}</code> })}</small>}
+                          </p>
+                        ))}
+                        <button
+                          onClick={detectGitModules}
+                          disabled={isDetectingModules || !gitReady}
+                          className="btn-secondary test-connection-btn"
+                        >
+                          {isDetectingModules ? <Loader className="spinner" size={16} /> : t('git.findModules')}
+                        </button>
+                        <ModulePicker
+                          modules={detectedModules.git}
+                          selected={selectedModules.git || []}
+                          onChange={(paths) => setSelectedModules(prev => ({ ...prev, git: paths }))}
+                        />
                       </div>
-                      <button 
-                        onClick={testConnection}
-                        disabled={isTestingConnection || !gitUrl}
-                        className="btn-secondary test-connection-btn"
-                      >
-                        {isTestingConnection ? <Loader className="spinner" size={16} /> : 'Test Connection'}
-                      </button>
                     </div>
-                  </div>
-                  <div className="git-right">
-                    {isPublicRepo ? (
-                      <div className="public-repo-info">
-                        <h4>✓ Public Repository Access</h4>
-                        <div className="instructions">
-                          <p>No SSH setup required for public repositories.</p>
-                          <p>Simply enter the repository URL and click "Start Analysis".</p>
-                          <div className="info-note">
-                            <strong>For Private Repositories:</strong>
-                            <p>If you need to analyze a private repository, you'll need to generate SSH keys and add them as deploy keys to your repository.</p>
+                    <div className="git-right">
+                      {!parsedGitUrl.valid ? (
+                        <div className="public-repo-info">
+                          <h4>{t('git.supportedHeading')}</h4>
+                          <div className="instructions">
+                            <p>{t('git.supportedHosts')}</p>
+                            <p>{t('git.supportedAccess')}</p>
                           </div>
                         </div>
-                      </div>
-                    ) : (
-                      <div className="ssh-setup">
-                        <h4>SSH Setup Instructions</h4>
-                        <div className="instructions">
-                          <ol>
-                            <li>Copy the public key below</li>
-                            <li>Go to your GitHub repository → Settings → Deploy Keys</li>
-                            <li>Click "Add deploy key" and paste the key</li>
-                            <li>Give it a title like "Statelessor Analysis"</li>
-                            <li>Leave "Allow write access" unchecked</li>
-                            <li>Click "Add key"</li>
-                          </ol>
+                      ) : parsedGitUrl.protocol === 'https' ? (
+                        <div className="public-repo-info">
+                          <h4>{useAccessToken ? t('git.accessToken') : t('git.publicAccess')}</h4>
+                          <div className="instructions">
+                            <label className="local-scan-option">
+                              <input type="checkbox" checked={useAccessToken} onChange={(e) => setUseAccessToken(e.target.checked)} />
+                              <span>
+                                <strong>{t('git.privateRepository')}</strong>
+                                <small>{t('git.privateRepositoryHint', { provider: GIT_PROVIDERS[parsedGitUrl.provider].label })}</small>
+                              </span>
+                            </label>
+                            {useAccessToken ? (
+                              <>
+                                <AccessTokenSteps provider={parsedGitUrl.provider} />
+                                <input
+                                  type="password"
+                                  value={accessToken}
+                                  onChange={(e) => setAccessToken(e.target.value)}
+                                  placeholder={t('git.accessToken')}
+                                  aria-label={t('git.accessToken')}
+                                  className="text-input"
+                                  autoComplete="off"
+                                  spellCheck={false}
+                                />
+                                {!CAN_SEND_TOKENS && (
+                                  <p className="error">{t('git.tokenNeedsHttps')}</p>
+                                )}
+                              </>
+                            ) : (
+                              <>
+                                <p>{t('git.publicNoSetup')}</p>
+                                <p>{t('git.publicStart')}</p>
+                              </>
+                            )}
+                          </div>
+                        </div>
+                      ) : (
+                        <div className="ssh-setup">
+                          <h4>{t('git.sshSetup', { provider: GIT_PROVIDERS[parsedGitUrl.provider].label })}</h4>
+                          <div className="instructions">
+                            <DeployKeySteps provider={parsedGitUrl.provider} />
+                          </div>
+                          <SshKeyPanel
+                            api={api}
+                            providerLabel={GIT_PROVIDERS[parsedGitUrl.provider].label}
+                            selectedKeyId={keyId}
+                            onSelect={selectKey}
+                          />
                         </div>
-                        <div className="ssh-key-section">
-                          {!sshKey ? (
-                            <button 
-                              onClick={generateSSHKey} 
-                              disabled={isGeneratingKey}
-                              className="btn-primary generate-key-btn"
-                            >
-                              {isGeneratingKey ? <Loader className="spinner" size={16} /> : 'Generate SSH Key'}
+                      )}
+                    </div>
+                  </div>
+                )}
+
+                {activeTab === 'json' && (
+                  <div className="json-tab-container">
+                    <div className="json-left">
+                      <div className="instructions">
+                        <p>{t('json.instructions')}</p>
+                      </div>
+                      <div className="download-buttons">
+                        <button onClick={() => downloadScript('bash')} className="btn-primary">
+                          <Download size={16} />
+                          {t('json.bashScript')}
+                        </button>
+                        <button onClick={() => downloadScript('powershell')} className="btn-primary">
+                          <Download size={16} />
+                          {t('json.powershellScript')}
+                        </button>
+                      </div>
+                      {customRules.length > 0 && (
+                        <p className="custom-rules-note">
+                          {t('json.customRulesNote', {
+                            count: customRules.length,
+                            catalog: <button onClick={() => navigate(rulesRoute())} className="link-button">{t('json.ruleCatalog')}</button>
+                          })}
+                        </p>
+                      )}
+                      <div className="cli-instructions">
+                        <h4>{t('json.cliHeading')}</h4>
+                        <p>{t('json.cliDescription', { failOn: <code>--fail-on</code>, policies: <code>--policies</code> })}</p>
+                        <div className="code-snippet">{cliCommand}</div>
+                        <div className="header-buttons">
+                          <button onClick={copyCliCommand} className="btn-secondary">{t('json.copyCommand')}</button>
+                          {customRules.length > 0 && (
+                            <button onClick={() => downloadRuleSet(customRules)} className="btn-secondary">
+                              <Download size={16} />
+                              {t('json.downloadRules')}
+                            </button>
+                          )}
+                          {policies.length > 0 && (
+                            <button onClick={() => downloadPolicies(policies)} className="btn-secondary">
+                              <Download size={16} />
+                              {t('json.downloadPolicies')}
                             </button>
-                          ) : (
-                            <>
-                              <label className="input-label">Public SSH Key</label>
-                              <textarea 
-                                className="ssh-key-display" 
-                                readOnly 
-                                value={sshKey}
-                                rows={3}
-                              />
-                              <div className="key-actions">
-                                <button onClick={copySSHKey} className="btn-secondary copy-key-btn">
-                                  Copy Key
-                                </button>
-                                <button onClick={() => setSshKey(null)} className="btn-secondary">
-                                  Generate New Key
-                                </button>
-                              </div>
-                            </>
                           )}
                         </div>
                       </div>
-                    )}
+                    </div>
+                    <div className="json-right">
+                      <div className="upload-area">
+                        <FileCode size={48} aria-hidden="true" />
+                        <label className="upload-label">
+                          <span className="upload-title">{t('json.uploadTitle')}</span>
+                          <p className="upload-desc">{t('json.uploadDescription')}</p>
+                          <input type="file" className="file-input" accept=".json" onChange={handleFileUpload} />
+                          <span className="btn-primary">{t('json.chooseFile')}</span>
+                        </label>
+                        {isReadingJson && <p className="scan-progress" role="status"><Loader className="spinner" size={16} /> {t('json.reading')}</p>}
+                        {jsonData && <p className="success">{t('json.loaded', { file: jsonReport.fileName })}</p>}
+                      </div>
+                      {jsonReport && jsonReport.errors.length > 0 && (
+                        <div className="validation-errors">
+                          <strong>{t('json.invalid', { file: jsonReport.fileName })}</strong>
+                          <ul>
+                            {jsonReport.errors.map((error, idx) => (
+                              <li key={idx}>
+                                {t('json.error', { path: <code>{error.path}</code>, expected: error.expected, actual: <code>{error.actual}</code> })}
+                              </li>
+                            ))}
+                          </ul>
+                          {jsonReport.truncatedErrors > 0 && <p>{t('json.moreErrors', { count: jsonReport.truncatedErrors })}</p>}
+                        </div>
+                      )}
+                      {jsonData && jsonReport.warnings.length > 0 && (
+                        <div className="validation-warnings">
+                          <strong>{t('json.upgraded')}</strong>
+                          <ul>
+                            {jsonReport.warnings.map((warning, index) => <li key={`${warning.key}:${index}`}>{t(warning.key, warning.params)}</li>)}
+                          </ul>
+                        </div>
+                      )}
+                    </div>
                   </div>
-                </div>
-              )}
+                )}
 
-              {activeTab === 'json' && (
-                <div className="json-tab-container">
-                  <div className="json-left">
+                {activeTab === 'compare' && (
+                  <div className="compare-tab-container">
                     <div className="instructions">
-                      <p>In case, you want to analyze locally, download the script and keep this into project root. Run the script, which will generate a JSON output. Once you have JSON, you can return to this screen to upload the same.</p>
+                      <p>{t('compare.instructions')}</p>
                     </div>
-                    <div className="download-buttons">
-                      <button onClick={() => downloadScript('bash')} className="btn-primary">
-                        <Download size={16} />
-                        Bash Script
-                      </button>
-                      <button onClick={() => downloadScript('powershell')} className="btn-primary">
-                        <Download size={16} />
-                        PowerShell Script
-                      </button>
+                    <div className="compare-uploads">
+                      {compareSlot('baseline', t('compare.baseline'))}
+                      {compareSlot('current', t('compare.current'))}
                     </div>
                   </div>
-                  <div className="json-right">
-                    <div className="upload-area">
-                      <FileCode size={48} />
-                      <label className="upload-label">
-                        <span className="upload-title">Upload analysis JSON</span>
-                        <p className="upload-desc">JSON file generated by the analysis script</p>
-                        <input type="file" className="file-input" accept=".json" onChange={handleFileUpload} />
-                        <span className="btn-primary">Choose JSON File</span>
-                      </label>
-                      {jsonData && <p className="success">✓ JSON file loaded</p>}
+                )}
+
+                <div className="analyze-section">
+                  <button onClick={analyzeCode} disabled={isAnalyzing || !canStart} className="btn-analyze">
+                    {isAnalyzing ? <Loader className="spinner" size={20} /> : activeTab === 'compare' ? <GitCompare size={20} /> : <Play size={20} />}
+                    {isAnalyzing ? t('analyze.running') : activeTab === 'compare' ? t('analyze.compare') : t('analyze.start')}
+                  </button>
+                  {scanProgress && (
+                    <p className="scan-progress" role="status">
+                      {scanProgress.phase === 'packing'
+                        ? t('analyze.packing')
+                        : scanProgress.phase === 'extracting'
+                        ? t('analyze.extracting')
+                        : t('analyze.scanning', { scanned: scanProgress.scanned, total: scanProgress.total, count: scanProgress.issues })}
+                    </p>
+                  )}
+                  {jobProgress && (
+                    <div className="job-progress">
+                      <div className="job-progress-header">
+                        <span role="status">{describeJob(jobProgress)}</span>
+                        <button onClick={cancelAnalysis} className="btn-secondary">{t('common.cancel')}</button>
+                      </div>
+                      <div
+                        className="progress-track"
+                        role="progressbar"
+                        aria-label={t('analyze.progress')}
+                        aria-valuemin={0}
+                        aria-valuemax={100}
+                        aria-valuenow={jobPercent(jobProgress)}
+                      >
+                        <div className="progress-fill" style={{ width: `${jobPercent(jobProgress)}%` }} />
+                      </div>
+                      {jobProgress.message && <small className="job-progress-message">{jobProgress.message}</small>}
                     </div>
-                  </div>
+                  )}
                 </div>
-              )}
-
-              <div className="analyze-section">
-                <button onClick={analyzeCode} disabled={isAnalyzing || (!uploadedFile && !gitUrl && !jsonData)} className="btn-analyze">
-                  {isAnalyzing ? <Loader className="spinner" size={20} /> : <Play size={20} />}
-                  {isAnalyzing ? 'Analyzing...' : 'Start Analysis'}
-                </button>
               </div>
             </div>
+            <HistoryPanel onOpen={openFromHistory} onNotify={notify} />
+          </>
+        ) : !analysisResults ? (
+          <div className="card analysis-missing">
+            {missingAnalysisId === route.id ? (
+              <>
+                <h2>{t('missing.heading')}</h2>
+                <p>{t('missing.description')}</p>
+                <div className="header-buttons">
+                  <label className="btn-primary">
+                    <Upload size={16} />
+                    {t('missing.openFile')}
+                    <input type="file" className="file-input" accept=".json" onChange={openLinkedFile} />
+                  </label>
+                  <button onClick={newAnalysis} className="btn-secondary">{t('common.newAnalysis')}</button>
+                </div>
+              </>
+            ) : (
+              <p className="scan-progress"><Loader className="spinner" size={16} /> {t('missing.loading')}</p>
+            )}
           </div>
         ) : (
           <div className="results">
             <div className="project-header">
-              <h2>{analysisResults.projectName}</h2>
+              <h2>{results.projectName}</h2>
               <p className="project-meta">
-                {analysisResults.projectType.toUpperCase()} • Scanned on {new Date(analysisResults.scanDate).toLocaleDateString()}
-                {analysisResults.complexityFactor > 1 && <span className="complexity"> • Complexity Factor: {analysisResults.complexityFactor}x</span>}
+                {results.projectType.toUpperCase()} • {t('results.scannedOn', { date: formatDate(results.scanDate) })}
+                {results.modules && results.modules.length > 1 && ` • ${t('results.modules', { count: results.modules.length })}`}
+                {results.complexityFactor > 1 && <span className="complexity"> • {t('results.complexity', { factor: results.complexityFactor })}</span>}
               </p>
+              <QualityGate results={results} policies={policies} verdict={verdict} onChange={changePolicies} onNotify={notify} />
             </div>
 
             <div className="stats-grid">
               {[
-                {label: 'Total Files', value: analysisResults.stats.totalFiles, color: 'blue'},
-                {label: 'Total Issues', value: analysisResults.stats.totalIssues, color: 'red'},
-                {label: 'High Severity', value: analysisResults.stats.highSeverity, color: 'red'},
-                {label: 'Medium Severity', value: analysisResults.stats.mediumSeverity, color: 'yellow'},
-                {label: 'Low Severity', value: analysisResults.stats.lowSeverity, color: 'blue'},
-                {label: 'Effort Score', value: Math.round(analysisResults.stats.totalEffortScore), color: 'purple'}
+                {label: t('stats.totalFiles'), value: results.stats.totalFiles, color: 'blue'},
+                {label: t('stats.totalIssues'), value: results.stats.totalIssues, color: 'red'},
+                {label: t('stats.highSeverity'), value: results.stats.highSeverity, color: 'red'},
+                {label: t('stats.mediumSeverity'), value: results.stats.mediumSeverity, color: 'yellow'},
+                {label: t('stats.lowSeverity'), value: results.stats.lowSeverity, color: 'blue'},
+                {label: t('stats.totalEffortScore'), value: Math.round(results.stats.totalEffortScore), color: 'purple'}
               ].map((stat, idx) => (
                 <div key={idx} className="stat-card">
                   <div className="stat-content">
                     <div className={`stat-icon ${stat.color}`}>
-                      <AlertCircle size={20} />
+                      <AlertCircle size={20} aria-hidden="true" />
                     </div>
                     <div>
                       <p className="stat-label">{stat.label}</p>
-                      <p className="stat-value">{stat.value}</p>
+                      <p className="stat-value">{formatNumber(stat.value)}</p>
                     </div>
                   </div>
                 </div>
               ))}
             </div>
 
-            <div className="results-tree-container">
-              <div className="results-header">
-                <h3>Analysis Results</h3>
-                <button onClick={exportResults} className="btn-secondary">
-                  <Download size={16} />
-                  Export CSV
-                </button>
-              </div>
-              <div className="tree-view">
-                {analysisResults.summary.map((category) => (
-                  <div key={category.id} className="tree-category">
-                    <div 
-                      className="category-header" 
-                      onClick={() => toggleCategory(category.id)}
-                    >
-                      <span className={`expand-icon ${expandedCategories.has(category.id) ? 'expanded' : ''}`}>▶</span>
-                      <span className={`severity-badge ${category.severity}`}>{category.severity}</span>
-                      <span className="category-name">{category.category}</span>
-                      <span className="occurrence-count">({category.occurrences} occurrences)</span>
-                      <span className="effort-score">Effort: {Math.round(category.effortScore)}</span>
-                    </div>
-                    
-                    {expandedCategories.has(category.id) && (
-                      <div className="category-details">
-                        <div className="remediation-box">
-                          <strong>Recommended Solution:</strong>
-                          <p>{category.remediation}</p>
-                        </div>
-                        
-                        <div className="findings-list">
-                          {analysisResults.detailed
-                            .filter(detail => category.detailIds.includes(detail.id))
-                            .map((finding) => (
-                              <div key={finding.id} className="finding-item">
-                                <div className="finding-header">
-                                  <span className="filename">{finding.filename}</span>
-                                  <span className="function-name">
-                                    {finding.function === 'Unknown' ? 'Class Level' : finding.function}
-                                  </span>
-                                  <span className="line-number">Line {finding.lineNum}</span>
-                                </div>
-                                <div className="code-snippet">{finding.code}</div>
-                              </div>
-                            ))
-                          }
-                        </div>
+            <Tabs
+              className="tabs results-tabs"
+              idPrefix="results"
+              label={t('results.pages')}
+              tabs={[
+                { id: 'findings', label: t('results.page.findings'), icon: ListTree },
+                { id: 'plan', label: t('results.page.plan'), icon: CalendarRange }
+              ]}
+              selected={view.page}
+              onSelect={openPage}
+            />
 
-                        <div className="actions-section">
-                          <div 
-                            className="actions-header"
-                            onClick={() => toggleActions(category.id)}
-                          >
-                            <span className={`expand-icon ${expandedActions.has(category.id) ? 'expanded' : ''}`}>▶</span>
-                            <span className="actions-title">Implementation Roadmap</span>
-                          </div>
-                          
-                          {expandedActions.has(category.id) && analysisResults.actions && (
-                            <div className="actions-list">
-                              {analysisResults.actions
-                                .filter(action => {
-                                  return action.affectedFindings.some(af => 
-                                    analysisResults.detailed
-                                      .filter(d => category.detailIds.includes(d.id))
-                                      .some(d => d.filename === af.filename && d.lineNum === af.lineNum)
-                                  );
-                                })
-                                .map((action) => (
-                                  <div key={action.id} className="action-item">
-                                    <div className="action-header">
-                                      <span className="action-category">{action.category}</span>
-                                      <span className="action-effort">Effort: {action.finalEffort}</span>
-                                    </div>
-                                    <div className="action-description">{action.description}</div>
-                                    {action.subActions && (
-                                      <div className="sub-actions">
-                                        {action.subActions.map((subAction, idx) => (
-                                          <div key={idx} className="sub-action">• {subAction}</div>
-                                        ))}
-                                      </div>
-                                    )}
-                                  </div>
-                                ))
-                              }
-                            </div>
-                          )}
-                        </div>
+            <div className="results-page" {...tabPanelProps('results', view.page)}>
+              {view.page === 'plan' ? (
+                <SprintPlan key={route.id} results={results} analysisId={route.id} />
+              ) : (
+                <>
+                  <Dashboard results={results} effortIndex={effortIndex} filter={filter} onFilterChange={setFilter} onNotify={notify} />
+
+                  <ModuleBreakdown results={results} selectedModules={filter.modules} onToggleModule={toggleModuleFilter} />
+
+                  <div className="results-tree-container">
+                    <div className="results-header">
+                      <h3>{t('results.heading')}</h3>
+                      <div className="header-buttons">
+                        <label className="btn-secondary">
+                          <GitCompare size={16} />
+                          {t('results.compareBaseline')}
+                          <input type="file" className="file-input" accept=".json" onChange={compareWithBaseline} />
+                        </label>
+                        <ExportMenu onExport={handleExport} filterActive={isFilterActive(filter)} />
+                        <button onClick={() => setShowFixSettings(!showFixSettings)} className="btn-secondary" title={t('results.fixSettingsHint')}>
+                          <Sparkles size={16} />
+                          {t('results.fixSettings')}
+                        </button>
+                        {acceptedFixes.length > 0 && (
+                          <button onClick={downloadPatch} className="btn-primary">
+                            <Download size={16} />
+                            {t('results.downloadPatch', { count: acceptedFixes.length })}
+                          </button>
+                        )}
                       </div>
+                    </div>
+                    {showFixSettings && (
+                      <FixSettings settings={fixSettings} onSave={saveFixEndpoint} onClose={() => setShowFixSettings(false)} />
                     )}
+                    <FindingsFilterBar
+                      filter={filter}
+                      onFilterChange={setFilter}
+                      groupBy={groupBy}
+                      onGroupByChange={setGroupBy}
+                      categories={results.summary.map(c => c.category)}
+                      modules={results.modules}
+                      visibleCount={visibleFindings.length}
+                      totalCount={results.detailed.length}
+                      visibleEffort={visibleGroups.reduce((sum, g) => sum + g.effortScore, 0)}
+                    />
+                    <FindingsTree
+                      results={results}
+                      groups={visibleGroups}
+                      expandedGroups={expandedCategories}
+                      onToggleGroup={toggleCategory}
+                      expandedActions={expandedActions}
+                      onToggleActions={toggleActions}
+                      sourceProvider={sourceProvider}
+                      onTriage={triageFinding}
+                      linkedFinding={view.finding}
+                      onCopyLink={copyFindingLink}
+                      fixes={fixes}
+                      fixActions={fixActions}
+                      scrollToFinding={scrollTarget}
+                      onScrolledToFinding={() => setScrollTarget(null)}
+                    />
+                    <SuppressedFindings
+                      findings={results.suppressed}
+                      suppressions={suppressions}
+                      onSuppressionsChange={updateSuppressions}
+                      onNotify={notify}
+                    />
                   </div>
-                ))}
-              </div>
+                </>
+              )}
             </div>
 
             <div className="new-analysis">
-              <button onClick={() => setAnalysisResults(null)} className="btn-secondary">
-                New Analysis
+              <button onClick={newAnalysis} className="btn-secondary">
+                {t('common.newAnalysis')}
               </button>
             </div>
           </div>
         )}
       </div>
+      <Toasts toasts={toasts} onDismiss={dismissToast} />
     </div>
   );
 };
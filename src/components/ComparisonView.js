@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+import { STAT_KEYS, comparisonToMarkdown, formatDelta } from '../core/compare';
+import { downloadFile } from '../services/files';
+import { useI18n } from '../services/i18n';
+
+const STATUSES = ['new', 'fixed', 'unchanged'];
+
+// Lower is better for every stat, so a positive delta is a regression
+const deltaClass = (delta) => (delta > 0 ? 'worse' : delta < 0 ? 'better' : '');
+
+const ComparisonView = ({ comparison, onClose }) => {
+  const { t, formatDate } = useI18n();
+  const [expandedCategories, setExpandedCategories] = useState(new Set());
+
+  const toggleCategory = (category) => {
+    const newExpanded = new Set(expandedCategories);
+    if (newExpanded.has(category)) {
+      newExpanded.delete(category);
+    } else {
+      newExpanded.add(category);
+    }
+    setExpandedCategories(newExpanded);
+  };
+
+  const exportMarkdown = () => {
+    downloadFile(comparisonToMarkdown(comparison), 'statelessor-comparison.md', 'text/markdown');
+  };
+
+  const exportJson = () => {
+    downloadFile(JSON.stringify(comparison, null, 2), 'statelessor-comparison.json', 'application/json');
+  };
+
+  return (
+    <div className="results">
+      <div className="project-header">
+        <h2>{comparison.current.projectName}</h2>
+        <p className="project-meta">
+          {t('comparison.dates', { baseline: formatDate(comparison.baseline.scanDate), current: formatDate(comparison.current.scanDate) })}
+          {' • '}
+          <span className="delta worse">{t('comparison.new', { count: comparison.totals.new })}</span>
+          {' • '}
+          <span className="delta better">{t('comparison.fixed', { count: comparison.totals.fixed })}</span>
+          {' • '}
+          {t('comparison.unchanged', { count: comparison.totals.unchanged })}
+        </p>
+      </div>
+
+      <div className="stats-grid">
+        {STAT_KEYS.map(key => {
+          const stat = comparison.statsDelta[key];
+          return (
+            <div key={key} className="stat-card">
+              <p className="stat-label">{t(`stats.${key}`)}</p>
+              <p className="stat-value">{Math.round(stat.current)}</p>
+              <p className={`delta ${deltaClass(stat.delta)}`}>
+                {t('comparison.versus', { delta: formatDelta(stat.delta), baseline: Math.round(stat.baseline) })}
+              </p>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="results-tree-container">
+        <div className="results-header">
+          <h3>{t('comparison.heading')}</h3>
+          <div className="header-buttons">
+            <button onClick={exportMarkdown} className="btn-secondary">
+              <Download size={16} />
+              {t('comparison.exportMarkdown')}
+            </button>
+            <button onClick={exportJson} className="btn-secondary">
+              <Download size={16} />
+              {t('comparison.exportJson')}
+            </button>
+          </div>
+        </div>
+        <div className="tree-view">
+          {comparison.categories.map(category => (
+            <div key={category.category} className="tree-category">
+              <div className="category-header" onClick={() => toggleCategory(category.category)}>
+                <span className={`expand-icon ${expandedCategories.has(category.category) ? 'expanded' : ''}`}>▶</span>
+                <span className={`severity-badge ${category.severity}`}>{t(`severity.${category.severity}`)}</span>
+                <span className="category-name">{category.category}</span>
+                <span className="delta worse">+{category.new.length}</span>
+                <span className="delta better">-{category.fixed.length}</span>
+                <span className="occurrence-count">({t('comparison.unchanged', { count: category.unchanged.length })})</span>
+              </div>
+
+              {expandedCategories.has(category.category) && (
+                <div className="category-details">
+                  {STATUSES.filter(status => category[status].length > 0).map(status => (
+                    <div key={status} className="comparison-group">
+                      <h4 className={`comparison-status ${status}`}>{t(`comparison.status.${status}`, { count: category[status].length })}</h4>
+                      <div className="findings-list">
+                        {category[status].map((finding, idx) => (
+                          <div key={`${status}-${idx}`} className={`finding-item comparison-${status}`}>
+                            <div className="finding-header">
+                              <span className="filename">{finding.filename}</span>
+                              <span className="function-name">
+                                {finding.function === 'Unknown' ? t('finding.classLevel') : finding.function}
+                              </span>
+                              <span className="line-number">
+                                {t('finding.line', { line: String(finding.lineNum) })}
+                                {finding.baselineLineNum != null && finding.baselineLineNum !== finding.lineNum
+                                  && ` ${t('comparison.wasLine', { line: String(finding.baselineLineNum) })}`}
+                              </span>
+                            </div>
+                            <div className="code-snippet">{finding.code}</div>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="new-analysis">
+        <button onClick={onClose} className="btn-secondary">
+          {t('comparison.close')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ComparisonView;
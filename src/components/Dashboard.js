@@ -0,0 +1,298 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { Image as ImageIcon } from 'lucide-react';
+import { CHART_METRICS, SEVERITY_COLORS, categoryBreakdown, directoryTree, hotspots, severityBreakdown, squarify } from '../core/charts';
+import { exportChart } from '../services/chartImage';
+import { useI18n } from '../services/i18n';
+
+// Charts are plain SVG with presentation attributes so the PNG/SVG exports match the page
+const WIDTH = 480;
+const FONT = 'system-ui, -apple-system, "Segoe UI", sans-serif';
+const TITLE_HEIGHT = 28;
+const MUTED = '#6b7280';
+const TOP_N = 10;
+
+const truncate = (text, max, keepEnd = false) => {
+  const value = String(text);
+  if (value.length <= max) return value;
+  return keepEnd ? `…${value.slice(-(max - 1))}` : `${value.slice(0, max - 1)}…`;
+};
+
+const basename = (path) => path.slice(path.lastIndexOf('/') + 1);
+
+const toggleValue = (values, value) =>
+  values.includes(value) ? values.filter(v => v !== value) : [...values, value];
+
+const ChartTitle = ({ children }) => (
+  <text x={0} y={18} fontSize={14} fontWeight={600} fill="#1f2937">{children}</text>
+);
+
+const ChartCard = ({ fileName, controls, onNotify, children }) => {
+  const { t, describeError } = useI18n();
+  const svgRef = useRef(null);
+  const save = (format) => {
+    exportChart(svgRef.current, fileName, format)
+      .catch(error => onNotify(t('dashboard.exportFailed', { message: describeError(error) }), { type: 'error' }));
+  };
+  return (
+    <div className="chart-card">
+      <div className="chart-card-controls">
+        {controls}
+        <button onClick={() => save('png')} className="context-toggle" title={t('dashboard.savePng')}><ImageIcon size={14} /> PNG</button>
+        <button onClick={() => save('svg')} className="context-toggle" title={t('dashboard.saveSvg')}>SVG</button>
+      </div>
+      {children(svgRef)}
+    </div>
+  );
+};
+
+// items: [{ id, label, tooltip?, value, color }]; selected ids are drawn solid, the others faded
+const BarChart = ({ svgRef, title, items, selected, onSelect, format = (v) => v }) => {
+  const { t } = useI18n();
+  const rowHeight = 24;
+  const labelWidth = 170;
+  const valueWidth = 50;
+  const height = TITLE_HEIGHT + Math.max(1, items.length) * rowHeight + 4;
+  const max = Math.max(1, ...items.map(item => item.value));
+  const barSpace = WIDTH - labelWidth - valueWidth;
+
+  return (
+    <svg ref={svgRef} viewBox={`0 0 ${WIDTH} ${height}`} className="chart" fontFamily={FONT} role="img" aria-label={title}>
+      <ChartTitle>{title}</ChartTitle>
+      {items.length === 0 && <text x={0} y={TITLE_HEIGHT + 16} fontSize={12} fill={MUTED}>{t('dashboard.noFindings')}</text>}
+      {items.map((item, index) => {
+        const y = TITLE_HEIGHT + index * rowHeight;
+        const faded = selected.length > 0 && !selected.includes(item.id);
+        return (
+          <g key={item.id} onClick={() => onSelect(item)} cursor="pointer" opacity={faded ? 0.35 : 1}>
+            <title>{item.tooltip || item.label}</title>
+            <rect x={0} y={y} width={WIDTH} height={rowHeight} fill="transparent" />
+            <text x={labelWidth - 8} y={y + 16} fontSize={12} fill="#374151" textAnchor="end">{truncate(item.label, 26, item.keepEnd)}</text>
+            <rect x={labelWidth} y={y + 4} width={Math.max(2, (item.value / max) * barSpace)} height={rowHeight - 8} rx={3} fill={item.color} />
+            <text x={labelWidth + Math.max(2, (item.value / max) * barSpace) + 6} y={y + 16} fontSize={12} fill={MUTED}>{format(item.value)}</text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+const SeverityDonut = ({ svgRef, findings, selected, onSelect }) => {
+  const { t, locale } = useI18n();
+  const slices = severityBreakdown(findings);
+  const total = slices.reduce((sum, s) => sum + s.value, 0);
+  const height = 200;
+  const [cx, cy, outer, inner] = [100, TITLE_HEIGHT + 84, 80, 50];
+  const point = (radius, angle) => [cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)];
+  const arc = (start, end) => {
+    const large = end - start > Math.PI ? 1 : 0;
+    const [x0, y0] = point(outer, start);
+    const [x1, y1] = point(outer, end);
+    const [x2, y2] = point(inner, end);
+    const [x3, y3] = point(inner, start);
+    return `M${x0} ${y0} A${outer} ${outer} 0 ${large} 1 ${x1} ${y1} L${x2} ${y2} A${inner} ${inner} 0 ${large} 0 ${x3} ${y3} Z`;
+  };
+
+  let angle = -Math.PI / 2;
+  const arcs = slices.filter(s => s.value > 0).map(slice => {
+    const start = angle;
+    // A single severity is a full ring; an arc cannot start and end on the same point
+    const sweep = Math.min((slice.value / total) * 2 * Math.PI, 2 * Math.PI - 0.0001);
+    angle += sweep;
+    return { slice, path: arc(start, start + sweep) };
+  });
+
+  return (
+    <svg ref={svgRef} viewBox={`0 0 ${WIDTH} ${height}`} className="chart" fontFamily={FONT} role="img" aria-label={t('dashboard.severity')}>
+      <ChartTitle>{t('dashboard.severity')}</ChartTitle>
+      {arcs.map(({ slice, path }) => (
+        <path
+          key={slice.id}
+          d={path}
+          fill={slice.color}
+          cursor="pointer"
+          opacity={selected.length > 0 && !selected.includes(slice.id) ? 0.35 : 1}
+          onClick={() => onSelect(slice.id)}
+        >
+          <title>{t('dashboard.sliceTooltip', { severity: t(`severity.${slice.id}`), count: slice.value })}</title>
+        </path>
+      ))}
+      <text x={cx} y={cy + 2} fontSize={24} fontWeight={700} fill="#1f2937" textAnchor="middle">{total}</text>
+      <text x={cx} y={cy + 20} fontSize={11} fill={MUTED} textAnchor="middle">{t('dashboard.findings', { count: total })}</text>
+      {slices.map((slice, index) => (
+        <g key={slice.id} onClick={() => onSelect(slice.id)} cursor="pointer" opacity={selected.length > 0 && !selected.includes(slice.id) ? 0.35 : 1}>
+          <rect x={220} y={TITLE_HEIGHT + 40 + index * 28} width={14} height={14} rx={3} fill={slice.color} />
+          <text x={242} y={TITLE_HEIGHT + 52 + index * 28} fontSize={13} fill="#374151">
+            {`${t(`severity.${slice.id}`).toLocaleUpperCase(locale)}  ${slice.value}${total ? ` (${Math.round((slice.value / total) * 100)}%)` : ''}`}
+          </text>
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+// Directories with their files, sized by the metric and colored by each file's worst severity.
+// Clicking a file filters to it, clicking a directory header filters to everything below it.
+const Treemap = ({ svgRef, findings, effortIndex, metric, pathGlob, onSelectPath }) => {
+  const { t } = useI18n();
+  const height = 320;
+  const header = 16;
+  const directories = directoryTree(findings, effortIndex, metric);
+  const tooltip = (path, spot) => t('dashboard.spotTooltip', { path, count: spot.count, effort: spot.effort });
+  const area = { x: 0, y: TITLE_HEIGHT, width: WIDTH, height: height - TITLE_HEIGHT };
+
+  return (
+    <svg ref={svgRef} viewBox={`0 0 ${WIDTH} ${height}`} className="chart" fontFamily={FONT} role="img" aria-label={t('dashboard.treemapLabel')}>
+      <ChartTitle>{t(`dashboard.treemap.${metric}`)}</ChartTitle>
+      {squarify(directories, area).map(({ item: directory, x, y, width, height: h }) => {
+        const directoryGlob = `${directory.path}/**`;
+        const hasHeader = h > header * 2 && width > 40;
+        const inner = { x: x + 1, y: y + (hasHeader ? header : 1), width: width - 2, height: h - (hasHeader ? header + 1 : 2) };
+        return (
+          <g key={directory.path || '(root)'}>
+            <rect x={x} y={y} width={width} height={h} fill="#f3f4f6" stroke="#ffffff" strokeWidth={2} />
+            {hasHeader && (
+              <g onClick={() => directory.path && onSelectPath(directoryGlob)} cursor={directory.path ? 'pointer' : 'default'}>
+                <title>{tooltip(directory.path || t('dashboard.root'), directory)}</title>
+                <rect x={x} y={y} width={width} height={header} fill={pathGlob === directoryGlob ? '#c7d2fe' : '#e5e7eb'} />
+                <text x={x + 4} y={y + 12} fontSize={10} fontWeight={600} fill="#374151">{truncate(directory.path || t('dashboard.root'), Math.floor(width / 6), true)}</text>
+              </g>
+            )}
+            {squarify(directory.files, inner).map(({ item: file, x: fx, y: fy, width: fw, height: fh }) => (
+              <g key={file.path} onClick={() => onSelectPath(file.path)} cursor="pointer">
+                <title>{tooltip(file.path, file)}</title>
+                <rect
+                  x={fx}
+                  y={fy}
+                  width={fw}
+                  height={fh}
+                  fill={SEVERITY_COLORS[file.severity]}
+                  fillOpacity={pathGlob && pathGlob !== file.path && pathGlob !== directoryGlob ? 0.3 : 0.8}
+                  stroke="#ffffff"
+                />
+                {fw > 50 && fh > 16 && (
+                  <text x={fx + 4} y={fy + 13} fontSize={10} fill="#ffffff">{truncate(basename(file.path), Math.floor(fw / 6))}</text>
+                )}
+              </g>
+            ))}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+// Charts for the whole (triaged) analysis; clicking a segment narrows the findings tree through the filter
+const Dashboard = ({ results, effortIndex, filter, onFilterChange, onNotify }) => {
+  const { t } = useI18n();
+  const [metric, setMetric] = useState('count');
+  const [collapsed, setCollapsed] = useState(false);
+  const findings = results.detailed;
+
+  const categories = useMemo(() => categoryBreakdown(results.summary, findings, effortIndex), [results, findings, effortIndex]);
+  const files = useMemo(() => hotspots(findings, 'file', effortIndex, metric, TOP_N), [findings, effortIndex, metric]);
+  const functions = useMemo(() => hotspots(findings, 'function', effortIndex, metric, TOP_N), [findings, effortIndex, metric]);
+
+  const update = (changes) => onFilterChange({ ...filter, ...changes });
+  const selectPath = (path) => update({ pathGlob: filter.pathGlob === path ? '' : path });
+  const formatMetric = (value) => (metric === 'effort' ? Math.round(value) : value);
+
+  const metricToggle = (
+    <select value={metric} onChange={(e) => setMetric(e.target.value)} className="chart-metric">
+      {CHART_METRICS.map(m => <option key={m.id} value={m.id}>{t(`dashboard.metric.${m.id}`)}</option>)}
+    </select>
+  );
+
+  return (
+    <div className="results-table-container dashboard">
+      <div className="results-header">
+        <h3>{t('dashboard.heading')}</h3>
+        <button onClick={() => setCollapsed(!collapsed)} className="context-toggle">{collapsed ? t('dashboard.showCharts') : t('dashboard.hideCharts')}</button>
+      </div>
+      {!collapsed && (
+        <div className="chart-grid">
+          <ChartCard fileName="statelessor-severity" onNotify={onNotify}>
+            {(svgRef) => (
+              <SeverityDonut
+                svgRef={svgRef}
+                findings={findings}
+                selected={filter.severities}
+                onSelect={(severity) => update({ severities: toggleValue(filter.severities, severity) })}
+              />
+            )}
+          </ChartCard>
+          <ChartCard fileName="statelessor-categories" onNotify={onNotify}>
+            {(svgRef) => (
+              <BarChart
+                svgRef={svgRef}
+                title={t('dashboard.categoryCount')}
+                items={categories.map(c => ({ ...c, value: c.count }))}
+                selected={filter.categories}
+                onSelect={(item) => update({ categories: toggleValue(filter.categories, item.id) })}
+              />
+            )}
+          </ChartCard>
+          <ChartCard fileName="statelessor-treemap" controls={metricToggle} onNotify={onNotify}>
+            {(svgRef) => (
+              <Treemap
+                svgRef={svgRef}
+                findings={findings}
+                effortIndex={effortIndex}
+                metric={metric}
+                pathGlob={filter.pathGlob}
+                onSelectPath={selectPath}
+              />
+            )}
+          </ChartCard>
+          <ChartCard fileName="statelessor-category-effort" onNotify={onNotify}>
+            {(svgRef) => (
+              <BarChart
+                svgRef={svgRef}
+                title={t('dashboard.categoryEffort')}
+                items={categories.map(c => ({ ...c, value: c.effort }))}
+                selected={filter.categories}
+                onSelect={(item) => update({ categories: toggleValue(filter.categories, item.id) })}
+                format={Math.round}
+              />
+            )}
+          </ChartCard>
+          <ChartCard fileName="statelessor-hotspot-files" controls={metricToggle} onNotify={onNotify}>
+            {(svgRef) => (
+              <BarChart
+                svgRef={svgRef}
+                title={t('dashboard.topFiles', { count: TOP_N })}
+                items={files.map(f => ({ id: f.filename, label: f.filename, keepEnd: true, value: f[metric], color: SEVERITY_COLORS[f.severity] }))}
+                selected={filter.pathGlob ? [filter.pathGlob] : []}
+                onSelect={(item) => selectPath(item.id)}
+                format={formatMetric}
+              />
+            )}
+          </ChartCard>
+          <ChartCard fileName="statelessor-hotspot-functions" controls={metricToggle} onNotify={onNotify}>
+            {(svgRef) => (
+              <BarChart
+                svgRef={svgRef}
+                title={t('dashboard.topFunctions', { count: TOP_N })}
+                items={functions.map(f => ({
+                  id: f.id,
+                  label: `${basename(f.filename)}: ${f.function === 'Unknown' ? t('finding.classLevel') : f.function}`,
+                  tooltip: `${f.filename}: ${f.function}`,
+                  value: f[metric],
+                  color: SEVERITY_COLORS[f.severity],
+                  spot: f
+                }))}
+                selected={functions.filter(f => f.filename === filter.pathGlob && f.function === filter.functionName).map(f => f.id)}
+                onSelect={(item) => {
+                  const active = filter.pathGlob === item.spot.filename && filter.functionName === item.spot.function;
+                  update(active ? { pathGlob: '', functionName: '' } : { pathGlob: item.spot.filename, functionName: item.spot.function });
+                }}
+                format={formatMetric}
+              />
+            )}
+          </ChartCard>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Dashboard;
@@ -0,0 +1,33 @@
+import React, { useRef } from 'react';
+import { Download } from 'lucide-react';
+import { getExporters } from '../core/exporters';
+import { useI18n } from '../services/i18n';
+
+const ExportMenu = ({ onExport, filterActive }) => {
+  const { t } = useI18n();
+  const menuRef = useRef(null);
+
+  const choose = (id) => {
+    menuRef.current.open = false;
+    onExport(id);
+  };
+
+  return (
+    <details className="export-menu" ref={menuRef}>
+      <summary className="btn-secondary">
+        <Download size={16} />
+        {t('export.button')}
+      </summary>
+      <div className="export-menu-list">
+        {getExporters().map(exporter => (
+          <button key={exporter.id} onClick={() => choose(exporter.id)} className="export-menu-item">
+            {exporter.label}
+            {exporter.usesFilter && filterActive && <small> {t('export.filtered')}</small>}
+          </button>
+        ))}
+      </div>
+    </details>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,110 @@
+import React from 'react';
+import { Search, X } from 'lucide-react';
+import { SEVERITY_ORDER } from '../core/aggregate';
+import { EMPTY_FILTER, GROUP_BY_OPTIONS, isFilterActive } from '../core/filters';
+import { useI18n } from '../services/i18n';
+
+const toggleValue = (values, value) =>
+  values.includes(value) ? values.filter(v => v !== value) : [...values, value];
+
+const FindingsFilterBar = ({ filter, onFilterChange, groupBy, onGroupByChange, categories, modules = [], visibleCount, totalCount, visibleEffort }) => {
+  const { t } = useI18n();
+  const update = (changes) => onFilterChange({ ...filter, ...changes });
+  const multiModule = modules.length > 1;
+
+  return (
+    <div className="filter-bar">
+      <div className="filter-row">
+        <div className="filter-search">
+          <Search size={16} />
+          <input
+            type="search"
+            value={filter.text}
+            onChange={(e) => update({ text: e.target.value })}
+            placeholder={t('filter.search')}
+            aria-label={t('filter.search')}
+            className="text-input"
+          />
+        </div>
+        <input
+          type="text"
+          value={filter.pathGlob}
+          onChange={(e) => update({ pathGlob: e.target.value })}
+          placeholder={t('filter.pathGlob')}
+          aria-label={t('filter.pathGlob')}
+          className="text-input"
+        />
+        <input
+          type="text"
+          value={filter.functionName}
+          onChange={(e) => update({ functionName: e.target.value })}
+          placeholder={t('filter.functionName')}
+          aria-label={t('filter.functionName')}
+          className="text-input"
+        />
+        <label className="group-by">
+          {t('filter.groupBy')}
+          <select value={groupBy} onChange={(e) => onGroupByChange(e.target.value)} className="text-input">
+            {GROUP_BY_OPTIONS.filter(option => multiModule || !option.multiModuleOnly).map(option => (
+              <option key={option.id} value={option.id}>{t(`filter.groupBy.${option.id}`)}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="filter-row">
+        {SEVERITY_ORDER.map(severity => (
+          <button
+            key={severity}
+            onClick={() => update({ severities: toggleValue(filter.severities, severity) })}
+            className={`filter-chip severity-chip ${severity} ${filter.severities.includes(severity) ? 'active' : ''}`}
+            aria-pressed={filter.severities.includes(severity)}
+          >
+            {t(`severity.${severity}`)}
+          </button>
+        ))}
+        <span className="filter-divider" />
+        {categories.map(category => (
+          <button
+            key={category}
+            onClick={() => update({ categories: toggleValue(filter.categories, category) })}
+            className={`filter-chip ${filter.categories.includes(category) ? 'active' : ''}`}
+            aria-pressed={filter.categories.includes(category)}
+          >
+            {category}
+          </button>
+        ))}
+      </div>
+
+      {multiModule && (
+        <div className="filter-row">
+          {modules.map(module => (
+            <button
+              key={module.path}
+              onClick={() => update({ modules: toggleValue(filter.modules, module.path) })}
+              className={`filter-chip module-chip ${filter.modules.includes(module.path) ? 'active' : ''}`}
+              aria-pressed={filter.modules.includes(module.path)}
+              title={module.path}
+            >
+              {module.name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="filter-summary">
+        <span>
+          {t('filter.summary', { visible: visibleCount, total: totalCount, effort: Math.round(visibleEffort) })}
+        </span>
+        {isFilterActive(filter) && (
+          <button onClick={() => onFilterChange(EMPTY_FILTER)} className="btn-secondary">
+            <X size={14} />
+            {t('filter.clear')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FindingsFilterBar;
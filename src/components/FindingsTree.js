@@ -0,0 +1,278 @@
+import React, { useCallback, useMemo, useState } from 'react';
+import { Link2, Sparkles } from 'lucide-react';
+import FixSuggestion from './FixSuggestion';
+import SourceContext from './SourceContext';
+import TriageForm from './TriageForm';
+import VirtualList from './VirtualList';
+import { useI18n } from '../services/i18n';
+
+const FindingItem = ({ finding, showCategory, sourceProvider, onTriage, linked, onCopyLink, fix, fixActions }) => {
+  const { t } = useI18n();
+  const [showContext, setShowContext] = useState(false);
+  const [triaging, setTriaging] = useState(false);
+  const hasSource = !!(finding.context || sourceProvider);
+
+  return (
+    <div id={`finding-${finding.id}`} className={`finding-item ${linked ? 'linked' : ''}`}>
+      <div className="finding-header">
+        <span className="filename">{finding.filename}</span>
+        <span className="function-name">
+          {finding.function === 'Unknown' ? t('finding.classLevel') : finding.function}
+        </span>
+        <span className="line-number">{t('finding.line', { line: String(finding.lineNum) })}</span>
+        {showCategory && <span className={`severity-badge ${finding.severity}`}>{finding.category}</span>}
+        {hasSource && (
+          <button onClick={() => setShowContext(!showContext)} className="context-toggle">
+            {showContext ? t('finding.hideContext') : t('finding.showContext')}
+          </button>
+        )}
+        {fixActions && hasSource && !fix && (
+          <button onClick={() => fixActions.suggest([finding])} className="context-toggle" title={t('finding.suggestFixHint')}>
+            <Sparkles size={14} /> {t('finding.suggestFix')}
+          </button>
+        )}
+        {onTriage && !triaging && (
+          <button onClick={() => setTriaging(true)} className="context-toggle">{t('finding.triage')}</button>
+        )}
+        {onCopyLink && (
+          <button onClick={() => onCopyLink(finding)} className="context-toggle" title={t('finding.copyLink')} aria-label={t('finding.copyLink')}>
+            <Link2 size={14} />
+          </button>
+        )}
+      </div>
+      {showContext
+        ? <SourceContext finding={finding} sourceProvider={sourceProvider} />
+        : <div className="code-snippet">{finding.code}</div>}
+      {fix && (
+        <FixSuggestion
+          fix={fix}
+          endpointHost={fixActions.endpointHost}
+          onAccept={() => fixActions.accept(finding.id)}
+          onUndo={() => fixActions.undo(finding.id)}
+          onEdit={(lines) => fixActions.edit(finding.id, lines)}
+          onDiscard={() => fixActions.discard(finding.id)}
+          onRetry={() => fixActions.suggest([finding])}
+          onCancel={() => fixActions.cancel(finding.id)}
+        />
+      )}
+      {triaging && (
+        <TriageForm onSubmit={(triage) => onTriage(finding, triage)} onCancel={() => setTriaging(false)} />
+      )}
+    </div>
+  );
+};
+
+const Roadmap = ({ results, category, expanded, onToggle }) => {
+  const { t } = useI18n();
+  return (
+    <div className="actions-section">
+      <button className="actions-header" onClick={onToggle} aria-expanded={expanded}>
+        <span className={`expand-icon ${expanded ? 'expanded' : ''}`} aria-hidden="true">▶</span>
+        <span className="actions-title">{t('tree.roadmap')}</span>
+      </button>
+
+      {expanded && results.actions && (
+        <div className="actions-list">
+          {results.actions
+            .filter(action => action.category === category.category)
+            .map((action) => (
+              <div key={action.id} className="action-item">
+                <div className="action-header">
+                  <span className="action-category">{action.category}</span>
+                  <span className="action-effort">{t('tree.effort', { score: action.finalEffort })}</span>
+                </div>
+                <div className="action-description">{action.description}</div>
+                {action.subActions && (
+                  <div className="sub-actions">
+                    {action.subActions.map((subAction, idx) => (
+                      <div key={idx} className="sub-action">• {subAction}</div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ))
+          }
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Findings of a group that can get a fix suggestion and have none yet (or a failed one)
+const fixableFindings = (group, sourceProvider, fixes) => group.findings
+  .filter(finding => (finding.context || sourceProvider) && (!fixes[finding.id] || fixes[finding.id].status === 'error'));
+
+// Asks for fixes of a whole category, at most fixActions.batchLimit findings at a time
+const SuggestFixesButton = ({ findings, fixActions }) => {
+  const { t } = useI18n();
+  if (findings.length === 0) return null;
+  return (
+    <button onClick={() => fixActions.suggest(findings)} className="btn-secondary">
+      <Sparkles size={16} />
+      {t('tree.suggestFixes', { count: Math.min(findings.length, fixActions.batchLimit) })}
+    </button>
+  );
+};
+
+// Group and finding rows are virtualized, so only the part of a large result near the viewport is
+// rendered. Heights are estimates until a row has been rendered once.
+const groupKey = (group) => group.id;
+const findingKey = (finding) => finding.id;
+const estimateFindingHeight = () => 110;
+
+const isTreeItem = (element) => element.getAttribute('role') === 'treeitem';
+
+// groups come from core/filters groupFindings; category groups also show remediation and roadmap.
+// fixes maps finding ids to fix suggestions; fixActions (see App) is omitted to hide them.
+// scrollToFinding brings a finding of an expanded group into view and calls onScrolledToFinding.
+// Groups and findings form an ARIA tree: Up and Down move between the items, Right expands a group or
+// moves into it, Left collapses it or moves back to it, and Enter or Space toggle it.
+const FindingsTree = ({ results, groups, expandedGroups, onToggleGroup, expandedActions, onToggleActions, sourceProvider, onTriage, linkedFinding, onCopyLink, fixes = {}, fixActions, scrollToFinding, onScrolledToFinding }) => {
+  const { t, has } = useI18n();
+  // The item Tab moves into the tree to, as { level, id }: the one focused last while it is shown
+  const [activeItem, setActiveItem] = useState(null);
+  const estimateGroupHeight = useCallback(
+    (group) => (expandedGroups.has(group.id) ? 200 + group.findings.length * estimateFindingHeight() : 57),
+    [expandedGroups]
+  );
+  const targetGroup = useMemo(
+    () => (scrollToFinding ? groups.find(group => group.findings.some(finding => finding.id === scrollToFinding)) : null),
+    [groups, scrollToFinding]
+  );
+  const tabStop = useMemo(() => {
+    const shown = activeItem && (activeItem.level === 1
+      ? groups.some(group => group.id === activeItem.id)
+      : groups.some(group => expandedGroups.has(group.id) && group.findings.some(finding => finding.id === activeItem.id)));
+    return shown ? activeItem : { level: 1, id: groups.length ? groups[0].id : null };
+  }, [activeItem, groups, expandedGroups]);
+
+  if (groups.length === 0) {
+    return (
+      <div className="tree-view">
+        <p className="tree-empty">{t('tree.empty')}</p>
+      </div>
+    );
+  }
+
+  const severityLabel = (severity) => (has(`severity.${severity}`) ? t(`severity.${severity}`) : severity);
+
+  const onTreeFocus = (e) => {
+    if (isTreeItem(e.target)) setActiveItem({ level: Number(e.target.getAttribute('aria-level')), id: e.target.dataset.key });
+  };
+
+  // Only rendered items can be reached, which is enough as focusing one scrolls its neighbours in.
+  // Keys pressed on the buttons and forms inside an item are left to them.
+  const onTreeKeyDown = (e) => {
+    const item = e.target;
+    if (!isTreeItem(item)) return;
+    const items = [...e.currentTarget.querySelectorAll('[role="treeitem"]')];
+    const index = items.indexOf(item);
+    const isGroup = item.getAttribute('aria-level') === '1';
+    const expanded = item.getAttribute('aria-expanded') === 'true';
+    let target = null;
+    if (e.key === 'ArrowDown') target = items[index + 1];
+    else if (e.key === 'ArrowUp') target = items[index - 1];
+    else if (e.key === 'ArrowRight' && isGroup) {
+      if (expanded) target = item.querySelector('[role="treeitem"]');
+      else onToggleGroup(item.dataset.key);
+    } else if (e.key === 'ArrowLeft') {
+      if (!isGroup) target = item.parentElement.closest('[role="treeitem"]');
+      else if (expanded) onToggleGroup(item.dataset.key);
+    } else if ((e.key === 'Enter' || e.key === ' ') && isGroup) onToggleGroup(item.dataset.key);
+    else return;
+    e.preventDefault();
+    if (target) target.focus();
+  };
+
+  return (
+    <VirtualList
+      className="tree-view"
+      rowClassName="tree-category"
+      items={groups}
+      itemKey={groupKey}
+      estimateHeight={estimateGroupHeight}
+      scrollToKey={targetGroup ? targetGroup.id : null}
+      scrollAlign="start"
+      listProps={{ role: 'tree', 'aria-label': t('tree.label'), onKeyDown: onTreeKeyDown, onFocus: onTreeFocus }}
+      rowProps={(group, index) => ({
+        role: 'treeitem',
+        'aria-level': 1,
+        'aria-setsize': groups.length,
+        'aria-posinset': index + 1,
+        'aria-expanded': expandedGroups.has(group.id),
+        'aria-label': t('tree.groupLabel', { label: group.label, severity: severityLabel(group.severity), count: group.occurrences }),
+        tabIndex: tabStop.level === 1 && tabStop.id === group.id ? 0 : -1
+      })}
+      renderItem={(group) => (
+        <>
+          <div
+            className="category-header"
+            onClick={() => onToggleGroup(group.id)}
+          >
+            <span className={`expand-icon ${expandedGroups.has(group.id) ? 'expanded' : ''}`} aria-hidden="true">▶</span>
+            <span className={`severity-badge ${group.severity}`}>{severityLabel(group.severity)}</span>
+            <span className="category-name">{group.label}</span>
+            <span className="occurrence-count">{t('tree.occurrences', { count: group.occurrences })}</span>
+            <span className="effort-score">{t('tree.effort', { score: Math.round(group.effortScore) })}</span>
+          </div>
+
+          {expandedGroups.has(group.id) && (
+            <div className="category-details">
+              {group.category && (
+                <div className="remediation-box">
+                  <strong>{t('tree.remediation')}</strong>
+                  <p>{group.category.remediation}</p>
+                  {fixActions && (
+                    <SuggestFixesButton findings={fixableFindings(group, sourceProvider, fixes)} fixActions={fixActions} />
+                  )}
+                </div>
+              )}
+
+              <VirtualList
+                className="findings-list virtual"
+                rowClassName="finding-row"
+                items={group.findings}
+                itemKey={findingKey}
+                estimateHeight={estimateFindingHeight}
+                scrollToKey={targetGroup === group ? scrollToFinding : null}
+                onScrolledTo={onScrolledToFinding}
+                listProps={{ role: 'group' }}
+                rowProps={(finding, index) => ({
+                  role: 'treeitem',
+                  'aria-level': 2,
+                  'aria-setsize': group.findings.length,
+                  'aria-posinset': index + 1,
+                  'aria-label': t('finding.label', { file: finding.filename, line: String(finding.lineNum) }),
+                  tabIndex: tabStop.level === 2 && tabStop.id === finding.id ? 0 : -1
+                })}
+                renderItem={(finding) => (
+                  <FindingItem
+                    finding={finding}
+                    showCategory={!group.category}
+                    sourceProvider={sourceProvider}
+                    onTriage={onTriage}
+                    linked={finding.id === linkedFinding}
+                    onCopyLink={onCopyLink}
+                    fix={fixes[finding.id]}
+                    fixActions={fixActions}
+                  />
+                )}
+              />
+
+              {group.category && (
+                <Roadmap
+                  results={results}
+                  category={group.category}
+                  expanded={expandedActions.has(group.id)}
+                  onToggle={() => onToggleActions(group.id)}
+                />
+              )}
+            </div>
+          )}
+        </>
+      )}
+    />
+  );
+};
+
+export default FindingsTree;
@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+import { canSendApiKey, isValidEndpoint } from '../services/fixSuggestions';
+import { useI18n } from '../services/i18n';
+
+const STUB_URL = 'http://localhost:3001/v1/chat/completions';
+
+// Endpoint used for "Suggest fix". The finding, the code around it and its remediation are sent there.
+const FixSettings = ({ settings, onSave, onClose }) => {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(settings);
+  const set = (field) => (e) => setDraft({ ...draft, [field]: e.target.value });
+  const url = draft.url.trim();
+  const validUrl = isValidEndpoint(url);
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!validUrl) return;
+    onSave({ url, model: draft.model.trim(), apiKey: draft.apiKey.trim() });
+  };
+
+  return (
+    <form onSubmit={submit} className="triage-form fix-settings">
+      <strong>{t('fixSettings.heading')}</strong>
+      <p className="scan-progress">
+        {t('fixSettings.description', {
+          command: <code>npm run job-server</code>,
+          stub: <button type="button" className="link-button" onClick={() => setDraft({ ...draft, url: STUB_URL })}>{STUB_URL}</button>
+        })}
+      </p>
+      <label className="input-label" htmlFor="fix-url">{t('fixSettings.url')}</label>
+      <input id="fix-url" className="text-input" value={draft.url} onChange={set('url')} placeholder="https://api.openai.com/v1/chat/completions" required />
+      {url && !validUrl && <p className="error">{t('fixSettings.invalidUrl')}</p>}
+      <div className="triage-row">
+        <input className="text-input" value={draft.model} onChange={set('model')} placeholder={t('fixSettings.modelPlaceholder')} aria-label={t('fixSettings.model')} />
+        <input className="text-input" type="password" value={draft.apiKey} onChange={set('apiKey')} placeholder={t('fixSettings.apiKeyPlaceholder')} aria-label={t('fixSettings.apiKey')} autoComplete="off" />
+      </div>
+      {draft.apiKey && validUrl && !canSendApiKey(url) && (
+        <p className="error">{t('fixSettings.apiKeyHttps')}</p>
+      )}
+      <small className="scan-progress">{t('fixSettings.apiKeySession')}</small>
+      <div className="triage-row">
+        <button type="submit" className="btn-primary" disabled={!validUrl}>{t('common.save')}</button>
+        <button type="button" className="btn-secondary" onClick={onClose}>{t('common.cancel')}</button>
+      </div>
+    </form>
+  );
+};
+
+export default FixSettings;
@@ -0,0 +1,96 @@
+import React, { useMemo, useState } from 'react';
+import { Loader, Sparkles } from 'lucide-react';
+import { diffLines, hasChanges, sideBySide } from '../core/fixes';
+import { useI18n } from '../services/i18n';
+
+const DiffCell = ({ op, firstLine, lineKey }) => {
+  if (!op) return <div className="fix-diff-cell empty" />;
+  return (
+    <div className={`fix-diff-cell ${op.type}`}>
+      <span className="source-line-number">{firstLine + op[lineKey] - 1}</span>
+      <code>{op.text}</code>
+    </div>
+  );
+};
+
+// Current lines on the left, proposed lines on the right
+const FixDiff = ({ window, lines }) => {
+  const { t } = useI18n();
+  const rows = useMemo(() => sideBySide(diffLines(window.lines, lines)), [window, lines]);
+  return (
+    <div className="fix-diff">
+      <div className="fix-diff-row fix-diff-header">
+        <span>{t('fix.current')}</span>
+        <span>{t('fix.proposed')}</span>
+      </div>
+      {rows.map((row, idx) => (
+        <div key={idx} className="fix-diff-row">
+          <DiffCell op={row.left} firstLine={window.startLine} lineKey="oldLine" />
+          <DiffCell op={row.right} firstLine={window.startLine} lineKey="newLine" />
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// fix: { status: 'loading' | 'ready' | 'error', error, explanation, window, lines, accepted }
+const FixSuggestion = ({ fix, endpointHost, onAccept, onUndo, onEdit, onDiscard, onRetry, onCancel }) => {
+  const { t } = useI18n();
+  const [editing, setEditing] = useState(false);
+  const changed = fix.status === 'ready' && hasChanges(diffLines(fix.window.lines, fix.lines));
+
+  return (
+    <div className={`fix-suggestion ${fix.accepted ? 'accepted' : ''}`}>
+      <div className="fix-suggestion-header">
+        <strong><Sparkles size={14} /> {t('fix.heading')}</strong>
+        {fix.accepted && <span className="fix-accepted-badge">{t('fix.accepted')}</span>}
+      </div>
+
+      {fix.status === 'loading' && (
+        <p className="scan-progress">
+          <Loader className="spinner" size={16} /> {t('fix.loading', { host: endpointHost })}
+          <button onClick={onCancel} className="context-toggle">{t('common.cancel')}</button>
+        </p>
+      )}
+
+      {fix.status === 'error' && (
+        <>
+          <p className="error">{fix.error}</p>
+          <div className="triage-row">
+            <button onClick={onRetry} className="btn-secondary">{t('fix.retry')}</button>
+            <button onClick={onDiscard} className="btn-secondary">{t('common.dismiss')}</button>
+          </div>
+        </>
+      )}
+
+      {fix.status === 'ready' && (
+        <>
+          {fix.explanation && <p className="fix-explanation">{fix.explanation}</p>}
+          {editing ? (
+            <textarea
+              className="text-input fix-editor"
+              value={fix.lines.join('\n')}
+              onChange={(e) => onEdit(e.target.value.split('\n'))}
+              rows={Math.min(fix.lines.length + 1, 24)}
+              spellCheck={false}
+            />
+          ) : (
+            <FixDiff window={fix.window} lines={fix.lines} />
+          )}
+          {!changed && <p className="scan-progress">{t('fix.unchanged')}</p>}
+          <div className="triage-row">
+            {fix.accepted
+              ? <button onClick={onUndo} className="btn-secondary">{t('fix.undo')}</button>
+              : <button onClick={onAccept} className="btn-primary" disabled={!changed}>{t('fix.accept')}</button>}
+            <button onClick={() => setEditing(!editing)} className="btn-secondary">
+              {editing ? t('fix.showDiff') : t('fix.edit')}
+            </button>
+            <button onClick={onDiscard} className="btn-secondary">{t('fix.discard')}</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default FixSuggestion;
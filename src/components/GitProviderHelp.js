@@ -0,0 +1,38 @@
+import React from 'react';
+import { useI18n } from '../services/i18n';
+
+// Steps are the gitHelp.deployKey.<step> and gitHelp.token.<step> messages of the locale catalogs
+const DEPLOY_KEY_STEPS = {
+  github: ['copy', 'github.open', 'github.paste', 'title', 'github.readOnly', 'add'],
+  gitlab: ['copy', 'gitlab.open', 'gitlab.paste', 'title', 'gitlab.readOnly', 'add'],
+  bitbucket: ['copy', 'bitbucket.open', 'bitbucket.paste', 'bitbucket.label', 'bitbucket.readOnly'],
+  azure: ['copy', 'azure.open', 'azure.paste', 'azure.permissions', 'azure.remove'],
+  generic: ['copy', 'generic.open', 'generic.add', 'generic.readOnly']
+};
+
+const TOKEN_STEPS = {
+  github: ['github.open', 'github.create', 'github.scope'],
+  gitlab: ['gitlab.open', 'gitlab.create', 'gitlab.scope'],
+  bitbucket: ['bitbucket.open', 'bitbucket.create', 'bitbucket.scope'],
+  azure: ['azure.open', 'azure.create', 'azure.scope'],
+  generic: ['generic.create', 'generic.scope']
+};
+
+export const DeployKeySteps = ({ provider }) => {
+  const { t } = useI18n();
+  return (
+    <ol>
+      {(DEPLOY_KEY_STEPS[provider] || DEPLOY_KEY_STEPS.generic).map(step => <li key={step}>{t(`gitHelp.deployKey.${step}`)}</li>)}
+    </ol>
+  );
+};
+
+export const AccessTokenSteps = ({ provider }) => {
+  const { t } = useI18n();
+  return (
+    <ol>
+      {(TOKEN_STEPS[provider] || TOKEN_STEPS.generic).map(step => <li key={step}>{t(`gitHelp.token.${step}`)}</li>)}
+      <li>{t('gitHelp.token.paste')}</li>
+    </ol>
+  );
+};
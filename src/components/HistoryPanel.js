@@ -0,0 +1,153 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Download, History, Pencil, Trash2, Upload } from 'lucide-react';
+import {
+  deleteAnalysis,
+  exportHistory,
+  importHistory,
+  listAnalyses,
+  renameAnalysis
+} from '../services/historyStore';
+import { downloadFile, readFileAsText } from '../services/files';
+import { useI18n } from '../services/i18n';
+
+const describeSource = (t, source) => {
+  if (!source) return t('history.source.unknown');
+  if (source.type === 'git') {
+    const extras = [
+      source.branch && t('history.source.branch', { branch: source.branch }),
+      source.subfolder && t('history.source.folder', { folder: source.subfolder })
+    ].filter(Boolean);
+    return extras.length ? t('history.source.gitDetails', { url: source.gitUrl, details: extras.join(', ') }) : source.gitUrl;
+  }
+  if (source.type === 'zip') return source.local ? t('history.source.localZip', { file: source.fileName }) : source.fileName;
+  return source.fileName || t('history.source.json');
+};
+
+const HistoryPanel = ({ onOpen, onNotify }) => {
+  const { t, describeError, formatDateTime } = useI18n();
+  const [entries, setEntries] = useState([]);
+  const [unavailable, setUnavailable] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [editName, setEditName] = useState('');
+
+  const refresh = useCallback(async () => {
+    try {
+      setEntries(await listAnalyses());
+    } catch (error) {
+      console.warn('Analysis history unavailable:', error);
+      setUnavailable(true);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const startRename = (entry) => {
+    setEditingId(entry.id);
+    setEditName(entry.name);
+  };
+
+  const submitRename = async (e) => {
+    e.preventDefault();
+    if (editName.trim()) {
+      try {
+        await renameAnalysis(editingId, editName.trim());
+      } catch (error) {
+        onNotify(t('history.renameFailed', { message: describeError(error) }), { type: 'error' });
+      }
+    }
+    setEditingId(null);
+    refresh();
+  };
+
+  const remove = async (entry) => {
+    if (!window.confirm(t('history.confirmDelete', { name: entry.name }))) return;
+    await deleteAnalysis(entry.id);
+    refresh();
+  };
+
+  const exportAll = async () => {
+    const history = await exportHistory();
+    downloadFile(JSON.stringify(history, null, 2), 'statelessor-history.json', 'application/json');
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const count = await importHistory(JSON.parse(await readFileAsText(file)));
+      onNotify(t('history.imported', { count }), { type: 'success' });
+      refresh();
+    } catch (error) {
+      onNotify(t('history.importFailed', { message: describeError(error) }), { type: 'error' });
+    }
+  };
+
+  if (unavailable) return null;
+
+  return (
+    <div className="card history-panel">
+      <div className="results-header">
+        <h3><History size={18} /> {t('history.title')}</h3>
+        <div className="header-buttons">
+          <label className="btn-secondary">
+            <Upload size={16} />
+            {t('common.import')}
+            <input type="file" className="file-input" accept=".json" onChange={importFile} />
+          </label>
+          <button onClick={exportAll} className="btn-secondary" disabled={entries.length === 0}>
+            <Download size={16} />
+            {t('common.export')}
+          </button>
+        </div>
+      </div>
+
+      {entries.length === 0 ? (
+        <p className="history-empty">{t('history.empty')}</p>
+      ) : (
+        <ul className="history-list">
+          {entries.map(entry => (
+            <li key={entry.id} className="history-item">
+              <div className="history-main">
+                {editingId === entry.id ? (
+                  <form onSubmit={submitRename} className="history-rename">
+                    <input
+                      className="text-input"
+                      value={editName}
+                      onChange={(e) => setEditName(e.target.value)}
+                      autoFocus
+                    />
+                    <button type="submit" className="btn-primary">{t('common.save')}</button>
+                    <button type="button" className="btn-secondary" onClick={() => setEditingId(null)}>{t('common.cancel')}</button>
+                  </form>
+                ) : (
+                  <button className="history-name" onClick={() => onOpen(entry)}>{entry.name}</button>
+                )}
+                <p className="history-meta">
+                  {describeSource(t, entry.source)} • {formatDateTime(entry.createdAt)}
+                </p>
+              </div>
+              <div className="history-stats">
+                <span>{t('history.issues', { count: entry.stats.totalIssues })}</span>
+                <span className="severity-badge high">{t('history.high', { count: entry.stats.highSeverity })}</span>
+                <span className="effort-score">{t('history.effort', { effort: Math.round(entry.stats.totalEffortScore) })}</span>
+              </div>
+              <div className="history-actions">
+                <button onClick={() => startRename(entry)} className="btn-secondary" title={t('history.rename')}>
+                  <Pencil size={14} />
+                </button>
+                <button onClick={() => remove(entry)} className="btn-secondary" title={t('common.delete')}>
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default HistoryPanel;
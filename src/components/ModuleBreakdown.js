@@ -0,0 +1,75 @@
+import React from 'react';
+import { LANGUAGES } from '../core/rules';
+import { useI18n } from '../services/i18n';
+
+const typeLabel = (projectType) => (LANGUAGES[projectType] ? LANGUAGES[projectType].label : projectType);
+
+const StatCells = ({ stats }) => (
+  <>
+    <td>{stats.totalFiles}</td>
+    <td>{stats.totalIssues}</td>
+    <td>{stats.highSeverity}</td>
+    <td>{stats.mediumSeverity}</td>
+    <td>{stats.lowSeverity}</td>
+    <td>{Math.round(stats.totalEffortScore)}</td>
+  </>
+);
+
+// Per-module stats of a monorepo analysis; clicking a module filters the findings below to it
+const ModuleBreakdown = ({ results, selectedModules, onToggleModule }) => {
+  const { t } = useI18n();
+  if (!results.modules || results.modules.length < 2) return null;
+
+  return (
+    <div className="results-table-container module-breakdown">
+      <div className="results-header">
+        <h3>{t('modules.heading')}</h3>
+        <small>{t('modules.effortNote')}</small>
+      </div>
+      <div className="table-wrapper">
+        <table className="results-table">
+          <thead>
+            <tr>
+              <th>{t('modules.module')}</th>
+              <th>{t('modules.type')}</th>
+              <th>{t('modules.files')}</th>
+              <th>{t('modules.issues')}</th>
+              <th>{t('modules.high')}</th>
+              <th>{t('modules.medium')}</th>
+              <th>{t('modules.low')}</th>
+              <th>{t('modules.effort')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {results.modules.map(module => (
+              <tr
+                key={module.path}
+                onClick={() => onToggleModule(module.path)}
+                className={selectedModules.includes(module.path) ? 'selected' : ''}
+              >
+                <td>
+                  <strong>{module.name}</strong>
+                  <small className="module-path">{module.path}</small>
+                </td>
+                <td>
+                  {typeLabel(module.projectType)}
+                  {module.complexityFactor > 1 && <small className="module-path">{module.complexityFactor}x</small>}
+                </td>
+                <StatCells stats={module.stats} />
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr className="module-rollup">
+              <td>{t('modules.all')}</td>
+              <td>{results.complexityFactor > 1 ? `${results.complexityFactor}x` : ''}</td>
+              <StatCells stats={results.stats} />
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ModuleBreakdown;
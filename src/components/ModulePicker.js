@@ -0,0 +1,42 @@
+import React, { useId } from 'react';
+import { moduleName } from '../core/modules';
+import { LANGUAGES } from '../core/rules';
+import { useI18n } from '../services/i18n';
+
+// Checkbox list of the modules found in a ZIP or repository; only checked modules are scanned
+const ModulePicker = ({ modules, selected, onChange }) => {
+  const { t } = useI18n();
+  const labelId = useId();
+  if (!modules) return null;
+  if (modules.length === 0) {
+    return <p className="error">{t('modulePicker.none')}</p>;
+  }
+
+  // A .NET and a Java module can share a directory; selection is by path
+  const paths = [...new Set(modules.map(m => m.path))];
+  const toggle = (path) => onChange(selected.includes(path) ? selected.filter(p => p !== path) : [...selected, path]);
+
+  return (
+    <div className="module-picker">
+      <div className="module-picker-header">
+        <span className="input-label" id={labelId}>{t('modulePicker.label', { selected: selected.length, count: paths.length })}</span>
+        <button onClick={() => onChange(paths)} className="context-toggle">{t('modulePicker.all')}</button>
+        <button onClick={() => onChange([])} className="context-toggle">{t('modulePicker.clear')}</button>
+      </div>
+      <ul role="group" aria-labelledby={labelId}>
+        {modules.map(module => (
+          <li key={`${module.projectType}:${module.path}`}>
+            <label>
+              <input type="checkbox" checked={selected.includes(module.path)} onChange={() => toggle(module.path)} />
+              <strong>{moduleName(module)}</strong>
+              <code>{module.path}</code>
+              <span className={`module-type ${module.projectType}`}>{LANGUAGES[module.projectType].label}</span>
+            </label>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ModulePicker;
@@ -0,0 +1,241 @@
+import React, { useState } from 'react';
+import { CheckCircle, Download, Plus, ShieldCheck, Trash2, Upload, XCircle } from 'lucide-react';
+import {
+  EMPTY_POLICY,
+  POLICY_METRICS,
+  POLICY_OPERATORS,
+  formatMetricValue,
+  importPolicies,
+  newPolicyId,
+  normalizePolicy,
+  validatePolicy,
+  violations
+} from '../core/policies';
+import { readFileAsText } from '../services/files';
+import { useI18n } from '../services/i18n';
+import { downloadPolicies } from '../services/policyStore';
+
+// Thresholds are edited as text, so an emptied field does not turn into 0
+const toDraft = (policy) => ({ ...EMPTY_POLICY, ...policy, threshold: String(policy.threshold) });
+const fromDraft = (draft) => ({ ...draft, threshold: draft.threshold.trim() === '' ? NaN : Number(draft.threshold) });
+
+const PolicyEditor = ({ policies, results, onSave, onClose, onNotify }) => {
+  const { t } = useI18n();
+  const [drafts, setDrafts] = useState(() => policies.map(toDraft));
+  const [importErrors, setImportErrors] = useState([]);
+  const categories = results.summary.map(c => c.category);
+  const rowErrors = drafts.map(draft => validatePolicy(fromDraft(draft)));
+  const valid = rowErrors.every(errors => Object.keys(errors).length === 0);
+
+  const update = (id, field) => (e) => setDrafts(drafts.map(draft => (draft.id === id ? { ...draft, [field]: e.target.value } : draft)));
+
+  const addPolicy = () => setDrafts([...drafts, toDraft({ ...EMPTY_POLICY, id: newPolicyId(drafts) })]);
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { policies: imported, errors } = importPolicies(JSON.parse(await readFileAsText(file)), drafts);
+      setDrafts([...drafts, ...imported.map(toDraft)]);
+      setImportErrors(errors);
+      if (imported.length) onNotify(t('policy.imported', { count: imported.length }), { type: 'success' });
+    } catch (error) {
+      onNotify(t('policy.importFailed', { message: error.message }), { type: 'error' });
+    }
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!valid) return;
+    onSave(drafts.map(draft => normalizePolicy(fromDraft(draft))));
+  };
+
+  return (
+    <form onSubmit={submit} className="triage-form policy-editor">
+      <div className="policy-editor-header">
+        <strong>{t('policy.heading')}</strong>
+        <div className="header-buttons">
+          <label className="btn-secondary">
+            <Upload size={16} />
+            {t('common.import')}
+            <input type="file" accept=".json" onChange={importFile} className="file-input" />
+          </label>
+          <button
+            type="button"
+            onClick={() => downloadPolicies(drafts.map(draft => normalizePolicy(fromDraft(draft))))}
+            className="btn-secondary"
+            disabled={drafts.length === 0 || !valid}
+          >
+            <Download size={16} />
+            {t('common.export')}
+          </button>
+        </div>
+      </div>
+      <p className="scan-progress">{t('policy.description', { option: <code>--policies</code> })}</p>
+
+      {importErrors.length > 0 && (
+        <div className="validation-errors">
+          <strong>{t('policy.notImported', { count: importErrors.length })}</strong>
+          <ul>
+            {importErrors.map(error => (
+              <li key={error.number}>
+                {t('policy.importError', {
+                  policy: error.label || t('policy.numbered', { number: String(error.number) }),
+                  messages: error.messages.map(m => t(m.key, m.params)).join('; ')
+                })}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {drafts.length > 0 && (
+        <table className="rule-table policy-table">
+          <thead>
+            <tr>
+              <th>{t('policy.name')}</th>
+              <th>{t('policy.metric')}</th>
+              <th>{t('policy.category')}</th>
+              <th>{t('policy.operator')}</th>
+              <th>{t('policy.threshold')}</th>
+              <th>{t('policy.now')}</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {drafts.map((draft, index) => {
+              const metric = POLICY_METRICS[draft.metric];
+              const errors = rowErrors[index];
+              return (
+                <tr key={draft.id}>
+                  <td>
+                    <input className="text-input" value={draft.name} onChange={update(draft.id, 'name')} placeholder={t('policy.optional')} aria-label={t('policy.name')} />
+                  </td>
+                  <td>
+                    <select className="text-input" value={draft.metric} onChange={update(draft.id, 'metric')} aria-label={t('policy.metric')}>
+                      {Object.keys(POLICY_METRICS).map(id => <option key={id} value={id}>{t(`policy.metric.${id}`)}</option>)}
+                    </select>
+                  </td>
+                  <td>
+                    {metric.perCategory && (
+                      <>
+                        <input
+                          className="text-input"
+                          value={draft.category}
+                          onChange={update(draft.id, 'category')}
+                          list="policy-categories"
+                          placeholder={t('policy.category')}
+                          aria-label={t('policy.category')}
+                        />
+                        {errors.category && <small className="error">{t(errors.category.key, errors.category.params)}</small>}
+                      </>
+                    )}
+                  </td>
+                  <td>
+                    <select className="text-input" value={draft.operator} onChange={update(draft.id, 'operator')} aria-label={t('policy.operator')}>
+                      {Object.entries(POLICY_OPERATORS).map(([id, operator]) => <option key={id} value={id}>{operator.label}</option>)}
+                    </select>
+                  </td>
+                  <td>
+                    <input
+                      className="text-input"
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={draft.threshold}
+                      onChange={update(draft.id, 'threshold')}
+                      aria-label={t('policy.threshold')}
+                    />
+                    {errors.threshold && <small className="error">{t(errors.threshold.key, errors.threshold.params)}</small>}
+                  </td>
+                  <td>{!errors.category && formatMetricValue(metric.read(results, draft.category))}</td>
+                  <td className="rule-actions">
+                    <button
+                      type="button"
+                      onClick={() => setDrafts(drafts.filter(d => d.id !== draft.id))}
+                      className="context-toggle"
+                      title={t('policy.remove')}
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+      <datalist id="policy-categories">
+        {categories.map(category => <option key={category} value={category} />)}
+      </datalist>
+
+      <div className="triage-row">
+        <button type="button" onClick={addPolicy} className="btn-secondary">
+          <Plus size={16} />
+          {t('policy.add')}
+        </button>
+        <button type="submit" className="btn-primary" disabled={!valid}>{t('common.save')}</button>
+        <button type="button" className="btn-secondary" onClick={onClose}>{t('common.cancel')}</button>
+      </div>
+    </form>
+  );
+};
+
+// Pass/fail verdict of the quality gate for the open analysis, with the policies behind it
+const QualityGate = ({ results, policies, verdict, onChange, onNotify }) => {
+  const { t } = useI18n();
+  const [editing, setEditing] = useState(false);
+  const failed = violations(verdict);
+
+  const save = (next) => {
+    onChange(next);
+    setEditing(false);
+  };
+
+  return (
+    <div className={`quality-gate ${verdict ? (verdict.passed ? 'passed' : 'failed') : ''}`}>
+      <div className="quality-gate-header">
+        {verdict ? (
+          <p className="quality-gate-verdict">
+            {verdict.passed ? <CheckCircle size={20} /> : <XCircle size={20} />}
+            <strong>{verdict.passed ? t('gate.passed') : t('gate.failed')}</strong>
+            <span>
+              {verdict.passed
+                ? t('gate.allMet', { count: verdict.checks.length })
+                : t('gate.violated', { failed: failed.length, count: verdict.checks.length })}
+            </span>
+          </p>
+        ) : (
+          <p className="quality-gate-verdict">
+            <ShieldCheck size={20} />
+            <span>{t('gate.empty')}</span>
+          </p>
+        )}
+        <button onClick={() => setEditing(!editing)} className="btn-secondary">
+          <ShieldCheck size={16} />
+          {policies.length > 0 ? t('gate.edit') : t('gate.add')}
+        </button>
+      </div>
+      {failed.length > 0 && (
+        <ul className="quality-gate-violations">
+          {failed.map(check => (
+            <li key={check.id}>
+              {t('gate.check', {
+                name: check.name,
+                actual: formatMetricValue(check.actual),
+                operator: POLICY_OPERATORS[check.operator].label,
+                threshold: formatMetricValue(check.threshold)
+              })}
+            </li>
+          ))}
+        </ul>
+      )}
+      {editing && (
+        <PolicyEditor policies={policies} results={results} onSave={save} onClose={() => setEditing(false)} onNotify={onNotify} />
+      )}
+    </div>
+  );
+};
+
+export default QualityGate;
@@ -0,0 +1,380 @@
+import React, { useId, useMemo, useState } from 'react';
+import { ArrowLeft, Copy, Download, Pencil, Plus, Trash2, Upload } from 'lucide-react';
+import { SEVERITY_ORDER } from '../core/aggregate';
+import { CUSTOM_RULE_PREFIX, EMPTY_RULE, importRuleSet, normalizeRule, testRule, validateRule } from '../core/customRules';
+import { REGEX_ENGINES, checkRegexCompatibility, compatibilitySummary } from '../core/regexCompat';
+import { BUILT_IN_RULES, LANGUAGES } from '../core/rules';
+import { readFileAsText } from '../services/files';
+import { useI18n } from '../services/i18n';
+import { downloadRuleSet } from '../services/ruleStore';
+
+const SAMPLE_SNIPPETS = {
+  dotnet: [
+    'public class CartController : Controller',
+    '{',
+    '    private static Dictionary<string, Cart> carts = new Dictionary<string, Cart>();',
+    '    private static readonly ILogger Log = LogManager.GetLogger();',
+    '',
+    '    public ActionResult Add(int id)',
+    '    {',
+    '        var cart = (Cart)Session["cart"];',
+    '        var prices = MemoryCache.Default.Get("prices");',
+    '        return View(cart);',
+    '    }',
+    '}'
+  ].join('\n'),
+  java: [
+    'public class CartController {',
+    '    private static Map<String, Cart> carts = new HashMap<>();',
+    '    private static final Logger LOG = LoggerFactory.getLogger(CartController.class);',
+    '    private static ThreadLocal<User> currentUser = new ThreadLocal<>();',
+    '',
+    '    public String add(HttpServletRequest request, int id) {',
+    '        Cart cart = (Cart) request.getSession().getAttribute("cart");',
+    '        cache.put(id, cart);',
+    '        return "cart";',
+    '    }',
+    '}'
+  ].join('\n')
+};
+
+const COMPAT_LABELS = { browser: 'JS', grep: 'grep', powershell: 'PS' };
+
+const CompatBadges = ({ regex }) => {
+  const { t } = useI18n();
+  const summary = compatibilitySummary(checkRegexCompatibility(regex));
+  return (
+    <span className="compat-badges">
+      {REGEX_ENGINES.map(engine => (
+        <span key={engine.id} className={`compat-badge ${summary[engine.id]}`} title={`${t(`rules.engine.${engine.id}`)}: ${t(`rules.compat.${summary[engine.id]}`)}`}>
+          {COMPAT_LABELS[engine.id]}
+        </span>
+      ))}
+    </span>
+  );
+};
+
+const CompatPanel = ({ regex }) => {
+  const { t } = useI18n();
+  const issues = checkRegexCompatibility(regex);
+  const summary = compatibilitySummary(issues);
+  return (
+    <div className="compat-panel">
+      {REGEX_ENGINES.map(engine => (
+        <div key={engine.id} className="compat-engine">
+          <span className={`compat-badge ${summary[engine.id]}`}>{t(`rules.compat.${summary[engine.id]}`)}</span>
+          <strong>{t(`rules.engine.${engine.id}`)}</strong>
+          {issues[engine.id].length > 0 && (
+            <ul>
+              {issues[engine.id].map(issue => <li key={issue.message} className={`compat-${issue.level}`}>{issue.message}</li>)}
+            </ul>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const MatchedText = ({ text, spans }) => {
+  const parts = [];
+  let position = 0;
+  spans.forEach((span, index) => {
+    if (span.start > position) parts.push(<React.Fragment key={`t${index}`}>{text.slice(position, span.start)}</React.Fragment>);
+    parts.push(<mark key={`m${index}`}>{text.slice(span.start, span.end)}</mark>);
+    position = span.end;
+  });
+  if (position < text.length) parts.push(<React.Fragment key="rest">{text.slice(position)}</React.Fragment>);
+  return <>{parts}</>;
+};
+
+const lineClass = (line) => (line.reported ? 'reported' : line.excluded ? 'excluded' : line.caseOnly ? 'case-only' : '');
+
+// Live test of the rule being edited against a pasted C#/Java snippet
+const RuleTester = ({ rule, snippet, onSnippetChange }) => {
+  const { t } = useI18n();
+  const snippetId = useId();
+  const result = useMemo(() => testRule(rule, snippet), [rule, snippet]);
+  return (
+    <div className="rule-tester">
+      <div className="rule-tester-header">
+        <label className="input-label" htmlFor={snippetId}>{t('rules.snippet')}</label>
+        <button onClick={() => onSnippetChange(SAMPLE_SNIPPETS[rule.language] || '')} className="context-toggle">
+          {t('rules.loadSample', { language: LANGUAGES[rule.language] ? LANGUAGES[rule.language].label : '' })}
+        </button>
+      </div>
+      <textarea
+        id={snippetId}
+        value={snippet}
+        onChange={(e) => onSnippetChange(e.target.value)}
+        className="text-input rule-snippet"
+        rows={8}
+        spellCheck={false}
+        placeholder={t('rules.snippetPlaceholder')}
+      />
+      {!result ? (
+        <p className="rule-test-summary">{t('rules.fixRegex')}</p>
+      ) : (
+        <>
+          <p className="rule-test-summary">
+            {t('rules.reported', { count: result.reported })}
+            {result.excluded > 0 && ` • ${t('rules.excluded', { count: result.excluded })}`}
+            {result.caseOnly > 0 && ` • ${t('rules.caseOnly', { count: result.caseOnly })}`}
+          </p>
+          <pre className="source-lines rule-test-output">
+            {result.lines.map(line => (
+              <div key={line.lineNum} className={`source-line ${lineClass(line)}`}>
+                <span className="source-line-number">{line.lineNum}</span>
+                <code><MatchedText text={line.text} spans={line.spans} /></code>
+              </div>
+            ))}
+          </pre>
+        </>
+      )}
+    </div>
+  );
+};
+
+// id is the id of the control in children, which the label names
+const Field = ({ id, label, error, children }) => {
+  const { t } = useI18n();
+  return (
+    <div className="option-group">
+      <label className="input-label" htmlFor={id}>{label}</label>
+      {children}
+      {error && <small className="error">{t(error.key, error.params)}</small>}
+    </div>
+  );
+};
+
+// Edits a custom rule, or shows a built-in one read-only so it can be tested and duplicated
+const RuleEditor = ({ rule, readOnly, customRules, snippet, onSnippetChange, onSave, onDuplicate, onClose }) => {
+  const { t } = useI18n();
+  const fieldId = useId();
+  const idFor = (field) => `${fieldId}${field}`;
+  const [draft, setDraft] = useState({ ...EMPTY_RULE, ...rule });
+  const errors = readOnly ? {} : validateRule(draft, customRules);
+  const canSave = Object.keys(errors).length === 0;
+  const categories = useMemo(() => [...new Set([...BUILT_IN_RULES, ...customRules].map(r => r.category))], [customRules]);
+  const update = (field) => (e) => setDraft({ ...draft, [field]: e.target.value });
+
+  return (
+    <div className="rule-editor">
+      <div className="results-header">
+        <h3>{readOnly ? t('rules.builtInTitle', { id: rule.id }) : rule.id ? t('rules.editTitle', { id: rule.id }) : t('rules.newTitle')}</h3>
+        <div className="header-buttons">
+          {readOnly ? (
+            <button onClick={() => onDuplicate(rule)} className="btn-secondary">
+              <Copy size={16} />
+              {t('rules.duplicate')}
+            </button>
+          ) : (
+            <button onClick={() => onSave(normalizeRule(draft))} className="btn-primary" disabled={!canSave}>
+              {t('rules.save')}
+            </button>
+          )}
+          <button onClick={onClose} className="btn-secondary">{t('common.close')}</button>
+        </div>
+      </div>
+
+      <div className="rule-fields">
+        <Field id={idFor('language')} label={t('rules.language')} error={errors.language}>
+          <select id={idFor('language')} value={draft.language} onChange={update('language')} className="text-input" disabled={readOnly}>
+            {Object.entries(LANGUAGES).map(([id, language]) => <option key={id} value={id}>{language.label}</option>)}
+          </select>
+        </Field>
+        <Field id={idFor('severity')} label={t('rules.severity')} error={errors.severity}>
+          <select id={idFor('severity')} value={draft.severity} onChange={update('severity')} className="text-input" disabled={readOnly}>
+            {SEVERITY_ORDER.map(severity => <option key={severity} value={severity}>{t(`severity.${severity}`)}</option>)}
+          </select>
+        </Field>
+        <Field id={idFor('category')} label={t('rules.category')} error={errors.category}>
+          <input id={idFor('category')} value={draft.category} onChange={update('category')} className="text-input" list="rule-categories" readOnly={readOnly} placeholder={t('rules.categoryPlaceholder')} />
+          <datalist id="rule-categories">
+            {categories.map(category => <option key={category} value={category} />)}
+          </datalist>
+        </Field>
+        <Field id={idFor('regex')} label={t('rules.regex')} error={errors.regex}>
+          <input id={idFor('regex')} value={draft.regex} onChange={update('regex')} className="text-input rule-regex" readOnly={readOnly} spellCheck={false} placeholder={t('rules.regexPlaceholder')} />
+        </Field>
+        <Field id={idFor('exclude')} label={t('rules.exclude')} error={errors.exclude}>
+          <input id={idFor('exclude')} value={draft.exclude || ''} onChange={update('exclude')} className="text-input rule-regex" readOnly={readOnly} spellCheck={false} placeholder={t('rules.excludePlaceholder')} />
+        </Field>
+        <Field id={idFor('remediation')} label={t('rules.remediation')} error={errors.remediation}>
+          <textarea id={idFor('remediation')} value={draft.remediation} onChange={update('remediation')} className="text-input" rows={2} readOnly={readOnly} />
+        </Field>
+      </div>
+
+      {draft.regex && <CompatPanel regex={draft.regex} />}
+      <RuleTester rule={draft} snippet={snippet} onSnippetChange={onSnippetChange} />
+    </div>
+  );
+};
+
+// Built-in and custom rules. Custom rules are used by local ZIP scans and embedded in downloaded scripts;
+// scans on the server only run the built-in rules.
+const RuleCatalog = ({ customRules, onChange, onClose, onNotify }) => {
+  const { t } = useI18n();
+  const [language, setLanguage] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [snippet, setSnippet] = useState(SAMPLE_SNIPPETS.dotnet);
+  const [importErrors, setImportErrors] = useState([]);
+
+  const rows = [
+    ...BUILT_IN_RULES.map(rule => ({ rule, builtIn: true })),
+    ...customRules.map(rule => ({ rule, builtIn: false }))
+  ].filter(row => !language || row.rule.language === language);
+
+  const newRuleId = (ruleLanguage) => `${CUSTOM_RULE_PREFIX}${ruleLanguage}-${Date.now().toString(36)}`;
+
+  const saveRule = (rule) => {
+    const id = rule.id || newRuleId(rule.language);
+    const saved = { ...rule, id };
+    const exists = customRules.some(r => r.id === id);
+    onChange(exists ? customRules.map(r => (r.id === id ? saved : r)) : [...customRules, saved]);
+    setEditing(null);
+  };
+
+  const deleteRule = (rule) => {
+    if (!window.confirm(t('rules.confirmDelete', { category: rule.category, regex: rule.regex }))) return;
+    onChange(customRules.filter(r => r.id !== rule.id));
+    if (editing && editing.rule.id === rule.id) setEditing(null);
+  };
+
+  const duplicateRule = (rule) => {
+    const { id, ...fields } = rule;
+    setEditing({ rule: { ...EMPTY_RULE, ...fields }, readOnly: false, key: Date.now() });
+  };
+
+  const importRules = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { rules, errors } = importRuleSet(JSON.parse(await readFileAsText(file)), customRules);
+      onChange([...customRules, ...rules]);
+      setImportErrors(errors);
+      if (rules.length) onNotify(t('rules.imported', { count: rules.length }), { type: 'success' });
+    } catch (error) {
+      onNotify(t('rules.importFailed', { message: error.message }), { type: 'error' });
+    }
+  };
+
+  const openEditor = (rule, readOnly) => {
+    setEditing({ rule, readOnly, key: rule.id || Date.now() });
+    if (snippet === SAMPLE_SNIPPETS.dotnet || snippet === SAMPLE_SNIPPETS.java) setSnippet(SAMPLE_SNIPPETS[rule.language]);
+  };
+
+  return (
+    <div className="card rule-catalog">
+      <div className="results-header">
+        <h2>{t('rules.heading')}</h2>
+        <div className="header-buttons">
+          <button onClick={() => openEditor({ ...EMPTY_RULE, language: language || EMPTY_RULE.language }, false)} className="btn-primary">
+            <Plus size={16} />
+            {t('rules.new')}
+          </button>
+          <label className="btn-secondary">
+            <Upload size={16} />
+            {t('common.import')}
+            <input type="file" accept=".json" onChange={importRules} className="file-input" />
+          </label>
+          <button
+            onClick={() => downloadRuleSet(customRules)}
+            className="btn-secondary"
+            disabled={customRules.length === 0}
+          >
+            <Download size={16} />
+            {t('common.export')}
+          </button>
+          <button onClick={onClose} className="btn-secondary">
+            <ArrowLeft size={16} />
+            {t('common.back')}
+          </button>
+        </div>
+      </div>
+      <p className="analysis-description">{t('rules.description')}</p>
+
+      {importErrors.length > 0 && (
+        <div className="validation-errors">
+          <strong>{t('rules.notImported', { count: importErrors.length })}</strong>
+          <ul>
+            {importErrors.map(error => (
+              <li key={error.number}>
+                {t('rules.importError', {
+                  rule: error.label || t('rules.numbered', { number: String(error.number) }),
+                  messages: error.messages.map(m => t(m.key, m.params)).join('; ')
+                })}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="rule-toolbar">
+        <select value={language} onChange={(e) => setLanguage(e.target.value)} className="text-input">
+          <option value="">{t('rules.allLanguages')}</option>
+          {Object.entries(LANGUAGES).map(([id, lang]) => <option key={id} value={id}>{lang.label}</option>)}
+        </select>
+        <span>{t('rules.counts', { builtIn: BUILT_IN_RULES.length, custom: customRules.length })}</span>
+      </div>
+
+      <table className="rule-table">
+        <thead>
+          <tr>
+            <th>{t('rules.rule')}</th>
+            <th>{t('rules.language')}</th>
+            <th>{t('rules.category')}</th>
+            <th>{t('rules.severity')}</th>
+            <th>{t('rules.regex')}</th>
+            <th>{t('rules.excludeColumn')}</th>
+            <th>{t('rules.engines')}</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({ rule, builtIn }) => (
+            <tr key={rule.id} className={editing && editing.rule.id === rule.id ? 'selected' : ''}>
+              <td>{builtIn ? t('rules.builtIn') : <strong>{t('rules.custom')}</strong>}</td>
+              <td>{LANGUAGES[rule.language].label}</td>
+              <td>{rule.category}</td>
+              <td><span className={`severity-badge ${rule.severity}`}>{t(`severity.${rule.severity}`)}</span></td>
+              <td><code>{rule.regex}</code></td>
+              <td>{rule.exclude ? <code>{rule.exclude}</code> : '—'}</td>
+              <td><CompatBadges regex={rule.regex} /></td>
+              <td className="rule-actions">
+                {builtIn ? (
+                  <button onClick={() => openEditor(rule, true)} className="context-toggle">{t('rules.test')}</button>
+                ) : (
+                  <>
+                    <button onClick={() => openEditor(rule, false)} className="context-toggle" title={t('rules.editHint')}>
+                      <Pencil size={14} />
+                    </button>
+                    <button onClick={() => deleteRule(rule)} className="context-toggle" title={t('common.delete')}>
+                      <Trash2 size={14} />
+                    </button>
+                  </>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {editing && (
+        <RuleEditor
+          key={editing.key}
+          rule={editing.rule}
+          readOnly={editing.readOnly}
+          customRules={customRules}
+          snippet={snippet}
+          onSnippetChange={setSnippet}
+          onSave={saveRule}
+          onDuplicate={duplicateRule}
+          onClose={() => setEditing(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default RuleCatalog;
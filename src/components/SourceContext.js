@@ -0,0 +1,82 @@
+import React, { useEffect, useState } from 'react';
+import { Loader } from 'lucide-react';
+import { DEFAULT_CONTEXT_LINES, MAX_CONTEXT_LINES, contextWindow, findFunctionLine } from '../core/context';
+import { languageForFile, tokenize } from '../core/highlight';
+import { useI18n } from '../services/i18n';
+
+const RADIUS_OPTIONS = [3, DEFAULT_CONTEXT_LINES, MAX_CONTEXT_LINES];
+
+const HighlightedLine = ({ text, language }) => (
+  <>
+    {tokenize(text, language).map((token, idx) => (
+      token.type === 'plain'
+        ? <React.Fragment key={idx}>{token.text}</React.Fragment>
+        : <span key={idx} className={`tok-${token.type}`}>{token.text}</span>
+    ))}
+  </>
+);
+
+// Shows the lines around a finding, from finding.context or, when available, the uploaded source
+const SourceContext = ({ finding, sourceProvider }) => {
+  const { t } = useI18n();
+  const [radius, setRadius] = useState(DEFAULT_CONTEXT_LINES);
+  const [loaded, setLoaded] = useState(finding.context ? { context: finding.context } : null);
+
+  useEffect(() => {
+    if (finding.context || !sourceProvider) return undefined;
+    let cancelled = false;
+    sourceProvider.getLines(finding.filename)
+      .then(lines => {
+        if (cancelled) return;
+        setLoaded(lines ? { context: { startLine: 1, lines } } : { missing: true });
+      })
+      .catch(error => {
+        if (!cancelled) setLoaded({ error: error.message });
+      });
+    return () => { cancelled = true; };
+  }, [finding, sourceProvider]);
+
+  if (!loaded) {
+    return <div className="source-context loading"><Loader className="spinner" size={16} /> {t('source.loading')}</div>;
+  }
+  if (loaded.missing || loaded.error) {
+    return <div className="source-context unavailable">{loaded.missing ? t('source.missing') : loaded.error}</div>;
+  }
+
+  const visible = contextWindow(loaded.context, finding.lineNum, radius);
+  const functionLine = findFunctionLine(loaded.context, finding.lineNum, finding.function);
+  const language = languageForFile(finding.filename);
+
+  return (
+    <div className="source-context">
+      <div className="source-context-toolbar">
+        <span>
+          {functionLine
+            ? t('source.inFunctionAt', { name: finding.function, line: String(functionLine) })
+            : finding.function !== 'Unknown' ? t('source.inFunction', { name: finding.function }) : t('finding.classLevel')}
+        </span>
+        <select value={radius} onChange={(e) => setRadius(Number(e.target.value))} className="context-radius">
+          {RADIUS_OPTIONS.map(option => (
+            <option key={option} value={option}>{t('source.radius', { count: option })}</option>
+          ))}
+        </select>
+      </div>
+      <pre className="source-lines">
+        {visible.lines.map((text, idx) => {
+          const lineNum = visible.startLine + idx;
+          const classes = ['source-line'];
+          if (lineNum === finding.lineNum) classes.push('matched');
+          if (lineNum === functionLine) classes.push('function-decl');
+          return (
+            <div key={lineNum} className={classes.join(' ')}>
+              <span className="source-line-number">{lineNum}</span>
+              <code><HighlightedLine text={text} language={language} /></code>
+            </div>
+          );
+        })}
+      </pre>
+    </div>
+  );
+};
+
+export default SourceContext;
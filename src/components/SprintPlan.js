@@ -0,0 +1,203 @@
+import React, { useId, useMemo, useState } from 'react';
+import { Download } from 'lucide-react';
+import { PLAN_BASENAME, planToCsv, planToMarkdown } from '../core/exporters/plan';
+import { buildPlan, isTaskDone, planProgress, sanitizePlanSettings, toggleAction, toggleTask } from '../core/planning';
+import { downloadFile } from '../services/files';
+import { useI18n } from '../services/i18n';
+import { loadPlanSettings, loadPlanState, savePlanSettings, savePlanState } from '../services/planStore';
+
+const ProgressBar = ({ percent }) => (
+  <div className="progress-track">
+    <div className="progress-fill" style={{ width: `${percent}%` }} />
+  </div>
+);
+
+const NumberSetting = ({ label, value, onChange, step = 1, min, max, hint }) => {
+  const id = useId();
+  return (
+    <div className="option-group">
+      <label className="input-label" htmlFor={id}>{label}</label>
+      <input id={id} type="number" value={value} step={step} min={min} max={max} onChange={(e) => onChange(e.target.value)} className="text-input" />
+      {hint && <small>{hint}</small>}
+    </div>
+  );
+};
+
+// Consecutive items of the same action are shown under one action header
+const groupByAction = (items) => items.reduce((groups, item) => {
+  const last = groups[groups.length - 1];
+  if (last && last.actionId === item.actionId) {
+    last.items.push(item);
+  } else {
+    groups.push({ actionId: item.actionId, items: [item] });
+  }
+  return groups;
+}, []);
+
+const PlanSprint = ({ sprint, actionsById, progress, onToggleTask, onToggleAction }) => {
+  const { t } = useI18n();
+  const sprintProgress = planProgress(null, progress, sprint.items);
+  return (
+    <div className="plan-sprint">
+      <div className="plan-sprint-header">
+        <strong>{t('plan.sprint', { number: sprint.number })}</strong>
+        <span>{t('plan.weeks', { start: sprint.startWeek, end: sprint.endWeek })}</span>
+        <span>{t('plan.hours', { hours: sprint.hours })}</span>
+        <span>{t('plan.percentDone', { percent: sprintProgress.percent })}</span>
+      </div>
+      <ProgressBar percent={sprintProgress.percent} />
+      {groupByAction(sprint.items).map(group => {
+        const action = actionsById.get(group.actionId);
+        const actionDone = action.tasks.every(task => isTaskDone(progress, action.category, task.index));
+        return (
+          <div key={group.actionId} className="plan-action">
+            <label className="plan-action-header">
+              <input type="checkbox" checked={actionDone} onChange={() => onToggleAction(action)} />
+              <span className={`severity-badge ${action.severity}`}>{t(`severity.${action.severity}`)}</span>
+              <strong>{action.category}</strong>
+              <span className="plan-action-effort">{t('plan.actionEffort', { effort: action.effort, hours: action.hours })}</span>
+            </label>
+            <p className="plan-action-description">
+              {action.description}
+              {action.dependsOn.length > 0 && (
+                <small> {t('plan.after', { actions: action.dependsOn.map(id => actionsById.get(id).category).join(', ') })}</small>
+              )}
+            </p>
+            <ul className="plan-tasks">
+              {group.items.map(item => {
+                const task = action.tasks[item.index];
+                const done = isTaskDone(progress, action.category, task.index);
+                return (
+                  <li key={item.index} className={done ? 'done' : ''}>
+                    <label>
+                      <input type="checkbox" checked={done} onChange={() => onToggleTask(action.category, task.index)} />
+                      <span>{task.label}</span>
+                    </label>
+                    <span className="plan-task-hours">
+                      {task.sprints.length > 1
+                        ? t('plan.partHours', { hours: item.hours, total: task.hours })
+                        : t('plan.hours', { hours: task.hours })}
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+// Sprint plan across all roadmap actions. Settings are shared by all analyses; the complexity factor
+// override and progress are kept per analysis (analysisId is its history id).
+const SprintPlan = ({ results, analysisId }) => {
+  const { t } = useI18n();
+  const [settings, setSettings] = useState(loadPlanSettings);
+  const [planState, setPlanState] = useState(() => loadPlanState(analysisId));
+
+  const complexityFactor = planState.complexityFactor != null ? planState.complexityFactor : results.complexityFactor;
+  const plan = useMemo(() => buildPlan(results, settings, complexityFactor), [results, settings, complexityFactor]);
+  const actionsById = useMemo(() => new Map(plan.actions.map(a => [a.id, a])), [plan]);
+  const overall = planProgress(plan, planState.progress);
+
+  const updateSettings = (changes) => {
+    const next = { ...settings, ...changes };
+    setSettings(next);
+    savePlanSettings(next);
+  };
+
+  const updatePlanState = (changes) => {
+    const next = { ...planState, ...changes };
+    setPlanState(next);
+    savePlanState(analysisId, next);
+  };
+
+  const exportPlan = (format) => {
+    if (format === 'csv') {
+      downloadFile(planToCsv(plan, planState.progress), `${PLAN_BASENAME}.csv`, 'text/csv');
+    } else {
+      const content = planToMarkdown(plan, planState.progress, { projectName: results.projectName, settings: sanitizePlanSettings(settings) });
+      downloadFile(content, `${PLAN_BASENAME}.md`, 'text/markdown');
+    }
+  };
+
+  return (
+    <div className="results-table-container sprint-plan">
+      <div className="results-header">
+        <h3>{t('results.page.plan')}</h3>
+        <div className="header-buttons">
+          <button onClick={() => exportPlan('csv')} className="btn-secondary">
+            <Download size={16} />
+            CSV
+          </button>
+          <button onClick={() => exportPlan('markdown')} className="btn-secondary">
+            <Download size={16} />
+            Markdown
+          </button>
+        </div>
+      </div>
+
+      <div className="plan-settings">
+        <NumberSetting
+          label={t('plan.hoursPerPoint')}
+          value={settings.hoursPerPoint}
+          step={0.5}
+          min={0.5}
+          onChange={(value) => updateSettings({ hoursPerPoint: value })}
+        />
+        <NumberSetting
+          label={t('plan.capacity')}
+          value={settings.capacityHours}
+          min={1}
+          onChange={(value) => updateSettings({ capacityHours: value })}
+        />
+        <NumberSetting
+          label={t('plan.sprintWeeks')}
+          value={settings.sprintWeeks}
+          min={1}
+          max={8}
+          onChange={(value) => updateSettings({ sprintWeeks: value })}
+        />
+        <NumberSetting
+          label={t('plan.complexityFactor')}
+          value={complexityFactor}
+          step={0.1}
+          min={1}
+          max={3}
+          onChange={(value) => updatePlanState({ complexityFactor: value })}
+          hint={planState.complexityFactor != null
+            ? <button onClick={() => updatePlanState({ complexityFactor: null })} className="context-toggle">{t('plan.resetFactor', { factor: results.complexityFactor })}</button>
+            : t('plan.fromAnalysis')}
+        />
+      </div>
+
+      <p className="plan-summary">
+        {t('plan.summary', {
+          actions: plan.actions.length,
+          effort: plan.totalEffort,
+          hours: plan.totalHours,
+          count: plan.sprints.length,
+          capacity: plan.sprintCapacity,
+          doneHours: overall.doneHours,
+          percent: overall.percent
+        })}
+      </p>
+      <ProgressBar percent={overall.percent} />
+
+      {plan.actions.length === 0 && <p className="tree-empty">{t('plan.empty')}</p>}
+      {plan.sprints.map(sprint => (
+        <PlanSprint
+          key={sprint.number}
+          sprint={sprint}
+          actionsById={actionsById}
+          progress={planState.progress}
+          onToggleTask={(category, index) => updatePlanState({ progress: toggleTask(planState.progress, category, index) })}
+          onToggleAction={(action) => updatePlanState({ progress: toggleAction(planState.progress, action) })}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default SprintPlan;
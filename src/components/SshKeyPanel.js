@@ -0,0 +1,183 @@
+import React, { useEffect, useId, useState } from 'react';
+import { Loader } from 'lucide-react';
+import { API_BASE_URL } from '../services/apiClient';
+import { useI18n } from '../services/i18n';
+import {
+  EXPIRY_WARNING_MS,
+  generateKey,
+  isExpired,
+  listKeys,
+  loadKeys,
+  revokeKey,
+  rotateKey,
+  saveKeys
+} from '../services/sshKeys';
+
+const TICK_MS = 30 * 1000;
+
+const formatRemaining = (t, ms) => {
+  const minutes = Math.max(0, Math.round(ms / 60000));
+  if (minutes < 60) return t('sshKey.minutes', { minutes });
+  return t('sshKey.hours', { hours: Math.floor(minutes / 60), minutes: minutes % 60 });
+};
+
+const KeyExpiry = ({ sshKey, now }) => {
+  const { t } = useI18n();
+  if (!sshKey.expiresAt) return null;
+  const remaining = new Date(sshKey.expiresAt).getTime() - now;
+  if (remaining <= 0) return <p className="error">{t('sshKey.expired')}</p>;
+  if (remaining <= EXPIRY_WARNING_MS) {
+    return <p className="key-expiry warning">{t('sshKey.expiresSoon', { remaining: formatRemaining(t, remaining) })}</p>;
+  }
+  return <p className="key-expiry">{t('sshKey.expiresIn', { remaining: formatRemaining(t, remaining) })}</p>;
+};
+
+// Generated deploy keys for this session: the selected key's fingerprint, expiry and actions, plus the other active keys
+const SshKeyPanel = ({ api, providerLabel, selectedKeyId, onSelect }) => {
+  const { t, has } = useI18n();
+  const publicKeyId = useId();
+  const [keys, setKeys] = useState(loadKeys);
+  const [busy, setBusy] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [error, setError] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  const updateKeys = (next) => {
+    setKeys(next);
+    saveKeys(next);
+  };
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), TICK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Drop keys the server no longer knows about (revoked elsewhere, expired, or lost on a restart)
+  useEffect(() => {
+    let cancelled = false;
+    listKeys(api)
+      .then(serverKeys => {
+        if (cancelled || !serverKeys) return;
+        setKeys(current => {
+          const active = new Set(serverKeys.map(key => key.keyId));
+          const next = [
+            ...current.filter(key => active.has(key.keyId)),
+            ...serverKeys.filter(key => !current.some(k => k.keyId === key.keyId))
+          ];
+          saveKeys(next);
+          return next;
+        });
+      })
+      .catch(error => console.warn('Could not list SSH keys:', error));
+    return () => { cancelled = true; };
+  }, [api]);
+
+  useEffect(() => {
+    if (selectedKeyId && !keys.some(key => key.keyId === selectedKeyId)) onSelect(null);
+  }, [keys, selectedKeyId, onSelect]);
+
+  const activeKeys = keys.filter(key => !isExpired(key, now));
+  const selected = keys.find(key => key.keyId === selectedKeyId) || null;
+
+  const run = async (action, work) => {
+    setBusy(action);
+    setNotice(null);
+    setError(null);
+    try {
+      await work();
+    } catch (failure) {
+      const message = failure.code && has(`apiErrors.${failure.code}`)
+        ? t(`apiErrors.${failure.code}`, { url: API_BASE_URL })
+        : failure.message;
+      setError({ message: t(`sshKey.failed.${action}`, { message }), requestId: failure.requestId });
+    }
+    setBusy(null);
+  };
+
+  const generate = () => run('generate', async () => {
+    const key = await generateKey(api);
+    updateKeys([...keys, key]);
+    onSelect(key.keyId);
+  });
+
+  const rotate = () => run('rotate', async () => {
+    const key = await rotateKey(api, selected.keyId);
+    updateKeys([...keys.filter(k => k.keyId !== selected.keyId), key]);
+    onSelect(key.keyId);
+    setNotice(t('sshKey.rotated', { provider: providerLabel }));
+  });
+
+  const revoke = () => {
+    if (!window.confirm(t('sshKey.confirmRevoke', { key: selected.fingerprint || selected.keyId }))) return;
+    run('revoke', async () => {
+      await revokeKey(api, selected.keyId);
+      updateKeys(keys.filter(k => k.keyId !== selected.keyId));
+      onSelect(null);
+      setNotice(t('sshKey.revoked', { provider: providerLabel }));
+    });
+  };
+
+  const copyKey = () => run('copy', async () => {
+    await navigator.clipboard.writeText(selected.publicKey);
+    setNotice(t('sshKey.copied'));
+  });
+
+  return (
+    <div className="ssh-key-section">
+      {notice && <p className="key-notice">{notice}</p>}
+      {error && (
+        <p className="error" role="alert">
+          {error.message}
+          {error.requestId && <small> {t('common.requestId', { id: <code>{error.requestId}</code> })}</small>}
+        </p>
+      )}
+      {!selected ? (
+        <button onClick={generate} disabled={!!busy} className="btn-primary generate-key-btn">
+          {busy === 'generate' ? <Loader className="spinner" size={16} /> : t('sshKey.generate')}
+        </button>
+      ) : (
+        <>
+          <label className="input-label" htmlFor={publicKeyId}>{t('sshKey.publicKey')}</label>
+          <textarea id={publicKeyId} className="ssh-key-display" readOnly value={selected.publicKey} rows={3} />
+          {selected.fingerprint && <p className="key-fingerprint"><code>{selected.fingerprint}</code></p>}
+          <KeyExpiry sshKey={selected} now={now} />
+          <div className="key-actions">
+            <button onClick={copyKey} className="btn-secondary copy-key-btn">{t('sshKey.copy')}</button>
+            <button onClick={rotate} disabled={!!busy} className="btn-secondary">
+              {busy === 'rotate' ? <Loader className="spinner" size={16} /> : t('sshKey.rotate')}
+            </button>
+            <button onClick={revoke} disabled={!!busy} className="btn-secondary">
+              {busy === 'revoke' ? <Loader className="spinner" size={16} /> : t('sshKey.revoke')}
+            </button>
+            <button onClick={generate} disabled={!!busy} className="btn-secondary">
+              {busy === 'generate' ? <Loader className="spinner" size={16} /> : t('sshKey.generateAnother')}
+            </button>
+          </div>
+        </>
+      )}
+
+      {activeKeys.length > (selected ? 1 : 0) && (
+        <div className="key-list">
+          <h4 className="input-label">{t('sshKey.activeKeys')}</h4>
+          <ul>
+            {activeKeys.map(key => (
+              <li key={key.keyId} className={key.keyId === selectedKeyId ? 'selected' : ''}>
+                <code>{key.fingerprint || key.keyId}</code>
+                <span>
+                  {key.expiresAt
+                    ? t('sshKey.listExpiresIn', { remaining: formatRemaining(t, new Date(key.expiresAt).getTime() - now) })
+                    : t('sshKey.noExpiry')}
+                </span>
+                {key.keyId === selectedKeyId
+                  ? <span className="key-in-use">{t('sshKey.inUse')}</span>
+                  : <button onClick={() => onSelect(key.keyId)} className="context-toggle">{t('sshKey.use')}</button>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SshKeyPanel;
@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { Download, EyeOff, Upload } from 'lucide-react';
+import {
+  SUPPRESSION_FILENAME,
+  mergeSuppressions,
+  parseSuppressionFile,
+  removeSuppression,
+  toSuppressionFile
+} from '../core/triage';
+import { downloadFile, readFileAsText } from '../services/files';
+import { useI18n } from '../services/i18n';
+
+// Lists findings hidden by triage; they are excluded from stats and effort but can be restored here
+const SuppressedFindings = ({ findings, suppressions, onSuppressionsChange, onNotify }) => {
+  const { t, formatDate } = useI18n();
+  const [expanded, setExpanded] = useState(false);
+
+  const exportFile = () => {
+    downloadFile(JSON.stringify(toSuppressionFile(suppressions), null, 2), SUPPRESSION_FILENAME, 'application/json');
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { suppressions: imported, errors } = parseSuppressionFile(JSON.parse(await readFileAsText(file)));
+      if (errors.length > 0) {
+        const [first] = errors;
+        onNotify(t('suppressions.invalidFile', { file: file.name, count: errors.length, ...first }), { type: 'error' });
+        return;
+      }
+      onSuppressionsChange(mergeSuppressions(suppressions, imported));
+      onNotify(t('suppressions.imported', { count: imported.length }), { type: 'success' });
+    } catch (error) {
+      onNotify(t('suppressions.importFailed', { message: error.message }), { type: 'error' });
+    }
+  };
+
+  return (
+    <div className="suppressed-section">
+      <div className="suppressed-header">
+        <button className="suppressed-toggle" onClick={() => setExpanded(!expanded)} disabled={findings.length === 0}>
+          <span className={`expand-icon ${expanded ? 'expanded' : ''}`}>▶</span>
+          <EyeOff size={16} />
+          {t('suppressions.count', { count: findings.length })}
+          <small>{t('suppressions.excluded')}</small>
+        </button>
+        <div className="header-buttons">
+          <label className="btn-secondary">
+            <Upload size={16} />
+            {t('suppressions.import')}
+            <input type="file" className="file-input" accept=".json" onChange={importFile} />
+          </label>
+          <button onClick={exportFile} className="btn-secondary" disabled={suppressions.length === 0}>
+            <Download size={16} />
+            {t('suppressions.export', { count: suppressions.length })}
+          </button>
+        </div>
+      </div>
+
+      {expanded && findings.length > 0 && (
+        <div className="findings-list">
+          {findings.map(finding => (
+            <div key={finding.id} className="finding-item suppressed">
+              <div className="finding-header">
+                <span className="filename">{finding.filename}</span>
+                <span className="line-number">{t('finding.line', { line: String(finding.lineNum) })}</span>
+                <span className={`severity-badge ${finding.severity}`}>{finding.category}</span>
+                <span className="triage-state">{t(`triage.state.${finding.triage.state}`)}</span>
+                <button
+                  className="context-toggle"
+                  onClick={() => onSuppressionsChange(removeSuppression(suppressions, finding))}
+                >
+                  {t('suppressions.restore')}
+                </button>
+              </div>
+              <div className="code-snippet">{finding.code}</div>
+              <p className="triage-note">
+                “{finding.triage.justification}” — {finding.triage.author}, {formatDate(finding.triage.createdAt)}
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SuppressedFindings;
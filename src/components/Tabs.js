@@ -0,0 +1,54 @@
+import React, { useRef } from 'react';
+
+export const tabId = (idPrefix, id) => `${idPrefix}-tab-${id}`;
+export const tabPanelId = (idPrefix, id) => `${idPrefix}-panel-${id}`;
+
+// Props for the element showing the selected tab's content
+export const tabPanelProps = (idPrefix, id) => ({
+  role: 'tabpanel',
+  id: tabPanelId(idPrefix, id),
+  'aria-labelledby': tabId(idPrefix, id)
+});
+
+const KEY_STEPS = { ArrowLeft: -1, ArrowRight: 1 };
+
+// A tab list as WAI-ARIA describes it: only the selected tab is in the Tab order, and the arrow keys,
+// Home and End move to another tab and select it. tabs are { id, label, icon }.
+const Tabs = ({ tabs, selected, onSelect, label, idPrefix, className = 'tabs' }) => {
+  const listRef = useRef(null);
+  const current = tabs.some(tab => tab.id === selected) ? selected : tabs[0].id;
+
+  const onKeyDown = (e) => {
+    const index = tabs.findIndex(tab => tab.id === current);
+    const next = e.key === 'Home' ? 0
+      : e.key === 'End' ? tabs.length - 1
+      : KEY_STEPS[e.key] !== undefined ? (index + KEY_STEPS[e.key] + tabs.length) % tabs.length
+      : null;
+    if (next === null) return;
+    e.preventDefault();
+    onSelect(tabs[next].id);
+    listRef.current.querySelector(`#${tabId(idPrefix, tabs[next].id)}`).focus();
+  };
+
+  return (
+    <div ref={listRef} className={className} role="tablist" aria-label={label} onKeyDown={onKeyDown}>
+      {tabs.map(tab => (
+        <button
+          key={tab.id}
+          id={tabId(idPrefix, tab.id)}
+          role="tab"
+          aria-selected={tab.id === selected}
+          aria-controls={tab.id === selected ? tabPanelId(idPrefix, tab.id) : undefined}
+          tabIndex={tab.id === current ? 0 : -1}
+          onClick={() => onSelect(tab.id)}
+          className={`tab ${tab.id === selected ? 'active' : ''}`}
+        >
+          <tab.icon size={16} aria-hidden="true" />
+          {tab.label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default Tabs;
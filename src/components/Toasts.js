@@ -0,0 +1,25 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import { useI18n } from '../services/i18n';
+
+// Errors are announced right away, other messages when the screen reader is idle
+const Toasts = ({ toasts, onDismiss }) => {
+  const { t } = useI18n();
+  return (
+    <div className="toasts">
+      {toasts.map(toast => (
+        <div key={toast.id} className={`toast ${toast.type}`} role={toast.type === 'error' ? 'alert' : 'status'}>
+          <div className="toast-body">
+            <p>{toast.message}</p>
+            {toast.requestId && <small>{t('common.requestId', { id: <code>{toast.requestId}</code> })}</small>}
+          </div>
+          <button onClick={() => onDismiss(toast.id)} className="toast-dismiss" aria-label={t('common.dismiss')}>
+            <X size={14} />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default Toasts;
@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+import { TRIAGE_STATES } from '../core/triage';
+import { useI18n } from '../services/i18n';
+import { loadTriageAuthor, saveTriageAuthor } from '../services/suppressionStore';
+
+const TriageForm = ({ onSubmit, onCancel }) => {
+  const { t } = useI18n();
+  const [state, setState] = useState('false-positive');
+  const [justification, setJustification] = useState('');
+  const [author, setAuthor] = useState(loadTriageAuthor);
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!justification.trim() || !author.trim()) return;
+    saveTriageAuthor(author.trim());
+    onSubmit({ state, justification, author });
+  };
+
+  return (
+    <form onSubmit={submit} className="triage-form">
+      <div className="triage-row">
+        <select value={state} onChange={(e) => setState(e.target.value)} className="text-input">
+          {TRIAGE_STATES.map(value => <option key={value} value={value}>{t(`triage.state.${value}`)}</option>)}
+        </select>
+        <input
+          className="text-input"
+          value={author}
+          onChange={(e) => setAuthor(e.target.value)}
+          placeholder={t('triage.author')}
+          required
+        />
+      </div>
+      <textarea
+        className="text-input"
+        value={justification}
+        onChange={(e) => setJustification(e.target.value)}
+        placeholder={t('triage.justification')}
+        rows={2}
+        required
+        autoFocus
+      />
+      <div className="triage-row">
+        <button type="submit" className="btn-primary" disabled={!justification.trim() || !author.trim()}>{t('triage.suppress')}</button>
+        <button type="button" className="btn-secondary" onClick={onCancel}>{t('common.cancel')}</button>
+      </div>
+    </form>
+  );
+};
+
+export default TriageForm;
@@ -0,0 +1,139 @@
+import React, { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+
+// Items rendered beyond the viewport, in pixels, so fast scrolling does not show blank space
+const OVERSCAN_PX = 800;
+const INITIAL_ITEMS = 30;
+
+// Index of the first item that ends below y; offsets has one entry more than there are items
+const firstEndingBelow = (offsets, y) => {
+  let low = 0;
+  let high = offsets.length - 1;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (offsets[mid + 1] > y) high = mid;
+    else low = mid + 1;
+  }
+  return low;
+};
+
+const Row = ({ rowKey, className, observer, rows, attributes, children }) => {
+  const ref = useRef(null);
+  useEffect(() => {
+    const element = ref.current;
+    rows.set(rowKey, element);
+    observer.observe(element);
+    return () => {
+      observer.unobserve(element);
+      rows.delete(rowKey);
+    };
+  }, [rowKey, observer, rows]);
+  return <div ref={ref} data-key={rowKey} className={className} {...attributes}>{children}</div>;
+};
+
+// Renders only the items near the viewport of the window-scrolled page; the rest are stood in for
+// by padding. Rows are measured once rendered, and count as estimateHeight(item) until then.
+// itemKey must return a string and should be a stable function. scrollToKey brings an item into
+// view, aligned like scrollIntoView's block option, and onScrolledTo is called once it is there.
+// listProps are extra attributes of the list element and rowProps(item, index) those of each row,
+// such as ARIA roles and key handlers.
+const VirtualList = ({ items, itemKey, estimateHeight, renderItem, className, rowClassName, listProps, rowProps, scrollToKey, scrollAlign = 'center', onScrolledTo }) => {
+  const containerRef = useRef(null);
+  const rowsRef = useRef(new Map());
+  const offsetsRef = useRef(null);
+  const scrolledToRef = useRef(null);
+  const [range, setRange] = useState({ start: 0, end: INITIAL_ITEMS });
+  // Measured row heights by key. Each batch of changes makes a new map, so the offsets follow it.
+  const [heights, setHeights] = useState(() => new Map());
+  const [observer] = useState(() => new ResizeObserver(entries => {
+    const measured = entries.map(entry => [entry.target.dataset.key, entry.target.offsetHeight]);
+    setHeights(prev => {
+      const changed = measured.filter(([key, height]) => prev.get(key) !== height);
+      return changed.length ? new Map([...prev, ...changed]) : prev;
+    });
+  }));
+
+  const offsets = useMemo(() => {
+    const next = new Float64Array(items.length + 1);
+    items.forEach((item, index) => {
+      const height = heights.get(itemKey(item));
+      next[index + 1] = next[index] + (height === undefined ? estimateHeight(item) : height);
+    });
+    return next;
+  }, [items, itemKey, estimateHeight, heights]);
+  offsetsRef.current = offsets;
+
+  const updateRange = useCallback(() => {
+    if (!containerRef.current) return;
+    const top = -containerRef.current.getBoundingClientRect().top;
+    const count = offsetsRef.current.length - 1;
+    const start = firstEndingBelow(offsetsRef.current, top - OVERSCAN_PX);
+    const end = Math.min(count, firstEndingBelow(offsetsRef.current, top + window.innerHeight + OVERSCAN_PX) + 1);
+    setRange(prev => (prev.start === start && prev.end === end ? prev : { start, end }));
+  }, []);
+
+  useLayoutEffect(updateRange, [offsets, updateRange]);
+
+  // Besides scrolling and resizing, anything that changes the page height (such as a list above this
+  // one growing) can move the list in the viewport
+  useEffect(() => {
+    let frame = null;
+    const schedule = () => {
+      if (frame === null) {
+        frame = requestAnimationFrame(() => {
+          frame = null;
+          updateRange();
+        });
+      }
+    };
+    const pageObserver = new ResizeObserver(schedule);
+    pageObserver.observe(document.body);
+    window.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule);
+    return () => {
+      if (frame !== null) cancelAnimationFrame(frame);
+      pageObserver.disconnect();
+      window.removeEventListener('scroll', schedule);
+      window.removeEventListener('resize', schedule);
+    };
+  }, [updateRange]);
+
+  useEffect(() => () => observer.disconnect(), [observer]);
+
+  // Jumps to the item's estimated position first, which renders it; the next pass aligns it exactly
+  useEffect(() => {
+    if (!scrollToKey) {
+      scrolledToRef.current = null;
+      return;
+    }
+    if (scrolledToRef.current === scrollToKey) return;
+    const element = rowsRef.current.get(scrollToKey);
+    if (element) {
+      element.scrollIntoView({ block: scrollAlign });
+      scrolledToRef.current = scrollToKey;
+      if (onScrolledTo) onScrolledTo();
+      return;
+    }
+    const index = items.findIndex(item => itemKey(item) === scrollToKey);
+    if (index === -1) return;
+    const top = containerRef.current.getBoundingClientRect().top + window.scrollY + offsets[index];
+    window.scrollTo({ top: scrollAlign === 'center' ? top - window.innerHeight / 2 : top });
+  });
+
+  const end = Math.min(range.end, items.length);
+  const start = Math.min(range.start, end);
+
+  return (
+    <div ref={containerRef} className={className} style={{ paddingTop: offsets[start], paddingBottom: offsets[items.length] - offsets[end] }} {...listProps}>
+      {items.slice(start, end).map((item, offset) => {
+        const key = itemKey(item);
+        return (
+          <Row key={key} rowKey={key} className={rowClassName} observer={observer} rows={rowsRef.current} attributes={rowProps && rowProps(item, start + offset)}>
+            {renderItem(item)}
+          </Row>
+        );
+      })}
+    </div>
+  );
+};
+
+export default VirtualList;
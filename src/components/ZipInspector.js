@@ -0,0 +1,117 @@
+import React, { useId, useState } from 'react';
+import { formatBytes, isExcluded, toggleExcluded } from '../core/archive';
+import { LANGUAGES } from '../core/rules';
+import { useI18n } from '../services/i18n';
+
+const DirectoryRow = ({ directory, depth, total, excluded, expanded, onToggleExpand, onToggleExcluded }) => {
+  const { t } = useI18n();
+  const excludedHere = isExcluded(directory.path, excluded);
+  // A folder inside an excluded folder follows its parent
+  const inherited = excludedHere && !excluded.includes(directory.path);
+  const open = expanded.has(directory.path);
+  const canExpand = directory.children.length > 0 && !directory.buildOutput;
+
+  return (
+    <>
+      <li className={`zip-directory ${excludedHere ? 'excluded' : ''}`} style={{ paddingLeft: `${depth * 1.25}rem` }}>
+        <button
+          onClick={() => onToggleExpand(directory.path)}
+          className={`expand-icon zip-expand ${open ? 'expanded' : ''}`}
+          disabled={!canExpand}
+          aria-label={t(open ? 'zip.collapse' : 'zip.expand', { name: directory.name })}
+        >
+          {canExpand ? '▶' : ''}
+        </button>
+        <label>
+          <input
+            type="checkbox"
+            checked={!excludedHere}
+            disabled={inherited}
+            onChange={() => onToggleExcluded(directory.path)}
+          />
+          <code>{directory.name}/</code>
+          {directory.buildOutput && <span className="zip-tag">{t('zip.buildOutput')}</span>}
+        </label>
+        <span className="zip-size-bar" title={t('zip.share', { percent: Math.round((100 * directory.size) / (total || 1)) })}>
+          <span style={{ width: `${(100 * directory.size) / (total || 1)}%` }} />
+        </span>
+        <span className="zip-size">{formatBytes(directory.size)}</span>
+        <span className="zip-count">{t('zip.fileCounts', { source: directory.sourceFiles, count: directory.files })}</span>
+      </li>
+      {open && directory.children.map(child => (
+        <DirectoryRow
+          key={child.path}
+          directory={child}
+          depth={depth + 1}
+          total={total}
+          excluded={excluded}
+          expanded={expanded}
+          onToggleExpand={onToggleExpand}
+          onToggleExcluded={onToggleExcluded}
+        />
+      ))}
+    </>
+  );
+};
+
+// Pre-flight view of an uploaded ZIP: what is in it, and which folders go into the re-packed upload
+const ZipInspector = ({ inspection, excluded, plan, onChange }) => {
+  const { t } = useI18n();
+  const labelId = useId();
+  const [expanded, setExpanded] = useState(new Set());
+  const { tree } = inspection;
+  const toggleExpand = (path) => setExpanded(prev => {
+    const next = new Set(prev);
+    if (next.has(path)) next.delete(path);
+    else next.add(path);
+    return next;
+  });
+  const rootFiles = tree.files - tree.children.reduce((sum, child) => sum + child.files, 0);
+  const saved = tree.compressedSize > 0 ? Math.round(100 - (100 * plan.compressedSize) / tree.compressedSize) : 0;
+
+  return (
+    <div className="zip-inspector">
+      <div className="module-picker-header">
+        <span className="input-label" id={labelId}>{t('zip.contents')}</span>
+        {excluded.length > 0 && <button onClick={() => onChange([])} className="context-toggle">{t('zip.includeAll')}</button>}
+        {inspection.defaultExcluded.length > 0 && (
+          <button onClick={() => onChange(inspection.defaultExcluded)} className="context-toggle">{t('zip.reset')}</button>
+        )}
+      </div>
+      <p className="zip-summary">
+        {t('zip.size', { count: tree.files, size: formatBytes(tree.size), compressed: formatBytes(tree.compressedSize) })}
+        {' • '}
+        {plan.projectType ? (plan.projectType === 'mixed' ? t('zip.mixed') : LANGUAGES[plan.projectType].label) : t('zip.noProject')}
+        {' • '}
+        {t('zip.sourceCounts', { dotnet: plan.sourceCounts.dotnet, java: plan.sourceCounts.java })}
+      </p>
+      {tree.children.length > 0 && (
+        <ul className="zip-directories" role="group" aria-labelledby={labelId}>
+          {tree.children.map(child => (
+            <DirectoryRow
+              key={child.path}
+              directory={child}
+              depth={0}
+              total={tree.size}
+              excluded={excluded}
+              expanded={expanded}
+              onToggleExpand={toggleExpand}
+              onToggleExcluded={(path) => onChange(toggleExcluded(excluded, path))}
+            />
+          ))}
+          {rootFiles > 0 && <li className="zip-directory zip-root-files">{t('zip.rootFiles', { count: rootFiles })}</li>}
+        </ul>
+      )}
+      <p className="zip-summary">
+        {t(saved > 0 ? 'zip.uploadSmaller' : 'zip.upload', {
+          label: <strong>{t('zip.uploadLabel')}</strong>,
+          count: plan.files.length,
+          size: formatBytes(plan.compressedSize),
+          saved
+        })}
+      </p>
+    </div>
+  );
+};
+
+export default ZipInspector;
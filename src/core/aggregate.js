@@ -0,0 +1,230 @@
+// Reshapes raw scan output ({ projectType, scanDate, rootPath, findings[] })
+// into the results document rendered by the results view (see src/mock/fixtures/debug-sample.json).
+import { moduleName } from './modules.js';
+import { BUILT_IN_RULES } from './rules.js';
+import { SCHEMA_VERSION } from './schema.js';
+
+export const SEVERITY_ORDER = ['high', 'medium', 'low'];
+
+// Base effort points per finding, before the complexity factor is applied
+export const SEVERITY_WEIGHTS = {
+  high: 5,
+  medium: 3,
+  low: 1
+};
+
+export const MAX_COMPLEXITY_FACTOR = 3;
+
+// Remediation steps per category; used to build the Implementation Roadmap.
+// dependsOn names the categories whose remediation provides something this one builds on (core/planning).
+export const REMEDIATION_PLAYBOOK = {
+  'Session State': {
+    description: 'Externalize session state so any instance can serve any request.',
+    baseEffort: 8,
+    dependsOn: ['In-Process Cache'],
+    subActions: [
+      'Inventory every session key and the data stored under it',
+      'Move authentication data into signed token claims (JWT)',
+      'Store remaining per-user data in a distributed cache or database',
+      'Remove session middleware and sticky-session load balancer settings'
+    ]
+  },
+  'Application State': {
+    description: 'Replace application-wide in-memory state with a shared store.',
+    baseEffort: 6,
+    dependsOn: ['In-Process Cache'],
+    subActions: [
+      'Identify values written at runtime versus configuration loaded at startup',
+      'Move configuration to a configuration provider or environment variables',
+      'Move runtime values to a distributed cache'
+    ]
+  },
+  'ViewState': {
+    description: 'Remove ViewState dependencies from pages.',
+    baseEffort: 5,
+    subActions: [
+      'Disable ViewState on controls that do not need it',
+      'Reload page data per request or keep it on the client'
+    ]
+  },
+  'Static Mutable Field': {
+    description: 'Eliminate static mutable fields that hold per-instance state.',
+    baseEffort: 4,
+    dependsOn: ['In-Process Cache'],
+    subActions: [
+      'Convert constants to readonly/final fields',
+      'Register shared services through dependency injection',
+      'Move shared mutable data to an external state store'
+    ]
+  },
+  'In-Process Cache': {
+    description: 'Swap in-process caches for a distributed cache.',
+    baseEffort: 4,
+    subActions: [
+      'Introduce a cache abstraction (IDistributedCache / Spring Cache)',
+      'Back the abstraction with Redis or another shared cache',
+      'Review expiry and invalidation for multi-instance use'
+    ]
+  },
+  'Thread-Local Storage': {
+    description: 'Replace ThreadLocal storage with explicit request context.',
+    baseEffort: 5,
+    subActions: [
+      'Pass request context through method parameters or request-scoped beans',
+      'Verify no ThreadLocal values leak across pooled threads'
+    ]
+  }
+};
+
+const DEFAULT_PLAYBOOK = {
+  description: 'Refactor the affected code to remove instance-local state.',
+  baseEffort: 4,
+  subActions: ['Review each occurrence and move the state to an external store']
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const severityRank = (severity) => {
+  const rank = SEVERITY_ORDER.indexOf(severity);
+  return rank === -1 ? SEVERITY_ORDER.length : rank;
+};
+
+export const highestSeverity = (severities) =>
+  severities.reduce((best, s) => (severityRank(s) < severityRank(best) ? s : best), 'low');
+
+export const findingEffort = (finding) => SEVERITY_WEIGHTS[finding.severity] || SEVERITY_WEIGHTS.low;
+
+// Grows with the number of categories, the number of affected files and the share of high
+// severity findings: spread-out, mixed statefulness is harder to remove than one hotspot.
+export const computeComplexityFactor = (findings) => {
+  if (findings.length === 0) return 1;
+  const categories = new Set(findings.map(f => f.category)).size;
+  const files = new Set(findings.map(f => f.filename)).size;
+  const highRatio = findings.filter(f => f.severity === 'high').length / findings.length;
+  const factor = 1 + 0.1 * (categories - 1) + 0.02 * (files - 1) + 0.5 * highRatio;
+  return round(Math.min(MAX_COMPLEXITY_FACTOR, factor));
+};
+
+export const projectNameFromPath = (rootPath) => {
+  if (!rootPath) return '';
+  const parts = rootPath.split(/[\\/]/).filter(Boolean);
+  return parts.length ? parts[parts.length - 1] : '';
+};
+
+export const groupByCategory = (detailed) => {
+  const groups = new Map();
+  detailed.forEach(finding => {
+    if (!groups.has(finding.category)) groups.set(finding.category, []);
+    groups.get(finding.category).push(finding);
+  });
+  return groups;
+};
+
+export const buildSummary = (detailed, complexityFactor = 1) =>
+  [...groupByCategory(detailed).entries()]
+    .map(([category, items]) => ({
+      category,
+      severity: highestSeverity(items.map(i => i.severity)),
+      occurrences: items.length,
+      effortScore: round(items.reduce((sum, i) => sum + findingEffort(i), 0) * complexityFactor),
+      remediation: items[0].remediation || '',
+      detailIds: items.map(i => i.id)
+    }))
+    .sort((a, b) => severityRank(a.severity) - severityRank(b.severity) || b.occurrences - a.occurrences)
+    .map((category, index) => ({ id: `cat${index + 1}`, ...category }));
+
+export const buildStats = (detailed, summary, totalFiles) => {
+  const countSeverity = (severity) => detailed.filter(d => d.severity === severity).length;
+  return {
+    totalFiles: totalFiles != null ? totalFiles : new Set(detailed.map(d => d.filename)).size,
+    totalIssues: detailed.length,
+    highSeverity: countSeverity('high'),
+    mediumSeverity: countSeverity('medium'),
+    lowSeverity: countSeverity('low'),
+    totalEffortScore: round(summary.reduce((sum, c) => sum + c.effortScore, 0))
+  };
+};
+
+export const buildActions = (summary, detailed, complexityFactor = 1) => {
+  const byId = new Map(detailed.map(d => [d.id, d]));
+  return summary.map((category, index) => {
+    const playbook = REMEDIATION_PLAYBOOK[category.category] || DEFAULT_PLAYBOOK;
+    const findings = category.detailIds.map(id => byId.get(id)).filter(Boolean);
+    const files = new Set(findings.map(f => f.filename)).size;
+    const findingsEffort = findings.reduce((sum, f) => sum + findingEffort(f), 0);
+    return {
+      id: `a${index + 1}`,
+      category: category.category,
+      severity: category.severity,
+      description: playbook.description,
+      baseEffort: playbook.baseEffort,
+      finalEffort: round((playbook.baseEffort + findingsEffort) * complexityFactor),
+      subActions: [...playbook.subActions, `Update ${files} affected file${files === 1 ? '' : 's'}`],
+      affectedFindings: findings.map(f => ({ filename: f.filename, lineNum: f.lineNum }))
+    };
+  });
+};
+
+const buildModule = (module, index, findings, projectName) => {
+  const complexityFactor = computeComplexityFactor(findings);
+  const totalFiles = module.totalFiles != null ? module.totalFiles : module.stats && module.stats.totalFiles;
+  return {
+    id: `m${index + 1}`,
+    name: module.name || moduleName(module, projectName),
+    path: module.path,
+    projectType: module.projectType,
+    manifest: module.manifest,
+    totalFiles,
+    complexityFactor,
+    stats: buildStats(findings, buildSummary(findings, complexityFactor), totalFiles)
+  };
+};
+
+// Per-module stats for monorepos. Each module is weighed with its own complexity factor, as if it had
+// been analyzed alone; the top-level stats remain the roll-up of the whole repository.
+export const buildModules = (detailed, modules, projectName = '') => {
+  const byModule = new Map(modules.map(module => [module.path, []]));
+  detailed.forEach(d => {
+    if (byModule.has(d.module)) byModule.get(d.module).push(d);
+  });
+  return modules.map((module, index) => buildModule(module, index, byModule.get(module.path), projectName));
+};
+
+// Older scripts do not write a remediation per finding; fall back to the built-in rule text
+const defaultRemediation = (projectType, category) => {
+  const rule = BUILT_IN_RULES.find(r => r.category === category && r.language === projectType)
+    || BUILT_IN_RULES.find(r => r.category === category);
+  return rule ? rule.remediation : '';
+};
+
+export const buildResults = (raw, { projectName } = {}) => {
+  const moduleTypes = new Map((raw.modules || []).map(m => [m.path, m.projectType]));
+  const detailed = (raw.findings || []).map((finding, index) => ({
+    id: `d${index + 1}`,
+    ...finding,
+    remediation: finding.remediation || defaultRemediation(moduleTypes.get(finding.module) || raw.projectType, finding.category)
+  }));
+  const complexityFactor = computeComplexityFactor(detailed);
+  const summary = buildSummary(detailed, complexityFactor);
+  const name = projectName || projectNameFromPath(raw.rootPath) || 'Untitled Project';
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    projectName: name,
+    projectType: raw.projectType,
+    scanDate: raw.scanDate,
+    complexityFactor,
+    stats: buildStats(detailed, summary, raw.totalFiles),
+    ...(raw.modules && raw.modules.length ? { modules: buildModules(detailed, raw.modules, name) } : {}),
+    summary,
+    detailed,
+    actions: buildActions(summary, detailed, complexityFactor)
+  };
+};
+
+export const isResultsDocument = (json) => !!json && Array.isArray(json.summary) && Array.isArray(json.detailed);
+
+export const isRawScanOutput = (json) => !!json && Array.isArray(json.findings) && !isResultsDocument(json);
+
+// Accepts either a script's raw output or an already aggregated results document
+export const toResults = (json, options) => (isResultsDocument(json) ? json : buildResults(json, options));
@@ -0,0 +1,143 @@
+import {
+  MAX_COMPLEXITY_FACTOR,
+  REMEDIATION_PLAYBOOK,
+  buildResults,
+  buildSummary,
+  computeComplexityFactor,
+  toResults
+} from './aggregate.js';
+import { SCHEMA_VERSION } from './schema.js';
+import { finding } from './testFixtures.js';
+
+describe('computeComplexityFactor', () => {
+  it('is 1 without findings', () => {
+    expect(computeComplexityFactor([])).toBe(1);
+  });
+
+  it('adds half the share of high severity findings', () => {
+    expect(computeComplexityFactor([finding()])).toBe(1.5);
+    expect(computeComplexityFactor([finding({ severity: 'low' })])).toBe(1);
+  });
+
+  it('grows with categories and files, rounded to one decimal', () => {
+    const findings = [
+      finding({ filename: 'A.cs' }),
+      finding({ filename: 'B.cs', severity: 'low' }),
+      finding({ filename: 'C.cs', category: 'In-Process Cache', severity: 'medium' }),
+      finding({ filename: 'C.cs', category: 'In-Process Cache', severity: 'medium', lineNum: 9 })
+    ];
+    // 1 + 0.1 * 1 category + 0.02 * 2 files + 0.5 * 1/4 high = 1.265
+    expect(computeComplexityFactor(findings)).toBe(1.3);
+  });
+
+  it('is capped', () => {
+    const findings = Array.from({ length: 30 }, (_, index) => finding({ category: `Category ${index}`, filename: `F${index}.cs` }));
+    expect(computeComplexityFactor(findings)).toBe(MAX_COMPLEXITY_FACTOR);
+  });
+});
+
+describe('buildSummary', () => {
+  const detailed = [
+    finding({ id: 'd1', category: 'Static Mutable Field', severity: 'medium' }),
+    finding({ id: 'd2', category: 'Static Mutable Field', severity: 'low', remediation: 'Inject it' }),
+    finding({ id: 'd3', category: 'In-Process Cache', severity: 'low' }),
+    finding({ id: 'd4', category: 'In-Process Cache', severity: 'low' }),
+    finding({ id: 'd5', category: 'In-Process Cache', severity: 'low' }),
+    finding({ id: 'd6', severity: 'high' })
+  ];
+
+  it('orders categories by severity, then by occurrences, and numbers them', () => {
+    expect(buildSummary(detailed).map(c => [c.id, c.category, c.severity, c.occurrences])).toEqual([
+      ['cat1', 'Session State', 'high', 1],
+      ['cat2', 'Static Mutable Field', 'medium', 2],
+      ['cat3', 'In-Process Cache', 'low', 3]
+    ]);
+  });
+
+  it('weighs findings by severity and the complexity factor', () => {
+    const summary = buildSummary(detailed, 1.5);
+    // (3 + 1) * 1.5 and (1 + 1 + 1) * 1.5
+    expect(summary.find(c => c.category === 'Static Mutable Field').effortScore).toBe(6);
+    expect(summary.find(c => c.category === 'In-Process Cache').effortScore).toBe(4.5);
+  });
+
+  it('lists the finding ids and the first remediation of each category', () => {
+    const category = buildSummary(detailed).find(c => c.category === 'Static Mutable Field');
+    expect(category.detailIds).toEqual(['d1', 'd2']);
+    expect(category.remediation).toBe('');
+  });
+});
+
+describe('buildResults', () => {
+  const raw = {
+    projectType: 'dotnet',
+    scanDate: '2024-05-01T08:00:00Z',
+    rootPath: 'C:\\src\\Shop',
+    findings: [
+      finding({ filename: 'A.cs' }),
+      finding({ filename: 'A.cs', lineNum: 20, severity: 'medium', category: 'In-Process Cache', remediation: 'Use Redis' })
+    ]
+  };
+
+  it('numbers findings and fills in remediation from the built-in rules', () => {
+    const results = buildResults(raw);
+    expect(results.detailed.map(d => d.id)).toEqual(['d1', 'd2']);
+    expect(results.detailed[0].remediation).toMatch(/^Replace session state/);
+    expect(results.detailed[1].remediation).toBe('Use Redis');
+  });
+
+  it('names the project after the root folder unless a name is given', () => {
+    expect(buildResults(raw).projectName).toBe('Shop');
+    expect(buildResults(raw, { projectName: 'Checkout' }).projectName).toBe('Checkout');
+    expect(buildResults({ ...raw, rootPath: '' }).projectName).toBe('Untitled Project');
+  });
+
+  it('computes stats and effort with the complexity factor', () => {
+    const results = buildResults(raw);
+    // 1 + 0.1 + 0.5 * 1/2
+    expect(results.complexityFactor).toBe(1.4);
+    expect(results.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(results.stats).toEqual({
+      totalFiles: 1,
+      totalIssues: 2,
+      highSeverity: 1,
+      mediumSeverity: 1,
+      lowSeverity: 0,
+      totalEffortScore: 11.2
+    });
+    expect(buildResults({ ...raw, totalFiles: 40 }).stats.totalFiles).toBe(40);
+  });
+
+  it('builds a roadmap action per category from the playbook', () => {
+    const [action] = buildResults(raw).actions;
+    const playbook = REMEDIATION_PLAYBOOK['Session State'];
+    expect(action.category).toBe('Session State');
+    expect(action.finalEffort).toBe(Math.round((playbook.baseEffort + 5) * 1.4 * 10) / 10);
+    expect(action.subActions).toEqual([...playbook.subActions, 'Update 1 affected file']);
+    expect(action.affectedFindings).toEqual([{ filename: 'A.cs', lineNum: 1 }]);
+  });
+
+  it('adds per-module stats for monorepos', () => {
+    const results = buildResults({
+      ...raw,
+      findings: [finding({ module: 'api' }), finding({ module: 'web', severity: 'low', category: 'ViewState' })],
+      modules: [
+        { path: 'api', projectType: 'dotnet', manifest: 'api/Api.csproj' },
+        { path: 'web', projectType: 'dotnet', manifest: 'web/Web.csproj' }
+      ]
+    });
+    expect(results.modules.map(m => [m.id, m.name, m.complexityFactor, m.stats.totalIssues])).toEqual([
+      ['m1', 'api', 1.5, 1],
+      ['m2', 'web', 1, 1]
+    ]);
+    expect(buildResults(raw).modules).toBeUndefined();
+  });
+});
+
+describe('toResults', () => {
+  it('passes results documents through and aggregates raw output', () => {
+    const results = buildResults({ projectType: 'java', findings: [] });
+    expect(toResults(results)).toBe(results);
+    expect(toResults({ projectType: 'java', findings: [] }).summary).toEqual([]);
+  });
+});
@@ -0,0 +1,106 @@
+// Pre-flight inspection of an uploaded ZIP from its central directory: per-directory sizes, the
+// detected modules and source counts, and which entries a trimmed re-pack keeps.
+// Entries are { name, size, compressedSize } with "/" separators; directories end in "/".
+import { IGNORED_DIRS, combinedProjectType, languageOfFile } from './modules.js';
+import { listModules, stripCommonRoot } from './scanner.js';
+
+// The files project detection and scanning read; everything else is left out of a re-pack
+export const RELEVANT_FILE = /(\.cs|\.java|\.csproj|\.sln|(^|\/)pom\.xml|(^|\/)build\.gradle(\.kts)?)$/i;
+
+const newDirectory = (path) => ({
+  path,
+  name: path.slice(path.lastIndexOf('/') + 1),
+  size: 0,
+  compressedSize: 0,
+  files: 0,
+  sourceFiles: 0,
+  buildOutput: false,
+  children: new Map()
+});
+
+const sortTree = (directory) => ({
+  ...directory,
+  children: [...directory.children.values()]
+    .map(sortTree)
+    .sort((a, b) => b.size - a.size || a.name.localeCompare(b.name))
+});
+
+// { root, tree, files: [{ name, path, size, compressedSize }], defaultExcluded } where tree is the
+// project's directory tree (root '' after stripping the ZIP's common top folder). Every node has
+// cumulative size, compressedSize, files and sourceFiles. Build output and dependency folders are
+// flagged and excluded by default; folders inside them are not listed separately.
+export const inspectArchive = (entries) => {
+  const fileEntries = entries.filter(entry => !entry.name.endsWith('/'));
+  const { root, paths } = stripCommonRoot(fileEntries.map(entry => entry.name));
+  const files = fileEntries.map((entry, index) => ({ ...entry, path: paths[index] }));
+  const tree = newDirectory('');
+  const defaultExcluded = new Set();
+
+  files.forEach(file => {
+    const segments = file.path.split('/').slice(0, -1);
+    const isSource = !!languageOfFile(file.path);
+    let node = tree;
+    const visit = (directory) => {
+      directory.size += file.size;
+      directory.compressedSize += file.compressedSize;
+      directory.files += 1;
+      if (isSource) directory.sourceFiles += 1;
+    };
+    visit(node);
+    for (const segment of segments) {
+      const path = node.path ? `${node.path}/${segment}` : segment;
+      if (!node.children.has(segment)) node.children.set(segment, newDirectory(path));
+      node = node.children.get(segment);
+      visit(node);
+      if (IGNORED_DIRS.includes(segment)) {
+        node.buildOutput = true;
+        defaultExcluded.add(path);
+        break;
+      }
+    }
+  });
+
+  return { root, tree: sortTree(tree), files, defaultExcluded: [...defaultExcluded].sort() };
+};
+
+const isBelow = (path, directory) => path.startsWith(`${directory}/`);
+
+// What a re-pack without the excluded directories keeps: { files, size, compressedSize,
+// sourceCounts: { dotnet, java }, modules, projectType }. projectType is null when no module is found.
+export const planRepack = (inspection, excluded) => {
+  const files = inspection.files.filter(file => RELEVANT_FILE.test(file.path)
+    && !excluded.some(directory => isBelow(file.path, directory)));
+  const modules = listModules(files.map(file => file.path));
+  const sourceCounts = { dotnet: 0, java: 0 };
+  files.forEach(file => {
+    const language = languageOfFile(file.path);
+    if (language) sourceCounts[language] += 1;
+  });
+  return {
+    files,
+    size: files.reduce((sum, file) => sum + file.size, 0),
+    compressedSize: files.reduce((sum, file) => sum + file.compressedSize, 0),
+    sourceCounts,
+    modules,
+    projectType: modules.length ? combinedProjectType(modules) : null
+  };
+};
+
+export const isExcluded = (path, excluded) => excluded.some(directory => path === directory || isBelow(path, directory));
+
+// Excluding a directory covers the directories inside it, so those are dropped from the list
+export const toggleExcluded = (excluded, path) => (excluded.includes(path)
+  ? excluded.filter(directory => directory !== path)
+  : [...excluded.filter(directory => !isBelow(directory, path)), path].sort());
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value < 10 ? value.toFixed(1) : Math.round(value)} ${units[unit]}`;
+};
@@ -0,0 +1,156 @@
+// Data for the results dashboard: severity and category breakdowns, top hotspots and a
+// directory/file treemap. Effort per finding comes from filters.buildEffortIndex, so every chart
+// adds up to the same totals as the summary.
+import { SEVERITY_ORDER } from './aggregate.js';
+
+export const SEVERITY_COLORS = {
+  high: '#dc2626',
+  medium: '#d97706',
+  low: '#2563eb'
+};
+
+// Labels are the dashboard.metric.<id> messages of the locale catalogs
+export const CHART_METRICS = [
+  { id: 'count' },
+  { id: 'effort' }
+];
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const directoryOf = (filename) => {
+  const slash = filename.lastIndexOf('/');
+  return slash === -1 ? '' : filename.slice(0, slash);
+};
+
+export const severityBreakdown = (findings) => SEVERITY_ORDER.map(severity => ({
+  id: severity,
+  label: severity,
+  value: findings.filter(f => f.severity === severity).length,
+  color: SEVERITY_COLORS[severity]
+}));
+
+// Summary order; count and effort only cover the given findings
+export const categoryBreakdown = (summary, findings, effortIndex) => {
+  const totals = new Map(summary.map(c => [c.category, { count: 0, effort: 0 }]));
+  findings.forEach(f => {
+    const total = totals.get(f.category);
+    if (!total) return;
+    total.count += 1;
+    total.effort += effortIndex.get(f.id) || 0;
+  });
+  return summary
+    .map(c => ({ id: c.category, label: c.category, severity: c.severity, color: SEVERITY_COLORS[c.severity], count: totals.get(c.category).count, effort: round(totals.get(c.category).effort) }))
+    .filter(c => c.count > 0);
+};
+
+const keyOf = {
+  file: (f) => f.filename,
+  function: (f) => `${f.filename}\u0000${f.function}`
+};
+
+// Top files or functions by finding count or effort: [{ id, filename, function?, count, effort, severity }]
+export const hotspots = (findings, by, effortIndex, metric = 'count', limit = 10) => {
+  const spots = new Map();
+  findings.forEach(f => {
+    const key = keyOf[by](f);
+    if (!spots.has(key)) {
+      spots.set(key, { id: key, filename: f.filename, ...(by === 'function' ? { function: f.function } : {}), count: 0, effort: 0, severities: new Set() });
+    }
+    const spot = spots.get(key);
+    spot.count += 1;
+    spot.effort += effortIndex.get(f.id) || 0;
+    spot.severities.add(f.severity);
+  });
+  return [...spots.values()]
+    .map(({ severities, ...spot }) => ({
+      ...spot,
+      effort: round(spot.effort),
+      severity: SEVERITY_ORDER.find(s => severities.has(s)) || 'low'
+    }))
+    .sort((a, b) => b[metric] - a[metric] || a.id.localeCompare(b.id))
+    .slice(0, limit);
+};
+
+// Two levels for the treemap: directories, each with its files. Sorted by the metric, largest first.
+export const directoryTree = (findings, effortIndex, metric = 'count') => {
+  const directories = new Map();
+  findings.forEach(f => {
+    const path = directoryOf(f.filename);
+    if (!directories.has(path)) directories.set(path, { path, files: new Map() });
+    const files = directories.get(path).files;
+    if (!files.has(f.filename)) files.set(f.filename, { path: f.filename, count: 0, effort: 0, severities: new Set() });
+    const file = files.get(f.filename);
+    file.count += 1;
+    file.effort += effortIndex.get(f.id) || 0;
+    file.severities.add(f.severity);
+  });
+  const byMetric = (a, b) => b.value - a.value || a.path.localeCompare(b.path);
+  return [...directories.values()]
+    .map(directory => {
+      const files = [...directory.files.values()]
+        .map(({ severities, ...file }) => ({
+          ...file,
+          effort: round(file.effort),
+          value: metric === 'effort' ? file.effort : file.count,
+          severity: SEVERITY_ORDER.find(s => severities.has(s)) || 'low'
+        }))
+        .sort(byMetric);
+      return {
+        path: directory.path,
+        count: files.reduce((sum, f) => sum + f.count, 0),
+        effort: round(files.reduce((sum, f) => sum + f.effort, 0)),
+        value: files.reduce((sum, f) => sum + f.value, 0),
+        files
+      };
+    })
+    .sort(byMetric);
+};
+
+const worstRatio = (row, length) => {
+  const sum = row.reduce((total, item) => total + item.area, 0);
+  const max = Math.max(...row.map(item => item.area));
+  const min = Math.min(...row.map(item => item.area));
+  return Math.max((length * length * max) / (sum * sum), (sum * sum) / (length * length * min));
+};
+
+// Squarified treemap (Bruls, Huizing, van Wijk). items need a positive value and should be sorted
+// largest first; returns [{ item, x, y, width, height }] filling the rectangle.
+export const squarify = (items, { x, y, width, height }) => {
+  const total = items.reduce((sum, item) => sum + item.value, 0);
+  if (!total || width <= 0 || height <= 0) return [];
+  const scale = (width * height) / total;
+  const pending = items.filter(item => item.value > 0).map(item => ({ item, area: item.value * scale }));
+  const placed = [];
+  let rect = { x, y, width, height };
+
+  const layoutRow = (row) => {
+    const sum = row.reduce((total, entry) => total + entry.area, 0);
+    const horizontal = rect.width >= rect.height;
+    const thickness = sum / (horizontal ? rect.height : rect.width);
+    let offset = 0;
+    row.forEach(entry => {
+      const length = entry.area / thickness;
+      placed.push(horizontal
+        ? { item: entry.item, x: rect.x, y: rect.y + offset, width: thickness, height: length }
+        : { item: entry.item, x: rect.x + offset, y: rect.y, width: length, height: thickness });
+      offset += length;
+    });
+    rect = horizontal
+      ? { x: rect.x + thickness, y: rect.y, width: rect.width - thickness, height: rect.height }
+      : { x: rect.x, y: rect.y + thickness, width: rect.width, height: rect.height - thickness };
+  };
+
+  let row = [];
+  while (pending.length) {
+    const side = Math.min(rect.width, rect.height);
+    const next = pending[0];
+    if (row.length === 0 || worstRatio([...row, next], side) <= worstRatio(row, side)) {
+      row.push(pending.shift());
+    } else {
+      layoutRow(row);
+      row = [];
+    }
+  }
+  if (row.length) layoutRow(row);
+  return placed;
+};
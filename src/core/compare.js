@@ -0,0 +1,131 @@
+// Compares a baseline and a current results document.
+// Findings are matched on file, function, category and whitespace-normalized code so that
+// edits which only shift line numbers do not show up as fixed + new.
+import { SEVERITY_ORDER, highestSeverity } from './aggregate.js';
+
+export const STAT_KEYS = ['totalFiles', 'totalIssues', 'highSeverity', 'mediumSeverity', 'lowSeverity', 'totalEffortScore'];
+
+// The Markdown report is written in English whatever the UI language, like the other exports
+const STAT_LABELS = {
+  totalFiles: 'Total Files',
+  totalIssues: 'Total Issues',
+  highSeverity: 'High Severity',
+  mediumSeverity: 'Medium Severity',
+  lowSeverity: 'Low Severity',
+  totalEffortScore: 'Effort Score'
+};
+
+// Collapses whitespace and drops it around punctuation, so reformatting alone does not break a match
+export const normalizeCode = (code) => String(code || '')
+  .replace(/\s+/g, ' ')
+  .replace(/\s*([^\w\s])\s*/g, '$1')
+  .trim();
+
+export const findingKey = (finding) =>
+  [finding.filename, finding.function, finding.category, normalizeCode(finding.code)].join('\u0000');
+
+const groupByKey = (findings) => {
+  const groups = new Map();
+  findings.forEach(finding => {
+    const key = findingKey(finding);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(finding);
+  });
+  return groups;
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Returns { new, fixed, unchanged } where unchanged entries carry the baseline line number
+export const matchFindings = (baselineFindings, currentFindings) => {
+  const remaining = groupByKey(baselineFindings);
+  const result = { new: [], fixed: [], unchanged: [] };
+
+  currentFindings.forEach(finding => {
+    const candidates = remaining.get(findingKey(finding));
+    if (!candidates || candidates.length === 0) {
+      result.new.push(finding);
+      return;
+    }
+    // Identical keys can repeat in one file; pair each with the nearest baseline line
+    let bestIndex = 0;
+    candidates.forEach((candidate, index) => {
+      if (Math.abs(candidate.lineNum - finding.lineNum) < Math.abs(candidates[bestIndex].lineNum - finding.lineNum)) {
+        bestIndex = index;
+      }
+    });
+    const [match] = candidates.splice(bestIndex, 1);
+    result.unchanged.push({ ...finding, baselineLineNum: match.lineNum });
+  });
+
+  remaining.forEach(candidates => result.fixed.push(...candidates));
+  return result;
+};
+
+export const compareResults = (baseline, current) => {
+  const matched = matchFindings(baseline.detailed, current.detailed);
+  const categoryNames = [...new Set([...baseline.detailed, ...current.detailed].map(f => f.category))];
+
+  const categories = categoryNames
+    .map(category => {
+      const inCategory = (f) => f.category === category;
+      const entry = {
+        category,
+        new: matched.new.filter(inCategory),
+        fixed: matched.fixed.filter(inCategory),
+        unchanged: matched.unchanged.filter(inCategory)
+      };
+      entry.severity = highestSeverity([...entry.new, ...entry.fixed, ...entry.unchanged].map(f => f.severity));
+      return entry;
+    })
+    .sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) || b.new.length - a.new.length);
+
+  const statsDelta = {};
+  STAT_KEYS.forEach(key => {
+    const before = (baseline.stats && baseline.stats[key]) || 0;
+    const after = (current.stats && current.stats[key]) || 0;
+    statsDelta[key] = { baseline: before, current: after, delta: round(after - before) };
+  });
+
+  return {
+    baseline: { projectName: baseline.projectName, scanDate: baseline.scanDate },
+    current: { projectName: current.projectName, scanDate: current.scanDate },
+    totals: {
+      new: matched.new.length,
+      fixed: matched.fixed.length,
+      unchanged: matched.unchanged.length
+    },
+    statsDelta,
+    categories
+  };
+};
+
+export const formatDelta = (delta) => (delta > 0 ? `+${delta}` : `${delta}`);
+
+const findingLine = (f) => `- \`${f.filename}:${f.lineNum}\` ${f.function} — \`${normalizeCode(f.code).replace(/`/g, "'")}\``;
+
+export const comparisonToMarkdown = (comparison) => {
+  const lines = [
+    `# Statelessor comparison: ${comparison.current.projectName}`,
+    '',
+    `Baseline: ${comparison.baseline.projectName} (${comparison.baseline.scanDate})`,
+    `Current: ${comparison.current.projectName} (${comparison.current.scanDate})`,
+    '',
+    `**${comparison.totals.new} new**, **${comparison.totals.fixed} fixed**, ${comparison.totals.unchanged} unchanged`,
+    '',
+    '| Metric | Baseline | Current | Delta |',
+    '| --- | ---: | ---: | ---: |',
+    ...STAT_KEYS.map(key => {
+      const s = comparison.statsDelta[key];
+      return `| ${STAT_LABELS[key]} | ${s.baseline} | ${s.current} | ${formatDelta(s.delta)} |`;
+    })
+  ];
+
+  comparison.categories.forEach(c => {
+    lines.push('', `## ${c.category} (${c.severity})`, '', `${c.new.length} new, ${c.fixed.length} fixed, ${c.unchanged.length} unchanged`);
+    if (c.new.length) lines.push('', '### New', ...c.new.map(findingLine));
+    if (c.fixed.length) lines.push('', '### Fixed', ...c.fixed.map(findingLine));
+  });
+
+  return lines.join('\n') + '\n';
+};
@@ -0,0 +1,90 @@
+import { buildResults } from './aggregate.js';
+import { compareResults, comparisonToMarkdown, formatDelta, matchFindings, normalizeCode } from './compare.js';
+import { finding } from './testFixtures.js';
+
+describe('normalizeCode', () => {
+  it('ignores reformatting', () => {
+    expect(normalizeCode('Session[ "user" ]  =\n\tuser ;')).toBe(normalizeCode('Session["user"] = user;'));
+    expect(normalizeCode(null)).toBe('');
+  });
+});
+
+describe('matchFindings', () => {
+  it('keeps findings whose lines moved as unchanged', () => {
+    const matched = matchFindings([finding({ lineNum: 10 })], [finding({ lineNum: 14, code: 'Session[ "user" ]  =  user;' })]);
+    expect(matched.new).toEqual([]);
+    expect(matched.fixed).toEqual([]);
+    expect(matched.unchanged).toEqual([expect.objectContaining({ lineNum: 14, baselineLineNum: 10 })]);
+  });
+
+  it('reports findings only in the baseline as fixed and only in the current analysis as new', () => {
+    const matched = matchFindings([finding({ function: 'Logout' })], [finding({ function: 'Index' })]);
+    expect(matched.fixed.map(f => f.function)).toEqual(['Logout']);
+    expect(matched.new.map(f => f.function)).toEqual(['Index']);
+  });
+
+  it('pairs repeated identical findings with the nearest baseline line', () => {
+    const matched = matchFindings(
+      [finding({ lineNum: 10 }), finding({ lineNum: 50 })],
+      [finding({ lineNum: 52 })]
+    );
+    expect(matched.unchanged[0].baselineLineNum).toBe(50);
+    expect(matched.fixed.map(f => f.lineNum)).toEqual([10]);
+  });
+});
+
+describe('compareResults', () => {
+  const baseline = buildResults({
+    projectType: 'dotnet',
+    scanDate: '2024-01-01T00:00:00Z',
+    findings: [
+      finding({ severity: 'medium' }),
+      finding({ filename: 'Global.asax.cs', category: 'Application State', code: 'Application["hits"] = 0;' })
+    ]
+  }, { projectName: 'Shop' });
+  const current = buildResults({
+    projectType: 'dotnet',
+    scanDate: '2024-03-01T00:00:00Z',
+    findings: [
+      finding({ severity: 'medium', lineNum: 3 }),
+      finding({ filename: 'Cache.cs', category: 'In-Process Cache', severity: 'low', code: 'MemoryCache.Default' })
+    ]
+  }, { projectName: 'Shop' });
+
+  it('counts new, fixed and unchanged findings per category', () => {
+    const comparison = compareResults(baseline, current);
+    expect(comparison.totals).toEqual({ new: 1, fixed: 1, unchanged: 1 });
+    expect(comparison.categories.map(c => [c.category, c.severity, c.new.length, c.fixed.length, c.unchanged.length])).toEqual([
+      ['Application State', 'high', 0, 1, 0],
+      ['Session State', 'medium', 0, 0, 1],
+      ['In-Process Cache', 'low', 1, 0, 0]
+    ]);
+  });
+
+  it('reports the change of every statistic', () => {
+    const { statsDelta } = compareResults(baseline, current);
+    expect(statsDelta.totalIssues).toEqual({ baseline: 2, current: 2, delta: 0 });
+    expect(statsDelta.highSeverity).toEqual({ baseline: 1, current: 0, delta: -1 });
+    expect(statsDelta.lowSeverity).toEqual({ baseline: 0, current: 1, delta: 1 });
+    expect(statsDelta.totalEffortScore.delta).toBe(
+      Math.round((current.stats.totalEffortScore - baseline.stats.totalEffortScore) * 10) / 10
+    );
+  });
+
+  it('renders a Markdown report with new and fixed findings', () => {
+    const markdown = comparisonToMarkdown(compareResults(baseline, current));
+    expect(markdown).toMatch(/^# Statelessor comparison: Shop\n/);
+    expect(markdown).toContain('**1 new**, **1 fixed**, 1 unchanged');
+    expect(markdown).toContain('| High Severity | 1 | 0 | -1 |');
+    expect(markdown).toContain('### Fixed\n- `Global.asax.cs:1` Index — `Application["hits"]=0;`');
+    expect(markdown).toContain('### New\n- `Cache.cs:1` Index — `MemoryCache.Default`');
+  });
+});
+
+describe('formatDelta', () => {
+  it('signs increases', () => {
+    expect(formatDelta(2)).toBe('+2');
+    expect(formatDelta(-1.5)).toBe('-1.5');
+    expect(formatDelta(0)).toBe('0');
+  });
+});
@@ -0,0 +1,31 @@
+// Source context around a finding: { startLine, lines[] } where startLine is 1-based.
+// Embedded in findings as the optional `context` field by the local scanner and the scripts.
+export const DEFAULT_CONTEXT_LINES = 5;
+export const MAX_CONTEXT_LINES = 10;
+
+// Same method-declaration heuristic the scripts use to name the enclosing function
+export const FUNCTION_PATTERN = /(public|private|protected|internal).*\s+(\w+)\s*\(/;
+
+export const captureContext = (lines, index, radius = MAX_CONTEXT_LINES) => {
+  const start = Math.max(0, index - radius);
+  return { startLine: start + 1, lines: lines.slice(start, index + radius + 1) };
+};
+
+export const contextWindow = (context, lineNum, radius) => {
+  const from = Math.max(context.startLine, lineNum - radius);
+  const to = Math.min(context.startLine + context.lines.length - 1, lineNum + radius);
+  return {
+    startLine: from,
+    lines: context.lines.slice(from - context.startLine, to - context.startLine + 1)
+  };
+};
+
+// Line number of the enclosing function's declaration if it falls inside the context
+export const findFunctionLine = (context, lineNum, functionName) => {
+  if (!functionName || functionName === 'Unknown') return null;
+  for (let n = lineNum; n >= context.startLine; n--) {
+    const match = context.lines[n - context.startLine].match(FUNCTION_PATTERN);
+    if (match && match[2] === functionName) return n;
+  }
+  return null;
+};
@@ -0,0 +1,148 @@
+// Organization-specific rules authored in the rule catalog. They have the same shape as the
+// built-in rules and travel as a stateful-patterns.json style document ({ version, patterns }).
+import { SEVERITY_ORDER } from './aggregate.js';
+import { message } from './i18n.js';
+import { BUILT_IN_RULES, LANGUAGES, RULES_VERSION } from './rules.js';
+import { NO_EXCLUDE } from './scriptRules.js';
+
+export const CUSTOM_RULE_PREFIX = 'custom-';
+
+export const EMPTY_RULE = {
+  language: 'dotnet',
+  category: '',
+  severity: 'medium',
+  regex: '',
+  exclude: '',
+  remediation: ''
+};
+
+// The generated scripts keep rules in a tab-separated table, one rule per line
+const TABLE_UNSAFE = /[\t\r\n]/;
+
+const compileError = (source) => {
+  try {
+    RegExp(source);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// Field errors as { field: message }; an empty object means the rule can be saved. Regex syntax
+// errors pass on the engine's own wording.
+export const validateRule = (rule, otherRules = []) => {
+  const errors = {};
+  if (!LANGUAGES[rule.language]) errors.language = message('rules.error.language');
+  if (!SEVERITY_ORDER.includes(rule.severity)) errors.severity = message('rules.error.severity', { severities: SEVERITY_ORDER.join(', ') });
+  if (!rule.category.trim()) errors.category = message('rules.error.category');
+  if (!rule.regex) {
+    errors.regex = message('rules.error.regex');
+  } else {
+    const error = compileError(rule.regex);
+    if (error) errors.regex = message('rules.error.invalidRegex', { message: error });
+    else if (new RegExp(rule.regex).test('')) errors.regex = message('rules.error.matchesEmpty');
+  }
+  if (rule.exclude) {
+    const error = compileError(rule.exclude);
+    if (error) errors.exclude = message('rules.error.invalidRegex', { message: error });
+    else if (rule.exclude === NO_EXCLUDE) errors.exclude = message('rules.error.noExclude', { value: NO_EXCLUDE });
+  }
+  if (!rule.remediation.trim()) errors.remediation = message('rules.error.remediation');
+  ['category', 'regex', 'exclude', 'remediation'].forEach(field => {
+    if (!errors[field] && TABLE_UNSAFE.test(rule[field] || '')) errors[field] = message('rules.error.tableUnsafe');
+  });
+  const duplicate = [...BUILT_IN_RULES, ...otherRules]
+    .find(other => other.id !== rule.id && other.language === rule.language && other.regex === rule.regex);
+  if (!errors.regex && duplicate) errors.regex = message('rules.error.duplicate', { id: duplicate.id });
+  return errors;
+};
+
+// Stored rules only keep the exclude field when one is set, like the built-in rules
+export const normalizeRule = (rule) => {
+  const { exclude, ...fields } = {
+    id: rule.id,
+    language: rule.language,
+    regex: rule.regex,
+    exclude: rule.exclude,
+    category: rule.category.trim(),
+    severity: rule.severity,
+    remediation: rule.remediation.trim()
+  };
+  return exclude ? { ...fields, exclude } : fields;
+};
+
+const matchSpans = (pattern, line) => {
+  const global = new RegExp(pattern.source, `${pattern.flags}g`);
+  const spans = [];
+  let match;
+  while ((match = global.exec(line)) !== null) {
+    if (match[0].length === 0) {
+      global.lastIndex += 1;
+    } else {
+      spans.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return spans;
+};
+
+// Runs a rule over a pasted snippet the way the scanner does, line by line.
+// Each line: { lineNum, text, spans, excluded, reported, caseOnly }. caseOnly marks lines that only
+// PowerShell's case-insensitive -match would report.
+export const testRule = (rule, snippet) => {
+  if (!rule.regex || compileError(rule.regex) || (rule.exclude && compileError(rule.exclude))) return null;
+  const pattern = new RegExp(rule.regex);
+  const ignoreCase = new RegExp(rule.regex, 'i');
+  const exclude = rule.exclude ? new RegExp(rule.exclude) : null;
+  const excludeIgnoreCase = rule.exclude ? new RegExp(rule.exclude, 'i') : null;
+
+  const lines = snippet.split(/\r?\n/).map((text, index) => {
+    const spans = matchSpans(pattern, text);
+    const excluded = spans.length > 0 && !!exclude && exclude.test(text);
+    const reportedIgnoringCase = ignoreCase.test(text) && !(excludeIgnoreCase && excludeIgnoreCase.test(text));
+    return {
+      lineNum: index + 1,
+      text,
+      spans,
+      excluded,
+      reported: spans.length > 0 && !excluded,
+      caseOnly: reportedIgnoringCase !== (spans.length > 0 && !excluded)
+    };
+  });
+  return {
+    lines,
+    reported: lines.filter(line => line.reported).length,
+    excluded: lines.filter(line => line.excluded).length,
+    caseOnly: lines.filter(line => line.caseOnly).length
+  };
+};
+
+export const exportRuleSet = (rules) => ({
+  version: RULES_VERSION,
+  patterns: rules.map(normalizeRule)
+});
+
+// Accepts an exported rule set or a bare array of rules. Returns { rules, errors } where errors are
+// { number, label, messages } for the rules that were skipped; label is their id, if they have one.
+export const importRuleSet = (document, existing = []) => {
+  const patterns = Array.isArray(document) ? document : document && document.patterns;
+  if (!Array.isArray(patterns)) throw new Error('Expected a rule set with a "patterns" array');
+
+  const rules = [];
+  const errors = [];
+  const usedIds = new Set(existing.map(rule => rule.id));
+  patterns.forEach((pattern, index) => {
+    const rule = Object.fromEntries(Object.keys(EMPTY_RULE)
+      .map(field => [field, pattern && pattern[field] != null ? String(pattern[field]) : EMPTY_RULE[field]]));
+    const messages = Object.values(validateRule(rule, [...existing, ...rules]));
+    if (messages.length) {
+      errors.push({ number: index + 1, label: String((pattern && pattern.id) || ''), messages });
+      return;
+    }
+    let id = String(pattern.id || `${CUSTOM_RULE_PREFIX}${rule.language}-${index + 1}`);
+    if (!id.startsWith(CUSTOM_RULE_PREFIX)) id = CUSTOM_RULE_PREFIX + id;
+    while (usedIds.has(id)) id += '-copy';
+    usedIds.add(id);
+    rules.push(normalizeRule({ ...rule, id }));
+  });
+  return { rules, errors };
+};
@@ -0,0 +1,34 @@
+// RFC 4180: quote every field and double embedded quotes, so snippets containing
+// quotes, commas or line breaks survive a round trip through Excel
+export const escapeCsvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+export const toCsv = (rows) => rows.map(row => row.map(escapeCsvCell).join(',')).join('\r\n') + '\r\n';
+
+const csvExporter = {
+  id: 'csv',
+  label: 'CSV',
+  extension: 'csv',
+  mimeType: 'text/csv',
+  // CSV follows the active filter so each team can get only its own findings
+  usesFilter: true,
+  // Multi-module results get a Module column so each service team can filter its rows.
+  // The quality gate follows the findings after an empty row, one row per policy.
+  render: (results, { findings = results.detailed, verdict = null } = {}) => {
+    const withModule = !!results.modules && results.modules.length > 1;
+    return toCsv([
+      ['Filename', 'Function', 'Line', 'Code', 'Issue Type', 'Severity', 'Remediation', ...(withModule ? ['Module'] : [])],
+      ...findings.map(f => [f.filename, f.function, f.lineNum, f.code, f.category, f.severity, f.remediation, ...(withModule ? [f.module] : [])]),
+      ...(verdict ? [
+        [],
+        ['Quality Gate', verdict.passed ? 'Passed' : 'Failed'],
+        ['Policy', 'Actual', 'Operator', 'Threshold', 'Result'],
+        ...verdict.checks.map(check => [check.name, check.actual, check.operator, check.threshold, check.passed ? 'Passed' : 'Failed'])
+      ] : [])
+    ]);
+  }
+};
+
+export default csvExporter;
@@ -0,0 +1,58 @@
+import { buildResults } from '../aggregate.js';
+import { finding } from '../testFixtures.js';
+import csv, { escapeCsvCell, toCsv } from './csv.js';
+
+describe('escapeCsvCell', () => {
+  it('quotes every field and doubles embedded quotes', () => {
+    expect(escapeCsvCell('Session["user"]')).toBe('"Session[""user""]"');
+    expect(escapeCsvCell('a, b')).toBe('"a, b"');
+    expect(escapeCsvCell('first\r\nsecond')).toBe('"first\r\nsecond"');
+    expect(escapeCsvCell(12)).toBe('"12"');
+    expect(escapeCsvCell(null)).toBe('""');
+    expect(escapeCsvCell(undefined)).toBe('""');
+  });
+});
+
+describe('toCsv', () => {
+  it('ends every row with CRLF, including the last', () => {
+    expect(toCsv([['a', 'b'], [], ['c']])).toBe('"a","b"\r\n\r\n"c"\r\n');
+  });
+});
+
+describe('CSV exporter', () => {
+  const results = buildResults({
+    projectType: 'dotnet',
+    scanDate: '2024-05-01T08:00:00Z',
+    findings: [finding({ code: 'cache["a,b"] =\n  value;', remediation: 'Use Redis, not memory' })]
+  });
+
+  it('writes one row per finding that survives commas, quotes and line breaks', () => {
+    const [header, row] = csv.render(results).split('\r\n');
+    expect(header).toBe('"Filename","Function","Line","Code","Issue Type","Severity","Remediation"');
+    expect(row).toBe('"Controllers/HomeController.cs","Index","1","cache[""a,b""] =\n  value;","Session State","high","Use Redis, not memory"');
+  });
+
+  it('adds a module column for multi-module results', () => {
+    const modular = {
+      ...results,
+      modules: [{ path: 'api' }, { path: 'web' }],
+      detailed: results.detailed.map(f => ({ ...f, module: 'api' }))
+    };
+    const [header, row] = csv.render(modular).split('\r\n');
+    expect(header.endsWith(',"Module"')).toBe(true);
+    expect(row.endsWith(',"api"')).toBe(true);
+  });
+
+  it('follows the findings with the quality gate', () => {
+    const verdict = {
+      passed: false,
+      checks: [{ name: 'No "high", ever', actual: 1, operator: '<=', threshold: 0, passed: false }]
+    };
+    expect(csv.render(results, { verdict }).split('\r\n').slice(2, 6)).toEqual([
+      '',
+      '"Quality Gate","Failed"',
+      '"Policy","Actual","Operator","Threshold","Result"',
+      '"No ""high"", ever","1","<=","0","Failed"'
+    ]);
+  });
+});
@@ -0,0 +1,124 @@
+// Self-contained, printable HTML report: no scripts, no external assets
+import { POLICY_OPERATORS, formatMetricValue } from '../policies.js';
+
+export const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #111827; margin: 2rem auto; max-width: 960px; padding: 0 1rem; }
+  h1 { color: #1d4ed8; margin-bottom: 0.25rem; }
+  h2 { border-bottom: 2px solid #e5e7eb; padding-bottom: 0.25rem; margin-top: 2rem; }
+  .meta { color: #6b7280; }
+  .stats { display: grid; grid-template-columns: repeat(6, 1fr); gap: 0.5rem; margin: 1.5rem 0; }
+  .stat { border: 1px solid #e5e7eb; border-radius: 0.5rem; padding: 0.75rem; }
+  .stat span { display: block; color: #6b7280; font-size: 0.75rem; }
+  .stat strong { font-size: 1.25rem; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.875rem; }
+  th, td { text-align: left; padding: 0.4rem 0.5rem; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+  th { background: #f9fafb; }
+  code { font-family: 'SF Mono', Monaco, Consolas, monospace; font-size: 0.8rem; white-space: pre-wrap; word-break: break-all; }
+  .badge { display: inline-block; padding: 0.1rem 0.5rem; border-radius: 9999px; font-size: 0.7rem; font-weight: 600; text-transform: uppercase; }
+  .high { background: #fee2e2; color: #991b1b; }
+  .medium { background: #fef3c7; color: #92400e; }
+  .low { background: #dbeafe; color: #1e40af; }
+  .remediation { background: #eff6ff; border-left: 3px solid #3b82f6; padding: 0.5rem 0.75rem; margin: 0.5rem 0; }
+  .action { border-left: 3px solid #7c3aed; padding: 0.5rem 0.75rem; margin: 0.75rem 0; background: #faf5ff; }
+  .action h3 { margin: 0 0 0.25rem; font-size: 1rem; }
+  .gate { border: 1px solid; border-radius: 0.5rem; padding: 0.75rem 1rem; margin: 1.5rem 0; }
+  .gate h2 { border: none; margin: 0 0 0.5rem; padding: 0; font-size: 1.1rem; }
+  .gate.passed { border-color: #6ee7b7; background: #ecfdf5; }
+  .gate.failed { border-color: #fca5a5; background: #fef2f2; }
+  .gate .failed-check { color: #991b1b; font-weight: 600; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    section { break-inside: avoid-page; }
+    tr { break-inside: avoid; }
+  }
+`;
+
+const qualityGate = (verdict) => {
+  if (!verdict) return '';
+  const rows = verdict.checks.map(check => `<tr${check.passed ? '' : ' class="failed-check"'}><td>${escapeHtml(check.name)}</td><td>${escapeHtml(formatMetricValue(check.actual))}</td><td>${escapeHtml(`${POLICY_OPERATORS[check.operator].label} ${formatMetricValue(check.threshold)}`)}</td><td>${check.passed ? 'Passed' : 'Failed'}</td></tr>`).join('\n');
+  return `<section class="gate ${verdict.passed ? 'passed' : 'failed'}">
+<h2>Quality gate: ${verdict.passed ? 'Passed' : 'Failed'}</h2>
+<table><thead><tr><th>Policy</th><th>Actual</th><th>Threshold</th><th>Result</th></tr></thead><tbody>
+${rows}
+</tbody></table>
+</section>`;
+};
+
+const statCard = (label, value) => `<div class="stat"><span>${escapeHtml(label)}</span><strong>${escapeHtml(value)}</strong></div>`;
+
+export const toHtml = (results, { verdict = null } = {}) => {
+  const { stats } = results;
+  const byId = new Map(results.detailed.map(d => [d.id, d]));
+
+  const categories = results.summary.map(category => {
+    const rows = category.detailIds
+      .map(id => byId.get(id))
+      .filter(Boolean)
+      .map(f => `<tr><td>${escapeHtml(f.filename)}</td><td>${escapeHtml(f.function === 'Unknown' ? 'Class Level' : f.function)}</td><td>${escapeHtml(f.lineNum)}</td><td><code>${escapeHtml(f.code)}</code></td></tr>`)
+      .join('\n');
+    return `<section>
+  <h3><span class="badge ${escapeHtml(category.severity)}">${escapeHtml(category.severity)}</span> ${escapeHtml(category.category)} (${category.occurrences} occurrences, effort ${Math.round(category.effortScore)})</h3>
+  <div class="remediation">${escapeHtml(category.remediation)}</div>
+  <table><thead><tr><th>File</th><th>Function</th><th>Line</th><th>Code</th></tr></thead><tbody>
+${rows}
+  </tbody></table>
+</section>`;
+  }).join('\n');
+
+  const modules = results.modules && results.modules.length > 1 ? `<h2>Modules</h2>
+<table><thead><tr><th>Module</th><th>Path</th><th>Type</th><th>Files</th><th>Issues</th><th>High</th><th>Effort</th></tr></thead><tbody>
+${results.modules.map(m => `<tr><td>${escapeHtml(m.name)}</td><td><code>${escapeHtml(m.path)}</code></td><td>${escapeHtml(m.projectType)}</td><td>${m.stats.totalFiles}</td><td>${m.stats.totalIssues}</td><td>${m.stats.highSeverity}</td><td>${Math.round(m.stats.totalEffortScore)}</td></tr>`).join('\n')}
+</tbody></table>` : '';
+
+  const actions = (results.actions || []).map(action => `<div class="action">
+  <h3>${escapeHtml(action.category)} — effort ${escapeHtml(action.finalEffort)}</h3>
+  <p>${escapeHtml(action.description)}</p>
+  ${action.subActions && action.subActions.length ? `<ul>${action.subActions.map(sub => `<li>${escapeHtml(sub)}</li>`).join('')}</ul>` : ''}
+</div>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Statelessor report: ${escapeHtml(results.projectName)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(results.projectName)}</h1>
+<p class="meta">${escapeHtml(results.projectType.toUpperCase())} • Scanned on ${escapeHtml(new Date(results.scanDate).toLocaleString())}${results.complexityFactor > 1 ? ` • Complexity Factor: ${escapeHtml(results.complexityFactor)}x` : ''}</p>
+<div class="stats">
+${statCard('Total Files', stats.totalFiles)}
+${statCard('Total Issues', stats.totalIssues)}
+${statCard('High Severity', stats.highSeverity)}
+${statCard('Medium Severity', stats.mediumSeverity)}
+${statCard('Low Severity', stats.lowSeverity)}
+${statCard('Effort Score', Math.round(stats.totalEffortScore))}
+</div>
+${qualityGate(verdict)}
+${modules}
+<h2>Findings</h2>
+${categories}
+${actions ? `<h2>Implementation Roadmap</h2>\n${actions}` : ''}
+<p class="meta">Generated by Statelessor on ${escapeHtml(new Date().toLocaleString())}</p>
+</body>
+</html>
+`;
+};
+
+const htmlExporter = {
+  id: 'html',
+  label: 'HTML report',
+  extension: 'html',
+  mimeType: 'text/html',
+  render: (results, { verdict } = {}) => toHtml(results, { verdict })
+};
+
+export default htmlExporter;
@@ -0,0 +1,37 @@
+// Export formats for a results document.
+// An exporter is { id, label, extension, mimeType, usesFilter?, render(results, { findings, verdict }) => string };
+// register more with registerExporter. verdict is the quality gate outcome (core/policies) or null, and
+// every format includes it so a report can be signed off on its own.
+import csv from './csv.js';
+import html from './html.js';
+import json from './json.js';
+import markdown from './markdown.js';
+import sarif from './sarif.js';
+
+const exporters = [csv, sarif, json, markdown, html];
+
+export const getExporters = () => [...exporters];
+
+export const getExporter = (id) => exporters.find(exporter => exporter.id === id);
+
+export const registerExporter = (exporter) => {
+  const index = exporters.findIndex(e => e.id === exporter.id);
+  if (index === -1) {
+    exporters.push(exporter);
+  } else {
+    exporters[index] = exporter;
+  }
+};
+
+export const EXPORT_BASENAME = 'stateful-analysis-results';
+
+// Returns { content, filename, mimeType }
+export const renderExport = (id, results, context = {}) => {
+  const exporter = getExporter(id);
+  if (!exporter) throw new Error(`Unknown export format: ${id}`);
+  return {
+    content: exporter.render(results, context),
+    filename: `${EXPORT_BASENAME}.${exporter.extension}`,
+    mimeType: exporter.mimeType
+  };
+};
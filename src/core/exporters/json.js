@@ -0,0 +1,14 @@
+// The verdict goes in as qualityGate. One carried over from an imported file is dropped, since it
+// was decided by someone else's policies.
+const jsonExporter = {
+  id: 'json',
+  label: 'Results JSON',
+  extension: 'json',
+  mimeType: 'application/json',
+  render: (results, { verdict = null } = {}) => {
+    const { qualityGate, ...document } = results;
+    return JSON.stringify(verdict ? { ...document, qualityGate: verdict } : document, null, 2);
+  }
+};
+
+export default jsonExporter;
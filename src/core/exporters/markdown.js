@@ -0,0 +1,84 @@
+// Markdown summary sized for a pull request description or comment
+import { POLICY_OPERATORS, formatMetricValue } from '../policies.js';
+import { escapeHtml } from './html.js';
+
+const MAX_FINDINGS_PER_CATEGORY = 10;
+
+export const escapeCell = (text) => String(text === undefined || text === null ? '' : text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+const qualityGate = (verdict) => {
+  if (!verdict) return [];
+  return [
+    `### Quality gate: ${verdict.passed ? '✅ Passed' : '❌ Failed'}`,
+    '',
+    '| Policy | Actual | Threshold | Result |',
+    '| --- | ---: | ---: | --- |',
+    ...verdict.checks.map(check => `| ${escapeCell(check.name)} | ${formatMetricValue(check.actual)} | ${POLICY_OPERATORS[check.operator].label} ${formatMetricValue(check.threshold)} | ${check.passed ? 'Passed' : '**Failed**'} |`),
+    ''
+  ];
+};
+
+const inlineCode = (text) => `\`${String(text || '').replace(/`/g, "'")}\``;
+
+const moduleTable = (results) => {
+  if (!results.modules || results.modules.length < 2) return [];
+  return [
+    '| Module | Path | Type | Files | Issues | High | Effort |',
+    '| --- | --- | --- | ---: | ---: | ---: | ---: |',
+    ...results.modules.map(m => `| ${escapeCell(m.name)} | ${inlineCode(m.path)} | ${m.projectType} | ${m.stats.totalFiles} | ${m.stats.totalIssues} | ${m.stats.highSeverity} | ${Math.round(m.stats.totalEffortScore)} |`),
+    ''
+  ];
+};
+
+export const toMarkdown = (results, { verdict = null } = {}) => {
+  const { stats } = results;
+  const lines = [
+    `## Statelessor: ${results.projectName}`,
+    '',
+    `${results.projectType.toUpperCase()} • scanned ${results.scanDate}${results.complexityFactor > 1 ? ` • complexity factor ${results.complexityFactor}x` : ''}`,
+    '',
+    '| Files | Issues | High | Medium | Low | Effort |',
+    '| ---: | ---: | ---: | ---: | ---: | ---: |',
+    `| ${stats.totalFiles} | ${stats.totalIssues} | ${stats.highSeverity} | ${stats.mediumSeverity} | ${stats.lowSeverity} | ${Math.round(stats.totalEffortScore)} |`,
+    '',
+    ...qualityGate(verdict),
+    ...moduleTable(results),
+    '| Category | Severity | Occurrences | Effort |',
+    '| --- | --- | ---: | ---: |',
+    ...results.summary.map(c => `| ${escapeCell(c.category)} | ${c.severity} | ${c.occurrences} | ${Math.round(c.effortScore)} |`)
+  ];
+
+  const byId = new Map(results.detailed.map(d => [d.id, d]));
+  results.summary.forEach(category => {
+    const findings = category.detailIds.map(id => byId.get(id)).filter(Boolean);
+    lines.push('', '<details>', `<summary><strong>${escapeHtml(category.category)}</strong> (${findings.length})</summary>`, '');
+    if (category.remediation) lines.push(`> ${escapeCell(category.remediation)}`, '');
+    findings.slice(0, MAX_FINDINGS_PER_CATEGORY).forEach(f => {
+      lines.push(`- ${inlineCode(`${f.filename}:${f.lineNum}`)} ${f.function === 'Unknown' ? '' : `${f.function} `}— ${inlineCode(f.code)}`);
+    });
+    if (findings.length > MAX_FINDINGS_PER_CATEGORY) {
+      lines.push(`- ...and ${findings.length - MAX_FINDINGS_PER_CATEGORY} more`);
+    }
+    lines.push('', '</details>');
+  });
+
+  if (results.actions && results.actions.length) {
+    lines.push('', '### Implementation Roadmap', '');
+    results.actions.forEach(action => {
+      lines.push(`- **${action.category}** (effort ${action.finalEffort}): ${action.description}`);
+      (action.subActions || []).forEach(sub => lines.push(`  - ${sub}`));
+    });
+  }
+
+  return lines.join('\n') + '\n';
+};
+
+const markdownExporter = {
+  id: 'markdown',
+  label: 'Markdown summary',
+  extension: 'md',
+  mimeType: 'text/markdown',
+  render: (results, { verdict } = {}) => toMarkdown(results, { verdict })
+};
+
+export default markdownExporter;
@@ -0,0 +1,44 @@
+import { buildResults } from '../aggregate.js';
+import { finding } from '../testFixtures.js';
+import { escapeCell, toMarkdown } from './markdown.js';
+
+const results = buildResults({
+  projectType: 'dotnet',
+  scanDate: '2024-05-01T08:00:00Z',
+  rootPath: '/src/Shop',
+  findings: [
+    finding({ category: 'Cache <L1> & L2', code: 'cache[`key`] = a | b;' }),
+    ...Array.from({ length: 12 }, (_, index) => finding({ category: 'Static Field', severity: 'low', function: 'Unknown', lineNum: index + 1 }))
+  ]
+});
+
+describe('escapeCell', () => {
+  it('keeps pipes and line breaks from ending a table cell', () => {
+    expect(escapeCell('a | b\r\nc')).toBe('a \\| b c');
+    expect(escapeCell(undefined)).toBe('');
+  });
+});
+
+describe('toMarkdown', () => {
+  const markdown = toMarkdown(results);
+
+  it('summarizes the results in tables', () => {
+    expect(markdown).toMatch(/^## Statelessor: Shop\n/);
+    expect(markdown).toContain('| Cache <L1> & L2 | high | 1 |');
+  });
+
+  it('escapes category names inside the HTML of the collapsible sections', () => {
+    expect(markdown).toContain('<summary><strong>Cache &lt;L1&gt; &amp; L2</strong> (1)</summary>');
+  });
+
+  it('lists findings as inline code and caps each category', () => {
+    expect(markdown).toContain("- `Controllers/HomeController.cs:1` Index — `cache['key'] = a | b;`");
+    expect(markdown).toContain('- `Controllers/HomeController.cs:10` — `Session["user"] = user;`\n- ...and 2 more');
+  });
+
+  it('adds the quality gate when there is a verdict', () => {
+    const verdict = { passed: true, checks: [{ name: 'Low | medium', actual: 12, operator: '<=', threshold: 20, passed: true }] };
+    expect(toMarkdown(results, { verdict })).toContain('### Quality gate: ✅ Passed\n\n| Policy | Actual | Threshold | Result |\n| --- | ---: | ---: | --- |\n| Low \\| medium | 12 | ≤ 20 | Passed |');
+    expect(markdown).not.toContain('Quality gate');
+  });
+});
@@ -0,0 +1,58 @@
+// Sprint plan exports for a team backlog: one CSV row per sub-action, or a Markdown checklist per sprint.
+// Not registered as results exporters since they need the plan settings and progress.
+import { toCsv } from './csv.js';
+import { escapeCell } from './markdown.js';
+import { isTaskDone, planProgress } from '../planning.js';
+
+export const PLAN_BASENAME = 'statelessor-sprint-plan';
+
+const sprintLabel = (numbers) => (numbers.length > 1 ? `${numbers[0]}-${numbers[numbers.length - 1]}` : String(numbers[0]));
+
+export const planToCsv = (plan, progress) => {
+  const byId = new Map(plan.actions.map(a => [a.id, a]));
+  return toCsv([
+    ['Sprint', 'Order', 'Action', 'Category', 'Severity', 'Task', 'Hours', 'Action Effort', 'Depends On', 'Status'],
+    ...plan.actions.flatMap((action, order) => action.tasks.map(task => [
+      sprintLabel(task.sprints),
+      order + 1,
+      action.id,
+      action.category,
+      action.severity,
+      task.label,
+      task.hours,
+      action.effort,
+      action.dependsOn.map(id => byId.get(id).category).join('; '),
+      isTaskDone(progress, action.category, task.index) ? 'Done' : 'Open'
+    ]))
+  ]);
+};
+
+export const planToMarkdown = (plan, progress, { projectName, settings }) => {
+  const byId = new Map(plan.actions.map(a => [a.id, a]));
+  const overall = planProgress(plan, progress);
+  const lines = [
+    `## Remediation Plan: ${projectName}`,
+    '',
+    `${plan.actions.length} actions • ${plan.totalHours} h • ${plan.sprints.length} sprints of ${settings.sprintWeeks} weeks`
+      + ` (${plan.sprintCapacity} h each) • ${settings.hoursPerPoint} h per effort point • complexity factor ${plan.complexityFactor}x`
+      + ` • ${overall.percent}% done`
+  ];
+
+  plan.sprints.forEach(sprint => {
+    lines.push('', `### Sprint ${sprint.number} (weeks ${sprint.startWeek}-${sprint.endWeek}, ${sprint.hours} h)`, '');
+    let lastActionId = null;
+    sprint.items.forEach(item => {
+      const action = byId.get(item.actionId);
+      if (item.actionId !== lastActionId) {
+        const after = action.dependsOn.length ? ` (after ${action.dependsOn.map(id => byId.get(id).category).join(', ')})` : '';
+        lines.push(`- **${escapeCell(action.category)}** [${action.severity}, effort ${action.effort}]${after}: ${escapeCell(action.description)}`);
+        lastActionId = item.actionId;
+      }
+      const task = action.tasks[item.index];
+      const continued = task.sprints.length > 1 ? ` of ${task.hours} h, sprints ${sprintLabel(task.sprints)}` : '';
+      lines.push(`  - [${isTaskDone(progress, action.category, task.index) ? 'x' : ' '}] ${escapeCell(task.label)} (${item.hours} h${continued})`);
+    });
+  });
+
+  return lines.join('\n') + '\n';
+};
@@ -0,0 +1,111 @@
+// SARIF 2.1.0 log for code-scanning services and IDE SARIF viewers
+import { buildSummary } from '../aggregate.js';
+import { findingKey } from '../compare.js';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const TOOL_URI = 'https://github.com/aloksinghGIT/statelessor';
+
+// Justifications are read by English-speaking tools and reviewers, like the rest of the log
+const TRIAGE_LABELS = {
+  accepted: 'Accepted risk',
+  'false-positive': 'False positive',
+  'wont-fix': "Won't fix"
+};
+
+const LEVELS = {
+  high: 'error',
+  medium: 'warning',
+  low: 'note'
+};
+
+export const ruleIdFor = (category) => `statelessor/${category.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`;
+
+// FNV-1a, enough to give viewers a stable fingerprint across line shifts
+const fingerprint = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+};
+
+export const toSarif = (results, { findings = results.detailed, toolVersion = '1.0.0', verdict = null } = {}) => {
+  // Categories whose findings are all suppressed have left the summary, but their results still need a rule
+  const suppressedOnly = buildSummary((results.suppressed || [])
+    .filter(f => !results.summary.some(category => category.category === f.category)));
+  const rules = [...results.summary, ...suppressedOnly].map(category => ({
+    id: ruleIdFor(category.category),
+    name: category.category.replace(/[^A-Za-z0-9]/g, ''),
+    shortDescription: { text: category.category },
+    fullDescription: { text: `Stateful pattern: ${category.category}` },
+    help: { text: category.remediation || '' },
+    defaultConfiguration: { level: LEVELS[category.severity] || 'note' },
+    properties: { tags: ['statefulness', 'cloud-readiness'], severity: category.severity }
+  }));
+  const ruleIndex = new Map(rules.map((rule, index) => [rule.id, index]));
+
+  const toResult = (f) => {
+    const ruleId = ruleIdFor(f.category);
+    const location = {
+      physicalLocation: {
+        artifactLocation: { uri: f.filename, uriBaseId: 'SRCROOT' },
+        region: { startLine: f.lineNum, snippet: { text: f.code } }
+      }
+    };
+    if (f.function && f.function !== 'Unknown') {
+      location.logicalLocations = [{ name: f.function, kind: 'function' }];
+    }
+    return {
+      ruleId,
+      ruleIndex: ruleIndex.has(ruleId) ? ruleIndex.get(ruleId) : undefined,
+      level: LEVELS[f.severity] || 'note',
+      message: { text: `${f.category}: ${f.remediation || f.code}` },
+      locations: [location],
+      partialFingerprints: { 'statelessorFinding/v1': fingerprint(findingKey(f)) }
+    };
+  };
+
+  // Triaged findings stay in the log, marked as externally suppressed, so viewers can show them as dismissed
+  const suppressed = (results.suppressed || []).map(f => ({
+    ...toResult(f),
+    suppressions: [{
+      kind: 'external',
+      status: 'accepted',
+      justification: `${TRIAGE_LABELS[f.triage.state] || f.triage.state}: ${f.triage.justification} (${f.triage.author})`
+    }]
+  }));
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'Statelessor',
+          informationUri: TOOL_URI,
+          version: toolVersion,
+          rules
+        }
+      },
+      originalUriBaseIds: {
+        SRCROOT: { description: { text: results.projectName } }
+      },
+      // scanDate is when the scan started; results do not record when it ended
+      invocations: [{ executionSuccessful: true, startTimeUtc: results.scanDate }],
+      results: [...findings.map(toResult), ...suppressed],
+      // Property bags are free-form, so the quality gate rides along for pipelines that read the log
+      ...(verdict ? { properties: { qualityGate: verdict } } : {})
+    }]
+  };
+};
+
+const sarifExporter = {
+  id: 'sarif',
+  label: 'SARIF 2.1.0',
+  extension: 'sarif',
+  mimeType: 'application/sarif+json',
+  render: (results, { verdict } = {}) => JSON.stringify(toSarif(results, { verdict }), null, 2)
+};
+
+export default sarifExporter;
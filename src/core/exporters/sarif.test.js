@@ -0,0 +1,60 @@
+import { buildResults } from '../aggregate.js';
+import { finding } from '../testFixtures.js';
+import { ruleIdFor, toSarif } from './sarif.js';
+
+const results = buildResults({
+  projectType: 'dotnet',
+  scanDate: '2024-05-01T08:00:00Z',
+  rootPath: '/src/Shop',
+  findings: [
+    finding(),
+    finding({ category: 'In-Process Cache', severity: 'low', function: 'Unknown', lineNum: 7, code: 'MemoryCache.Default' })
+  ]
+});
+
+describe('ruleIdFor', () => {
+  it('turns a category into a stable slug', () => {
+    expect(ruleIdFor('In-Process Cache')).toBe('statelessor/in-process-cache');
+    expect(ruleIdFor(' Session State (ASP.NET) ')).toBe('statelessor/session-state-asp-net');
+  });
+});
+
+describe('toSarif', () => {
+  const log = toSarif(results, { toolVersion: '2.0.0' });
+  const [run] = log.runs;
+
+  it('writes a SARIF 2.1.0 log with one rule per category', () => {
+    expect(log.version).toBe('2.1.0');
+    expect(run.tool.driver.version).toBe('2.0.0');
+    expect(run.tool.driver.rules.map(rule => [rule.id, rule.defaultConfiguration.level])).toEqual([
+      ['statelessor/session-state', 'error'],
+      ['statelessor/in-process-cache', 'note']
+    ]);
+  });
+
+  it('points every result at its rule and location', () => {
+    const [session, cache] = run.results;
+    expect(session).toEqual(expect.objectContaining({ ruleId: 'statelessor/session-state', ruleIndex: 0, level: 'error' }));
+    expect(session.locations[0].physicalLocation).toEqual({
+      artifactLocation: { uri: 'Controllers/HomeController.cs', uriBaseId: 'SRCROOT' },
+      region: { startLine: 1, snippet: { text: 'Session["user"] = user;' } }
+    });
+    expect(session.locations[0].logicalLocations).toEqual([{ name: 'Index', kind: 'function' }]);
+    expect(cache.locations[0].logicalLocations).toBeUndefined();
+  });
+
+  it('keeps fingerprints stable when findings move', () => {
+    const moved = toSarif({ ...results, detailed: results.detailed.map(f => ({ ...f, lineNum: f.lineNum + 5 })) });
+    expect(moved.runs[0].results.map(r => r.partialFingerprints)).toEqual(run.results.map(r => r.partialFingerprints));
+  });
+
+  it('records when the scan started but not when it ended', () => {
+    expect(run.invocations).toEqual([{ executionSuccessful: true, startTimeUtc: '2024-05-01T08:00:00Z' }]);
+  });
+
+  it('carries the quality gate in the run properties', () => {
+    const verdict = { passed: true, checks: [] };
+    expect(toSarif(results, { verdict }).runs[0].properties).toEqual({ qualityGate: verdict });
+    expect(run.properties).toBeUndefined();
+  });
+});
@@ -0,0 +1,135 @@
+// Filtering and regrouping of results.detailed for the findings tree and exports
+import { SEVERITY_ORDER, highestSeverity } from './aggregate.js';
+
+export const EMPTY_FILTER = {
+  severities: [],
+  categories: [],
+  modules: [],
+  pathGlob: '',
+  functionName: '',
+  text: ''
+};
+
+// Labels are the filter.groupBy.<id> messages of the locale catalogs
+export const GROUP_BY_OPTIONS = [
+  { id: 'category' },
+  { id: 'module', multiModuleOnly: true },
+  { id: 'directory' },
+  { id: 'file' },
+  { id: 'severity' }
+];
+
+const escapeRegExp = (text) => text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+
+// Supports *, ** and ?. A glob without a slash matches the file name in any directory;
+// a plain word without wildcards matches anywhere in the path.
+export const globToRegExp = (glob) => {
+  const trimmed = glob.trim().replace(/\\/g, '/');
+  if (!/[*?]/.test(trimmed)) {
+    return new RegExp(escapeRegExp(trimmed), 'i');
+  }
+  let source = '';
+  for (let i = 0; i < trimmed.length; i++) {
+    const c = trimmed[i];
+    if (c === '*' && trimmed[i + 1] === '*') {
+      source += '.*';
+      i++;
+      if (trimmed[i + 1] === '/') i++;
+    } else if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else {
+      source += escapeRegExp(c);
+    }
+  }
+  return new RegExp(trimmed.includes('/') ? `^${source}$` : `(^|/)${source}$`, 'i');
+};
+
+export const isFilterActive = (filter) =>
+  filter.severities.length > 0 || filter.categories.length > 0 || (filter.modules || []).length > 0
+  || !!filter.pathGlob.trim() || !!filter.functionName.trim() || !!filter.text.trim();
+
+export const filterFindings = (findings, filter) => {
+  if (!isFilterActive(filter)) return findings;
+  const pathPattern = filter.pathGlob.trim() ? globToRegExp(filter.pathGlob) : null;
+  const functionName = filter.functionName.trim().toLowerCase();
+  const text = filter.text.trim().toLowerCase();
+  const modules = filter.modules || [];
+
+  return findings.filter(f =>
+    (filter.severities.length === 0 || filter.severities.includes(f.severity))
+    && (filter.categories.length === 0 || filter.categories.includes(f.category))
+    && (modules.length === 0 || modules.includes(f.module))
+    && (!pathPattern || pathPattern.test(f.filename))
+    && (!functionName || String(f.function).toLowerCase().includes(functionName))
+    && (!text || String(f.code).toLowerCase().includes(text))
+  );
+};
+
+// Spreads each category's effortScore evenly over its findings so that any regrouping
+// adds up to the same totals as the summary
+export const buildEffortIndex = (results) => {
+  const index = new Map();
+  results.summary.forEach(category => {
+    const share = category.detailIds.length ? category.effortScore / category.detailIds.length : 0;
+    category.detailIds.forEach(id => index.set(id, share));
+  });
+  return index;
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const directoryOf = (filename) => {
+  const slash = filename.lastIndexOf('/');
+  return slash === -1 ? '(root)' : filename.slice(0, slash);
+};
+
+const groupKeyFor = {
+  module: (f) => f.module || '(no module)',
+  directory: (f) => directoryOf(f.filename),
+  file: (f) => f.filename,
+  severity: (f) => f.severity
+};
+
+// Returns [{ id, label, severity, occurrences, effortScore, findings, category }]
+// where category is the summary entry when grouping by category
+export const groupFindings = (results, findings, groupBy, effortIndex) => {
+  const effortOf = (list) => round(list.reduce((sum, f) => sum + (effortIndex.get(f.id) || 0), 0));
+
+  if (groupBy === 'category') {
+    const byCategory = new Map(results.summary.map(c => [c.category, []]));
+    findings.forEach(f => {
+      if (byCategory.has(f.category)) byCategory.get(f.category).push(f);
+    });
+    return results.summary
+      .filter(c => byCategory.get(c.category).length > 0)
+      .map(c => {
+        const list = byCategory.get(c.category);
+        return { id: c.id, label: c.category, severity: c.severity, occurrences: list.length, effortScore: effortOf(list), findings: list, category: c };
+      });
+  }
+
+  const keyOf = groupKeyFor[groupBy];
+  const groups = new Map();
+  findings.forEach(f => {
+    const key = keyOf(f);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(f);
+  });
+
+  const moduleNames = new Map((results.modules || []).map(m => [m.path, m.path === m.name ? m.name : `${m.name} (${m.path})`]));
+  const entries = [...groups.entries()].map(([key, list]) => ({
+    id: `${groupBy}:${key}`,
+    label: groupBy === 'module' ? moduleNames.get(key) || key : key,
+    severity: groupBy === 'severity' ? key : highestSeverity(list.map(f => f.severity)),
+    occurrences: list.length,
+    effortScore: effortOf(list),
+    findings: list
+  }));
+
+  if (groupBy === 'severity') {
+    return entries.sort((a, b) => SEVERITY_ORDER.indexOf(a.label) - SEVERITY_ORDER.indexOf(b.label));
+  }
+  return entries.sort((a, b) => b.effortScore - a.effortScore || a.label.localeCompare(b.label));
+};
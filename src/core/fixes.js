@@ -0,0 +1,229 @@
+// AI-assisted fix suggestions: the prompt sent for a finding, parsing the proposed code out of
+// the answer, line diffs for review and the unified patch of all accepted fixes.
+import { MAX_CONTEXT_LINES } from './context.js';
+
+export const PATCH_CONTEXT_LINES = 3;
+const FIX_RADIUS = MAX_CONTEXT_LINES - PATCH_CONTEXT_LINES;
+
+// The lines the model may rewrite, { startLine, lines }: up to FIX_RADIUS lines either side of the
+// finding, keeping PATCH_CONTEXT_LINES of the known source around them for the patch
+export const fixWindow = (context, lineNum) => {
+  const first = context.startLine === 1 ? 1 : context.startLine + PATCH_CONTEXT_LINES;
+  const last = context.startLine + context.lines.length - 1 - PATCH_CONTEXT_LINES;
+  const from = Math.min(lineNum, Math.max(first, lineNum - FIX_RADIUS));
+  const to = Math.max(lineNum, Math.min(last, lineNum + FIX_RADIUS));
+  return { startLine: from, lines: context.lines.slice(from - context.startLine, to - context.startLine + 1) };
+};
+
+export const windowEndLine = (window) => window.startLine + window.lines.length - 1;
+
+const FENCE_LANGUAGE = { '.cs': 'csharp', '.java': 'java' };
+
+const fenceLanguage = (filename) => {
+  const match = filename.match(/\.\w+$/);
+  return (match && FENCE_LANGUAGE[match[0].toLowerCase()]) || '';
+};
+
+// Chat messages in the OpenAI chat completions format, which most LLM servers accept.
+// The "Flagged line" and "Remediation" lines are also read by the job server's stub.
+export const fixMessages = (finding, remediation, window) => [
+  {
+    role: 'system',
+    content: [
+      'You help make .NET and Java services stateless so they can scale horizontally.',
+      'You get a code snippet with one flagged line. Rewrite the snippet to remove the in-process state the finding describes, following the remediation.',
+      'Keep every other line unchanged, keep the indentation style, and do not add line numbers.',
+      'Answer with at most three sentences explaining the change, then the complete rewritten snippet in a single fenced code block.'
+    ].join(' ')
+  },
+  {
+    role: 'user',
+    content: [
+      `File: ${finding.filename}`,
+      `Finding: ${finding.category} (${finding.severity} severity)`,
+      `Function: ${finding.function === 'Unknown' ? 'class level' : finding.function}`,
+      `Flagged line: ${finding.lineNum - window.startLine + 1} of the snippet (line ${finding.lineNum} of the file)`,
+      `Remediation: ${remediation}`,
+      `Snippet (lines ${window.startLine}-${windowEndLine(window)}):`,
+      '',
+      `\`\`\`${fenceLanguage(finding.filename)}`,
+      ...window.lines,
+      '```'
+    ].join('\n')
+  }
+];
+
+// { explanation, lines } from the model's answer; throws when it has no code block
+export const parseFixResponse = (text) => {
+  const match = String(text || '').match(/```[^\n]*\n([\s\S]*?)\n?```/);
+  if (!match) throw new Error('The answer did not contain a code block');
+  return {
+    explanation: text.slice(0, match.index).trim(),
+    lines: match[1].split(/\r?\n/)
+  };
+};
+
+// Line diff as [{ type: 'same' | 'removed' | 'added', text, oldLine, newLine }]. Line numbers
+// are 1-based within the inputs; removed lines have no newLine and added lines no oldLine.
+export const diffLines = (before, after) => {
+  const n = before.length;
+  const m = after.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = before[i] === after[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && before[i] === after[j]) {
+      ops.push({ type: 'same', text: before[i], oldLine: i + 1, newLine: j + 1 });
+      i++;
+      j++;
+    } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ type: 'removed', text: before[i], oldLine: i + 1 });
+      i++;
+    } else {
+      ops.push({ type: 'added', text: after[j], newLine: j + 1 });
+      j++;
+    }
+  }
+  return ops;
+};
+
+export const hasChanges = (ops) => ops.some(op => op.type !== 'same');
+
+// Rows for a side-by-side view: unchanged lines on both sides, removed lines paired with the
+// lines added in their place. A side is null where the other side has no counterpart.
+export const sideBySide = (ops) => {
+  const rows = [];
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+      rows.push({ left: removed[k] || null, right: added[k] || null });
+    }
+    removed = [];
+    added = [];
+  };
+  ops.forEach(op => {
+    if (op.type === 'removed') removed.push(op);
+    else if (op.type === 'added') added.push(op);
+    else {
+      flush();
+      rows.push({ left: op, right: op });
+    }
+  });
+  flush();
+  return rows;
+};
+
+const patchPath = (filename) => filename.replace(/\\/g, '/').replace(/^\.\//, '');
+
+// The accepted fix in the same file whose lines overlap fix's, if any
+export const overlappingFix = (accepted, fix) => accepted.find(other => other !== fix
+  && patchPath(other.filename) === patchPath(fix.filename)
+  && other.window.startLine <= windowEndLine(fix.window)
+  && fix.window.startLine <= windowEndLine(other.window));
+
+const hunkRange = (start, count) => (count === 1 ? `${start}` : `${start},${count}`);
+
+const sameOps = (lines) => lines.map(text => ({ type: 'same', text }));
+
+// The fixes of one file as runs of consecutive original lines, { startLine, ops }: each fix's
+// window diffed against its proposed lines, with the known source around it as unchanged lines
+const fileRuns = (fixes) => {
+  const known = new Map();
+  fixes.forEach(fix => fix.context.lines.forEach((text, index) => known.set(fix.context.startLine + index, text)));
+  const windows = new Map(fixes.map(fix => [fix.window.startLine, fix]));
+  const runs = [];
+  let run = null;
+  const lastLine = Math.max(...known.keys());
+  for (let line = Math.min(...known.keys()); line <= lastLine;) {
+    const fix = windows.get(line);
+    if (!fix && !known.has(line)) {
+      run = null;
+      line++;
+      continue;
+    }
+    if (!run) {
+      run = { startLine: line, ops: [] };
+      runs.push(run);
+    }
+    if (fix) {
+      run.ops.push(...diffLines(fix.window.lines, fix.lines));
+      line += fix.window.lines.length;
+    } else {
+      run.ops.push(...sameOps([known.get(line)]));
+      line++;
+    }
+  }
+  return runs;
+};
+
+// Hunks of a run: changes with up to PATCH_CONTEXT_LINES unchanged lines around them.
+// offset is how many lines earlier runs added, so new line numbers stay correct.
+const runHunks = ({ startLine, ops }, offset) => {
+  // Old and new lines that come before each op
+  const oldBefore = [];
+  const newBefore = [];
+  ops.reduce(([oldCount, newCount], op, index) => {
+    oldBefore[index] = oldCount;
+    newBefore[index] = newCount;
+    return [oldCount + (op.type === 'added' ? 0 : 1), newCount + (op.type === 'removed' ? 0 : 1)];
+  }, [0, 0]);
+
+  const changed = ops.map((op, index) => (op.type === 'same' ? -1 : index)).filter(index => index >= 0);
+  const hunks = [];
+  let k = 0;
+  while (k < changed.length) {
+    let last = k;
+    while (last + 1 < changed.length && changed[last + 1] - changed[last] <= 2 * PATCH_CONTEXT_LINES + 1) last++;
+    const from = Math.max(0, changed[k] - PATCH_CONTEXT_LINES);
+    const slice = ops.slice(from, Math.min(ops.length, changed[last] + PATCH_CONTEXT_LINES + 1));
+    const oldCount = slice.filter(op => op.type !== 'added').length;
+    const newCount = slice.filter(op => op.type !== 'removed').length;
+    // An empty side names the line after which the change goes
+    hunks.push({
+      oldStart: startLine + oldBefore[from] - (oldCount === 0 ? 1 : 0),
+      oldCount,
+      newStart: startLine + offset + newBefore[from] - (newCount === 0 ? 1 : 0),
+      newCount,
+      lines: slice.map(op => `${op.type === 'same' ? ' ' : op.type === 'removed' ? '-' : '+'}${op.text}`)
+    });
+    k = last + 1;
+  }
+  const added = ops.filter(op => op.type === 'added').length - ops.filter(op => op.type === 'removed').length;
+  return { hunks, added };
+};
+
+// Unified diff of accepted fixes ({ filename, context, window, lines }), one section per file,
+// usable with `git apply` or `patch -p1` from the project root. Fixes must not overlap (see overlappingFix).
+export const buildPatch = (fixes) => {
+  const byFile = new Map();
+  fixes.forEach(fix => {
+    const path = patchPath(fix.filename);
+    if (!byFile.has(path)) byFile.set(path, []);
+    byFile.get(path).push(fix);
+  });
+  return [...byFile.keys()].sort().map(path => {
+    let offset = 0;
+    const hunks = fileRuns(byFile.get(path)).flatMap(run => {
+      const result = runHunks(run, offset);
+      offset += result.added;
+      return result.hunks;
+    });
+    if (hunks.length === 0) return '';
+    return [
+      `diff --git a/${path} b/${path}`,
+      `--- a/${path}`,
+      `+++ b/${path}`,
+      ...hunks.flatMap(hunk => [
+        `@@ -${hunkRange(hunk.oldStart, hunk.oldCount)} +${hunkRange(hunk.newStart, hunk.newCount)} @@`,
+        ...hunk.lines
+      ])
+    ].join('\n') + '\n';
+  }).join('');
+};
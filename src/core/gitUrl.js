@@ -0,0 +1,142 @@
+// Parses repository URLs for GitHub, GitLab, Bitbucket, Azure DevOps and self-hosted servers,
+// in HTTPS (https://host/owner/repo.git) and SSH (git@host:owner/repo.git, ssh://git@host:port/owner/repo) form.
+import { message } from './i18n.js';
+
+export const GIT_PROVIDERS = {
+  github: { label: 'GitHub', tokenUsername: 'x-access-token' },
+  gitlab: { label: 'GitLab', tokenUsername: 'oauth2' },
+  bitbucket: { label: 'Bitbucket', tokenUsername: 'x-token-auth' },
+  azure: { label: 'Azure DevOps', tokenUsername: 'pat' },
+  generic: { label: 'Git server', tokenUsername: 'git' }
+};
+
+const SCP_LIKE = /^(?:([\w.-]+)@)?([\w.-]+):(?!\/\/)(.+)$/;
+
+const stripGitSuffix = (name) => name.replace(/\.git$/i, '');
+
+const providerForHost = (host, path) => {
+  if (host === 'github.com' || /(^|\.)github\./.test(host)) return 'github';
+  if (host === 'dev.azure.com' || host === 'ssh.dev.azure.com' || /\.visualstudio\.com$/.test(host)) return 'azure';
+  if (host === 'bitbucket.org' || /(^|\.)bitbucket\./.test(host) || /^\/?scm\//.test(path)) return 'bitbucket';
+  if (host === 'gitlab.com' || /(^|\.)gitlab\./.test(host)) return 'gitlab';
+  return 'generic';
+};
+
+// Azure DevOps paths: org/project/_git/repo (HTTPS), v3/org/project/repo (SSH),
+// and project/_git/repo on legacy org.visualstudio.com hosts
+const parseAzurePath = (host, segments, protocol) => {
+  if (protocol === 'ssh') {
+    if (segments[0] !== 'v3' || segments.length !== 4) return null;
+    return { owner: segments[1], project: segments[2], repo: segments[3] };
+  }
+  const gitIndex = segments.indexOf('_git');
+  if (gitIndex === -1 || gitIndex !== segments.length - 2) return null;
+  const before = segments.slice(0, gitIndex).filter(s => s.toLowerCase() !== 'defaultcollection');
+  const legacyOrg = host.endsWith('.visualstudio.com') ? host.split('.')[0] : null;
+  const [owner, project] = legacyOrg ? [legacyOrg, before[0]] : before;
+  if (!owner || !project) return null;
+  return { owner, project, repo: segments[gitIndex + 1] };
+};
+
+const invalid = (key, params) => ({ valid: false, error: message(key, params) });
+
+// Returns { valid: false, error } with error a gitUrl.error.* message, or { valid: true, provider, protocol, host, port, owner, project, repo, url, hasCredentials }.
+// url is the input without any user:password@ part; embedded credentials are reported, never kept.
+export const parseGitUrl = (input) => {
+  const text = String(input || '').trim();
+  if (!text) return invalid('gitUrl.error.required');
+
+  let protocol;
+  let host;
+  let port = '';
+  let user = '';
+  let hasCredentials = false;
+  let path;
+
+  const scp = !/^[a-z][\w+.-]*:\/\//i.test(text) && text.match(SCP_LIKE);
+  if (scp) {
+    protocol = 'ssh';
+    [, user = '', host, path] = scp;
+  } else {
+    let parsed;
+    try {
+      parsed = new URL(text);
+    } catch (error) {
+      return invalid('gitUrl.error.invalid');
+    }
+    if (parsed.protocol === 'http:') {
+      return invalid('gitUrl.error.http');
+    }
+    if (parsed.protocol === 'https:') {
+      protocol = 'https';
+      hasCredentials = !!parsed.password;
+    } else if (parsed.protocol === 'ssh:') {
+      protocol = 'ssh';
+    } else {
+      return invalid('gitUrl.error.protocol', { protocol: parsed.protocol.replace(':', '') });
+    }
+    host = parsed.hostname;
+    port = parsed.port;
+    user = decodeURIComponent(parsed.username);
+    path = decodeURIComponent(parsed.pathname);
+  }
+
+  host = host.toLowerCase();
+  const segments = path.split('/').filter(Boolean);
+  const provider = providerForHost(host, path);
+  const base = { valid: true, provider, protocol, host, port, hasCredentials };
+
+  if (provider === 'azure') {
+    const azure = parseAzurePath(host, segments, protocol);
+    if (!azure) {
+      return invalid(protocol === 'ssh' ? 'gitUrl.error.azureSsh' : 'gitUrl.error.azureHttps');
+    }
+    const url = protocol === 'ssh'
+      ? `${user || 'git'}@${host}:v3/${azure.owner}/${azure.project}/${azure.repo}`
+      : `https://${host}${host === 'dev.azure.com' ? `/${azure.owner}` : ''}/${azure.project}/_git/${azure.repo}`;
+    return { ...base, ...azure, url };
+  }
+
+  // Bitbucket Server/Data Center serves HTTPS clones under /scm/project/repo
+  const prefix = provider === 'bitbucket' && segments[0] === 'scm' ? 'scm/' : '';
+  let repoSegments = prefix ? segments.slice(1) : segments;
+  // Page URLs pasted from the browser (.../tree/main, .../-/tree/main, .../src/main)
+  if (provider === 'gitlab' && repoSegments.includes('-')) {
+    repoSegments = repoSegments.slice(0, repoSegments.indexOf('-'));
+  } else if ((provider === 'github' || provider === 'bitbucket') && protocol === 'https') {
+    repoSegments = repoSegments.slice(0, 2);
+  }
+  if (repoSegments.length < 2) return invalid('gitUrl.error.ownerAndRepo');
+  if (provider !== 'gitlab' && provider !== 'generic' && repoSegments.length > 2 && protocol === 'ssh') {
+    return invalid('gitUrl.error.singleOwner', { provider: GIT_PROVIDERS[provider].label });
+  }
+  // GitLab and self-hosted servers allow nested groups; the last segment is always the repository
+  const repo = stripGitSuffix(repoSegments[repoSegments.length - 1]);
+  const owner = repoSegments.slice(0, -1).join('/');
+  if (!repo) return invalid('gitUrl.error.repoMissing');
+
+  const repoPath = prefix + repoSegments.join('/');
+  const hostAndPort = port ? `${host}:${port}` : host;
+  let url;
+  if (protocol === 'https') {
+    url = `https://${hostAndPort}/${repoPath}`;
+  } else if (scp) {
+    url = `${user || 'git'}@${host}:${repoPath}`;
+  } else {
+    url = `ssh://${user || 'git'}@${hostAndPort}/${repoPath}`;
+  }
+  return { ...base, owner, project: null, repo, url };
+};
+
+export const isSshUrl = (input) => {
+  const parsed = parseGitUrl(input);
+  return parsed.valid && parsed.protocol === 'ssh';
+};
+
+// "owner/repo on Provider" for status lines, as a message; null for URLs that did not parse
+export const describeRepository = (parsed) => {
+  if (!parsed || !parsed.valid) return null;
+  const name = parsed.project ? `${parsed.owner}/${parsed.project}/${parsed.repo}` : `${parsed.owner}/${parsed.repo}`;
+  const provider = parsed.provider === 'generic' ? parsed.host : GIT_PROVIDERS[parsed.provider].label;
+  return message('gitUrl.repository', { name, provider });
+};
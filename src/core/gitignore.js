@@ -0,0 +1,78 @@
+// .gitignore matching for the CLI's project walk. Supports comments, negation, directory-only
+// patterns, anchoring, *, ?, ** and [...] classes. Paths are relative to the project root with "/".
+const escapeRegExp = (text) => text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+
+const patternSource = (pattern) => {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*' && pattern[i + 1] === '*') {
+      const atStart = i === 0 || pattern[i - 1] === '/';
+      const atEnd = i + 2 === pattern.length || pattern[i + 2] === '/';
+      if (atStart && atEnd) {
+        // "**/" matches zero or more directories, a trailing "**" everything inside
+        source += i + 2 === pattern.length ? '.*' : '(?:.*/)?';
+        i += 2;
+        continue;
+      }
+      source += '[^/]*';
+      i++;
+    } else if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else if (c === '[') {
+      const end = pattern.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        const body = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+        source += `[${body.startsWith('!') ? `^${body.slice(1)}` : body}]`;
+        i = end;
+      }
+    } else if (c === '\\' && i + 1 < pattern.length) {
+      source += escapeRegExp(pattern[i + 1]);
+      i++;
+    } else {
+      source += escapeRegExp(c);
+    }
+  }
+  return source;
+};
+
+// Rules of one .gitignore file; base is the directory holding it ('' for the project root)
+export const parseGitignore = (content, base = '') => content
+  .split(/\r?\n/)
+  .map(line => line.replace(/(^|[^\\])\s+$/, '$1'))
+  .filter(line => line && !line.startsWith('#'))
+  .map(line => {
+    const negate = line.startsWith('!');
+    let pattern = negate ? line.slice(1) : line;
+    if (pattern.startsWith('\\#') || pattern.startsWith('\\!')) pattern = pattern.slice(1);
+    const directoryOnly = pattern.endsWith('/');
+    if (directoryOnly) pattern = pattern.slice(0, -1);
+    // A slash anywhere but at the end anchors the pattern to the .gitignore's directory
+    const anchored = pattern.includes('/');
+    if (pattern.startsWith('/')) pattern = pattern.slice(1);
+    const prefix = base ? `${escapeRegExp(base)}/` : '';
+    return {
+      negate,
+      directoryOnly,
+      base,
+      regex: new RegExp(`^${prefix}${anchored ? '' : '(?:.*/)?'}${patternSource(pattern)}$`)
+    };
+  })
+  .filter(rule => rule.regex.source !== '^$');
+
+const appliesTo = (rule, path) => !rule.base || path.startsWith(`${rule.base}/`);
+
+// The last matching rule wins, so later and deeper .gitignore files override earlier ones.
+// Callers skip ignored directories entirely; like git, files inside them cannot be re-included.
+export const isIgnored = (rules, path, isDirectory = false) => {
+  let ignored = false;
+  rules.forEach(rule => {
+    if ((rule.directoryOnly && !isDirectory) || !appliesTo(rule, path)) return;
+    if (rule.regex.test(path)) ignored = !rule.negate;
+  });
+  return ignored;
+};
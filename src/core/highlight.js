@@ -0,0 +1,80 @@
+// Minimal line-based syntax highlighter for C# and Java snippets.
+// Block comments are only recognized when they open and close on the same line, which is
+// enough for short context windows and keeps the tokenizer stateless.
+const CSHARP_KEYWORDS = [
+  'abstract', 'as', 'async', 'await', 'base', 'bool', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const',
+  'continue', 'decimal', 'default', 'delegate', 'do', 'double', 'else', 'enum', 'event', 'false', 'finally', 'float',
+  'for', 'foreach', 'get', 'if', 'in', 'int', 'interface', 'internal', 'is', 'lock', 'long', 'namespace', 'new', 'null',
+  'object', 'out', 'override', 'params', 'private', 'protected', 'public', 'readonly', 'ref', 'return', 'sealed', 'set',
+  'static', 'string', 'struct', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'using', 'var', 'virtual', 'void',
+  'volatile', 'while', 'yield'
+];
+
+const JAVA_KEYWORDS = [
+  'abstract', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const', 'continue', 'default', 'do',
+  'double', 'else', 'enum', 'extends', 'false', 'final', 'finally', 'float', 'for', 'if', 'implements', 'import',
+  'instanceof', 'int', 'interface', 'long', 'native', 'new', 'null', 'package', 'private', 'protected', 'public',
+  'return', 'short', 'static', 'super', 'switch', 'synchronized', 'this', 'throw', 'throws', 'transient', 'true', 'try',
+  'var', 'void', 'volatile', 'while'
+];
+
+const LANGUAGES = {
+  csharp: {
+    keywords: new Set(CSHARP_KEYWORDS),
+    string: /^(@"(?:[^"]|"")*"|\$?"(?:[^"\\]|\\.)*"?|'(?:[^'\\]|\\.)*'?)/,
+    annotation: /^\[[A-Z]\w*(?:\(.*?\))?\]/
+  },
+  java: {
+    keywords: new Set(JAVA_KEYWORDS),
+    string: /^("(?:[^"\\]|\\.)*"?|'(?:[^'\\]|\\.)*'?)/,
+    annotation: /^@\w+/
+  }
+};
+
+export const languageForFile = (filename) => {
+  if (/\.cs$/i.test(filename)) return 'csharp';
+  if (/\.java$/i.test(filename)) return 'java';
+  return null;
+};
+
+// Returns [{ type, text }] with type one of plain, keyword, string, comment, number, annotation, type
+export const tokenize = (line, language) => {
+  const spec = LANGUAGES[language];
+  if (!spec) return [{ type: 'plain', text: line }];
+
+  const tokens = [];
+  const push = (type, text) => {
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === type && type === 'plain') {
+      last.text += text;
+    } else {
+      tokens.push({ type, text });
+    }
+  };
+
+  let rest = line;
+  while (rest.length > 0) {
+    let match;
+    if (rest.startsWith('//')) {
+      push('comment', rest);
+      break;
+    }
+    if ((match = rest.match(/^\/\*.*?(\*\/|$)/))) {
+      push('comment', match[0]);
+    } else if ((match = rest.match(spec.string))) {
+      push('string', match[0]);
+    } else if ((match = rest.match(spec.annotation))) {
+      push('annotation', match[0]);
+    } else if ((match = rest.match(/^\d[\d_]*(\.\d+)?[fFdDmMlL]?/))) {
+      push('number', match[0]);
+    } else if ((match = rest.match(/^[A-Za-z_]\w*/))) {
+      const word = match[0];
+      push(spec.keywords.has(word) ? 'keyword' : /^[A-Z]/.test(word) ? 'type' : 'plain', word);
+    } else {
+      match = [rest[0]];
+      push('plain', rest[0]);
+    }
+    rest = rest.slice(match[0].length);
+  }
+  return tokens;
+};
@@ -0,0 +1,60 @@
+// Message lookup for the UI catalogs in src/locales. A catalog maps flat "area.name" keys to
+// messages with {name} placeholders. A message can also be an object keyed by plural category
+// ({ one, other }), chosen with Intl.PluralRules for params.count. Missing messages fall back to
+// English, then to the key itself, so an incomplete catalog never breaks the page.
+export const DEFAULT_LOCALE = 'en';
+
+// First supported language of a navigator.languages-style list: "de-AT" picks "de"
+export const matchLocale = (preferred, supported) => {
+  const match = (preferred || [])
+    .map(tag => String(tag).toLowerCase().split('-')[0])
+    .find(language => supported.includes(language));
+  return match || DEFAULT_LOCALE;
+};
+
+const pluralRules = new Map();
+
+const pluralCategory = (locale, count) => {
+  if (!pluralRules.has(locale)) pluralRules.set(locale, new Intl.PluralRules(locale));
+  return pluralRules.get(locale).select(count);
+};
+
+const findMessage = (catalogs, locale, key) => {
+  const catalog = catalogs[locale] || {};
+  if (Object.prototype.hasOwnProperty.call(catalog, key)) return catalog[key];
+  return Object.prototype.hasOwnProperty.call(catalogs[DEFAULT_LOCALE], key) ? catalogs[DEFAULT_LOCALE][key] : undefined;
+};
+
+export const hasMessage = (catalogs, locale, key) => findMessage(catalogs, locale, key) !== undefined;
+
+export const lookupMessage = (catalogs, locale, key, count) => {
+  const message = findMessage(catalogs, locale, key);
+  if (message === undefined) return key;
+  if (typeof message === 'string') return message;
+  return message[typeof count === 'number' ? pluralCategory(locale, count) : 'other'] || message.other;
+};
+
+// Core modules report text for people as { key, params } messages, so that the UI words them with
+// t() and the CLI with formatMessage()
+export const message = (key, params = {}) => ({ key, params });
+
+// An error that people read carries its message as error.key and error.params. The key is also the
+// error's own text, for logs.
+export const messageError = (key, params) => Object.assign(new Error(key), message(key, params));
+
+// Splits a message into literal text and parameter values, in order. Numbers are formatted for the
+// locale, so numbers that are identifiers (line numbers) are passed as strings. Other values, such
+// as React elements, are passed through for the caller to render.
+export const interpolate = (message, params, locale) => message
+  .split(/\{(\w+)\}/)
+  .map((part, index) => {
+    if (index % 2 === 0) return part;
+    if (!Object.prototype.hasOwnProperty.call(params, part)) return `{${part}}`;
+    const value = params[part];
+    return typeof value === 'number' ? new Intl.NumberFormat(locale).format(value) : value;
+  })
+  .filter(part => part !== '');
+
+// Plain text of a { key, params } message, for callers outside React
+export const formatMessage = (catalogs, locale, { key, params = {} }) =>
+  interpolate(lookupMessage(catalogs, locale, key, params.count), params, locale).join('');
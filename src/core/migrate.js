@@ -0,0 +1,181 @@
+// Loads uploaded analysis JSON: parses, upgrades older or partial documents to the
+// current schema version and validates the result against schema.js.
+import { RAW_SCAN_SCHEMA, RESULTS_SCHEMA, SCHEMA_VERSION, describeValue, validate } from './schema.js';
+import { buildActions, buildStats, buildSummary, isResultsDocument } from './aggregate.js';
+import { message } from './i18n.js';
+
+const MAX_REPORTED_ERRORS = 50;
+
+const PROJECT_TYPE_ALIASES = {
+  dotnet: 'dotnet',
+  '.net': 'dotnet',
+  net: 'dotnet',
+  csharp: 'dotnet',
+  'c#': 'dotnet',
+  java: 'java',
+  mixed: 'mixed'
+};
+
+const inferProjectType = (findings) => {
+  const dotnet = findings.some(f => /\.cs$/i.test(f.filename || ''));
+  const java = findings.some(f => /\.java$/i.test(f.filename || ''));
+  if (dotnet && java) return 'mixed';
+  if (dotnet) return 'dotnet';
+  if (java) return 'java';
+  return undefined;
+};
+
+const normalizeFinding = (finding, warn) => {
+  if (!finding || typeof finding !== 'object') return finding;
+  const next = { ...finding };
+  if (typeof next.lineNum === 'string' && /^\d+$/.test(next.lineNum.trim())) {
+    next.lineNum = Number(next.lineNum);
+    warn('migrate.lineNumbers');
+  }
+  if (typeof next.severity === 'string' && next.severity !== next.severity.trim().toLowerCase()) {
+    next.severity = next.severity.trim().toLowerCase();
+    warn('migrate.severityCase');
+  }
+  if (next.function === undefined || next.function === null || next.function === '') {
+    next.function = 'Unknown';
+    warn('migrate.functionNames');
+  }
+  if (typeof next.code === 'number' || typeof next.code === 'boolean') next.code = String(next.code);
+  if (next.code === undefined || next.code === null) {
+    next.code = '';
+    warn('migrate.codeSnippets');
+  }
+  if (typeof next.filename === 'string' && /^\.[\\/]|\\/.test(next.filename)) {
+    next.filename = next.filename.replace(/\\/g, '/').replace(/^\.\//, '');
+    warn('migrate.windowsPaths');
+  }
+  return next;
+};
+
+// PowerShell's ConvertTo-Json writes a single-element array as a bare object
+const toFindingList = (value, warn) => {
+  if (value === undefined || value === null) {
+    warn('migrate.noFindings');
+    return [];
+  }
+  if (!Array.isArray(value) && typeof value === 'object') {
+    warn('migrate.singleFinding');
+    return [value];
+  }
+  return value;
+};
+
+const migrateCommon = (doc, findings, warn) => {
+  const next = { ...doc };
+  if (typeof next.projectType === 'string' && PROJECT_TYPE_ALIASES[next.projectType.toLowerCase()]) {
+    next.projectType = PROJECT_TYPE_ALIASES[next.projectType.toLowerCase()];
+  } else if (next.projectType === undefined || next.projectType === 'unknown') {
+    const inferred = Array.isArray(findings) ? inferProjectType(findings) : undefined;
+    if (inferred) {
+      next.projectType = inferred;
+      warn('migrate.projectTypeInferred', { projectType: inferred });
+    }
+  }
+  if (next.scanDate === undefined || next.scanDate === null || next.scanDate === '') {
+    next.scanDate = new Date().toISOString();
+    warn('migrate.scanDateMissing');
+  }
+  next.schemaVersion = SCHEMA_VERSION;
+  return next;
+};
+
+export const migrateRawScan = (doc, warn) => {
+  const findings = toFindingList(doc.findings, warn);
+  const normalized = Array.isArray(findings) ? findings.map(f => normalizeFinding(f, warn)) : findings;
+  return { ...migrateCommon(doc, normalized, warn), findings: normalized };
+};
+
+export const migrateResults = (doc, warn) => {
+  const next = migrateCommon(doc, doc.detailed, warn);
+  if (!Array.isArray(next.detailed)) return next;
+
+  next.detailed = next.detailed.map((finding, index) => {
+    const normalized = normalizeFinding(finding, warn);
+    if (normalized && typeof normalized === 'object' && !normalized.id) {
+      warn('migrate.findingIds');
+      return { ...normalized, id: `d${index + 1}` };
+    }
+    return normalized;
+  });
+  if (!next.projectName) {
+    next.projectName = 'Untitled Project';
+    warn('migrate.projectNameMissing');
+  }
+  if (typeof next.complexityFactor !== 'number') {
+    next.complexityFactor = 1;
+    warn('migrate.complexityMissing');
+  }
+
+  const findings = next.detailed.filter(d => d && typeof d === 'object');
+  const ids = new Set(findings.map(d => d.id));
+  const summaryUsable = Array.isArray(next.summary)
+    && next.summary.every(c => c && Array.isArray(c.detailIds) && c.detailIds.every(id => ids.has(id)))
+    && new Set(next.summary.flatMap(c => c.detailIds)).size === ids.size;
+  if (!summaryUsable) {
+    next.summary = buildSummary(findings, next.complexityFactor);
+    warn('migrate.summaryRebuilt');
+  }
+
+  const computedStats = buildStats(findings, next.summary);
+  const stats = next.stats && typeof next.stats === 'object' ? next.stats : {};
+  const missingStats = Object.keys(computedStats).filter(key => typeof stats[key] !== 'number');
+  if (missingStats.length) {
+    next.stats = { ...stats };
+    missingStats.forEach(key => { next.stats[key] = computedStats[key]; });
+    warn('migrate.statsRecomputed', { stats: missingStats.join(', ') });
+  }
+  if (!Array.isArray(next.actions)) {
+    next.actions = buildActions(next.summary, findings, next.complexityFactor);
+    warn('migrate.actionsGenerated');
+  }
+  return next;
+};
+
+export const parseJsonText = (text) => {
+  // Windows PowerShell's Out-File -Encoding UTF8 prefixes the file with a byte order mark
+  const cleaned = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  try {
+    return { value: JSON.parse(cleaned) };
+  } catch (error) {
+    return { error: { path: '$', expected: 'valid JSON', actual: error.message } };
+  }
+};
+
+// Returns { kind, document, warnings, errors }; the document is only usable when errors is empty.
+// Warnings are { key, params } messages of the locale catalogs, each reported once.
+export const loadAnalysisJson = (text) => {
+  const parsed = parseJsonText(text);
+  if (parsed.error) return { kind: null, document: null, warnings: [], errors: [parsed.error] };
+
+  const json = parsed.value;
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    return { kind: null, document: null, warnings: [], errors: [{ path: '$', expected: 'object', actual: describeValue(json) }] };
+  }
+  if (typeof json.schemaVersion === 'number' && json.schemaVersion > SCHEMA_VERSION) {
+    return {
+      kind: null,
+      document: null,
+      warnings: [],
+      errors: [{ path: '$.schemaVersion', expected: `integer <= ${SCHEMA_VERSION}`, actual: describeValue(json.schemaVersion) }]
+    };
+  }
+
+  const warnings = new Map();
+  const warn = (key, params) => warnings.set(JSON.stringify([key, params]), message(key, params));
+  const kind = isResultsDocument(json) || json.detailed ? 'results' : 'raw';
+  const document = kind === 'results' ? migrateResults(json, warn) : migrateRawScan(json, warn);
+  const errors = validate(kind === 'results' ? RESULTS_SCHEMA : RAW_SCAN_SCHEMA, document);
+
+  return {
+    kind,
+    document,
+    warnings: [...warnings.values()],
+    errors: errors.slice(0, MAX_REPORTED_ERRORS),
+    truncatedErrors: Math.max(0, errors.length - MAX_REPORTED_ERRORS)
+  };
+};
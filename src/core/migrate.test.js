@@ -0,0 +1,106 @@
+import { buildResults } from './aggregate.js';
+import { loadAnalysisJson, parseJsonText } from './migrate.js';
+import { RAW_SCAN_SCHEMA, SCHEMA_VERSION, validate } from './schema.js';
+import { finding } from './testFixtures.js';
+
+const rawScan = (fields) => ({
+  schemaVersion: SCHEMA_VERSION,
+  projectType: 'dotnet',
+  scanDate: '2024-05-01T08:00:00Z',
+  findings: [finding()],
+  ...fields
+});
+
+const load = (doc) => loadAnalysisJson(JSON.stringify(doc));
+const warningKeys = (loaded) => loaded.warnings.map(warning => warning.key);
+
+describe('parseJsonText', () => {
+  it('skips the byte order mark of PowerShell output', () => {
+    expect(parseJsonText('\uFEFF{"a":1}')).toEqual({ value: { a: 1 } });
+  });
+
+  it('reports text that is not JSON', () => {
+    expect(parseJsonText('{').error).toEqual(expect.objectContaining({ path: '$', expected: 'valid JSON' }));
+  });
+});
+
+describe('loadAnalysisJson', () => {
+  it('accepts current raw scan output without warnings', () => {
+    const loaded = load(rawScan());
+    expect(loaded.kind).toBe('raw');
+    expect(loaded.warnings).toEqual([]);
+    expect(loaded.errors).toEqual([]);
+  });
+
+  it('upgrades findings written by the PowerShell script', () => {
+    const loaded = load(rawScan({
+      findings: { ...finding(), lineNum: '7', severity: 'HIGH', filename: '.\\Controllers\\HomeController.cs', function: '' }
+    }));
+    expect(loaded.errors).toEqual([]);
+    expect(loaded.document.findings).toEqual([finding({ lineNum: 7, function: 'Unknown' })]);
+    expect(warningKeys(loaded)).toEqual([
+      'migrate.singleFinding',
+      'migrate.lineNumbers',
+      'migrate.severityCase',
+      'migrate.functionNames',
+      'migrate.windowsPaths'
+    ]);
+  });
+
+  it('reports each warning once, as a message of the locale catalogs', () => {
+    const loaded = load(rawScan({
+      projectType: undefined,
+      findings: [finding({ lineNum: '1' }), finding({ lineNum: '2' })]
+    }));
+    expect(loaded.warnings).toEqual([
+      { key: 'migrate.lineNumbers', params: {} },
+      { key: 'migrate.projectTypeInferred', params: { projectType: 'dotnet' } }
+    ]);
+    expect(loaded.document.projectType).toBe('dotnet');
+  });
+
+  it('fills in the scan date and the findings of partial output', () => {
+    const loaded = load({ projectType: '.NET' });
+    expect(loaded.errors).toEqual([]);
+    expect(loaded.document).toEqual(expect.objectContaining({ projectType: 'dotnet', findings: [], schemaVersion: SCHEMA_VERSION }));
+    expect(warningKeys(loaded)).toEqual(['migrate.noFindings', 'migrate.scanDateMissing']);
+  });
+
+  it('rebuilds what older results documents lack', () => {
+    const results = buildResults(rawScan());
+    const { summary, actions, complexityFactor, ...older } = results;
+    const loaded = load({ ...older, stats: { totalIssues: 1 } });
+    expect(loaded.kind).toBe('results');
+    expect(loaded.errors).toEqual([]);
+    expect(loaded.document.summary.map(c => c.category)).toEqual(['Session State']);
+    expect(loaded.document.actions).toHaveLength(1);
+    expect(loaded.warnings).toEqual(expect.arrayContaining([
+      { key: 'migrate.complexityMissing', params: {} },
+      { key: 'migrate.summaryRebuilt', params: {} },
+      { key: 'migrate.statsRecomputed', params: { stats: 'totalFiles, highSeverity, mediumSeverity, lowSeverity, totalEffortScore' } },
+      { key: 'migrate.actionsGenerated', params: {} }
+    ]));
+  });
+
+  it('refuses documents from a newer version', () => {
+    const loaded = load(rawScan({ schemaVersion: SCHEMA_VERSION + 1 }));
+    expect(loaded.document).toBeNull();
+    expect(loaded.errors).toEqual([{ path: '$.schemaVersion', expected: `integer <= ${SCHEMA_VERSION}`, actual: String(SCHEMA_VERSION + 1) }]);
+  });
+
+  it('reports where the document does not match the schema', () => {
+    expect(load([]).errors).toEqual([{ path: '$', expected: 'object', actual: '[]' }]);
+    expect(load(rawScan({ findings: [finding({ category: undefined, severity: 'urgent' })] })).errors).toEqual([
+      { path: '$.findings[0].category', expected: 'string', actual: 'missing' },
+      expect.objectContaining({ path: '$.findings[0].severity', actual: '"urgent"' })
+    ]);
+  });
+});
+
+describe('validate', () => {
+  it('checks dates', () => {
+    expect(validate(RAW_SCAN_SCHEMA, rawScan({ scanDate: 'yesterday' }))).toEqual([
+      { path: '$.scanDate', expected: 'ISO 8601 date-time', actual: '"yesterday"' }
+    ]);
+  });
+});
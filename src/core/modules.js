@@ -0,0 +1,78 @@
+// Finds the modules of a repository: every directory holding a .sln/.csproj, pom.xml or build.gradle.
+// Each source file belongs to the deepest module of its language above it, so a monorepo with several
+// .NET and Java services side by side is scanned as several modules, each with its own rules.
+import { LANGUAGES } from './rules.js';
+
+export const ROOT_MODULE = '.';
+
+const MANIFESTS = [
+  { pattern: /\.sln$/i, projectType: 'dotnet' },
+  { pattern: /\.csproj$/i, projectType: 'dotnet' },
+  { pattern: /^pom\.xml$/, projectType: 'java' },
+  { pattern: /^build\.gradle(\.kts)?$/, projectType: 'java' }
+];
+
+// Never module roots: dependency caches and build output of either language
+export const IGNORED_DIRS = ['node_modules', '.git', ...Object.values(LANGUAGES).flatMap(language => language.excludedDirs)];
+
+const dirname = (path) => {
+  const slash = path.lastIndexOf('/');
+  return slash === -1 ? ROOT_MODULE : path.slice(0, slash);
+};
+
+export const normalizeModulePath = (path) => {
+  const trimmed = String(path || '').trim().replace(/\\/g, '/').replace(/^\.?\/+/, '').replace(/\/+$/, '');
+  return trimmed === '' || trimmed === '.' ? ROOT_MODULE : trimmed;
+};
+
+// True when path is directory itself or lies below it
+export const isWithin = (path, directory) =>
+  directory === ROOT_MODULE || path === directory || path.startsWith(`${directory}/`);
+
+export const languageOfFile = (path) => {
+  const lower = path.toLowerCase();
+  return Object.keys(LANGUAGES).find(type => LANGUAGES[type].extensions.some(ext => lower.endsWith(ext))) || null;
+};
+
+// Returns [{ path, projectType, manifest }] sorted by path; a directory with a .sln and a .csproj is one module
+export const detectModules = (paths) => {
+  const modules = new Map();
+  paths.forEach(filePath => {
+    const name = filePath.slice(filePath.lastIndexOf('/') + 1);
+    const manifest = MANIFESTS.find(m => m.pattern.test(name));
+    if (!manifest) return;
+    const path = dirname(filePath);
+    if (path !== ROOT_MODULE && path.split('/').some(segment => IGNORED_DIRS.includes(segment))) return;
+    const key = `${manifest.projectType}:${path}`;
+    if (!modules.has(key)) modules.set(key, { path, projectType: manifest.projectType, manifest: filePath });
+  });
+  return [...modules.values()].sort((a, b) => a.path.localeCompare(b.path) || a.projectType.localeCompare(b.projectType));
+};
+
+// The deepest module of the file's language that contains it, or null
+export const moduleForFile = (path, modules) => {
+  const projectType = languageOfFile(path);
+  const depth = (module) => (module.path === ROOT_MODULE ? 0 : module.path.split('/').length);
+  return modules
+    .filter(module => module.projectType === projectType && isWithin(path, module.path))
+    .reduce((best, module) => (!best || depth(module) > depth(best) ? module : best), null);
+};
+
+// include: module paths or any other folders; an empty list includes everything.
+// A module path selects exactly that module (not the modules nested in it); any other folder selects
+// every file below it, so "services" picks all services while "." on a root .sln module stays precise.
+export const isIncluded = (path, module, include = [], modulePaths = new Set()) =>
+  include.length === 0 || include.map(normalizeModulePath).some(entry =>
+    (modulePaths.has(entry) ? module.path === entry : isWithin(path, entry)));
+
+export const moduleName = (module, projectName = '') => {
+  if (module.path !== ROOT_MODULE) return module.path.slice(module.path.lastIndexOf('/') + 1);
+  const solution = /\.(sln|csproj)$/i.test(module.manifest || '') ? module.manifest.replace(/\.(sln|csproj)$/i, '') : '';
+  return projectName || solution || 'root';
+};
+
+// "dotnet", "java", or "mixed" when both languages are present
+export const combinedProjectType = (modules) => {
+  const types = [...new Set(modules.map(m => m.projectType))];
+  return types.length === 1 ? types[0] : 'mixed';
+};
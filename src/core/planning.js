@@ -0,0 +1,169 @@
+// Turns the Implementation Roadmap (results.actions) into a sprint plan: effort points become hours,
+// actions are ordered so prerequisites come first and otherwise by severity, and their sub-actions
+// are laid out into sprints of the team's capacity. A sub-action larger than what is left of a sprint
+// continues in the next one.
+import { MAX_COMPLEXITY_FACTOR, REMEDIATION_PLAYBOOK, SEVERITY_ORDER } from './aggregate.js';
+
+// capacityHours is the whole team's remediation time per week
+export const DEFAULT_PLAN_SETTINGS = {
+  hoursPerPoint: 4,
+  capacityHours: 60,
+  sprintWeeks: 2
+};
+
+const LIMITS = {
+  hoursPerPoint: [0.5, 100],
+  capacityHours: [1, 10000],
+  sprintWeeks: [1, 8]
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const clamp = (value, [min, max], fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+};
+
+export const sanitizePlanSettings = (settings = {}) => Object.fromEntries(
+  Object.entries(DEFAULT_PLAN_SETTINGS).map(([key, fallback]) => [key, clamp(settings[key], LIMITS[key], fallback)])
+);
+
+export const sanitizeComplexityFactor = (factor, fallback = 1) => round(clamp(factor, [1, MAX_COMPLEXITY_FACTOR], fallback));
+
+const severityRank = (severity) => {
+  const rank = SEVERITY_ORDER.indexOf(severity);
+  return rank === -1 ? SEVERITY_ORDER.length : rank;
+};
+
+// finalEffort already includes the analysis' complexity factor; rescale it to another one
+export const actionEffort = (action, results, complexityFactor = results.complexityFactor) =>
+  round((action.finalEffort / (results.complexityFactor || 1)) * complexityFactor);
+
+// Action ids each action waits for, from the playbook's category dependencies
+export const actionDependencies = (actions) => {
+  const byCategory = new Map(actions.map(a => [a.category, a.id]));
+  return new Map(actions.map(action => {
+    const playbook = REMEDIATION_PLAYBOOK[action.category];
+    const categories = (playbook && playbook.dependsOn) || [];
+    return [action.id, categories.map(c => byCategory.get(c)).filter(id => id && id !== action.id)];
+  }));
+};
+
+// Topological order; among the actions whose prerequisites are done, the most severe comes first,
+// then the roadmap order. A prerequisite is as urgent as the most severe action waiting for it, and
+// dependency cycles are broken the same way.
+export const orderActions = (actions, dependencies = actionDependencies(actions)) => {
+  const urgency = new Map(actions.map(a => [a.id, severityRank(a.severity || 'low')]));
+  for (let changed = true; changed;) {
+    changed = false;
+    actions.forEach(action => (dependencies.get(action.id) || []).forEach(id => {
+      if (urgency.has(id) && urgency.get(action.id) < urgency.get(id)) {
+        urgency.set(id, urgency.get(action.id));
+        changed = true;
+      }
+    }));
+  }
+  const severityOf = (action) => urgency.get(action.id);
+  const pending = [...actions];
+  const done = new Set();
+  const ordered = [];
+  while (pending.length) {
+    const ready = pending.filter(a => (dependencies.get(a.id) || []).every(id => done.has(id)));
+    const candidates = ready.length ? ready : pending;
+    const next = candidates.reduce((best, a) =>
+      (severityOf(a) < severityOf(best) || (severityOf(a) === severityOf(best) && pending.indexOf(a) < pending.indexOf(best)) ? a : best));
+    pending.splice(pending.indexOf(next), 1);
+    done.add(next.id);
+    ordered.push(next);
+  }
+  return ordered;
+};
+
+// Returns {
+//   complexityFactor, sprintCapacity, totalEffort, totalHours,
+//   actions: [{ id, category, severity, description, effort, hours, dependsOn, sprints, tasks: [{ index, label, hours, sprints }] }],
+//   sprints: [{ number, startWeek, endWeek, hours, items: [{ actionId, category, index, hours }] }]
+// }
+export const buildPlan = (results, settings = DEFAULT_PLAN_SETTINGS, complexityFactor = results.complexityFactor) => {
+  const { hoursPerPoint, capacityHours, sprintWeeks } = sanitizePlanSettings(settings);
+  const factor = sanitizeComplexityFactor(complexityFactor, results.complexityFactor || 1);
+  const sprintCapacity = capacityHours * sprintWeeks;
+  const source = results.actions || [];
+  const dependencies = actionDependencies(source);
+
+  const sprints = [];
+  const newSprint = () => {
+    const number = sprints.length + 1;
+    const sprint = { number, startWeek: (number - 1) * sprintWeeks + 1, endWeek: number * sprintWeeks, hours: 0, items: [] };
+    sprints.push(sprint);
+    return sprint;
+  };
+  let current = newSprint();
+
+  // Packs hours into the current sprint and the following ones; returns the sprint numbers used
+  const schedule = (action, index, hours) => {
+    const used = [];
+    let left = hours;
+    do {
+      if (current.hours >= sprintCapacity - 0.01) current = newSprint();
+      const portion = Math.min(left, sprintCapacity - current.hours);
+      current.items.push({ actionId: action.id, category: action.category, index, hours: round(portion) });
+      current.hours = round(current.hours + portion);
+      used.push(current.number);
+      left -= portion;
+    } while (left > 0.01);
+    return used;
+  };
+
+  const actions = orderActions(source, dependencies).map(action => {
+    const effort = actionEffort(action, results, factor);
+    const hours = round(effort * hoursPerPoint);
+    const labels = action.subActions && action.subActions.length ? action.subActions : [action.description];
+    const tasks = labels.map((label, index) => {
+      const taskHours = round(hours / labels.length);
+      return { index, label, hours: taskHours, sprints: schedule(action, index, taskHours) };
+    });
+    return {
+      id: action.id,
+      category: action.category,
+      severity: action.severity || 'low',
+      description: action.description,
+      effort,
+      hours,
+      dependsOn: dependencies.get(action.id),
+      sprints: [...new Set(tasks.flatMap(t => t.sprints))],
+      tasks
+    };
+  });
+
+  return {
+    complexityFactor: factor,
+    sprintCapacity,
+    totalEffort: round(actions.reduce((sum, a) => sum + a.effort, 0)),
+    totalHours: round(actions.reduce((sum, a) => sum + a.hours, 0)),
+    actions,
+    sprints: sprints.filter(s => s.items.length > 0)
+  };
+};
+
+// progress: { [category]: [done sub-action indexes] }. Keyed by category rather than action id, since
+// triage renumbers the actions whenever a whole category is suppressed.
+export const isTaskDone = (progress, category, index) => ((progress || {})[category] || []).includes(index);
+
+export const toggleTask = (progress, category, index) => {
+  const done = (progress || {})[category] || [];
+  return { ...progress, [category]: done.includes(index) ? done.filter(i => i !== index) : [...done, index].sort((a, b) => a - b) };
+};
+
+// Marks every sub-action of the action done, or none when all already are
+export const toggleAction = (progress, action) => {
+  const allDone = action.tasks.every(t => isTaskDone(progress, action.category, t.index));
+  return { ...progress, [action.category]: allDone ? [] : action.tasks.map(t => t.index) };
+};
+
+// Share of planned hours done, overall or for one sprint's items
+export const planProgress = (plan, progress, items = plan.actions.flatMap(a => a.tasks.map(t => ({ category: a.category, index: t.index, hours: t.hours })))) => {
+  const total = items.reduce((sum, item) => sum + item.hours, 0);
+  const done = items.filter(item => isTaskDone(progress, item.category, item.index)).reduce((sum, item) => sum + item.hours, 0);
+  return { doneHours: round(done), totalHours: round(total), percent: total ? Math.round((done / total) * 100) : 0 };
+};
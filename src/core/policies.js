@@ -0,0 +1,147 @@
+// Quality-gate policies: thresholds on an analysis's numbers that decide whether it passes, such as
+// "no high severity findings" or "Session State Management occurrences <= 2". They travel as a
+// { version, policies } document and are evaluated against the triaged results, so accepted risks
+// do not fail the gate.
+import { message } from './i18n.js';
+
+export const POLICIES_VERSION = 1;
+
+// Category names are compared without case, since hand-written policy files vary
+const matchingCategories = (results, category) => results.summary
+  .filter(c => c.category.toLowerCase() === String(category).trim().toLowerCase());
+
+// Labels are the policy.metric.<id> messages of the locale catalogs
+export const POLICY_METRICS = {
+  highSeverity: { read: (results) => results.stats.highSeverity },
+  mediumSeverity: { read: (results) => results.stats.mediumSeverity },
+  lowSeverity: { read: (results) => results.stats.lowSeverity },
+  totalIssues: { read: (results) => results.stats.totalIssues },
+  totalEffortScore: { read: (results) => results.stats.totalEffortScore },
+  complexityFactor: { read: (results) => results.complexityFactor },
+  categoryOccurrences: {
+    perCategory: true,
+    read: (results, category) => matchingCategories(results, category).reduce((sum, c) => sum + c.occurrences, 0)
+  },
+  categoryEffort: {
+    perCategory: true,
+    read: (results, category) => matchingCategories(results, category).reduce((sum, c) => sum + c.effortScore, 0)
+  }
+};
+
+// Metrics like effort scores are sums of decimals, so "=" compares them as they are shown, to one
+// decimal, rather than failing on 4.999999999999999 = 5
+const displayedValue = (value) => Number(value.toFixed(1));
+
+export const POLICY_OPERATORS = {
+  '<': { label: '<', test: (actual, threshold) => actual < threshold },
+  '<=': { label: '≤', test: (actual, threshold) => actual <= threshold },
+  '=': { label: '=', test: (actual, threshold) => displayedValue(actual) === displayedValue(threshold) },
+  '>=': { label: '≥', test: (actual, threshold) => actual >= threshold },
+  '>': { label: '>', test: (actual, threshold) => actual > threshold }
+};
+
+export const EMPTY_POLICY = {
+  name: '',
+  metric: 'highSeverity',
+  category: '',
+  operator: '<=',
+  threshold: 0
+};
+
+const POLICY_ID_PREFIX = 'policy-';
+
+export const formatMetricValue = (value) => (Number.isInteger(value) ? String(value) : value.toFixed(1));
+
+// The name of an unnamed policy, such as "High severity findings ≤ 0" or
+// "Session State Management occurrences ≤ 2"
+export const describePolicy = (policy) => message(`policy.describe.${policy.metric}`, {
+  category: policy.category,
+  operator: POLICY_OPERATORS[policy.operator].label,
+  threshold: formatMetricValue(policy.threshold)
+});
+
+// Field errors as { field: message }; an empty object means the policy can be saved
+export const validatePolicy = (policy) => {
+  const errors = {};
+  if (!POLICY_METRICS[policy.metric]) errors.metric = message('policy.error.metric', { metrics: Object.keys(POLICY_METRICS).join(', ') });
+  else if (POLICY_METRICS[policy.metric].perCategory && !String(policy.category || '').trim()) errors.category = message('policy.error.category');
+  if (!POLICY_OPERATORS[policy.operator]) errors.operator = message('policy.error.operator', { operators: Object.keys(POLICY_OPERATORS).join(' ') });
+  if (typeof policy.threshold !== 'number' || !Number.isFinite(policy.threshold) || policy.threshold < 0) {
+    errors.threshold = message('policy.error.threshold');
+  }
+  return errors;
+};
+
+// Stored policies only keep the category for per-category metrics
+export const normalizePolicy = (policy) => {
+  const { category, ...fields } = {
+    id: policy.id,
+    name: String(policy.name || '').trim(),
+    metric: policy.metric,
+    category: String(policy.category || '').trim(),
+    operator: policy.operator,
+    threshold: policy.threshold
+  };
+  return POLICY_METRICS[policy.metric].perCategory ? { ...fields, category } : fields;
+};
+
+export const exportPolicies = (policies) => ({
+  version: POLICIES_VERSION,
+  policies: policies.map(normalizePolicy)
+});
+
+// Accepts an exported policy file or a bare array of policies. Returns { policies, errors } where
+// errors are { number, label, messages } for the policies that were skipped; label is their name or
+// id, if they have one.
+export const importPolicies = (document, existing = []) => {
+  const entries = Array.isArray(document) ? document : document && document.policies;
+  if (!Array.isArray(entries)) throw new Error('Expected a policy file with a "policies" array');
+
+  const policies = [];
+  const errors = [];
+  const usedIds = new Set(existing.map(policy => policy.id));
+  entries.forEach((entry, index) => {
+    const policy = {
+      ...EMPTY_POLICY,
+      ...(entry && typeof entry === 'object' ? entry : {}),
+      // Thresholds written as strings ("2") are accepted
+      threshold: entry && entry.threshold !== '' && entry.threshold != null ? Number(entry.threshold) : NaN
+    };
+    const messages = Object.values(validatePolicy(policy));
+    if (messages.length) {
+      errors.push({ number: index + 1, label: String((entry && (entry.name || entry.id)) || ''), messages });
+      return;
+    }
+    let id = String(policy.id || `${POLICY_ID_PREFIX}${index + 1}`);
+    while (usedIds.has(id)) id += '-copy';
+    usedIds.add(id);
+    policies.push(normalizePolicy({ ...policy, id }));
+  });
+  return { policies, errors };
+};
+
+export const newPolicyId = (policies) => {
+  const taken = new Set(policies.map(policy => policy.id));
+  let number = policies.length + 1;
+  while (taken.has(`${POLICY_ID_PREFIX}${number}`)) number++;
+  return `${POLICY_ID_PREFIX}${number}`;
+};
+
+// { passed, checks: [{ id, name, metric, category?, operator, threshold, actual, passed }] }, or null
+// without policies. Exports carry it as is, so it names every policy instead of pointing at ids:
+// name(message) words the describePolicy message of the policies that have no name of their own.
+export const evaluatePolicies = (results, policies, name) => {
+  if (!results || policies.length === 0) return null;
+  const checks = policies.map(policy => {
+    const actual = POLICY_METRICS[policy.metric].read(results, policy.category);
+    return {
+      ...normalizePolicy(policy),
+      name: policy.name.trim() || name(describePolicy(policy)),
+      actual,
+      passed: POLICY_OPERATORS[policy.operator].test(actual, policy.threshold)
+    };
+  });
+  return { passed: checks.every(check => check.passed), checks };
+};
+
+export const violations = (verdict) => (verdict ? verdict.checks.filter(check => !check.passed) : []);
@@ -0,0 +1,110 @@
+import en from '../locales/en.js';
+import sample from '../mock/fixtures/debug-sample.json';
+import { formatMessage } from './i18n.js';
+import {
+  EMPTY_POLICY,
+  POLICIES_VERSION,
+  describePolicy,
+  evaluatePolicies,
+  exportPolicies,
+  importPolicies,
+  newPolicyId,
+  validatePolicy,
+  violations
+} from './policies.js';
+
+const policy = (fields) => ({ ...EMPTY_POLICY, id: 'policy-1', ...fields });
+
+const english = (message) => formatMessage({ en }, 'en', message);
+
+describe('describePolicy', () => {
+  it('returns a message of the locale catalogs', () => {
+    expect(describePolicy(policy({ threshold: 0 }))).toEqual({
+      key: 'policy.describe.highSeverity',
+      params: { category: '', operator: '≤', threshold: '0' }
+    });
+    expect(english(describePolicy(policy({ metric: 'categoryOccurrences', category: 'Session State', operator: '<', threshold: 2 }))))
+      .toBe('Session State occurrences < 2');
+    expect(describePolicy(policy({ metric: 'totalEffortScore', threshold: 12.25 })).params.threshold).toBe('12.3');
+  });
+});
+
+describe('validatePolicy', () => {
+  it('accepts a complete policy', () => {
+    expect(validatePolicy(policy())).toEqual({});
+  });
+
+  it('reports each field as a message of the locale catalogs', () => {
+    expect(validatePolicy(policy({ metric: 'categoryEffort', operator: '!=', threshold: -1 }))).toEqual({
+      category: { key: 'policy.error.category', params: {} },
+      operator: { key: 'policy.error.operator', params: { operators: '< <= = >= >' } },
+      threshold: { key: 'policy.error.threshold', params: {} }
+    });
+    expect(Object.keys(validatePolicy(policy({ metric: 'files' })))).toEqual(['metric']);
+  });
+});
+
+describe('importPolicies', () => {
+  it('reads exported files and bare arrays', () => {
+    const policies = [policy({ name: ' No high ' }), policy({ id: 'policy-2', metric: 'categoryOccurrences', category: 'Cache', threshold: 3 })];
+    const exported = exportPolicies(policies);
+    expect(exported.version).toBe(POLICIES_VERSION);
+    expect(exported.policies[0]).toEqual({ id: 'policy-1', name: 'No high', metric: 'highSeverity', operator: '<=', threshold: 0 });
+    expect(importPolicies(exported)).toEqual({ policies: exported.policies, errors: [] });
+    expect(importPolicies([{ metric: 'lowSeverity', operator: '<', threshold: '4' }]).policies)
+      .toEqual([{ id: 'policy-1', name: '', metric: 'lowSeverity', operator: '<', threshold: 4 }]);
+  });
+
+  it('skips invalid policies and reports them by number and name', () => {
+    const { policies, errors } = importPolicies([{ name: 'Broken', threshold: 'many' }, { metric: 'categoryEffort', threshold: 1 }, null]);
+    expect(policies).toEqual([]);
+    expect(errors).toEqual([
+      { number: 1, label: 'Broken', messages: [{ key: 'policy.error.threshold', params: {} }] },
+      { number: 2, label: '', messages: [{ key: 'policy.error.category', params: {} }] },
+      { number: 3, label: '', messages: [{ key: 'policy.error.threshold', params: {} }] }
+    ]);
+    expect(() => importPolicies({ rules: [] })).toThrow('Expected a policy file');
+  });
+
+  it('keeps imported ids apart from the existing ones', () => {
+    const existing = [policy()];
+    expect(importPolicies([policy()], existing).policies[0].id).toBe('policy-1-copy');
+    expect(newPolicyId([policy({ id: 'policy-2' })])).toBe('policy-3');
+  });
+});
+
+describe('evaluatePolicies', () => {
+  it('checks every policy against the results', () => {
+    const verdict = evaluatePolicies(sample, [
+      policy({ name: 'No high' }),
+      policy({ id: 'policy-2', metric: 'categoryOccurrences', category: 'static field usage', operator: '<=', threshold: 5 })
+    ], english);
+    expect(verdict.passed).toBe(false);
+    expect(verdict.checks.map(check => [check.name, check.actual, check.passed])).toEqual([
+      ['No high', 3, false],
+      ['static field usage occurrences ≤ 5', 5, true]
+    ]);
+    expect(violations(verdict).map(check => check.id)).toEqual(['policy-1']);
+    expect(evaluatePolicies(sample, [], english)).toBeNull();
+  });
+
+  it('names unnamed policies with the given function', () => {
+    const names = [];
+    const verdict = evaluatePolicies(sample, [policy()], (message) => {
+      names.push(message);
+      return 'Keine hohen';
+    });
+    expect(names).toEqual([describePolicy(policy())]);
+    expect(verdict.checks[0].name).toBe('Keine hohen');
+  });
+
+  it('compares decimals with "=" to one decimal', () => {
+    const results = {
+      ...sample,
+      summary: [{ category: 'Cache', occurrences: 1, effortScore: 0.1 }, { category: 'cache', occurrences: 1, effortScore: 0.2 }]
+    };
+    const [check] = evaluatePolicies(results, [policy({ metric: 'categoryEffort', category: 'Cache', operator: '=', threshold: 0.3 })], english).checks;
+    expect(check.actual).not.toBe(0.3);
+    expect(check.passed).toBe(true);
+  });
+});
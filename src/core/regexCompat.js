@@ -0,0 +1,149 @@
+// Checks a rule regex against the three engines that run it: the browser/API scanner (JavaScript
+// RegExp), analyze.sh (grep -E, POSIX extended regex) and analyze.ps1 (PowerShell -match, .NET regex).
+// The check is syntactic; it flags the constructs each engine rejects or reads differently.
+// Labels are the rules.engine.<id> messages of the locale catalogs
+export const REGEX_ENGINES = [
+  { id: 'browser' },
+  { id: 'grep' },
+  { id: 'powershell' }
+];
+
+// Escapes grep -E does not know; GNU and BSD grep read them as the plain letter
+const GREP_ESCAPES = {
+  d: 'use [0-9] instead of \\d',
+  D: 'use [^0-9] instead of \\D',
+  t: 'use a literal tab or [[:blank:]] instead of \\t',
+  n: 'lines never contain \\n',
+  r: 'lines never contain \\r',
+  f: 'use a literal character instead of \\f',
+  v: 'use a literal character instead of \\v',
+  x: 'hex escapes such as \\x41 are not supported',
+  u: 'unicode escapes such as \\u0041 are not supported',
+  p: 'unicode properties such as \\p{L} are not supported',
+  P: 'unicode properties such as \\P{L} are not supported',
+  k: 'named backreferences are not supported',
+  A: 'use ^ instead of \\A',
+  z: 'use $ instead of \\z',
+  Z: 'use $ instead of \\Z',
+  h: 'use [[:blank:]] instead of \\h'
+};
+
+// Characters with a meaning in grep -E; grep 3.8+ warns about a "stray \\" before anything else
+const GREP_SPECIAL = '.[]()*+?{}|^$\\<>';
+
+// Escapes JavaScript reads as the plain character while grep or .NET give them a meaning
+const JS_LITERAL_ESCAPES = { A: '^', z: '$', Z: '$', G: null, h: null, '<': null, '>': null };
+const DOTNET_UNKNOWN_ESCAPES = { h: 'unknown escape \\h' };
+
+const GROUP_KINDS = [
+  { prefix: '(?:', kind: 'non-capturing group' },
+  { prefix: '(?=', kind: 'lookahead' },
+  { prefix: '(?!', kind: 'negative lookahead' },
+  { prefix: '(?<=', kind: 'lookbehind' },
+  { prefix: '(?<!', kind: 'negative lookbehind' },
+  { prefix: '(?P<', kind: 'Python named group' },
+  { prefix: '(?<', kind: 'named group' }
+];
+
+// Splits the regex into the constructs that matter for compatibility
+const scan = (regex) => {
+  const found = [];
+  let inClass = false;
+  for (let i = 0; i < regex.length; i++) {
+    const char = regex[i];
+    if (char === '\\') {
+      found.push({ type: 'escape', value: regex[i + 1] || '', inClass });
+      i += 1;
+    } else if (inClass) {
+      if (regex.startsWith('[:', i)) {
+        const end = regex.indexOf(':]', i + 2);
+        if (end !== -1) {
+          found.push({ type: 'posix', value: regex.slice(i, end + 2) });
+          i = end + 1;
+        }
+      } else if (char === ']') {
+        inClass = false;
+      }
+    } else if (char === '[') {
+      inClass = true;
+      // "[]..." and "[^]..." start with a literal ] in POSIX
+      if (regex[i + 1] === '^') i += 1;
+      if (regex[i + 1] === ']') found.push({ type: 'leadingBracket' });
+    } else if (char === '(' && regex[i + 1] === '?') {
+      const group = GROUP_KINDS.find(g => regex.startsWith(g.prefix, i));
+      found.push(group ? { type: 'group', value: group.kind } : { type: 'inlineFlags', value: regex.slice(i, regex.indexOf(')', i) + 1) });
+      i += 1;
+    } else if ('*+?}'.includes(char) && regex[i + 1] === '?') {
+      found.push({ type: 'lazy', value: `${char}?` });
+      i += 1;
+    } else if ('*+?'.includes(char) && regex[i + 1] === '+') {
+      found.push({ type: 'possessive', value: `${char}+` });
+      i += 1;
+    }
+  }
+  return found;
+};
+
+const compiles = (regex) => {
+  try {
+    RegExp(regex);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// { browser: [issue], grep: [issue], powershell: [issue] } with issue { level: 'error'|'warning'|'info', message }
+export const checkRegexCompatibility = (regex) => {
+  const issues = { browser: [], grep: [], powershell: [] };
+  const add = (engine, level, message) => {
+    if (!issues[engine].some(issue => issue.message === message)) issues[engine].push({ level, message });
+  };
+
+  const syntaxError = compiles(regex);
+  if (syntaxError) add('browser', 'error', syntaxError);
+
+  scan(regex).forEach(item => {
+    if (item.type === 'escape') {
+      if (item.inClass && /[A-Za-z]/.test(item.value)) {
+        add('grep', 'error', `\\${item.value} inside [...] is a backslash and the letter ${item.value} for grep`);
+      } else if (GREP_ESCAPES[item.value]) {
+        add('grep', 'error', `\\${item.value}: ${GREP_ESCAPES[item.value]}`);
+      } else if (!item.inClass && !/[A-Za-z0-9]/.test(item.value) && !GREP_SPECIAL.includes(item.value)) {
+        add('grep', 'warning', `\\${item.value}: grep 3.8+ warns about a stray \\; write ${item.value} unescaped`);
+      }
+      if (item.value in JS_LITERAL_ESCAPES) {
+        const hint = JS_LITERAL_ESCAPES[item.value];
+        add('browser', 'warning', `\\${item.value} matches a plain ${item.value}${hint ? `; use ${hint}` : ''}`);
+      }
+      if (DOTNET_UNKNOWN_ESCAPES[item.value]) add('powershell', 'error', DOTNET_UNKNOWN_ESCAPES[item.value]);
+    } else if (item.type === 'posix') {
+      add('browser', 'error', `${item.value} is a POSIX class only grep understands`);
+      add('powershell', 'error', `${item.value} is a POSIX class only grep understands`);
+    } else if (item.type === 'group') {
+      add('grep', 'error', `${item.value} (${item.value === 'non-capturing group' ? 'use a plain (...) group' : 'not supported'})`);
+      if (item.value === 'Python named group') add('powershell', 'error', 'Python named group; use (?<name>...)');
+    } else if (item.type === 'inlineFlags') {
+      add('grep', 'error', `inline flags ${item.value} are not supported`);
+    } else if (item.type === 'lazy') {
+      add('grep', 'warning', `lazy quantifier ${item.value} is greedy in grep; matching lines are usually the same`);
+    } else if (item.type === 'possessive') {
+      add('browser', 'error', `possessive quantifier ${item.value} is not supported`);
+      add('grep', 'error', `possessive quantifier ${item.value} is not supported`);
+      add('powershell', 'error', `possessive quantifier ${item.value} is not supported`);
+    } else if (item.type === 'leadingBracket') {
+      add('grep', 'warning', 'a ] right after [ or [^ is a literal ] for grep but closes the class in JavaScript');
+    }
+  });
+
+  if (/[A-Za-z]/.test(regex.replace(/\\./g, ''))) {
+    add('powershell', 'info', '-match ignores case, so it can report more lines than the browser scan');
+  }
+  return issues;
+};
+
+// Worst level per engine: 'error', 'warning' or 'ok'. Informational notes do not count.
+export const compatibilitySummary = (issues) => Object.fromEntries(Object.entries(issues).map(([engine, list]) => [
+  engine,
+  list.some(issue => issue.level === 'error') ? 'error' : list.some(issue => issue.level === 'warning') ? 'warning' : 'ok'
+]));
@@ -0,0 +1,93 @@
+// Hash routes of the analyzer. The app is served as static files (S3, see deployment.md), so the whole
+// route lives in the fragment and no server rewrites are needed:
+//   #/upload, #/git, #/json, #/compare          input tabs
+//   #/analysis/<id>?category=..&open=..         an analysis from the history, with its view state
+//   #/analysis/<id>/plan                        its sprint plan
+//   ...&finding=d12                             plus a single finding to scroll to
+//   #/rules                                     the rule catalog
+import { EMPTY_FILTER, GROUP_BY_OPTIONS } from './filters.js';
+
+export const INPUT_TABS = ['upload', 'git', 'json', 'compare'];
+
+export const DEFAULT_GROUP_BY = 'category';
+
+export const ANALYSIS_PAGES = ['findings', 'plan'];
+
+// open: expanded group ids, roadmaps: groups with their roadmap expanded
+export const DEFAULT_VIEW = {
+  page: ANALYSIS_PAGES[0],
+  filter: EMPTY_FILTER,
+  groupBy: DEFAULT_GROUP_BY,
+  open: [],
+  roadmaps: [],
+  finding: null
+};
+
+// Repeated query parameters for lists, one plain parameter for each text field
+const LIST_PARAMS = { severity: 'severities', category: 'categories', module: 'modules' };
+const TEXT_PARAMS = { path: 'pathGlob', function: 'functionName', q: 'text' };
+
+export const inputRoute = (tab = INPUT_TABS[0]) => ({ name: 'input', tab });
+
+export const analysisRoute = (id, view = DEFAULT_VIEW) => ({ name: 'analysis', id, view });
+
+export const rulesRoute = () => ({ name: 'rules' });
+
+const decode = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+};
+
+const parseView = (params, page) => {
+  const filter = { ...EMPTY_FILTER };
+  Object.entries(LIST_PARAMS).forEach(([param, key]) => { filter[key] = params.getAll(param); });
+  Object.entries(TEXT_PARAMS).forEach(([param, key]) => { filter[key] = params.get(param) || ''; });
+  const groupBy = params.get('group');
+  return {
+    page: ANALYSIS_PAGES.includes(page) ? page : ANALYSIS_PAGES[0],
+    filter,
+    groupBy: GROUP_BY_OPTIONS.some(option => option.id === groupBy) ? groupBy : DEFAULT_GROUP_BY,
+    open: params.getAll('open'),
+    roadmaps: params.getAll('roadmap'),
+    finding: params.get('finding') || null
+  };
+};
+
+const formatView = (view) => {
+  const params = new URLSearchParams();
+  Object.entries(LIST_PARAMS).forEach(([param, key]) => (view.filter[key] || []).forEach(value => params.append(param, value)));
+  Object.entries(TEXT_PARAMS).forEach(([param, key]) => {
+    if (view.filter[key]) params.set(param, view.filter[key]);
+  });
+  if (view.groupBy && view.groupBy !== DEFAULT_GROUP_BY) params.set('group', view.groupBy);
+  view.open.forEach(id => params.append('open', id));
+  view.roadmaps.forEach(id => params.append('roadmap', id));
+  if (view.finding) params.set('finding', view.finding);
+  return params.toString();
+};
+
+// Unknown or empty hashes fall back to the first input tab
+export const parseRoute = (hash) => {
+  const fragment = String(hash || '').replace(/^#\/?/, '');
+  const queryStart = fragment.indexOf('?');
+  const path = queryStart === -1 ? fragment : fragment.slice(0, queryStart);
+  const params = new URLSearchParams(queryStart === -1 ? '' : fragment.slice(queryStart + 1));
+  const [section, id, page] = path.split('/').map(decode);
+
+  if (section === 'analysis' && id) return analysisRoute(id, parseView(params, page));
+  if (section === 'rules') return rulesRoute();
+  return inputRoute(INPUT_TABS.includes(section) ? section : INPUT_TABS[0]);
+};
+
+export const formatRoute = (route) => {
+  if (route.name === 'analysis') {
+    const query = formatView(route.view);
+    const page = route.view.page && route.view.page !== ANALYSIS_PAGES[0] ? `/${route.view.page}` : '';
+    return `#/analysis/${encodeURIComponent(route.id)}${page}${query ? `?${query}` : ''}`;
+  }
+  if (route.name === 'rules') return '#/rules';
+  return `#/${route.tab}`;
+};
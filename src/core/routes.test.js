@@ -0,0 +1,59 @@
+import { DEFAULT_VIEW, analysisRoute, formatRoute, inputRoute, parseRoute, rulesRoute } from './routes.js';
+
+describe('parseRoute', () => {
+  it('reads input tabs and the rule catalog', () => {
+    expect(parseRoute('#/git')).toEqual(inputRoute('git'));
+    expect(parseRoute('#/rules')).toEqual(rulesRoute());
+  });
+
+  it('falls back to the first input tab', () => {
+    expect(parseRoute('')).toEqual(inputRoute('upload'));
+    expect(parseRoute('#/nowhere')).toEqual(inputRoute('upload'));
+    expect(parseRoute('#/analysis')).toEqual(inputRoute('upload'));
+  });
+
+  it('reads an analysis with its filters, groups and finding', () => {
+    const route = parseRoute('#/analysis/abc%20123/plan?severity=high&severity=medium&path=src%2F**&q=Session'
+      + '&group=file&open=cat1&open=cat3&roadmap=cat1&finding=d12');
+    expect(route).toEqual(analysisRoute('abc 123', {
+      page: 'plan',
+      filter: { ...DEFAULT_VIEW.filter, severities: ['high', 'medium'], pathGlob: 'src/**', text: 'Session' },
+      groupBy: 'file',
+      open: ['cat1', 'cat3'],
+      roadmaps: ['cat1'],
+      finding: 'd12'
+    }));
+  });
+
+  it('ignores unknown pages and groupings', () => {
+    const { view } = parseRoute('#/analysis/a1/settings?group=color');
+    expect(view.page).toBe('findings');
+    expect(view.groupBy).toBe('category');
+  });
+
+  it('keeps malformed escapes as they are', () => {
+    expect(parseRoute('#/analysis/%E0%A4%A').id).toBe('%E0%A4%A');
+  });
+});
+
+describe('formatRoute', () => {
+  it('leaves defaults out of the hash', () => {
+    expect(formatRoute(inputRoute('json'))).toBe('#/json');
+    expect(formatRoute(rulesRoute())).toBe('#/rules');
+    expect(formatRoute(analysisRoute('a1'))).toBe('#/analysis/a1');
+  });
+
+  it('round-trips an analysis view', () => {
+    const route = analysisRoute('a/1', {
+      ...DEFAULT_VIEW,
+      page: 'plan',
+      filter: { ...DEFAULT_VIEW.filter, categories: ['Session State', 'ViewState'], functionName: 'Get&Set' },
+      groupBy: 'module',
+      open: ['m1'],
+      finding: 'd3'
+    });
+    const hash = formatRoute(route);
+    expect(hash).toBe('#/analysis/a%2F1/plan?category=Session+State&category=ViewState&function=Get%26Set&group=module&open=m1&finding=d3');
+    expect(parseRoute(hash)).toEqual(route);
+  });
+});
@@ -0,0 +1,104 @@
+// Built-in stateful-pattern rules.
+// Same shape as the backend's rules/stateful-patterns.json so that the browser
+// scanner, the generated scripts and the API all agree on what is reported.
+export const RULES_VERSION = '1.0';
+
+export const LANGUAGES = {
+  dotnet: {
+    label: '.NET',
+    extensions: ['.cs'],
+    excludedDirs: ['bin', 'obj', 'packages', '.vs']
+  },
+  java: {
+    label: 'Java',
+    extensions: ['.java'],
+    excludedDirs: ['target', 'build', '.idea']
+  }
+};
+
+export const BUILT_IN_RULES = [
+  {
+    id: 'dotnet-session-state',
+    language: 'dotnet',
+    regex: 'Session\\[',
+    category: 'Session State',
+    severity: 'high',
+    remediation: 'Replace session state with stateless alternatives such as JWT claims or a distributed cache (Redis, SQL).'
+  },
+  {
+    id: 'dotnet-application-state',
+    language: 'dotnet',
+    regex: 'Application\\[',
+    category: 'Application State',
+    severity: 'high',
+    remediation: 'Move application-wide state to a distributed cache or configuration provider shared by all instances.'
+  },
+  {
+    id: 'dotnet-viewstate',
+    language: 'dotnet',
+    regex: 'ViewState\\[',
+    category: 'ViewState',
+    severity: 'medium',
+    remediation: 'Keep page data in the client or reload it per request instead of round-tripping ViewState.'
+  },
+  {
+    id: 'dotnet-static-mutable-field',
+    language: 'dotnet',
+    regex: '(private|public)\\s+static.*=',
+    exclude: 'readonly',
+    category: 'Static Mutable Field',
+    severity: 'high',
+    remediation: 'Replace static mutable fields with services registered through dependency injection and an external state store.'
+  },
+  {
+    id: 'dotnet-in-process-cache',
+    language: 'dotnet',
+    regex: '(MemoryCache\\.Default|HttpRuntime\\.Cache)',
+    category: 'In-Process Cache',
+    severity: 'medium',
+    remediation: 'Use IDistributedCache backed by Redis or another shared cache instead of the in-process cache.'
+  },
+  {
+    id: 'java-session-state',
+    language: 'java',
+    regex: '(\\.getSession\\(|session\\.setAttribute)',
+    category: 'Session State',
+    severity: 'high',
+    remediation: 'Replace HttpSession with token-based authentication or Spring Session backed by Redis/JDBC.'
+  },
+  {
+    id: 'java-application-state',
+    language: 'java',
+    regex: 'getServletContext\\(\\)\\.setAttribute',
+    category: 'Application State',
+    severity: 'high',
+    remediation: 'Move ServletContext attributes to a distributed cache or externalized configuration.'
+  },
+  {
+    id: 'java-static-mutable-field',
+    language: 'java',
+    regex: '(private|public)\\s+static.*=',
+    exclude: 'final',
+    category: 'Static Mutable Field',
+    severity: 'high',
+    remediation: 'Replace static mutable fields with Spring-managed beans and an external state store.'
+  },
+  {
+    id: 'java-thread-local',
+    language: 'java',
+    regex: 'ThreadLocal',
+    category: 'Thread-Local Storage',
+    severity: 'high',
+    remediation: 'Pass request context explicitly or use request-scoped beans instead of ThreadLocal storage.'
+  },
+  {
+    id: 'java-in-process-cache',
+    language: 'java',
+    regex: '(CacheManager|EhCache|\\.put\\()',
+    category: 'In-Process Cache',
+    severity: 'medium',
+    remediation: 'Use a distributed cache (Redis, Hazelcast) behind Spring Cache instead of a local cache.'
+  }
+];
+
+export const getRulesForLanguage = (rules, language) => rules.filter(rule => rule.language === language);
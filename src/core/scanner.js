@@ -0,0 +1,139 @@
+import { BUILT_IN_RULES, LANGUAGES, getRulesForLanguage } from './rules.js';
+import { SCHEMA_VERSION } from './schema.js';
+import { FUNCTION_PATTERN, captureContext } from './context.js';
+import { messageError } from './i18n.js';
+import { combinedProjectType, detectModules, isIncluded, moduleForFile } from './modules.js';
+
+// Mirrors the look-back used by analyze.sh/analyze.ps1 to name the enclosing method
+const FUNCTION_LOOKBACK = 30;
+
+const basename = (path) => path.slice(path.lastIndexOf('/') + 1);
+
+const hasExtension = (path, extensions) => extensions.some(ext => path.toLowerCase().endsWith(ext));
+
+// ZIPs are usually created from the parent folder, so every entry shares one top-level directory
+export const stripCommonRoot = (paths) => {
+  if (paths.length === 0) return { root: '', paths };
+  const first = paths[0].split('/');
+  if (first.length < 2) return { root: '', paths };
+  const root = first[0] + '/';
+  if (!paths.every(p => p.startsWith(root))) return { root: '', paths };
+  return { root: first[0], paths: paths.map(p => p.slice(root.length)) };
+};
+
+export const isExcludedPath = (path, projectType) => {
+  const language = LANGUAGES[projectType];
+  if (!language) return true;
+  const segments = path.split('/').slice(0, -1);
+  return segments.some(segment => language.excludedDirs.includes(segment));
+};
+
+export const isSourceFile = (path, projectType) => {
+  const language = LANGUAGES[projectType];
+  return !!language && hasExtension(path, language.extensions) && !isExcludedPath(path, projectType);
+};
+
+export const findFunctionName = (lines, index) => {
+  const start = Math.max(0, index - FUNCTION_LOOKBACK);
+  for (let i = index; i >= start; i--) {
+    const match = lines[i].match(FUNCTION_PATTERN);
+    if (match) return match[2];
+  }
+  return 'Unknown';
+};
+
+export const compileRules = (rules) => rules.map(rule => ({
+  ...rule,
+  pattern: new RegExp(rule.regex),
+  excludePattern: rule.exclude ? new RegExp(rule.exclude) : null
+}));
+
+// contextLines > 0 embeds that many lines either side of each match as finding.context
+export const scanSource = (filename, content, compiledRules, { contextLines = 0 } = {}) => {
+  const findings = [];
+  const lines = content.split(/\r?\n/);
+
+  compiledRules.forEach(rule => {
+    lines.forEach((line, index) => {
+      if (!rule.pattern.test(line)) return;
+      if (rule.excludePattern && rule.excludePattern.test(line)) return;
+      const finding = {
+        filename,
+        function: findFunctionName(lines, index),
+        lineNum: index + 1,
+        code: line.trim(),
+        category: rule.category,
+        severity: rule.severity,
+        remediation: rule.remediation
+      };
+      if (contextLines > 0) finding.context = captureContext(lines, index, contextLines);
+      findings.push(finding);
+    });
+  });
+
+  return findings;
+};
+
+const assignSources = (files, include) => {
+  const detected = detectModules(files.map(f => f.path));
+  const modulePaths = new Set(detected.map(m => m.path));
+  const sources = [];
+  files.forEach(file => {
+    const module = moduleForFile(file.path, detected);
+    if (module && isSourceFile(file.path, module.projectType) && isIncluded(file.path, module, include, modulePaths)) {
+      sources.push({ file, module });
+    }
+  });
+  const modules = detected
+    .map(module => ({ ...module, totalFiles: sources.filter(s => s.module === module).length }))
+    .filter(module => module.totalFiles > 0);
+  return { detected, modules, sources };
+};
+
+// Modules that own at least one source file, with their file counts; for picking what to analyze
+export const listModules = (paths) => assignSources(paths.map(path => ({ path })), []).modules;
+
+// Pairs every scannable file with its module. include limits the scan to module paths or subfolders.
+// Returns { modules, sources: [{ file, module }] }; modules without any included source file are dropped.
+// Throws a messageError when there is nothing to scan.
+export const planScan = (files, { include = [] } = {}) => {
+  const { detected, modules, sources } = assignSources(files, include);
+  if (detected.length === 0) {
+    throw messageError('scan.error.projectType');
+  }
+  if (modules.length === 0) {
+    throw include.length ? messageError('scan.error.noSourcesIn', { folders: include.join(', ') }) : messageError('scan.error.noSources');
+  }
+  return { modules, sources };
+};
+
+// Raw scan document for a planned scan; every finding records the path of its module
+export const rawScanOutput = ({ modules, findings, rootPath = '' }) => ({
+  schemaVersion: SCHEMA_VERSION,
+  projectType: combinedProjectType(modules),
+  scanDate: new Date().toISOString(),
+  rootPath,
+  totalFiles: modules.reduce((sum, module) => sum + module.totalFiles, 0),
+  modules,
+  findings
+});
+
+// files: [{ path, content }] with paths relative to the project root.
+// Returns the same document analyze.sh/analyze.ps1 write to stateful-analysis.json.
+export const scanFiles = (files, { rules = BUILT_IN_RULES, rootPath = '', contextLines = 0, include = [], onProgress } = {}) => {
+  const { modules, sources } = planScan(files, { include });
+  const compiledByType = new Map();
+  const rulesFor = (projectType) => {
+    if (!compiledByType.has(projectType)) compiledByType.set(projectType, compileRules(getRulesForLanguage(rules, projectType)));
+    return compiledByType.get(projectType);
+  };
+  const findings = [];
+
+  sources.forEach(({ file, module }, index) => {
+    scanSource(file.path, file.content, rulesFor(module.projectType), { contextLines })
+      .forEach(finding => findings.push({ ...finding, module: module.path }));
+    if (onProgress) onProgress({ scanned: index + 1, total: sources.length, file: basename(file.path), issues: findings.length });
+  });
+
+  return rawScanOutput({ modules, findings, rootPath });
+};
@@ -0,0 +1,191 @@
+// Versioned schemas for the two JSON documents users can upload:
+// the raw output of analyze.sh/analyze.ps1 and the aggregated results document.
+// Files without a schemaVersion are treated as version 0 and migrated (see migrate.js).
+export const SCHEMA_VERSION = 1;
+
+const SEVERITIES = ['high', 'medium', 'low'];
+const PROJECT_TYPES = ['dotnet', 'java', 'mixed'];
+const MODULE_TYPES = ['dotnet', 'java'];
+
+const FINDING_SCHEMA = {
+  type: 'object',
+  required: ['filename', 'function', 'lineNum', 'code', 'category', 'severity'],
+  properties: {
+    filename: { type: 'string', minLength: 1 },
+    function: { type: 'string' },
+    lineNum: { type: 'integer', minimum: 1 },
+    code: { type: 'string' },
+    category: { type: 'string', minLength: 1 },
+    severity: { type: 'string', enum: SEVERITIES },
+    remediation: { type: 'string' },
+    module: { type: 'string', minLength: 1 },
+    context: {
+      type: 'object',
+      required: ['startLine', 'lines'],
+      properties: {
+        startLine: { type: 'integer', minimum: 1 },
+        lines: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  }
+};
+
+// One entry per scanned module (a directory with a .sln/.csproj, pom.xml or build.gradle); "." is the root
+const MODULE_SCHEMA = {
+  type: 'object',
+  required: ['path', 'projectType'],
+  properties: {
+    path: { type: 'string', minLength: 1 },
+    projectType: { type: 'string', enum: MODULE_TYPES },
+    manifest: { type: 'string' },
+    totalFiles: { type: 'integer', minimum: 0 }
+  }
+};
+
+export const RAW_SCAN_SCHEMA = {
+  type: 'object',
+  required: ['schemaVersion', 'projectType', 'scanDate', 'findings'],
+  properties: {
+    schemaVersion: { type: 'integer', minimum: 0 },
+    projectType: { type: 'string', enum: PROJECT_TYPES },
+    scanDate: { type: 'string', format: 'date-time' },
+    rootPath: { type: 'string' },
+    totalFiles: { type: 'integer', minimum: 0 },
+    modules: { type: 'array', items: MODULE_SCHEMA },
+    findings: { type: 'array', items: FINDING_SCHEMA }
+  }
+};
+
+const STATS_SCHEMA = {
+  type: 'object',
+  required: ['totalFiles', 'totalIssues', 'highSeverity', 'mediumSeverity', 'lowSeverity', 'totalEffortScore'],
+  properties: {
+    totalFiles: { type: 'integer', minimum: 0 },
+    totalIssues: { type: 'integer', minimum: 0 },
+    highSeverity: { type: 'integer', minimum: 0 },
+    mediumSeverity: { type: 'integer', minimum: 0 },
+    lowSeverity: { type: 'integer', minimum: 0 },
+    totalEffortScore: { type: 'number', minimum: 0 }
+  }
+};
+
+export const RESULTS_SCHEMA = {
+  type: 'object',
+  required: ['schemaVersion', 'projectName', 'projectType', 'scanDate', 'complexityFactor', 'stats', 'summary', 'detailed'],
+  properties: {
+    schemaVersion: { type: 'integer', minimum: 0 },
+    projectName: { type: 'string' },
+    projectType: { type: 'string', enum: PROJECT_TYPES },
+    scanDate: { type: 'string', format: 'date-time' },
+    complexityFactor: { type: 'number', minimum: 1 },
+    stats: STATS_SCHEMA,
+    modules: {
+      type: 'array',
+      items: {
+        ...MODULE_SCHEMA,
+        required: ['id', 'name', ...MODULE_SCHEMA.required, 'complexityFactor', 'stats'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          name: { type: 'string' },
+          ...MODULE_SCHEMA.properties,
+          complexityFactor: { type: 'number', minimum: 1 },
+          stats: STATS_SCHEMA
+        }
+      }
+    },
+    summary: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'category', 'severity', 'occurrences', 'effortScore', 'detailIds'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          category: { type: 'string', minLength: 1 },
+          severity: { type: 'string', enum: SEVERITIES },
+          occurrences: { type: 'integer', minimum: 0 },
+          effortScore: { type: 'number', minimum: 0 },
+          remediation: { type: 'string' },
+          detailIds: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    },
+    detailed: {
+      type: 'array',
+      items: {
+        ...FINDING_SCHEMA,
+        required: ['id', ...FINDING_SCHEMA.required],
+        properties: { id: { type: 'string', minLength: 1 }, ...FINDING_SCHEMA.properties }
+      }
+    },
+    actions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'category', 'description', 'finalEffort', 'affectedFindings'],
+        properties: {
+          id: { type: 'string' },
+          category: { type: 'string' },
+          description: { type: 'string' },
+          finalEffort: { type: 'number', minimum: 0 },
+          subActions: { type: 'array', items: { type: 'string' } },
+          affectedFindings: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['filename', 'lineNum'],
+              properties: { filename: { type: 'string' }, lineNum: { type: 'integer' } }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (expected, value) => {
+  const actual = typeOf(value);
+  return actual === expected || (expected === 'number' && actual === 'integer');
+};
+
+export const describeValue = (value) => {
+  if (value === undefined) return 'missing';
+  const text = JSON.stringify(value);
+  return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+};
+
+const childPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : `${path}.${key}`);
+
+// Returns [{ path, expected, actual }] - an empty list means the value is valid
+export const validate = (schema, value, path = '$') => {
+  const errors = [];
+  const fail = (expected) => errors.push({ path, expected, actual: describeValue(value) });
+
+  if (!matchesType(schema.type, value)) {
+    fail(schema.type);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) fail(`one of ${schema.enum.join(', ')}`);
+  if (schema.minimum != null && value < schema.minimum) fail(`${schema.type} >= ${schema.minimum}`);
+  if (schema.minLength != null && value.length < schema.minLength) fail('non-empty string');
+  if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) fail('ISO 8601 date-time');
+
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push({ path: childPath(path, key), expected: schema.properties[key].type, actual: 'missing' });
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) errors.push(...validate(propertySchema, value[key], childPath(path, key)));
+    });
+  }
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => errors.push(...validate(schema.items, item, childPath(path, index))));
+  }
+  return errors;
+};
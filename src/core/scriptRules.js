@@ -0,0 +1,53 @@
+// The rules table inside analyze.sh and analyze.ps1. Both scripts keep their rules as tab-separated
+// rows (language, category, severity, regex, exclude, remediation) in a quoted heredoc/here-string
+// that follows a "# BEGIN RULES" line, so rules can be swapped or added without touching the scan loop.
+export const SCRIPT_SHELLS = {
+  bash: { filename: 'analyze.sh', terminator: 'STATELESSOR_RULES' },
+  powershell: { filename: 'analyze.ps1', terminator: "'@" }
+};
+
+export const RULES_MARKER = '# BEGIN RULES';
+
+// Written in the exclude column of rules without one
+export const NO_EXCLUDE = '-';
+
+export const ruleToTableRow = (rule) => [
+  rule.language,
+  rule.category,
+  rule.severity,
+  rule.regex,
+  rule.exclude || NO_EXCLUDE,
+  rule.remediation
+].join('\t');
+
+// Line indexes of the first row and of the line that ends the table
+const findRulesTable = (lines, shell) => {
+  const { terminator } = SCRIPT_SHELLS[shell];
+  const marker = lines.findIndex(line => line.trim() === RULES_MARKER);
+  // The marker is followed by the line that opens the heredoc/here-string
+  const end = marker === -1 ? -1 : lines.findIndex((line, index) => index > marker + 1 && line.trim() === terminator);
+  if (end === -1) throw new Error(`The ${SCRIPT_SHELLS[shell].filename} script has no rules table, so rules cannot be embedded`);
+  return { start: marker + 2, end };
+};
+
+const splitLines = (script) => {
+  const newline = script.includes('\r\n') ? '\r\n' : '\n';
+  return { newline, lines: script.split(newline) };
+};
+
+// Replaces every row of the table, e.g. to regenerate the built-in rules from rules.js
+export const replaceScriptRules = (script, rules, shell) => {
+  const { newline, lines } = splitLines(script);
+  const { start, end } = findRulesTable(lines, shell);
+  lines.splice(start, end - start, ...rules.map(ruleToTableRow));
+  return lines.join(newline);
+};
+
+// Adds rules after the existing rows, under a comment naming them as custom rules
+export const embedRules = (script, rules, shell) => {
+  if (rules.length === 0) return script;
+  const { newline, lines } = splitLines(script);
+  const { end } = findRulesTable(lines, shell);
+  lines.splice(end, 0, `# Custom rules (${rules.length})`, ...rules.map(ruleToTableRow));
+  return lines.join(newline);
+};
@@ -0,0 +1,131 @@
+// Encodes SubjectPublicKeyInfo PEM keys (what Node's generateKeyPair writes with type 'spki')
+// into the OpenSSH "authorized_keys" format that Git hosts accept as deploy keys, and computes
+// the SHA256 fingerprints that GitHub, GitLab and ssh-keygen -l display.
+// Supports Ed25519, RSA and ECDSA (P-256, P-384, P-521) keys.
+const OID_ED25519 = '2b6570';
+const OID_RSA = '2a864886f70d010101';
+const OID_EC = '2a8648ce3d0201';
+
+const EC_CURVES = {
+  '2a8648ce3d030107': 'nistp256',
+  '2b81040022': 'nistp384',
+  '2b81040023': 'nistp521'
+};
+
+const TAG_INTEGER = 0x02;
+const TAG_BIT_STRING = 0x03;
+const TAG_OID = 0x06;
+const TAG_SEQUENCE = 0x30;
+
+const toHex = (bytes) => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+
+const base64ToBytes = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary);
+};
+
+// Reads one DER element at offset: { tag, content, next }
+const readDer = (bytes, offset, expectedTag) => {
+  const tag = bytes[offset];
+  if (expectedTag !== undefined && tag !== expectedTag) {
+    throw new Error(`Malformed public key: expected DER tag 0x${expectedTag.toString(16)} at byte ${offset}`);
+  }
+  let length = bytes[offset + 1];
+  let header = 2;
+  if (length & 0x80) {
+    const count = length & 0x7f;
+    length = 0;
+    for (let i = 0; i < count; i++) length = length * 256 + bytes[offset + 2 + i];
+    header += count;
+  }
+  const start = offset + header;
+  if (start + length > bytes.length) throw new Error('Malformed public key: DER length exceeds the input');
+  return { tag, content: bytes.subarray(start, start + length), next: start + length };
+};
+
+const concat = (parts) => {
+  const result = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let offset = 0;
+  parts.forEach(p => {
+    result.set(p, offset);
+    offset += p.length;
+  });
+  return result;
+};
+
+// RFC 4251 string: uint32 big-endian length followed by the bytes
+const sshString = (value) => {
+  const bytes = typeof value === 'string' ? new TextEncoder().encode(value) : value;
+  const length = new Uint8Array(4);
+  new DataView(length.buffer).setUint32(0, bytes.length);
+  return concat([length, bytes]);
+};
+
+// DER INTEGERs are minimal two's complement, which is exactly the RFC 4251 mpint encoding
+const sshMpint = (derInteger) => sshString(derInteger);
+
+export const pemToDer = (pem) => {
+  const match = String(pem).match(/-----BEGIN PUBLIC KEY-----([\s\S]+?)-----END PUBLIC KEY-----/);
+  if (!match) throw new Error('Expected a PEM "PUBLIC KEY" (SubjectPublicKeyInfo) block');
+  return base64ToBytes(match[1].replace(/\s+/g, ''));
+};
+
+// Returns the OpenSSH wire-format key blob for a DER SubjectPublicKeyInfo
+export const spkiToSshBlob = (der) => {
+  const spki = readDer(der, 0, TAG_SEQUENCE);
+  const algorithm = readDer(spki.content, 0, TAG_SEQUENCE);
+  const oid = readDer(algorithm.content, 0, TAG_OID);
+  const bitString = readDer(spki.content, algorithm.next, TAG_BIT_STRING);
+  // The first BIT STRING byte counts unused bits and is always 0 for keys
+  const key = bitString.content.subarray(1);
+  const oidHex = toHex(oid.content);
+
+  if (oidHex === OID_ED25519) {
+    if (key.length !== 32) throw new Error('Malformed Ed25519 public key');
+    return { type: 'ssh-ed25519', blob: concat([sshString('ssh-ed25519'), sshString(key)]) };
+  }
+  if (oidHex === OID_RSA) {
+    const rsaKey = readDer(key, 0, TAG_SEQUENCE);
+    const modulus = readDer(rsaKey.content, 0, TAG_INTEGER);
+    const exponent = readDer(rsaKey.content, modulus.next, TAG_INTEGER);
+    return {
+      type: 'ssh-rsa',
+      blob: concat([sshString('ssh-rsa'), sshMpint(exponent.content), sshMpint(modulus.content)])
+    };
+  }
+  if (oidHex === OID_EC) {
+    const curveOid = readDer(algorithm.content, oid.next, TAG_OID);
+    const curve = EC_CURVES[toHex(curveOid.content)];
+    if (!curve) throw new Error('Unsupported ECDSA curve');
+    const type = `ecdsa-sha2-${curve}`;
+    return { type, blob: concat([sshString(type), sshString(curve), sshString(key)]) };
+  }
+  throw new Error(`Unsupported public key algorithm (OID ${oidHex})`);
+};
+
+// "-----BEGIN PUBLIC KEY-----..." -> "ssh-ed25519 AAAAC3Nza... comment"
+export const pemToOpenSsh = (pem, comment = '') => {
+  const { type, blob } = spkiToSshBlob(pemToDer(pem));
+  return [type, bytesToBase64(blob), comment].filter(Boolean).join(' ');
+};
+
+// Splits an authorized_keys line into { type, blob, comment } and checks the embedded type matches
+export const parseOpenSshKey = (line) => {
+  const [type, data, ...comment] = String(line).trim().split(/\s+/);
+  if (!type || !data) throw new Error('Expected "<type> <base64 key> [comment]"');
+  const blob = base64ToBytes(data);
+  const embeddedLength = new DataView(blob.buffer, blob.byteOffset).getUint32(0);
+  const embeddedType = new TextDecoder().decode(blob.subarray(4, 4 + embeddedLength));
+  if (embeddedType !== type) throw new Error(`Key data is for ${embeddedType}, not ${type}`);
+  return { type, blob, comment: comment.join(' ') };
+};
+
+// "SHA256:..." as printed by ssh-keygen -lf and shown by Git hosts next to deploy keys
+export const sshFingerprint = async (publicKey) => {
+  const { blob } = parseOpenSshKey(publicKey);
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', blob));
+  return `SHA256:${bytesToBase64(digest).replace(/=+$/, '')}`;
+};
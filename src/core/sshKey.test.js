@@ -0,0 +1,100 @@
+import { parseOpenSshKey, pemToDer, pemToOpenSsh, spkiToSshBlob, sshFingerprint } from './sshKey.js';
+
+// Expected OpenSSH keys and fingerprints are the output of ssh-keygen -i -m PKCS8 and ssh-keygen -lf
+const ED25519 = {
+  // Public key of RFC 8032 test 1
+  pem: `-----BEGIN PUBLIC KEY-----
+MCowBQYDK2VwAyEA11qYAYKxCrfVS/7TyWQHOg7hcvPapiMlrwIaaPcHURo=
+-----END PUBLIC KEY-----`,
+  openSsh: 'ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAAINdamAGCsQq31Uv+08lkBzoO4XLz2qYjJa8CGmj3B1Ea',
+  fingerprint: 'SHA256:bbXpuKG6zhzdmnxq256TlqzFBzRl2f6OOg722cYNbU8'
+};
+
+const RSA = {
+  pem: `-----BEGIN PUBLIC KEY-----
+MIGfMA0GCSqGSIb3DQEBAQUAA4GNADCBiQKBgQDZc6MCmk/io+i8eKerQDb3FzkP
+SnS2Zo8njFrxQLA1ioXyIQ4hg/yojefXwRDX7/X6xBpkwpRenYdEk6A1Bl2s0jVv
+MqR8zSk4NHvg/5YdTWzdBdbSwFFDDiqqJkNmfP/KrRenr9ReIfY/7rvEkNMm9H2W
+uq9fe0DHwBrbxfqVeQIDAQAB
+-----END PUBLIC KEY-----`,
+  openSsh: 'ssh-rsa AAAAB3NzaC1yc2EAAAADAQABAAAAgQDZc6MCmk/io+i8eKerQDb3FzkPSnS2Zo8njFrxQLA1ioXyIQ4hg/yojefXwRDX7/X6xBpkwpRenYdEk6A1Bl2s0jVvMqR8zSk4NHvg/5YdTWzdBdbSwFFDDiqqJkNmfP/KrRenr9ReIfY/7rvEkNMm9H2Wuq9fe0DHwBrbxfqVeQ==',
+  fingerprint: 'SHA256:ED0yld+CuXaVopouwK/NInqI2xIjfM6lU7d50GXOCBU'
+};
+
+const ECDSA_P256 = {
+  pem: `-----BEGIN PUBLIC KEY-----
+MFkwEwYHKoZIzj0CAQYIKoZIzj0DAQcDQgAE8z98SLPQ7EbOLzgx2Acy0q1we7Wg
+giMtrDqV2D60rQdaZ9dAPi+f/L+m4Zb5nz7O0Q7DKc2JDenBuo/rJTZKEg==
+-----END PUBLIC KEY-----`,
+  openSsh: 'ecdsa-sha2-nistp256 AAAAE2VjZHNhLXNoYTItbmlzdHAyNTYAAAAIbmlzdHAyNTYAAABBBPM/fEiz0OxGzi84MdgHMtKtcHu1oIIjLaw6ldg+tK0HWmfXQD4vn/y/puGW+Z8+ztEOwynNiQ3pwbqP6yU2ShI=',
+  fingerprint: 'SHA256:zS/ncYsdPDoYzLLliHSFpNJyUiWMe1bQIwtNgf7YLao'
+};
+
+const hex = (bytes) => Buffer.from(bytes).toString('hex');
+
+describe('spkiToSshBlob', () => {
+  it('encodes Ed25519 keys as string "ssh-ed25519" and the 32 key bytes', () => {
+    const { type, blob } = spkiToSshBlob(pemToDer(ED25519.pem));
+    expect(type).toBe('ssh-ed25519');
+    expect(hex(blob)).toBe('0000000b7373682d65643235353139'
+      + '00000020d75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a');
+  });
+
+  it('encodes RSA keys as the exponent and modulus mpints, keeping the modulus sign byte', () => {
+    const { type, blob } = spkiToSshBlob(pemToDer(RSA.pem));
+    expect(type).toBe('ssh-rsa');
+    expect(hex(blob.subarray(0, 24))).toBe(['000000077373682d727361', '00000003010001', '0000008100d9'].join(''));
+    expect(blob.length).toBe(11 + 7 + 4 + 129);
+  });
+
+  it('encodes ECDSA keys with the curve name and the uncompressed point', () => {
+    const { type, blob } = spkiToSshBlob(pemToDer(ECDSA_P256.pem));
+    expect(type).toBe('ecdsa-sha2-nistp256');
+    expect(hex(blob.subarray(0, 43))).toBe([
+      '0000001365636473612d736861322d6e69737470323536',
+      '000000086e69737470323536',
+      '0000004104f33f7c'
+    ].join(''));
+    expect(blob.length).toBe(23 + 12 + 4 + 65);
+  });
+
+  it('rejects unsupported algorithms', () => {
+    // A DSA SubjectPublicKeyInfo header with an empty key
+    const der = Uint8Array.from(Buffer.from('3010300906072a8648ce3804010303000000', 'hex'));
+    expect(() => spkiToSshBlob(der)).toThrow('Unsupported public key algorithm (OID 2a8648ce380401)');
+  });
+});
+
+describe('pemToOpenSsh', () => {
+  it.each([['Ed25519', ED25519], ['RSA', RSA], ['ECDSA', ECDSA_P256]])('matches ssh-keygen for %s keys', (name, key) => {
+    expect(pemToOpenSsh(key.pem)).toBe(key.openSsh);
+  });
+
+  it('appends the comment', () => {
+    expect(pemToOpenSsh(ED25519.pem, 'statelessor-deploy')).toBe(`${ED25519.openSsh} statelessor-deploy`);
+  });
+
+  it('requires a PUBLIC KEY block', () => {
+    expect(() => pemToOpenSsh('-----BEGIN RSA PUBLIC KEY-----\nAA==\n-----END RSA PUBLIC KEY-----')).toThrow('Expected a PEM');
+  });
+});
+
+describe('parseOpenSshKey', () => {
+  it('splits type, blob and comment', () => {
+    const { type, blob, comment } = parseOpenSshKey(`${ED25519.openSsh} deploy key`);
+    expect(type).toBe('ssh-ed25519');
+    expect(blob.length).toBe(51);
+    expect(comment).toBe('deploy key');
+  });
+
+  it('rejects a type that does not match the key data', () => {
+    const data = ED25519.openSsh.split(' ')[1];
+    expect(() => parseOpenSshKey(`ssh-rsa ${data}`)).toThrow('Key data is for ssh-ed25519, not ssh-rsa');
+  });
+});
+
+describe('sshFingerprint', () => {
+  it.each([['Ed25519', ED25519], ['RSA', RSA], ['ECDSA', ECDSA_P256]])('matches ssh-keygen -l for %s keys', async (name, key) => {
+    await expect(sshFingerprint(`${key.openSsh} comment`)).resolves.toBe(key.fingerprint);
+  });
+});
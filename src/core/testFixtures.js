@@ -0,0 +1,10 @@
+// Shared by the core tests: a finding as the analysis scripts write it, with fields overriding the defaults
+export const finding = (fields) => ({
+  filename: 'Controllers/HomeController.cs',
+  function: 'Index',
+  lineNum: 1,
+  code: 'Session["user"] = user;',
+  category: 'Session State',
+  severity: 'high',
+  ...fields
+});
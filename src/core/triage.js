@@ -0,0 +1,219 @@
+// Triage of individual findings and the portable suppression file that carries it between analyses.
+// A suppression is keyed by file, category and normalized code (no line number), so it keeps
+// matching after unrelated edits move the finding and applies equally to ZIP, git and JSON results.
+import { buildActions, buildSummary, findingEffort } from './aggregate.js';
+import { normalizeCode } from './compare.js';
+import { validate } from './schema.js';
+
+// Labels are the triage.state.<id> messages of the locale catalogs
+export const TRIAGE_STATES = ['accepted', 'false-positive', 'wont-fix'];
+
+export const SUPPRESSION_FORMAT = 'statelessor-suppressions';
+export const SUPPRESSION_VERSION = 1;
+export const SUPPRESSION_FILENAME = 'statelessor-suppressions.json';
+
+const SUPPRESSION_SCHEMA = {
+  type: 'object',
+  required: ['filename', 'category', 'code', 'state', 'justification', 'author', 'createdAt'],
+  properties: {
+    filename: { type: 'string', minLength: 1 },
+    category: { type: 'string', minLength: 1 },
+    code: { type: 'string' },
+    state: { type: 'string', enum: TRIAGE_STATES },
+    justification: { type: 'string', minLength: 1 },
+    author: { type: 'string', minLength: 1 },
+    createdAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+const SUPPRESSION_FILE_SCHEMA = {
+  type: 'object',
+  required: ['format', 'version', 'suppressions'],
+  properties: {
+    format: { type: 'string', enum: [SUPPRESSION_FORMAT] },
+    version: { type: 'integer', minimum: 1 },
+    suppressions: { type: 'array', items: SUPPRESSION_SCHEMA }
+  }
+};
+
+export const suppressionKey = (finding) =>
+  [finding.filename, finding.category, normalizeCode(finding.code)].join('\u0000');
+
+export const createSuppression = (finding, { state, justification, author }) => ({
+  filename: finding.filename,
+  category: finding.category,
+  code: normalizeCode(finding.code),
+  state,
+  justification: justification.trim(),
+  author: author.trim(),
+  createdAt: new Date().toISOString()
+});
+
+// Adds or replaces the suppression for the same key
+export const upsertSuppression = (suppressions, suppression) => [
+  ...suppressions.filter(s => suppressionKey(s) !== suppressionKey(suppression)),
+  suppression
+];
+
+export const removeSuppression = (suppressions, finding) =>
+  suppressions.filter(s => suppressionKey(s) !== suppressionKey(finding));
+
+// Newer entries win when the same key appears in both lists
+export const mergeSuppressions = (existing, incoming) => {
+  const byKey = new Map(existing.map(s => [suppressionKey(s), s]));
+  incoming.forEach(s => {
+    const current = byKey.get(suppressionKey(s));
+    if (!current || current.createdAt <= s.createdAt) byKey.set(suppressionKey(s), s);
+  });
+  return [...byKey.values()];
+};
+
+export const toSuppressionFile = (suppressions) => ({
+  format: SUPPRESSION_FORMAT,
+  version: SUPPRESSION_VERSION,
+  suppressions: [...suppressions].sort((a, b) =>
+    a.filename.localeCompare(b.filename) || a.category.localeCompare(b.category) || a.code.localeCompare(b.code))
+});
+
+// Returns { suppressions, errors } where errors use the same { path, expected, actual } shape as schema.validate
+export const parseSuppressionFile = (json) => {
+  const errors = validate(SUPPRESSION_FILE_SCHEMA, json);
+  if (errors.length === 0 && json.version > SUPPRESSION_VERSION) {
+    errors.push({ path: '$.version', expected: `version ${SUPPRESSION_VERSION} or older`, actual: String(json.version) });
+  }
+  return { suppressions: errors.length === 0 ? json.suppressions : [], errors };
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const inCategory = (findings, category) => findings.filter(f => f.category === category);
+
+const sameLocation = (a, b) => a.filename === b.filename && a.lineNum === b.lineNum;
+
+// "cat4" after cat1..cat3, skipping ids that are taken
+const nextIds = (prefix, taken, count) => {
+  const used = new Set(taken);
+  const ids = [];
+  for (let number = 1; ids.length < count; number++) {
+    if (!used.has(`${prefix}${number}`)) ids.push(`${prefix}${number}`);
+  }
+  return ids;
+};
+
+const weight = (findings) => findings.reduce((sum, f) => sum + findingEffort(f), 0);
+
+// Effort points per unit of finding weight in each category, as the results scored it. For results
+// built on the client this is the complexity factor; backends may weigh findings differently.
+const effortUnits = (results) => {
+  const weights = new Map();
+  results.detailed.forEach(f => weights.set(f.category, (weights.get(f.category) || 0) + findingEffort(f)));
+  return new Map(results.summary
+    .filter(c => weights.get(c.category))
+    .map(c => [c.category, c.effortScore / weights.get(c.category)]));
+};
+
+const shiftStats = (stats, removed, restored, effort) => {
+  const shift = (severity) => restored.filter(f => f.severity === severity).length
+    - removed.filter(f => f.severity === severity).length;
+  return {
+    ...stats,
+    totalIssues: stats.totalIssues + restored.length - removed.length,
+    highSeverity: stats.highSeverity + shift('high'),
+    mediumSeverity: stats.mediumSeverity + shift('medium'),
+    lowSeverity: stats.lowSeverity + shift('low'),
+    totalEffortScore: round(Math.max(0, stats.totalEffortScore + effort))
+  };
+};
+
+// Moves suppressed findings out of detailed into results.suppressed (each with its triage). Summary,
+// stats, module stats and actions lose the suppressed findings' share of effort and occurrences; the
+// rest of the numbers, and the complexity factor, stay as the analysis scored them.
+// Findings an exported document already had suppressed are triaged again against the given list, and
+// the ones no longer suppressed get their share back.
+export const applyTriage = (results, suppressions) => {
+  if (!results) return results;
+  const previouslySuppressed = (results.suppressed || []).map(({ triage, ...finding }) => finding);
+  const byKey = new Map(suppressions.map(s => [suppressionKey(s), s]));
+  const active = [];
+  const suppressed = [];
+  // Findings that change sides: newly suppressed ones and ones no longer suppressed
+  const removed = [];
+  const restored = [];
+  [...results.detailed, ...previouslySuppressed].forEach((finding, index) => {
+    const wasSuppressed = index >= results.detailed.length;
+    const suppression = byKey.get(suppressionKey(finding));
+    if (suppression) {
+      const { state, justification, author, createdAt } = suppression;
+      suppressed.push({ ...finding, triage: { state, justification, author, createdAt } });
+      if (!wasSuppressed) removed.push(finding);
+    } else {
+      active.push(finding);
+      if (wasSuppressed) restored.push(finding);
+    }
+  });
+  if (removed.length === 0 && restored.length === 0) return { ...results, detailed: active, suppressed };
+
+  const units = effortUnits(results);
+  const effortOf = (findings) => findings
+    .reduce((sum, f) => sum + findingEffort(f) * (units.has(f.category) ? units.get(f.category) : results.complexityFactor), 0);
+  const removedIds = new Set(removed.map(f => f.id));
+
+  const known = new Set(results.summary.map(c => c.category));
+  const kept = results.summary
+    .map(c => {
+      const gone = inCategory(removed, c.category);
+      const back = inCategory(restored, c.category);
+      if (gone.length === 0 && back.length === 0) return c;
+      return {
+        ...c,
+        occurrences: c.occurrences - gone.length + back.length,
+        effortScore: round(Math.max(0, c.effortScore - effortOf(gone) + effortOf(back))),
+        detailIds: [...c.detailIds.filter(id => !removedIds.has(id)), ...back.map(f => f.id)]
+      };
+    })
+    .filter(c => c.occurrences > 0);
+  // Categories whose findings were all suppressed in the exported document
+  const added = buildSummary(restored.filter(f => !known.has(f.category)), results.complexityFactor);
+  const categoryIds = nextIds('cat', results.summary.map(c => c.id), added.length);
+  added.forEach((c, index) => { c.id = categoryIds[index]; });
+  const summary = [...kept, ...added];
+
+  const modules = results.modules && results.modules.map(module => {
+    const gone = removed.filter(f => f.module === module.path);
+    const back = restored.filter(f => f.module === module.path);
+    if (!module.stats || (gone.length === 0 && back.length === 0)) return module;
+    const effort = (weight(back) - weight(gone)) * module.complexityFactor;
+    return { ...module, stats: shiftStats(module.stats, gone, back, effort) };
+  });
+
+  const addedActions = results.actions ? buildActions(added, restored, results.complexityFactor) : [];
+  const actionIds = results.actions ? nextIds('a', results.actions.map(action => action.id), addedActions.length) : [];
+  const actions = results.actions && [
+    ...results.actions
+      .filter(action => summary.some(c => c.category === action.category))
+      .map(action => {
+        const gone = inCategory(removed, action.category);
+        const back = inCategory(restored, action.category);
+        if (gone.length === 0 && back.length === 0) return action;
+        return {
+          ...action,
+          finalEffort: round(Math.max(0, action.finalEffort - effortOf(gone) + effortOf(back))),
+          affectedFindings: [
+            ...action.affectedFindings.filter(location => !gone.some(f => sameLocation(f, location))),
+            ...back.map(f => ({ filename: f.filename, lineNum: f.lineNum }))
+          ]
+        };
+      }),
+    ...addedActions.map((action, index) => ({ ...action, id: actionIds[index] }))
+  ];
+
+  return {
+    ...results,
+    stats: shiftStats(results.stats, removed, restored, effortOf(restored) - effortOf(removed)),
+    ...(modules ? { modules } : {}),
+    summary,
+    detailed: active,
+    ...(actions ? { actions } : {}),
+    suppressed
+  };
+};
@@ -0,0 +1,147 @@
+import sample from '../mock/fixtures/debug-sample.json';
+import { buildResults } from './aggregate.js';
+import { toSarif } from './exporters/sarif.js';
+import {
+  SUPPRESSION_FORMAT,
+  SUPPRESSION_VERSION,
+  applyTriage,
+  createSuppression,
+  mergeSuppressions,
+  parseSuppressionFile,
+  removeSuppression,
+  suppressionKey,
+  toSuppressionFile,
+  upsertSuppression
+} from './triage.js';
+
+const triage = { state: 'accepted', justification: ' Read-only after startup ', author: ' Dana ' };
+
+const suppress = (finding, fields) => ({ ...createSuppression(finding, triage), createdAt: '2024-05-01T08:00:00.000Z', ...fields });
+
+const sessionFindings = sample.detailed.filter(f => f.category === 'Session State Management');
+
+describe('suppressions', () => {
+  it('match the same finding after it moves or is reformatted', () => {
+    const [finding] = sample.detailed;
+    expect(suppressionKey({ ...finding, lineNum: 90, code: `  ${finding.code}` })).toBe(suppressionKey(finding));
+    expect(suppressionKey({ ...finding, filename: 'Other.cs' })).not.toBe(suppressionKey(finding));
+  });
+
+  it('are created with trimmed text and a normalized code snippet', () => {
+    const suppression = createSuppression(sample.detailed[0], triage);
+    expect(suppression).toEqual(expect.objectContaining({ state: 'accepted', justification: 'Read-only after startup', author: 'Dana' }));
+    expect(suppressionKey(suppression)).toBe(suppressionKey(sample.detailed[0]));
+  });
+
+  it('replace the suppression of the same finding and are removed by finding', () => {
+    const first = suppress(sample.detailed[0]);
+    const second = suppress(sample.detailed[1]);
+    const changed = { ...first, state: 'wont-fix' };
+    expect(upsertSuppression([first, second], changed)).toEqual([second, changed]);
+    expect(removeSuppression([first, second], sample.detailed[0])).toEqual([second]);
+  });
+
+  it('keep the newer entry when merged', () => {
+    const older = suppress(sample.detailed[0]);
+    const newer = suppress(sample.detailed[0], { state: 'false-positive', createdAt: '2024-06-01T08:00:00.000Z' });
+    const other = suppress(sample.detailed[1]);
+    expect(mergeSuppressions([newer], [older, other])).toEqual([newer, other]);
+    expect(mergeSuppressions([older], [newer])).toEqual([newer]);
+  });
+});
+
+describe('suppression files', () => {
+  it('round-trip, sorted by file', () => {
+    const suppressions = [suppress(sample.detailed[1]), suppress(sample.detailed[0])];
+    const file = toSuppressionFile(suppressions);
+    expect(file.format).toBe(SUPPRESSION_FORMAT);
+    expect(file.suppressions.map(s => s.filename)).toEqual(['Controllers/CartController.cs', 'Controllers/UserController.cs']);
+    expect(parseSuppressionFile(JSON.parse(JSON.stringify(file)))).toEqual({ suppressions: file.suppressions, errors: [] });
+  });
+
+  it('report invalid entries and newer versions', () => {
+    const file = toSuppressionFile([suppress(sample.detailed[0], { state: 'ignored', author: '' })]);
+    expect(parseSuppressionFile(file)).toEqual({
+      suppressions: [],
+      errors: [
+        expect.objectContaining({ path: '$.suppressions[0].state', actual: '"ignored"' }),
+        { path: '$.suppressions[0].author', expected: 'non-empty string', actual: '""' }
+      ]
+    });
+    expect(parseSuppressionFile({ ...toSuppressionFile([]), version: SUPPRESSION_VERSION + 1 }).errors).toEqual([
+      { path: '$.version', expected: `version ${SUPPRESSION_VERSION} or older`, actual: String(SUPPRESSION_VERSION + 1) }
+    ]);
+  });
+});
+
+describe('applyTriage', () => {
+  it('subtracts the suppressed findings at the effort the analysis gave them', () => {
+    const triaged = applyTriage(sample, [suppress(sample.detailed[0])]);
+    expect(triaged.complexityFactor).toBe(sample.complexityFactor);
+    expect(triaged.stats).toEqual({ ...sample.stats, totalIssues: 11, highSeverity: 2, totalEffortScore: 141.5 });
+    expect(triaged.summary[0]).toEqual(expect.objectContaining({ occurrences: 2, effortScore: 30.3, detailIds: ['d2', 'd3'] }));
+    expect(triaged.summary.slice(1)).toEqual(sample.summary.slice(1));
+    expect(triaged.detailed.map(f => f.id)).not.toContain('d1');
+    expect(triaged.suppressed).toEqual([
+      { ...sample.detailed[0], triage: { state: 'accepted', justification: 'Read-only after startup', author: 'Dana', createdAt: '2024-05-01T08:00:00.000Z' } }
+    ]);
+  });
+
+  it('drops categories whose findings are all suppressed', () => {
+    const triaged = applyTriage(sample, sessionFindings.map(f => suppress(f)));
+    expect(triaged.stats.totalEffortScore).toBe(111.2);
+    expect(triaged.stats.highSeverity).toBe(0);
+    expect(triaged.summary.map(c => c.id)).toEqual(['cat2', 'cat3']);
+  });
+
+  it('gives findings that are no longer suppressed their share back', () => {
+    const restored = applyTriage(applyTriage(sample, [suppress(sample.detailed[0])]), []);
+    expect(restored.suppressed).toEqual([]);
+    expect(restored.stats).toEqual(sample.stats);
+    expect(restored.summary[0]).toEqual({ ...sample.summary[0], detailIds: ['d2', 'd3', 'd1'] });
+  });
+
+  it('scores categories that come back with the complexity factor', () => {
+    const triaged = applyTriage(sample, sessionFindings.map(f => suppress(f)));
+    const restored = applyTriage(triaged, []);
+    expect(restored.detailed).toHaveLength(sample.detailed.length);
+    expect(restored.summary.map(c => [c.id, c.category, c.occurrences, c.effortScore])).toEqual([
+      ['cat2', 'Static Field Usage', 5, 67.2],
+      ['cat3', 'File System Dependencies', 4, 44],
+      // 3 high findings * 5 * 2.5; the sample's own score for the category was dropped with it
+      ['cat1', 'Session State Management', 3, 37.5]
+    ]);
+    expect(restored.stats).toEqual({ ...sample.stats, totalEffortScore: 148.7 });
+  });
+
+  it('updates actions and module stats', () => {
+    const results = buildResults({
+      projectType: 'dotnet',
+      scanDate: '2024-05-01T08:00:00Z',
+      findings: [
+        { filename: 'api/A.cs', function: 'Get', lineNum: 3, code: 'Session["a"] = 1;', category: 'Session State', severity: 'high', module: 'api' },
+        { filename: 'web/B.cs', function: 'Get', lineNum: 5, code: 'static int hits;', category: 'Static Mutable Field', severity: 'medium', module: 'web' }
+      ],
+      modules: [
+        { path: 'api', projectType: 'dotnet', manifest: 'api/Api.csproj' },
+        { path: 'web', projectType: 'dotnet', manifest: 'web/Web.csproj' }
+      ]
+    });
+    const triaged = applyTriage(results, [suppress(results.detailed[1])]);
+    expect(triaged.actions.map(action => action.category)).toEqual(['Session State']);
+    expect(triaged.modules.map(m => m.stats.totalIssues)).toEqual([1, 0]);
+    expect(triaged.modules[1].stats.totalEffortScore).toBe(0);
+  });
+});
+
+describe('SARIF export of triaged results', () => {
+  it('keeps the rules of fully suppressed categories', () => {
+    const triaged = applyTriage(sample, sessionFindings.map(f => suppress(f)));
+    const [run] = toSarif(triaged).runs;
+    const suppressedResults = run.results.filter(result => result.suppressions);
+    expect(run.tool.driver.rules.map(rule => rule.shortDescription.text)).toContain('Session State Management');
+    expect(suppressedResults).toHaveLength(3);
+    suppressedResults.forEach(result => expect(run.tool.driver.rules[result.ruleIndex].id).toBe(result.ruleId));
+    expect(suppressedResults[0].suppressions[0].justification).toBe('Accepted risk: Read-only after startup (Dana)');
+  });
+});
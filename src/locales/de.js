@@ -0,0 +1,600 @@
+// German messages
+const de = {
+  'app.subtitle': 'Ursachen für Zustandsbehaftung finden; mit KI-gestützten Korrekturen zustandslos werden',
+  'app.mockApi': 'Mock-API',
+  'app.mockApiHint': 'Antworten kommen vom Mock-Backend im Browser. Mit ?mock=errors, flaky, slow oder offline in der URL lassen sich Fehler ausprobieren.',
+  'app.rules': 'Regeln',
+  'app.rulesWithCustom': 'Regeln ({count} eigene)',
+  'app.language': 'Sprache',
+
+  'common.cancel': 'Abbrechen',
+  'common.newAnalysis': 'Neue Analyse',
+  'common.requestId': 'Anfrage-ID {id}',
+  'common.dismiss': 'Schließen',
+  'common.save': 'Speichern',
+  'common.import': 'Importieren',
+  'common.export': 'Exportieren',
+  'common.back': 'Zurück',
+  'common.close': 'Schließen',
+  'common.delete': 'Löschen',
+
+  'input.heading': 'Analysemethode wählen',
+  'input.description': 'Es gibt 3 Möglichkeiten, die Analyse auf Zustandsbehaftung durchzuführen. Bei der 1. Methode wird der Quellcode als ZIP hochgeladen, bei der 2. geben Sie ein Git-Repository frei (GitHub, GitLab, Bitbucket, Azure DevOps oder selbst gehostet). Bei der letzten führen Sie den Scan selbst aus und laden das Ergebnis hier hoch. Die 1. Möglichkeit empfiehlt sich für kleine Projekte, die letzte für proprietären oder vertraulichen Code.',
+  'input.tabs': 'Analysemethode',
+  'input.tab.upload': 'ZIP hochladen',
+  'input.tab.git': 'Git-Repository',
+  'input.tab.json': 'JSON hochladen',
+  'input.tab.compare': 'Vergleichen',
+
+  'upload.instructions': 'Laden Sie Ihren Quellcode hoch, um die Analyse durchzuführen. Komprimieren Sie dazu den Stammordner des Projekts und laden Sie die ZIP-Datei hier hoch.',
+  'upload.repackInfo': 'Vor dem Hochladen wird der Inhalt der ZIP-Datei hier aufgelistet. Build-Ausgaben, Abhängigkeiten und {git} werden ausgelassen, weitere Ordner können Sie abwählen. Nur die verbleibenden Quell- und Projektdateien werden neu gepackt und hochgeladen, sodass auch große Projekte klein bleiben.',
+  'upload.scanLocally': 'Lokal scannen',
+  'upload.scanLocallyHint': 'Die ZIP-Datei wird in diesem Browser entpackt und gescannt. Der Quellcode verlässt Ihren Rechner nicht.',
+  'upload.title': 'Quellcode hochladen',
+  'upload.description': 'ZIP-Dateien mit .NET- oder Java-Projekten',
+  'upload.chooseFile': 'Datei auswählen',
+
+  'git.url': 'Repository-URL',
+  'git.urlPlaceholder': 'https://gitlab.com/group/project.git oder git@github.com:owner/repo.git',
+  'git.credentialsInUrl': 'Entfernen Sie die Zugangsdaten aus der URL und verwenden Sie stattdessen die Option für Zugriffstoken',
+  'git.branch': 'Branch (optional)',
+  'git.subfolders': 'Unterordner (optional)',
+  'git.testConnection': 'Verbindung testen',
+  'git.connectionOk': '✓ Verbindung erfolgreich. Das Repository ist erreichbar.',
+  'git.connectionFailed': '✗ Verbindung fehlgeschlagen: {message}',
+  'git.findModules': 'Module suchen',
+  'git.supportedHeading': 'Unterstützte Repositories',
+  'git.supportedHosts': 'GitHub, GitLab, Bitbucket, Azure DevOps und selbst gehostete Git-Server, als HTTPS- oder SSH-URL.',
+  'git.supportedAccess': 'Öffentliche Repositories brauchen keine Einrichtung. Für private Repositories verwenden Sie eine SSH-URL mit Deploy-Key oder eine HTTPS-URL mit einem Zugriffstoken mit Leserechten.',
+  'git.accessToken': 'Zugriffstoken',
+  'git.publicAccess': '✓ Zugriff auf öffentliches Repository',
+  'git.privateRepository': 'Privates Repository',
+  'git.privateRepositoryHint': 'Mit einem {provider}-Zugriffstoken mit Leserechten statt einem SSH-Deploy-Key anmelden.',
+  'git.tokenNeedsHttps': 'Die API wird nicht über HTTPS bereitgestellt, daher können keine Zugriffstoken gesendet werden. Verwenden Sie stattdessen eine SSH-URL mit Deploy-Key.',
+  'git.publicNoSetup': 'Für öffentliche Repositories ist keine Einrichtung nötig.',
+  'git.publicStart': 'Klicken Sie einfach auf „Analyse starten“.',
+  'git.sshSetup': 'SSH-Einrichtung für {provider}',
+
+  'gitUrl.repository': '{name} auf {provider}',
+  'gitUrl.error.required': 'Geben Sie eine Repository-URL ein',
+  'gitUrl.error.invalid': 'Keine gültige URL. Verwenden Sie https://host/owner/repo oder git@host:owner/repo.git',
+  'gitUrl.error.http': 'Verwenden Sie eine https://-URL, damit Zugangsdaten nie im Klartext gesendet werden',
+  'gitUrl.error.protocol': 'Nicht unterstütztes Protokoll {protocol}; verwenden Sie https oder ssh',
+  'gitUrl.error.azureSsh': 'SSH-URLs von Azure DevOps haben die Form git@ssh.dev.azure.com:v3/organisation/projekt/repository',
+  'gitUrl.error.azureHttps': 'URLs von Azure DevOps haben die Form https://dev.azure.com/organisation/projekt/_git/repository',
+  'gitUrl.error.ownerAndRepo': 'Die URL muss sowohl den Besitzer (Benutzer, Gruppe oder Workspace) als auch das Repository nennen',
+  'gitUrl.error.singleOwner': 'Repository-URLs von {provider} haben genau einen Besitzer und einen Repository-Namen',
+  'gitUrl.error.repoMissing': 'Der Repository-Name fehlt',
+
+  'scan.error.projectType': 'Projekttyp nicht erkannt. Erwartet wird eine .csproj/.sln oder pom.xml/build.gradle im Projekt.',
+  'scan.error.noSourcesIn': 'Keine Quelldateien in {folders} gefunden',
+  'scan.error.noSources': 'In keinem Modul wurden .cs- oder .java-Quelldateien gefunden.',
+
+  'json.instructions': 'Wenn Sie lokal analysieren möchten, laden Sie das Skript herunter und legen Sie es im Stammordner des Projekts ab. Das Skript erzeugt eine JSON-Ausgabe, die Sie anschließend hier hochladen. Der Bericht wird in Ihrem Browser erstellt; die JSON-Datei wird nicht an den Server gesendet.',
+  'json.bashScript': 'Bash-Skript',
+  'json.powershellScript': 'PowerShell-Skript',
+  'json.customRulesNote': {
+    one: 'Beide Skripte enthalten Ihre {count} eigene Regel aus dem {catalog}.',
+    other: 'Beide Skripte enthalten Ihre {count} eigenen Regeln aus dem {catalog}.'
+  },
+  'json.ruleCatalog': 'Regelkatalog',
+  'json.cliHeading': 'Node.js-CLI',
+  'json.cliDescription': 'Läuft unter Windows, macOS und Linux mit Node.js 18 oder neuer, ohne Bash, jq oder PowerShell. Es schreibt dasselbe JSON, kann auch SARIF schreiben und endet mit Exit-Code 1, wenn {failOn} Probleme findet oder ein {policies}-Quality-Gate fehlschlägt, sodass es einen CI-Build stoppen kann.',
+  'json.copyCommand': 'Befehl kopieren',
+  'json.downloadRules': 'Eigene Regeln für --rules',
+  'json.downloadPolicies': 'Richtlinien für --policies',
+  'json.uploadTitle': 'Analyse-JSON hochladen',
+  'json.uploadDescription': 'Vom Analyseskript erzeugte JSON-Datei',
+  'json.chooseFile': 'JSON-Datei auswählen',
+  'json.reading': 'Datei wird gelesen...',
+  'json.loaded': '✓ {file} geladen',
+  'json.invalid': '{file} ist keine gültige Analysedatei',
+  'json.error': '{path}: {expected} erwartet, {actual} erhalten',
+  'json.moreErrors': {
+    one: '...und {count} weiterer Fehler',
+    other: '...und {count} weitere Fehler'
+  },
+  'json.upgraded': 'Aus einem älteren oder unvollständigen Format aktualisiert',
+
+  'compare.instructions': 'Laden Sie die Analyse von vor einem Sanierungssprint als Ausgangsbasis und die neueste Analyse als aktuellen Stand. Befunde werden über Datei, Funktion, Kategorie und Code zugeordnet, sodass verschobene Zeilen erkannt werden.',
+  'compare.baseline': 'Ausgangsanalyse',
+  'compare.current': 'Aktuelle Analyse',
+  'compare.fileDescription': 'Analyse-JSON (Skriptausgabe oder exportierte Ergebnisse)',
+  'compare.invalid': '✗ {file}: {count} Validierungsfehler',
+
+  'analyze.start': 'Analyse starten',
+  'analyze.compare': 'Analysen vergleichen',
+  'analyze.running': 'Analysiere...',
+  'analyze.packing': 'Quellen werden gepackt...',
+  'analyze.extracting': 'Archiv wird entpackt...',
+  'analyze.scanning': {
+    one: 'Scanne {scanned} von {total} Dateien ({count} Problem gefunden)',
+    other: 'Scanne {scanned} von {total} Dateien ({count} Probleme gefunden)'
+  },
+  'analyze.progress': 'Analysefortschritt',
+
+  'job.packing': 'Quellen werden gepackt',
+  'job.uploading': 'Wird hochgeladen',
+  'job.queued': 'In der Warteschlange',
+  'job.cloning': 'Repository wird geklont',
+  'job.extracting': 'Archiv wird entpackt',
+  'job.scanning': 'Scannen',
+  'job.scanningFiles': 'Scanne Datei {current} von {total}',
+  'job.aggregating': 'Ergebnisse werden zusammengefasst',
+  'job.done': 'Fertig',
+
+  'missing.heading': 'Analyse nicht gefunden',
+  'missing.description': 'Dieser Link verweist auf eine Analyse, die nicht im Verlauf dieses Browsers liegt. Analysen werden nur lokal gespeichert. Öffnen Sie die mit dem Link geteilte Analysedatei (exportierte JSON-Ergebnisse oder Skriptausgabe), um sie mit denselben Filtern anzuzeigen.',
+  'missing.openFile': 'Analysedatei öffnen',
+  'missing.loading': 'Analyse wird geladen...',
+
+  'results.scannedOn': 'Gescannt am {date}',
+  'results.modules': {
+    one: '{count} Modul',
+    other: '{count} Module'
+  },
+  'results.complexity': 'Komplexitätsfaktor: {factor}x',
+  'results.pages': 'Analyseansichten',
+  'results.page.findings': 'Befunde',
+  'results.page.plan': 'Sprintplan',
+  'results.heading': 'Analyseergebnisse',
+  'results.compareBaseline': 'Mit Ausgangsbasis vergleichen',
+  'results.fixSettings': 'KI-Korrektur-Einstellungen',
+  'results.fixSettingsHint': 'Woher Korrekturvorschläge kommen',
+  'results.downloadPatch': 'Patch herunterladen ({count})',
+
+  'stats.totalFiles': 'Dateien gesamt',
+  'stats.totalIssues': 'Probleme gesamt',
+  'stats.highSeverity': 'Hoher Schweregrad',
+  'stats.mediumSeverity': 'Mittlerer Schweregrad',
+  'stats.lowSeverity': 'Niedriger Schweregrad',
+  'stats.totalEffortScore': 'Aufwandswert',
+
+  'severity.high': 'hoch',
+  'severity.medium': 'mittel',
+  'severity.low': 'niedrig',
+
+  'filter.search': 'Code durchsuchen...',
+  'filter.pathGlob': 'Pfadmuster, z. B. src/Controllers/**',
+  'filter.functionName': 'Funktionsname',
+  'filter.groupBy': 'Gruppieren nach',
+  'filter.groupBy.category': 'Kategorie',
+  'filter.groupBy.module': 'Modul',
+  'filter.groupBy.directory': 'Verzeichnis',
+  'filter.groupBy.file': 'Datei',
+  'filter.groupBy.severity': 'Schweregrad',
+  'filter.summary': '{visible} von {total} Befunden • Aufwand: {effort}',
+  'filter.clear': 'Filter zurücksetzen',
+
+  'tree.label': 'Befunde',
+  'tree.empty': 'Keine Befunde entsprechen dem aktuellen Filter.',
+  'tree.occurrences': '({count} Vorkommen)',
+  'tree.groupLabel': '{label}, Schweregrad {severity}, {count} Vorkommen',
+  'tree.effort': 'Aufwand: {score}',
+  'tree.remediation': 'Empfohlene Lösung:',
+  'tree.roadmap': 'Umsetzungsplan',
+  'tree.suggestFixes': 'Korrekturen vorschlagen ({count})',
+
+  'finding.label': '{file}, Zeile {line}',
+  'finding.classLevel': 'Klassenebene',
+  'finding.line': 'Zeile {line}',
+  'finding.showContext': 'Kontext anzeigen',
+  'finding.hideContext': 'Kontext ausblenden',
+  'finding.suggestFix': 'Korrektur vorschlagen',
+  'finding.suggestFixHint': 'Den KI-Korrekturendpunkt um eine Änderung bitten',
+  'finding.triage': 'Bewerten',
+  'finding.copyLink': 'Link zu diesem Befund kopieren',
+
+  'export.button': 'Exportieren',
+  'export.filtered': '(gefiltert)',
+
+  'notify.downloadScriptFailed': 'Das Skript konnte nicht heruntergeladen werden',
+  'notify.scriptRulesUnsupported': '{error}. Löschen oder exportieren Sie Ihre eigenen Regeln oder aktualisieren Sie das Backend.',
+  'notify.invalidFile': '{file} ist keine gültige Analysedatei ({count} Fehler). Erster: {path}: {expected} erwartet, {actual} erhalten',
+  'notify.linkCopied': 'Link in die Zwischenablage kopiert',
+  'notify.commandCopied': 'Befehl in die Zwischenablage kopiert',
+  'notify.copyFailed': 'Kopieren in die Zwischenablage fehlgeschlagen',
+  'notify.readFileFailed': '{file} konnte nicht gelesen werden',
+  'notify.localScanFailed': 'Lokaler Scan fehlgeschlagen',
+  'notify.analysisFailed': 'Analyse fehlgeschlagen',
+  'notify.analysisFailedReason': 'Analyse fehlgeschlagen: {reason}',
+  'notify.moduleDetectionFailed': 'Die Module dieses Repositorys konnten nicht aufgelistet werden',
+  'notify.fixUnreachable': '{url} ist nicht erreichbar',
+  'notify.fixOverlap': 'Eine andere übernommene Korrektur ändert bereits die Zeilen {start}-{end} von {file}. Machen Sie diese zuerst rückgängig.',
+
+  'migrate.lineNumbers': 'Zeilennummern aus Text in Zahlen umgewandelt',
+  'migrate.severityCase': 'Schweregrade in Kleinschreibung vereinheitlicht',
+  'migrate.functionNames': 'Fehlende Funktionsnamen als "Unknown" ergänzt',
+  'migrate.codeSnippets': 'Fehlende Codeausschnitte ergänzt',
+  'migrate.windowsPaths': 'Windows-Dateipfade vereinheitlicht',
+  'migrate.noFindings': 'Keine Befundliste gefunden; als leerer Scan behandelt',
+  'migrate.singleFinding': 'Einzelnes Befundobjekt in eine Liste übernommen',
+  'migrate.projectTypeInferred': 'Projekttyp "{projectType}" aus den Dateiendungen abgeleitet',
+  'migrate.scanDateMissing': 'Scandatum fehlt; der Zeitpunkt des Uploads wird verwendet',
+  'migrate.findingIds': 'Befunden ohne ID eine ID zugewiesen',
+  'migrate.projectNameMissing': 'Projektname fehlt; "Untitled Project" wird verwendet',
+  'migrate.complexityMissing': 'Komplexitätsfaktor fehlt; 1 wird angenommen',
+  'migrate.summaryRebuilt': 'Kategorieübersicht aus den einzelnen Befunden neu erstellt',
+  'migrate.statsRecomputed': 'Fehlende Statistiken neu berechnet: {stats}',
+  'migrate.actionsGenerated': 'Umsetzungsplan erstellt',
+
+  'comparison.dates': 'Ausgangsbasis {baseline} → Aktuell {current}',
+  'comparison.new': '{count} neu',
+  'comparison.fixed': '{count} behoben',
+  'comparison.unchanged': '{count} unverändert',
+  'comparison.versus': '{delta} ggü. {baseline}',
+  'comparison.heading': 'Änderungen nach Kategorie',
+  'comparison.exportMarkdown': 'Markdown exportieren',
+  'comparison.exportJson': 'JSON exportieren',
+  'comparison.status.new': 'Neu ({count})',
+  'comparison.status.fixed': 'Behoben ({count})',
+  'comparison.status.unchanged': 'Unverändert ({count})',
+  'comparison.wasLine': '(vorher {line})',
+  'comparison.close': 'Vergleich schließen',
+
+  'dashboard.heading': 'Brennpunkte',
+  'dashboard.showCharts': 'Diagramme anzeigen',
+  'dashboard.hideCharts': 'Diagramme ausblenden',
+  'dashboard.savePng': 'Als PNG-Bild speichern',
+  'dashboard.saveSvg': 'Als SVG-Bild speichern',
+  'dashboard.exportFailed': 'Diagrammexport fehlgeschlagen: {message}',
+  'dashboard.error.pngEncoding': 'Der Browser konnte das PNG nicht erzeugen',
+  'dashboard.error.chartImage': 'Das Diagramm konnte nicht als Bild gerendert werden',
+  'dashboard.noFindings': 'Keine Befunde',
+  'dashboard.metric.count': 'Nach Befunden',
+  'dashboard.metric.effort': 'Nach Aufwand',
+  'dashboard.severity': 'Verteilung der Schweregrade',
+  'dashboard.sliceTooltip': '{severity}: {count}',
+  'dashboard.findings': {
+    one: 'Befund',
+    other: 'Befunde'
+  },
+  'dashboard.categoryCount': 'Befunde pro Kategorie',
+  'dashboard.categoryEffort': 'Aufwand pro Kategorie',
+  'dashboard.treemapLabel': 'Treemap der Brennpunkte',
+  'dashboard.treemap.count': 'Wo die Befunde liegen (nach Befunden)',
+  'dashboard.treemap.effort': 'Wo die Befunde liegen (nach Aufwand)',
+  'dashboard.root': '(Wurzel)',
+  'dashboard.spotTooltip': {
+    one: '{path}: {count} Befund, Aufwand {effort}',
+    other: '{path}: {count} Befunde, Aufwand {effort}'
+  },
+  'dashboard.topFiles': 'Top {count} Dateien',
+  'dashboard.topFunctions': 'Top {count} Funktionen',
+
+  'triage.state.accepted': 'Akzeptiertes Risiko',
+  'triage.state.false-positive': 'Fehlalarm',
+  'triage.state.wont-fix': 'Wird nicht behoben',
+  'triage.author': 'Ihr Name',
+  'triage.justification': 'Warum ist dieser Befund kein Problem?',
+  'triage.suppress': 'Unterdrücken',
+
+  'suppressions.invalidFile': '{file} ist keine gültige Unterdrückungsdatei ({count} Fehler). Erster: {path}: {expected} erwartet, {actual} erhalten',
+  'suppressions.imported': {
+    one: '{count} Unterdrückung importiert.',
+    other: '{count} Unterdrückungen importiert.'
+  },
+  'suppressions.importFailed': 'Import fehlgeschlagen: {message}',
+  'suppressions.count': {
+    one: '{count} unterdrückter Befund',
+    other: '{count} unterdrückte Befunde'
+  },
+  'suppressions.excluded': 'nicht in Statistik und Aufwand enthalten',
+  'suppressions.import': 'Unterdrückungen importieren',
+  'suppressions.export': 'Unterdrückungen exportieren ({count})',
+  'suppressions.restore': 'Wiederherstellen',
+
+  'policy.heading': 'Richtlinien des Quality Gates',
+  'policy.description': 'Jede Analyse wird nach der Bewertung gegen diese Richtlinien geprüft und schlägt fehl, sobald eine davon verletzt ist. Sie werden in diesem Browser gespeichert; exportieren Sie sie, um sie mit Ihrem Team zu teilen oder mit der Option {option} der CLI zu verwenden.',
+  'policy.imported': {
+    one: '{count} Richtlinie importiert. Speichern Sie, um sie anzuwenden.',
+    other: '{count} Richtlinien importiert. Speichern Sie, um sie anzuwenden.'
+  },
+  'policy.importFailed': 'Richtlinien konnten nicht importiert werden: {message}',
+  'policy.notImported': {
+    one: '{count} Richtlinie wurde nicht importiert',
+    other: '{count} Richtlinien wurden nicht importiert'
+  },
+  'policy.importError': '{policy}: {messages}',
+  'policy.numbered': 'Richtlinie {number}',
+  'policy.name': 'Name',
+  'policy.optional': 'Optional',
+  'policy.metric': 'Kennzahl',
+  'policy.category': 'Kategorie',
+  'policy.operator': 'Operator',
+  'policy.threshold': 'Schwellenwert',
+  'policy.now': 'Aktuell',
+  'policy.remove': 'Richtlinie entfernen',
+  'policy.add': 'Richtlinie hinzufügen',
+  'policy.metric.highSeverity': 'Befunde mit hohem Schweregrad',
+  'policy.metric.mediumSeverity': 'Befunde mit mittlerem Schweregrad',
+  'policy.metric.lowSeverity': 'Befunde mit niedrigem Schweregrad',
+  'policy.metric.totalIssues': 'Probleme gesamt',
+  'policy.metric.totalEffortScore': 'Aufwandswert gesamt',
+  'policy.metric.complexityFactor': 'Komplexitätsfaktor',
+  'policy.metric.categoryOccurrences': 'Vorkommen einer Kategorie',
+  'policy.metric.categoryEffort': 'Aufwandswert einer Kategorie',
+  'policy.describe.highSeverity': 'Befunde mit hohem Schweregrad {operator} {threshold}',
+  'policy.describe.mediumSeverity': 'Befunde mit mittlerem Schweregrad {operator} {threshold}',
+  'policy.describe.lowSeverity': 'Befunde mit niedrigem Schweregrad {operator} {threshold}',
+  'policy.describe.totalIssues': 'Probleme gesamt {operator} {threshold}',
+  'policy.describe.totalEffortScore': 'Aufwandswert gesamt {operator} {threshold}',
+  'policy.describe.complexityFactor': 'Komplexitätsfaktor {operator} {threshold}',
+  'policy.describe.categoryOccurrences': 'Vorkommen von {category} {operator} {threshold}',
+  'policy.describe.categoryEffort': 'Aufwandswert von {category} {operator} {threshold}',
+  'policy.error.metric': 'Die Kennzahl muss eine der folgenden sein: {metrics}',
+  'policy.error.category': 'Die Kategorie ist erforderlich',
+  'policy.error.operator': 'Der Operator muss einer der folgenden sein: {operators}',
+  'policy.error.threshold': 'Der Schwellenwert muss eine Zahl von mindestens 0 sein',
+
+  'gate.passed': 'Quality Gate bestanden',
+  'gate.failed': 'Quality Gate nicht bestanden',
+  'gate.allMet': {
+    one: 'Die Richtlinie ist erfüllt',
+    other: 'Alle {count} Richtlinien sind erfüllt'
+  },
+  'gate.violated': {
+    one: '{failed} von {count} Richtlinie verletzt',
+    other: '{failed} von {count} Richtlinien verletzt'
+  },
+  'gate.empty': 'Noch keine Richtlinien für das Quality Gate. Fügen Sie welche hinzu, um für jede Analyse ein Ergebnis "bestanden" oder "nicht bestanden" zu erhalten.',
+  'gate.edit': 'Richtlinien bearbeiten',
+  'gate.add': 'Richtlinien hinzufügen',
+  'gate.check': '✗ {name}: {actual} (muss {operator} {threshold} sein)',
+
+  'rules.heading': 'Regelkatalog',
+  'rules.new': 'Neue Regel',
+  'rules.description': 'Integrierte Regeln laufen bei jedem Scan. Eigene Regeln werden in diesem Browser gespeichert; sie werden lokalen ZIP-Scans hinzugefügt und in die Bash- und PowerShell-Skripte eingebettet, die Sie im Tab "JSON hochladen" herunterladen. ZIP- und Git-Scans auf dem Server verwenden nur die integrierten Regeln.',
+  'rules.imported': {
+    one: '{count} eigene Regel importiert.',
+    other: '{count} eigene Regeln importiert.'
+  },
+  'rules.importFailed': 'Regeln konnten nicht importiert werden: {message}',
+  'rules.notImported': {
+    one: '{count} Regel wurde nicht importiert',
+    other: '{count} Regeln wurden nicht importiert'
+  },
+  'rules.importError': '{rule}: {messages}',
+  'rules.numbered': 'Regel {number}',
+  'rules.confirmDelete': 'Eigene Regel "{category}" ({regex}) löschen?',
+  'rules.allLanguages': 'Alle Sprachen',
+  'rules.counts': '{builtIn} integriert • {custom} eigene',
+  'rules.rule': 'Regel',
+  'rules.language': 'Sprache',
+  'rules.category': 'Kategorie',
+  'rules.severity': 'Schweregrad',
+  'rules.regex': 'Regex',
+  'rules.exclude': 'Zeilen ausschließen, die passen auf (optional)',
+  'rules.excludeColumn': 'Ausschluss',
+  'rules.remediation': 'Behebung',
+  'rules.engines': 'Engines',
+  'rules.builtIn': 'Integriert',
+  'rules.custom': 'Eigene',
+  'rules.test': 'Testen',
+  'rules.editHint': 'Bearbeiten und testen',
+  'rules.builtInTitle': 'Integrierte Regel {id}',
+  'rules.editTitle': '{id} bearbeiten',
+  'rules.newTitle': 'Neue eigene Regel',
+  'rules.duplicate': 'Als eigene Regel duplizieren',
+  'rules.save': 'Regel speichern',
+  'rules.categoryPlaceholder': 'z. B. In-Process Cache',
+  'rules.regexPlaceholder': 'z. B. AppCache\\.Instance',
+  'rules.excludePlaceholder': 'z. B. readonly',
+  'rules.snippet': 'Testcode',
+  'rules.loadSample': '{language}-Beispiel laden',
+  'rules.snippetPlaceholder': 'C#- oder Java-Code hier einfügen',
+  'rules.fixRegex': 'Korrigieren Sie die Regex, um Treffer zu sehen.',
+  'rules.reported': {
+    one: '{count} Zeile gemeldet',
+    other: '{count} Zeilen gemeldet'
+  },
+  'rules.excluded': '{count} ausgeschlossen',
+  'rules.caseOnly': '{count} weitere nur mit dem Groß-/Kleinschreibung ignorierenden -match von PowerShell',
+  'rules.engine.browser': 'Browser und API (JavaScript)',
+  'rules.engine.grep': 'Bash-Skript (grep -E)',
+  'rules.engine.powershell': 'PowerShell-Skript (-match)',
+  'rules.compat.ok': 'OK',
+  'rules.compat.warning': 'Warnung',
+  'rules.compat.error': 'Fehler',
+  'rules.error.language': 'Wählen Sie .NET oder Java',
+  'rules.error.severity': 'Der Schweregrad muss einer der folgenden sein: {severities}',
+  'rules.error.category': 'Die Kategorie ist erforderlich',
+  'rules.error.regex': 'Die Regex ist erforderlich',
+  'rules.error.invalidRegex': '{message}',
+  'rules.error.matchesEmpty': 'Die Regex passt auf eine leere Zeile und würde daher jede Zeile melden',
+  'rules.error.noExclude': 'Ein einzelnes "{value}" bedeutet in der Regeltabelle der Skripte "kein Ausschluss"',
+  'rules.error.remediation': 'Ein Hinweis zur Behebung ist erforderlich',
+  'rules.error.tableUnsafe': 'Tabulatoren und Zeilenumbrüche sind nicht erlaubt',
+  'rules.error.duplicate': 'Gleiche Regex wie {id}',
+
+  'zip.contents': 'Inhalt des Archivs',
+  'zip.includeAll': 'Alle einbeziehen',
+  'zip.reset': 'Zurücksetzen',
+  'zip.expand': '{name} aufklappen',
+  'zip.collapse': '{name} zuklappen',
+  'zip.buildOutput': 'Build-Ausgabe',
+  'zip.share': '{percent} % des Archivs',
+  'zip.fileCounts': '{source} Quell- / {count} Dateien',
+  'zip.size': {
+    one: '{count} Datei, {size} entpackt ({compressed} komprimiert)',
+    other: '{count} Dateien, {size} entpackt ({compressed} komprimiert)'
+  },
+  'zip.mixed': '.NET und Java',
+  'zip.noProject': 'Kein Projekt erkannt',
+  'zip.sourceCounts': '{dotnet} .cs- und {java} .java-Dateien',
+  'zip.rootFiles': {
+    one: '{count} Datei im Projektstamm',
+    other: '{count} Dateien im Projektstamm'
+  },
+  'zip.uploadLabel': 'Upload:',
+  'zip.upload': '{label} {count} Quell- und Projektdateien, etwa {size}. Andere Dateien werden weggelassen.',
+  'zip.uploadSmaller': '{label} {count} Quell- und Projektdateien, etwa {size} ({saved} % kleiner). Andere Dateien werden weggelassen.',
+
+  'fixSettings.heading': 'KI-Korrekturendpunkt',
+  'fixSettings.description': 'Jeder Server, der das Chat-Completions-Protokoll von OpenAI spricht, funktioniert, zum Beispiel OpenAI, Azure OpenAI, Ollama oder LM Studio. Der Befund, die umliegenden Zeilen und die Behebung werden an ihn gesendet. Um den Ablauf ohne Modell auszuprobieren, starten Sie {command} und verwenden Sie dessen Stub unter {stub}.',
+  'fixSettings.url': 'Chat-Completions-URL',
+  'fixSettings.invalidUrl': 'Geben Sie eine http://- oder https://-URL ein',
+  'fixSettings.model': 'Modell',
+  'fixSettings.modelPlaceholder': 'Modell (optional), z. B. gpt-4o-mini',
+  'fixSettings.apiKey': 'API-Schlüssel',
+  'fixSettings.apiKeyPlaceholder': 'API-Schlüssel (optional)',
+  'fixSettings.apiKeyHttps': 'Der API-Schlüssel wird nur an HTTPS-Endpunkte oder localhost gesendet.',
+  'fixSettings.apiKeySession': 'Der API-Schlüssel wird nur für diese Browsersitzung aufbewahrt.',
+
+  'fix.heading': 'Vorgeschlagene Korrektur',
+  'fix.accepted': 'Übernommen',
+  'fix.loading': '{host} wird um eine Korrektur gebeten...',
+  'fix.retry': 'Erneut versuchen',
+  'fix.unchanged': 'Der Vorschlag ändert keine Zeile.',
+  'fix.current': 'Aktuell',
+  'fix.proposed': 'Vorgeschlagen',
+  'fix.accept': 'Übernehmen',
+  'fix.undo': 'Übernahme rückgängig machen',
+  'fix.edit': 'Bearbeiten',
+  'fix.showDiff': 'Unterschiede anzeigen',
+  'fix.discard': 'Verwerfen',
+  'fix.error.sourceMissing': 'Die Quelldatei ist nicht im hochgeladenen Archiv enthalten.',
+  'fix.error.status': 'Der Korrekturendpunkt antwortete mit {status}',
+  'fix.error.statusReason': 'Der Korrekturendpunkt antwortete mit {status}: {reason}',
+  'fix.error.noCompletion': 'Der Korrekturendpunkt hat keine Chat-Completion zurückgegeben',
+
+  'gitHelp.deployKey.copy': 'Kopieren Sie den öffentlichen Schlüssel unten',
+  'gitHelp.deployKey.title': 'Geben Sie ihm einen Titel wie "Statelessor Analysis"',
+  'gitHelp.deployKey.add': 'Klicken Sie auf "Add key"',
+  'gitHelp.deployKey.github.open': 'Öffnen Sie Ihr GitHub-Repository → Settings → Deploy keys',
+  'gitHelp.deployKey.github.paste': 'Klicken Sie auf "Add deploy key" und fügen Sie den Schlüssel ein',
+  'gitHelp.deployKey.github.readOnly': 'Lassen Sie "Allow write access" deaktiviert',
+  'gitHelp.deployKey.gitlab.open': 'Öffnen Sie Ihr GitLab-Projekt → Settings → Repository → Deploy keys',
+  'gitHelp.deployKey.gitlab.paste': 'Klicken Sie auf "Add new key" und fügen Sie den Schlüssel ein',
+  'gitHelp.deployKey.gitlab.readOnly': 'Lassen Sie "Grant write permissions to this key" deaktiviert',
+  'gitHelp.deployKey.bitbucket.open': 'Öffnen Sie Ihr Bitbucket-Repository → Repository settings → Access keys',
+  'gitHelp.deployKey.bitbucket.paste': 'Klicken Sie auf "Add key" und fügen Sie den Schlüssel ein',
+  'gitHelp.deployKey.bitbucket.label': 'Geben Sie ihm ein Label wie "Statelessor Analysis"',
+  'gitHelp.deployKey.bitbucket.readOnly': 'Access keys sind schreibgeschützt, weitere Berechtigungsänderungen sind nicht nötig',
+  'gitHelp.deployKey.azure.open': 'Öffnen Sie in Azure DevOps User settings → SSH public keys',
+  'gitHelp.deployKey.azure.paste': 'Klicken Sie auf "New Key", fügen Sie den Schlüssel ein und nennen Sie ihn "Statelessor Analysis"',
+  'gitHelp.deployKey.azure.permissions': 'Azure DevOps kennt keine Deploy-Schlüssel pro Repository: Der Schlüssel handelt mit Ihren Berechtigungen, verwenden Sie daher besser ein schreibgeschütztes Dienstkonto',
+  'gitHelp.deployKey.azure.remove': 'Entfernen Sie den Schlüssel, sobald die Analyse abgeschlossen ist',
+  'gitHelp.deployKey.generic.open': 'Öffnen Sie die Repository-Einstellungen auf Ihrem Git-Server',
+  'gitHelp.deployKey.generic.add': 'Fügen Sie den Schlüssel als schreibgeschützten Deploy- oder Zugriffsschlüssel hinzu',
+  'gitHelp.deployKey.generic.readOnly': 'Erteilen Sie keinen Schreibzugriff',
+  'gitHelp.token.github.open': 'Öffnen Sie GitHub → Settings → Developer settings → Fine-grained personal access tokens',
+  'gitHelp.token.github.create': 'Erzeugen Sie ein Token, das auf dieses Repository beschränkt ist',
+  'gitHelp.token.github.scope': 'Erteilen Sie nur "Contents: Read-only"',
+  'gitHelp.token.gitlab.open': 'Öffnen Sie Ihr GitLab-Projekt → Settings → Access tokens',
+  'gitHelp.token.gitlab.create': 'Erstellen Sie ein Projektzugriffstoken mit der Rolle Reporter',
+  'gitHelp.token.gitlab.scope': 'Wählen Sie nur den Scope "read_repository"',
+  'gitHelp.token.bitbucket.open': 'Öffnen Sie Ihr Bitbucket-Repository → Repository settings → Access tokens',
+  'gitHelp.token.bitbucket.create': 'Erstellen Sie ein Repository-Zugriffstoken',
+  'gitHelp.token.bitbucket.scope': 'Wählen Sie nur die Berechtigung "Repositories: Read"',
+  'gitHelp.token.azure.open': 'Öffnen Sie in Azure DevOps User settings → Personal access tokens',
+  'gitHelp.token.azure.create': 'Erstellen Sie ein Token für diese Organisation mit kurzer Gültigkeit',
+  'gitHelp.token.azure.scope': 'Wählen Sie nur den Scope "Code: Read"',
+  'gitHelp.token.generic.create': 'Erstellen Sie auf Ihrem Git-Server ein Zugriffstoken',
+  'gitHelp.token.generic.scope': 'Beschränken Sie es auf Lesezugriff für dieses Repository',
+  'gitHelp.token.paste': 'Fügen Sie das Token unten ein. Es wird nur für diese Seite im Speicher gehalten und per HTTPS an die API gesendet, nie in der URL.',
+
+  'modules.heading': 'Module',
+  'modules.effortNote': 'Der Aufwand eines Moduls verwendet dessen eigenen Komplexitätsfaktor, die Summe den des gesamten Repositorys.',
+  'modules.module': 'Modul',
+  'modules.type': 'Typ',
+  'modules.files': 'Dateien',
+  'modules.issues': 'Probleme',
+  'modules.high': 'Hoch',
+  'modules.medium': 'Mittel',
+  'modules.low': 'Niedrig',
+  'modules.effort': 'Aufwand',
+  'modules.all': 'Alle Module',
+
+  'modulePicker.none': 'Keine .sln/.csproj, pom.xml oder build.gradle gefunden, es gibt also nichts zu analysieren.',
+  'modulePicker.label': 'Module ({selected} von {count} ausgewählt)',
+  'modulePicker.all': 'Alle',
+  'modulePicker.clear': 'Keine',
+
+  'source.loading': 'Quelltext wird geladen...',
+  'source.missing': 'Quelldatei nicht im hochgeladenen Archiv gefunden.',
+  'source.inFunction': 'In {name}',
+  'source.inFunctionAt': 'In {name} (Zeile {line})',
+  'source.radius': {
+    one: '±{count} Zeile',
+    other: '±{count} Zeilen'
+  },
+
+  'plan.sprint': 'Sprint {number}',
+  'plan.weeks': 'Wochen {start}-{end}',
+  'plan.hours': '{hours} h',
+  'plan.partHours': '{hours} von {total} h',
+  'plan.percentDone': '{percent} % erledigt',
+  'plan.actionEffort': 'Aufwand {effort} • {hours} h',
+  'plan.after': 'Nach: {actions}',
+  'plan.hoursPerPoint': 'Stunden pro Aufwandspunkt',
+  'plan.capacity': 'Teamkapazität (h/Woche)',
+  'plan.sprintWeeks': 'Sprintlänge (Wochen)',
+  'plan.complexityFactor': 'Komplexitätsfaktor',
+  'plan.resetFactor': 'Auf {factor}x zurücksetzen',
+  'plan.fromAnalysis': 'Aus der Analyse',
+  'plan.summary': {
+    one: '{actions} Maßnahmen • {effort} Aufwandspunkte • {hours} h • {count} Sprint mit {capacity} h • {doneHours} h erledigt ({percent} %)',
+    other: '{actions} Maßnahmen • {effort} Aufwandspunkte • {hours} h • {count} Sprints mit {capacity} h • {doneHours} h erledigt ({percent} %)'
+  },
+  'plan.empty': 'Keine Maßnahmen zur Behebung, es gibt also nichts zu planen.',
+
+  'sshKey.minutes': '{minutes} Min.',
+  'sshKey.hours': '{hours} Std. {minutes} Min.',
+  'sshKey.expired': 'Dieser Schlüssel ist abgelaufen. Erzeugen Sie einen neuen Schlüssel und ersetzen Sie den Deploy-Schlüssel.',
+  'sshKey.expiresSoon': 'Läuft in {remaining} ab. Rotieren Sie ihn und ersetzen Sie den Deploy-Schlüssel, bevor er abläuft.',
+  'sshKey.expiresIn': 'Läuft in {remaining} ab',
+  'sshKey.listExpiresIn': 'läuft in {remaining} ab',
+  'sshKey.noExpiry': 'kein Ablauf',
+  'sshKey.failed.generate': 'Der SSH-Schlüssel konnte nicht erzeugt werden: {message}',
+  'sshKey.failed.rotate': 'Der SSH-Schlüssel konnte nicht rotiert werden: {message}',
+  'sshKey.failed.revoke': 'Der SSH-Schlüssel konnte nicht widerrufen werden: {message}',
+  'sshKey.failed.copy': 'Der SSH-Schlüssel konnte nicht kopiert werden: {message}',
+  'sshKey.rotated': 'Der alte Schlüssel wurde widerrufen. Ersetzen Sie den Deploy-Schlüssel in {provider} durch den neuen Schlüssel unten.',
+  'sshKey.confirmRevoke': 'Schlüssel {key} widerrufen? Analysen, die ihn verwenden, schlagen fehl, bis ein neuer Schlüssel hinzugefügt wird.',
+  'sshKey.revoked': 'Schlüssel widerrufen. Sie können ihn auch aus den Deploy-Schlüsseln in {provider} entfernen.',
+  'sshKey.copied': 'Öffentlicher Schlüssel in die Zwischenablage kopiert.',
+  'sshKey.generate': 'SSH-Schlüssel erzeugen',
+  'sshKey.publicKey': 'Öffentlicher SSH-Schlüssel',
+  'sshKey.copy': 'Schlüssel kopieren',
+  'sshKey.rotate': 'Rotieren',
+  'sshKey.revoke': 'Widerrufen',
+  'sshKey.generateAnother': 'Weiteren erzeugen',
+  'sshKey.activeKeys': 'Aktive Schlüssel in dieser Sitzung',
+  'sshKey.inUse': 'In Verwendung',
+  'sshKey.use': 'Verwenden',
+
+  'history.title': 'Frühere Analysen',
+  'history.empty': 'Abgeschlossene Analysen werden in diesem Browser gespeichert und hier aufgelistet.',
+  'history.confirmDelete': '„{name}“ aus dem Verlauf löschen?',
+  'history.imported': { one: '{count} Analyse importiert.', other: '{count} Analysen importiert.' },
+  'history.importFailed': 'Import fehlgeschlagen: {message}',
+  'history.renameFailed': 'Umbenennen fehlgeschlagen: {message}',
+  'history.error.notFound': 'Analyse nicht gefunden',
+  'history.error.noAnalyses': 'Die Datei enthält keine Analysen',
+  'history.issues': { one: '{count} Problem', other: '{count} Probleme' },
+  'history.high': '{count} hoch',
+  'history.effort': 'Aufwand: {effort}',
+  'history.rename': 'Umbenennen',
+  'history.source.unknown': 'Unbekannte Quelle',
+  'history.source.branch': 'Branch {branch}',
+  'history.source.folder': 'Ordner {folder}',
+  'history.source.gitDetails': '{url} ({details})',
+  'history.source.localZip': '{file} (lokal gescannt)',
+  'history.source.json': 'JSON-Upload',
+
+  'apiErrors.KEY_GENERATION_FAILED': 'Der Server konnte keinen SSH-Schlüssel erzeugen. Versuchen Sie es gleich noch einmal.',
+  'apiErrors.KEY_NOT_FOUND': 'Dieser SSH-Schlüssel ist abgelaufen oder wurde widerrufen. Erzeugen Sie einen neuen Schlüssel und fügen Sie ihn dem Repository hinzu.',
+  'apiErrors.SCRIPT_GENERATION_FAILED': 'Der Server konnte das Analyseskript nicht erzeugen. Versuchen Sie es später noch einmal.',
+  'apiErrors.JOB_NOT_FOUND': 'Der Analyseauftrag ist dem Server nicht mehr bekannt. Er ist möglicherweise abgelaufen; starten Sie die Analyse neu.',
+  'apiErrors.JOB_FINISHED': 'Die Analyse war bereits abgeschlossen.',
+  'apiErrors.TIMEOUT': 'Der Server hat nicht rechtzeitig geantwortet. Versuchen Sie es erneut oder analysieren Sie eine kleinere Auswahl.',
+  'apiErrors.NETWORK_ERROR': 'Die Statelessor-API unter {url} ist nicht erreichbar. Prüfen Sie Ihre Verbindung und ob das Backend läuft.',
+  'apiErrors.HTTP_413': 'Der Upload ist größer, als der Server annimmt. Wählen Sie weitere Ordner ab und versuchen Sie es erneut.',
+  'apiErrors.HTTP_429': 'Der Server ist ausgelastet. Warten Sie einen Moment und versuchen Sie es erneut.',
+  'apiErrors.HTTP_502': 'Der Server ist gerade nicht verfügbar. Versuchen Sie es gleich noch einmal.',
+  'apiErrors.HTTP_503': 'Der Server ist gerade nicht verfügbar. Versuchen Sie es gleich noch einmal.',
+  'apiErrors.HTTP_504': 'Der Server hat nicht rechtzeitig geantwortet. Versuchen Sie es gleich noch einmal.'
+};
+
+export default de;
@@ -0,0 +1,621 @@
+// English messages, the fallback for keys missing from other catalogs. See core/i18n for the format.
+const en = {
+  'app.subtitle': 'Identify reasons for Statefulness; Use AI Assisted fix to make Stateless',
+  'app.mockApi': 'Mock API',
+  'app.mockApiHint': 'Answers come from the in-browser mock backend. Add ?mock=errors, flaky, slow or offline to the URL to try failures.',
+  'app.rules': 'Rules',
+  'app.rulesWithCustom': 'Rules ({count} custom)',
+  'app.language': 'Language',
+
+  'common.cancel': 'Cancel',
+  'common.newAnalysis': 'New Analysis',
+  'common.requestId': 'Request ID {id}',
+  'common.dismiss': 'Dismiss',
+  'common.save': 'Save',
+  'common.import': 'Import',
+  'common.export': 'Export',
+  'common.back': 'Back',
+  'common.close': 'Close',
+  'common.delete': 'Delete',
+
+  'input.heading': 'Choose Analysis Method',
+  'input.description': 'You have 3 options to complete the analysis for statefulness. The 1st method expects Source code to be uploaded in ZIP form, while 2nd Option expects you to share and authorize a Git repository (GitHub, GitLab, Bitbucket, Azure DevOps or self-hosted). The last option is to run the scan manually and upload the scanned output here. 1st option is recommended for small project while last option is recommended for proprietory/confidential assets',
+  'input.tabs': 'Analysis method',
+  'input.tab.upload': 'Upload ZIP',
+  'input.tab.git': 'Git Repository',
+  'input.tab.json': 'Upload JSON',
+  'input.tab.compare': 'Compare',
+
+  'upload.instructions': 'You can upload your source code to get this analysis done. Please ensure to compress this at Project Root folder and upload the Zip file here.',
+  'upload.repackInfo': 'Before anything is uploaded, the ZIP is listed here. Build output, dependencies and {git} are left out, and you can untick other folders. Only the remaining source and project files are re-packed and uploaded, so even big projects stay small.',
+  'upload.scanLocally': 'Scan locally',
+  'upload.scanLocallyHint': 'The ZIP is unzipped and scanned inside this browser. Source code never leaves your machine.',
+  'upload.title': 'Upload your source code',
+  'upload.description': 'ZIP files containing .NET or Java projects',
+  'upload.chooseFile': 'Choose File',
+
+  'git.url': 'Repository URL',
+  'git.urlPlaceholder': 'https://gitlab.com/group/project.git or git@github.com:owner/repo.git',
+  'git.credentialsInUrl': 'Remove the credentials from the URL and use the access token option instead',
+  'git.branch': 'Branch (optional)',
+  'git.subfolders': 'Subfolders (optional)',
+  'git.testConnection': 'Test Connection',
+  'git.connectionOk': '✓ Connection successful. The repository is accessible.',
+  'git.connectionFailed': '✗ Connection failed: {message}',
+  'git.findModules': 'Find Modules',
+  'git.supportedHeading': 'Supported Repositories',
+  'git.supportedHosts': 'GitHub, GitLab, Bitbucket, Azure DevOps and self-hosted Git servers, as HTTPS or SSH URLs.',
+  'git.supportedAccess': 'Public repositories need no setup. For private repositories, use an SSH URL with a deploy key or an HTTPS URL with a read-only access token.',
+  'git.accessToken': 'Access Token',
+  'git.publicAccess': '✓ Public Repository Access',
+  'git.privateRepository': 'Private repository',
+  'git.privateRepositoryHint': 'Authenticate with a read-only {provider} access token instead of an SSH deploy key.',
+  'git.tokenNeedsHttps': 'The API is not served over HTTPS, so access tokens cannot be sent. Use an SSH URL with a deploy key instead.',
+  'git.publicNoSetup': 'No setup required for public repositories.',
+  'git.publicStart': 'Simply click "Start Analysis".',
+  'git.sshSetup': '{provider} SSH Setup Instructions',
+
+  // Messages of core/gitUrl
+  'gitUrl.repository': '{name} on {provider}',
+  'gitUrl.error.required': 'Enter a repository URL',
+  'gitUrl.error.invalid': 'Not a valid URL. Use https://host/owner/repo or git@host:owner/repo.git',
+  'gitUrl.error.http': 'Use an https:// URL so credentials are never sent in clear text',
+  'gitUrl.error.protocol': 'Unsupported protocol {protocol}; use https or ssh',
+  'gitUrl.error.azureSsh': 'Azure DevOps SSH URLs look like git@ssh.dev.azure.com:v3/organization/project/repository',
+  'gitUrl.error.azureHttps': 'Azure DevOps URLs look like https://dev.azure.com/organization/project/_git/repository',
+  'gitUrl.error.ownerAndRepo': 'The URL should name both the owner (user, group or workspace) and the repository',
+  'gitUrl.error.singleOwner': '{provider} repository URLs have exactly one owner and one repository name',
+  'gitUrl.error.repoMissing': 'The repository name is missing',
+
+  // Messages of core/scanner
+  'scan.error.projectType': 'Could not detect project type. Expected a .csproj/.sln or pom.xml/build.gradle in the project.',
+  'scan.error.noSourcesIn': 'No source files found in {folders}',
+  'scan.error.noSources': 'No .cs or .java source files found in any module.',
+
+  'json.instructions': 'In case, you want to analyze locally, download the script and keep this into project root. Run the script, which will generate a JSON output. Once you have JSON, you can return to this screen to upload the same. The report is built in your browser; the JSON is not sent to the server.',
+  'json.bashScript': 'Bash Script',
+  'json.powershellScript': 'PowerShell Script',
+  'json.customRulesNote': {
+    one: 'Both scripts include your {count} custom rule from the {catalog}.',
+    other: 'Both scripts include your {count} custom rules from the {catalog}.'
+  },
+  'json.ruleCatalog': 'rule catalog',
+  'json.cliHeading': 'Node.js CLI',
+  'json.cliDescription': 'Runs on Windows, macOS and Linux with Node.js 18 or later, without Bash, jq or PowerShell. It writes the same JSON, can also write SARIF, and exits with code 1 when {failOn} finds issues or a {policies} quality gate fails, so it can gate a CI build.',
+  'json.copyCommand': 'Copy Command',
+  'json.downloadRules': 'Custom Rules for --rules',
+  'json.downloadPolicies': 'Policies for --policies',
+  'json.uploadTitle': 'Upload analysis JSON',
+  'json.uploadDescription': 'JSON file generated by the analysis script',
+  'json.chooseFile': 'Choose JSON File',
+  'json.reading': 'Reading file...',
+  'json.loaded': '✓ {file} loaded',
+  'json.invalid': '{file} is not a valid analysis file',
+  'json.error': '{path} expected {expected}, got {actual}',
+  'json.moreErrors': {
+    one: '...and {count} more error',
+    other: '...and {count} more errors'
+  },
+  'json.upgraded': 'Upgraded from an older or partial format',
+
+  'compare.instructions': 'Load the analysis from before a remediation sprint as the baseline and the latest analysis as current. Findings are matched by file, function, category and code, so moved lines are still recognized.',
+  'compare.baseline': 'Baseline analysis',
+  'compare.current': 'Current analysis',
+  'compare.fileDescription': 'Analysis JSON (script output or exported results)',
+  'compare.invalid': {
+    one: '✗ {file}: {count} validation error',
+    other: '✗ {file}: {count} validation errors'
+  },
+
+  'analyze.start': 'Start Analysis',
+  'analyze.compare': 'Compare Analyses',
+  'analyze.running': 'Analyzing...',
+  'analyze.packing': 'Packing sources...',
+  'analyze.extracting': 'Extracting archive...',
+  'analyze.scanning': {
+    one: 'Scanning {scanned} of {total} files ({count} issue found)',
+    other: 'Scanning {scanned} of {total} files ({count} issues found)'
+  },
+  'analyze.progress': 'Analysis progress',
+
+  'job.packing': 'Packing sources',
+  'job.uploading': 'Uploading',
+  'job.queued': 'Queued',
+  'job.cloning': 'Cloning repository',
+  'job.extracting': 'Extracting archive',
+  'job.scanning': 'Scanning',
+  'job.scanningFiles': 'Scanning file {current} of {total}',
+  'job.aggregating': 'Aggregating results',
+  'job.done': 'Done',
+
+  'missing.heading': 'Analysis not found',
+  'missing.description': 'This link points to an analysis that is not in this browser\'s history. Analyses are only stored locally, so open the analysis file that was shared with the link (exported JSON results or script output) to view it with the same filters.',
+  'missing.openFile': 'Open Analysis File',
+  'missing.loading': 'Loading analysis...',
+
+  'results.scannedOn': 'Scanned on {date}',
+  'results.modules': {
+    one: '{count} module',
+    other: '{count} modules'
+  },
+  'results.complexity': 'Complexity Factor: {factor}x',
+  'results.pages': 'Analysis views',
+  'results.page.findings': 'Findings',
+  'results.page.plan': 'Sprint Plan',
+  'results.heading': 'Analysis Results',
+  'results.compareBaseline': 'Compare with Baseline',
+  'results.fixSettings': 'AI Fix Settings',
+  'results.fixSettingsHint': 'Where fix suggestions come from',
+  'results.downloadPatch': 'Download Patch ({count})',
+
+  'stats.totalFiles': 'Total Files',
+  'stats.totalIssues': 'Total Issues',
+  'stats.highSeverity': 'High Severity',
+  'stats.mediumSeverity': 'Medium Severity',
+  'stats.lowSeverity': 'Low Severity',
+  'stats.totalEffortScore': 'Effort Score',
+
+  'severity.high': 'high',
+  'severity.medium': 'medium',
+  'severity.low': 'low',
+
+  'filter.search': 'Search code...',
+  'filter.pathGlob': 'Path glob, e.g. src/Controllers/**',
+  'filter.functionName': 'Function name',
+  'filter.groupBy': 'Group by',
+  'filter.groupBy.category': 'Category',
+  'filter.groupBy.module': 'Module',
+  'filter.groupBy.directory': 'Directory',
+  'filter.groupBy.file': 'File',
+  'filter.groupBy.severity': 'Severity',
+  'filter.summary': 'Showing {visible} of {total} findings • Effort: {effort}',
+  'filter.clear': 'Clear filters',
+
+  'tree.label': 'Findings',
+  'tree.empty': 'No findings match the current filter.',
+  'tree.occurrences': {
+    one: '({count} occurrence)',
+    other: '({count} occurrences)'
+  },
+  'tree.groupLabel': {
+    one: '{label}, {severity} severity, {count} occurrence',
+    other: '{label}, {severity} severity, {count} occurrences'
+  },
+  'tree.effort': 'Effort: {score}',
+  'tree.remediation': 'Recommended Solution:',
+  'tree.roadmap': 'Implementation Roadmap',
+  'tree.suggestFixes': 'Suggest Fixes ({count})',
+
+  'finding.label': '{file}, line {line}',
+  'finding.classLevel': 'Class Level',
+  'finding.line': 'Line {line}',
+  'finding.showContext': 'Show context',
+  'finding.hideContext': 'Hide context',
+  'finding.suggestFix': 'Suggest fix',
+  'finding.suggestFixHint': 'Ask the AI fix endpoint for a change',
+  'finding.triage': 'Triage',
+  'finding.copyLink': 'Copy a link to this finding',
+
+  'export.button': 'Export',
+  'export.filtered': '(filtered)',
+
+  'notify.downloadScriptFailed': 'Could not download the script',
+  'notify.scriptRulesUnsupported': '{error}. Delete or export your custom rules, or update the backend.',
+  'notify.invalidFile': {
+    one: '{file} is not a valid analysis file ({count} error). First: {path} expected {expected}, got {actual}',
+    other: '{file} is not a valid analysis file ({count} errors). First: {path} expected {expected}, got {actual}'
+  },
+  'notify.linkCopied': 'Link copied to clipboard',
+  'notify.commandCopied': 'Command copied to clipboard',
+  'notify.copyFailed': 'Could not copy to the clipboard',
+  'notify.readFileFailed': 'Could not read {file}',
+  'notify.localScanFailed': 'Local scan failed',
+  'notify.analysisFailed': 'Analysis failed',
+  'notify.analysisFailedReason': 'Analysis failed: {reason}',
+  'notify.moduleDetectionFailed': 'Could not list the modules of this repository',
+  'notify.fixUnreachable': 'Could not reach {url}',
+  'notify.fixOverlap': 'Another accepted fix already changes lines {start}-{end} of {file}. Undo that fix first.',
+
+  // Warnings of core/migrate when an uploaded file is upgraded
+  'migrate.lineNumbers': 'Converted string line numbers to integers',
+  'migrate.severityCase': 'Normalized severity values to lower case',
+  'migrate.functionNames': 'Filled in missing function names as "Unknown"',
+  'migrate.codeSnippets': 'Filled in missing code snippets',
+  'migrate.windowsPaths': 'Normalized Windows-style file paths',
+  'migrate.noFindings': 'No findings list found; treating as an empty scan',
+  'migrate.singleFinding': 'Wrapped a single finding object into a list',
+  'migrate.projectTypeInferred': 'Inferred project type "{projectType}" from file extensions',
+  'migrate.scanDateMissing': 'Scan date missing; using the upload time',
+  'migrate.findingIds': 'Assigned ids to findings without one',
+  'migrate.projectNameMissing': 'Project name missing; using "Untitled Project"',
+  'migrate.complexityMissing': 'Complexity factor missing; assuming 1',
+  'migrate.summaryRebuilt': 'Rebuilt the category summary from the detailed findings',
+  'migrate.statsRecomputed': 'Recomputed missing statistics: {stats}',
+  'migrate.actionsGenerated': 'Generated the implementation roadmap',
+
+  'comparison.dates': 'Baseline {baseline} → Current {current}',
+  'comparison.new': '{count} new',
+  'comparison.fixed': '{count} fixed',
+  'comparison.unchanged': '{count} unchanged',
+  'comparison.versus': '{delta} vs {baseline}',
+  'comparison.heading': 'Changes by Category',
+  'comparison.exportMarkdown': 'Export Markdown',
+  'comparison.exportJson': 'Export JSON',
+  'comparison.status.new': 'New ({count})',
+  'comparison.status.fixed': 'Fixed ({count})',
+  'comparison.status.unchanged': 'Unchanged ({count})',
+  'comparison.wasLine': '(was {line})',
+  'comparison.close': 'Close Comparison',
+
+  'dashboard.heading': 'Hotspots',
+  'dashboard.showCharts': 'Show charts',
+  'dashboard.hideCharts': 'Hide charts',
+  'dashboard.savePng': 'Save as PNG image',
+  'dashboard.saveSvg': 'Save as SVG image',
+  'dashboard.exportFailed': 'Chart export failed: {message}',
+  'dashboard.error.pngEncoding': 'The browser could not encode the PNG',
+  'dashboard.error.chartImage': 'The chart could not be rendered as an image',
+  'dashboard.noFindings': 'No findings',
+  'dashboard.metric.count': 'By findings',
+  'dashboard.metric.effort': 'By effort',
+  'dashboard.severity': 'Severity distribution',
+  'dashboard.sliceTooltip': '{severity}: {count}',
+  'dashboard.findings': {
+    one: 'finding',
+    other: 'findings'
+  },
+  'dashboard.categoryCount': 'Findings per category',
+  'dashboard.categoryEffort': 'Effort per category',
+  'dashboard.treemapLabel': 'Hotspot treemap',
+  'dashboard.treemap.count': 'Where findings live (by findings)',
+  'dashboard.treemap.effort': 'Where findings live (by effort)',
+  'dashboard.root': '(root)',
+  'dashboard.spotTooltip': {
+    one: '{path}: {count} finding, effort {effort}',
+    other: '{path}: {count} findings, effort {effort}'
+  },
+  'dashboard.topFiles': 'Top {count} files',
+  'dashboard.topFunctions': 'Top {count} functions',
+
+  'triage.state.accepted': 'Accepted risk',
+  'triage.state.false-positive': 'False positive',
+  'triage.state.wont-fix': 'Won\'t fix',
+  'triage.author': 'Your name',
+  'triage.justification': 'Why is this finding not a problem?',
+  'triage.suppress': 'Suppress',
+
+  'suppressions.invalidFile': {
+    one: '{file} is not a valid suppression file ({count} error). First: {path} expected {expected}, got {actual}',
+    other: '{file} is not a valid suppression file ({count} errors). First: {path} expected {expected}, got {actual}'
+  },
+  'suppressions.imported': {
+    one: 'Imported {count} suppression.',
+    other: 'Imported {count} suppressions.'
+  },
+  'suppressions.importFailed': 'Import failed: {message}',
+  'suppressions.count': {
+    one: '{count} suppressed finding',
+    other: '{count} suppressed findings'
+  },
+  'suppressions.excluded': 'excluded from stats and effort',
+  'suppressions.import': 'Import Suppressions',
+  'suppressions.export': 'Export Suppressions ({count})',
+  'suppressions.restore': 'Restore',
+
+  'policy.heading': 'Quality gate policies',
+  'policy.description': 'Every analysis is checked against these policies, after triage, and fails if any of them is violated. They are saved in this browser; export them to share with your team or to use with the CLI\'s {option} option.',
+  'policy.imported': {
+    one: 'Imported {count} policy. Save to apply it.',
+    other: 'Imported {count} policies. Save to apply them.'
+  },
+  'policy.importFailed': 'Could not import policies: {message}',
+  'policy.notImported': {
+    one: '{count} policy was not imported',
+    other: '{count} policies were not imported'
+  },
+  'policy.importError': '{policy}: {messages}',
+  'policy.numbered': 'Policy {number}',
+  'policy.name': 'Name',
+  'policy.optional': 'Optional',
+  'policy.metric': 'Metric',
+  'policy.category': 'Category',
+  'policy.operator': 'Operator',
+  'policy.threshold': 'Threshold',
+  'policy.now': 'Now',
+  'policy.remove': 'Remove policy',
+  'policy.add': 'Add Policy',
+  'policy.metric.highSeverity': 'High severity findings',
+  'policy.metric.mediumSeverity': 'Medium severity findings',
+  'policy.metric.lowSeverity': 'Low severity findings',
+  'policy.metric.totalIssues': 'Total issues',
+  'policy.metric.totalEffortScore': 'Total effort score',
+  'policy.metric.complexityFactor': 'Complexity factor',
+  'policy.metric.categoryOccurrences': 'Occurrences of a category',
+  'policy.metric.categoryEffort': 'Effort score of a category',
+  // Names of unnamed policies, from core/policies describePolicy
+  'policy.describe.highSeverity': 'High severity findings {operator} {threshold}',
+  'policy.describe.mediumSeverity': 'Medium severity findings {operator} {threshold}',
+  'policy.describe.lowSeverity': 'Low severity findings {operator} {threshold}',
+  'policy.describe.totalIssues': 'Total issues {operator} {threshold}',
+  'policy.describe.totalEffortScore': 'Total effort score {operator} {threshold}',
+  'policy.describe.complexityFactor': 'Complexity factor {operator} {threshold}',
+  'policy.describe.categoryOccurrences': '{category} occurrences {operator} {threshold}',
+  'policy.describe.categoryEffort': '{category} effort score {operator} {threshold}',
+  'policy.error.metric': 'Metric must be one of {metrics}',
+  'policy.error.category': 'Category is required',
+  'policy.error.operator': 'Operator must be one of {operators}',
+  'policy.error.threshold': 'Threshold must be a number of at least 0',
+
+  'gate.passed': 'Quality gate passed',
+  'gate.failed': 'Quality gate failed',
+  'gate.allMet': {
+    one: 'The policy is met',
+    other: 'All {count} policies are met'
+  },
+  'gate.violated': {
+    one: '{failed} of {count} policy violated',
+    other: '{failed} of {count} policies violated'
+  },
+  'gate.empty': 'No quality gate policies yet. Add some to get a pass/fail verdict on every analysis.',
+  'gate.edit': 'Edit Policies',
+  'gate.add': 'Add Policies',
+  'gate.check': '✗ {name}: {actual} (must be {operator} {threshold})',
+
+  'rules.heading': 'Rule Catalog',
+  'rules.new': 'New Rule',
+  'rules.description': 'Built-in rules run in every scan. Custom rules are saved in this browser; they are added to local ZIP scans and embedded in the Bash and PowerShell scripts downloaded from the Upload JSON tab. Server-side ZIP and Git scans only use the built-in rules.',
+  'rules.imported': {
+    one: 'Imported {count} custom rule.',
+    other: 'Imported {count} custom rules.'
+  },
+  'rules.importFailed': 'Could not import rules: {message}',
+  'rules.notImported': {
+    one: '{count} rule was not imported',
+    other: '{count} rules were not imported'
+  },
+  'rules.importError': '{rule}: {messages}',
+  'rules.numbered': 'Rule {number}',
+  'rules.confirmDelete': 'Delete custom rule "{category}" ({regex})?',
+  'rules.allLanguages': 'All languages',
+  'rules.counts': '{builtIn} built-in • {custom} custom',
+  'rules.rule': 'Rule',
+  'rules.language': 'Language',
+  'rules.category': 'Category',
+  'rules.severity': 'Severity',
+  'rules.regex': 'Regex',
+  'rules.exclude': 'Exclude lines matching (optional)',
+  'rules.excludeColumn': 'Exclude',
+  'rules.remediation': 'Remediation',
+  'rules.engines': 'Engines',
+  'rules.builtIn': 'Built-in',
+  'rules.custom': 'Custom',
+  'rules.test': 'Test',
+  'rules.editHint': 'Edit and test',
+  'rules.builtInTitle': 'Built-in rule {id}',
+  'rules.editTitle': 'Edit {id}',
+  'rules.newTitle': 'New custom rule',
+  'rules.duplicate': 'Duplicate as custom rule',
+  'rules.save': 'Save rule',
+  'rules.categoryPlaceholder': 'e.g. In-Process Cache',
+  'rules.regexPlaceholder': 'e.g. AppCache\\.Instance',
+  'rules.excludePlaceholder': 'e.g. readonly',
+  'rules.snippet': 'Test snippet',
+  'rules.loadSample': 'Load {language} sample',
+  'rules.snippetPlaceholder': 'Paste C# or Java code here',
+  'rules.fixRegex': 'Fix the regex to see matches.',
+  'rules.reported': {
+    one: '{count} line reported',
+    other: '{count} lines reported'
+  },
+  'rules.excluded': '{count} excluded',
+  'rules.caseOnly': '{count} more only with PowerShell\'s case-insensitive -match',
+  'rules.engine.browser': 'Browser and API (JavaScript)',
+  'rules.engine.grep': 'Bash script (grep -E)',
+  'rules.engine.powershell': 'PowerShell script (-match)',
+  'rules.compat.ok': 'OK',
+  'rules.compat.warning': 'warning',
+  'rules.compat.error': 'error',
+  // Field errors of core/customRules validateRule
+  'rules.error.language': 'Choose .NET or Java',
+  'rules.error.severity': 'Severity must be one of {severities}',
+  'rules.error.category': 'Category is required',
+  'rules.error.regex': 'Regex is required',
+  'rules.error.invalidRegex': '{message}',
+  'rules.error.matchesEmpty': 'The regex matches an empty line, so it would report every line',
+  'rules.error.noExclude': 'A single "{value}" means "no exclude" in the script rules table',
+  'rules.error.remediation': 'Remediation guidance is required',
+  'rules.error.tableUnsafe': 'Tabs and line breaks are not allowed',
+  'rules.error.duplicate': 'Same regex as {id}',
+
+  'zip.contents': 'Archive contents',
+  'zip.includeAll': 'Include all',
+  'zip.reset': 'Reset',
+  'zip.expand': 'Expand {name}',
+  'zip.collapse': 'Collapse {name}',
+  'zip.buildOutput': 'build output',
+  'zip.share': '{percent}% of the archive',
+  'zip.fileCounts': '{source} source / {count} files',
+  'zip.size': {
+    one: '{count} file, {size} unpacked ({compressed} compressed)',
+    other: '{count} files, {size} unpacked ({compressed} compressed)'
+  },
+  'zip.mixed': '.NET and Java',
+  'zip.noProject': 'No project detected',
+  'zip.sourceCounts': '{dotnet} .cs and {java} .java files',
+  'zip.rootFiles': {
+    one: '{count} file in the project root',
+    other: '{count} files in the project root'
+  },
+  'zip.uploadLabel': 'Upload:',
+  'zip.upload': '{label} {count} source and project files, about {size}. Other files are left out.',
+  'zip.uploadSmaller': '{label} {count} source and project files, about {size} ({saved}% smaller). Other files are left out.',
+
+  'fixSettings.heading': 'AI fix endpoint',
+  'fixSettings.description': 'Any server that speaks the OpenAI chat completions protocol works, for example OpenAI, Azure OpenAI, Ollama or LM Studio. The finding, the lines around it and its remediation are sent to it. To try the flow without a model, run {command} and use its stub at {stub}.',
+  'fixSettings.url': 'Chat completions URL',
+  'fixSettings.invalidUrl': 'Enter an http:// or https:// URL',
+  'fixSettings.model': 'Model',
+  'fixSettings.modelPlaceholder': 'Model (optional), e.g. gpt-4o-mini',
+  'fixSettings.apiKey': 'API key',
+  'fixSettings.apiKeyPlaceholder': 'API key (optional)',
+  'fixSettings.apiKeyHttps': 'The API key is only sent to HTTPS endpoints or localhost.',
+  'fixSettings.apiKeySession': 'The API key is kept for this browser session only.',
+
+  'fix.heading': 'Suggested fix',
+  'fix.accepted': 'Accepted',
+  'fix.loading': 'Asking {host} for a fix...',
+  'fix.retry': 'Retry',
+  'fix.unchanged': 'The proposal does not change any line.',
+  'fix.current': 'Current',
+  'fix.proposed': 'Proposed',
+  'fix.accept': 'Accept',
+  'fix.undo': 'Undo Accept',
+  'fix.edit': 'Edit',
+  'fix.showDiff': 'Show Diff',
+  'fix.discard': 'Discard',
+  'fix.error.sourceMissing': 'Source file not found in the uploaded archive.',
+  'fix.error.status': 'Fix endpoint answered {status}',
+  'fix.error.statusReason': 'Fix endpoint answered {status}: {reason}',
+  'fix.error.noCompletion': 'The fix endpoint did not return a chat completion',
+
+  'gitHelp.deployKey.copy': 'Copy the public key below',
+  'gitHelp.deployKey.title': 'Give it a title like "Statelessor Analysis"',
+  'gitHelp.deployKey.add': 'Click "Add key"',
+  'gitHelp.deployKey.github.open': 'Go to your GitHub repository → Settings → Deploy keys',
+  'gitHelp.deployKey.github.paste': 'Click "Add deploy key" and paste the key',
+  'gitHelp.deployKey.github.readOnly': 'Leave "Allow write access" unchecked',
+  'gitHelp.deployKey.gitlab.open': 'Go to your GitLab project → Settings → Repository → Deploy keys',
+  'gitHelp.deployKey.gitlab.paste': 'Click "Add new key" and paste the key',
+  'gitHelp.deployKey.gitlab.readOnly': 'Leave "Grant write permissions to this key" unchecked',
+  'gitHelp.deployKey.bitbucket.open': 'Go to your Bitbucket repository → Repository settings → Access keys',
+  'gitHelp.deployKey.bitbucket.paste': 'Click "Add key" and paste the key',
+  'gitHelp.deployKey.bitbucket.label': 'Give it a label like "Statelessor Analysis"',
+  'gitHelp.deployKey.bitbucket.readOnly': 'Access keys are read-only, so no further permission changes are needed',
+  'gitHelp.deployKey.azure.open': 'In Azure DevOps, open User settings → SSH public keys',
+  'gitHelp.deployKey.azure.paste': 'Click "New Key", paste the key and name it "Statelessor Analysis"',
+  'gitHelp.deployKey.azure.permissions': 'Azure DevOps has no per-repository deploy keys: the key acts with your permissions, so prefer a read-only service account',
+  'gitHelp.deployKey.azure.remove': 'Remove the key once the analysis is done',
+  'gitHelp.deployKey.generic.open': 'Open the repository settings on your Git server',
+  'gitHelp.deployKey.generic.add': 'Add the key as a read-only deploy key or access key',
+  'gitHelp.deployKey.generic.readOnly': 'Do not grant write access',
+  'gitHelp.token.github.open': 'Go to GitHub → Settings → Developer settings → Fine-grained personal access tokens',
+  'gitHelp.token.github.create': 'Generate a token limited to this repository',
+  'gitHelp.token.github.scope': 'Grant "Contents: Read-only" and nothing else',
+  'gitHelp.token.gitlab.open': 'Go to your GitLab project → Settings → Access tokens',
+  'gitHelp.token.gitlab.create': 'Create a project access token with the Reporter role',
+  'gitHelp.token.gitlab.scope': 'Select only the "read_repository" scope',
+  'gitHelp.token.bitbucket.open': 'Go to your Bitbucket repository → Repository settings → Access tokens',
+  'gitHelp.token.bitbucket.create': 'Create a repository access token',
+  'gitHelp.token.bitbucket.scope': 'Select only the "Repositories: Read" permission',
+  'gitHelp.token.azure.open': 'In Azure DevOps, open User settings → Personal access tokens',
+  'gitHelp.token.azure.create': 'Create a token for this organization with a short expiry',
+  'gitHelp.token.azure.scope': 'Select only the "Code: Read" scope',
+  'gitHelp.token.generic.create': 'Create an access token on your Git server',
+  'gitHelp.token.generic.scope': 'Limit it to read access for this repository',
+  'gitHelp.token.paste': 'Paste the token below. It is kept in memory for this page only and sent to the API over HTTPS, never in the URL.',
+
+  'modules.heading': 'Modules',
+  'modules.effortNote': 'Module effort uses each module\'s own complexity factor; the roll-up uses the whole repository\'s.',
+  'modules.module': 'Module',
+  'modules.type': 'Type',
+  'modules.files': 'Files',
+  'modules.issues': 'Issues',
+  'modules.high': 'High',
+  'modules.medium': 'Medium',
+  'modules.low': 'Low',
+  'modules.effort': 'Effort',
+  'modules.all': 'All modules',
+
+  'modulePicker.none': 'No .sln/.csproj, pom.xml or build.gradle found, so there is nothing to analyze.',
+  'modulePicker.label': 'Modules ({selected} of {count} selected)',
+  'modulePicker.all': 'All',
+  'modulePicker.clear': 'None',
+
+  'source.loading': 'Loading source...',
+  'source.missing': 'Source file not found in the uploaded archive.',
+  'source.inFunction': 'In {name}',
+  'source.inFunctionAt': 'In {name} (line {line})',
+  'source.radius': {
+    one: '±{count} line',
+    other: '±{count} lines'
+  },
+
+  'plan.sprint': 'Sprint {number}',
+  'plan.weeks': 'Weeks {start}-{end}',
+  'plan.hours': '{hours} h',
+  'plan.partHours': '{hours} of {total} h',
+  'plan.percentDone': '{percent}% done',
+  'plan.actionEffort': 'Effort {effort} • {hours} h',
+  'plan.after': 'After: {actions}',
+  'plan.hoursPerPoint': 'Hours per effort point',
+  'plan.capacity': 'Team capacity (h/week)',
+  'plan.sprintWeeks': 'Sprint length (weeks)',
+  'plan.complexityFactor': 'Complexity factor',
+  'plan.resetFactor': 'Reset to {factor}x',
+  'plan.fromAnalysis': 'From the analysis',
+  'plan.summary': {
+    one: '{actions} actions • {effort} effort points • {hours} h • {count} sprint of {capacity} h • {doneHours} h done ({percent}%)',
+    other: '{actions} actions • {effort} effort points • {hours} h • {count} sprints of {capacity} h • {doneHours} h done ({percent}%)'
+  },
+  'plan.empty': 'No remediation actions, so there is nothing to plan.',
+
+  'sshKey.minutes': '{minutes} min',
+  'sshKey.hours': '{hours} h {minutes} min',
+  'sshKey.expired': 'This key has expired. Generate a new key and replace the deploy key.',
+  'sshKey.expiresSoon': 'Expires in {remaining}. Rotate it and replace the deploy key before it runs out.',
+  'sshKey.expiresIn': 'Expires in {remaining}',
+  'sshKey.listExpiresIn': 'expires in {remaining}',
+  'sshKey.noExpiry': 'no expiry',
+  'sshKey.failed.generate': 'Could not generate the SSH key: {message}',
+  'sshKey.failed.rotate': 'Could not rotate the SSH key: {message}',
+  'sshKey.failed.revoke': 'Could not revoke the SSH key: {message}',
+  'sshKey.failed.copy': 'Could not copy the SSH key: {message}',
+  'sshKey.rotated': 'The old key was revoked. Replace the deploy key in {provider} with the new key below.',
+  'sshKey.confirmRevoke': 'Revoke key {key}? Analyses using it will fail until a new key is added.',
+  'sshKey.revoked': 'Key revoked. You can also remove it from the deploy keys in {provider}.',
+  'sshKey.copied': 'Public key copied to the clipboard.',
+  'sshKey.generate': 'Generate SSH Key',
+  'sshKey.publicKey': 'Public SSH Key',
+  'sshKey.copy': 'Copy Key',
+  'sshKey.rotate': 'Rotate',
+  'sshKey.revoke': 'Revoke',
+  'sshKey.generateAnother': 'Generate Another',
+  'sshKey.activeKeys': 'Active keys in this session',
+  'sshKey.inUse': 'In use',
+  'sshKey.use': 'Use',
+
+  'history.title': 'Past Analyses',
+  'history.empty': 'Completed analyses are kept in this browser and listed here.',
+  'history.confirmDelete': 'Delete "{name}" from history?',
+  'history.imported': { one: 'Imported {count} analysis.', other: 'Imported {count} analyses.' },
+  'history.importFailed': 'Import failed: {message}',
+  'history.renameFailed': 'Rename failed: {message}',
+  'history.error.notFound': 'Analysis not found',
+  'history.error.noAnalyses': 'No analyses found in file',
+  'history.issues': { one: '{count} issue', other: '{count} issues' },
+  'history.high': '{count} high',
+  'history.effort': 'Effort: {effort}',
+  'history.rename': 'Rename',
+  'history.source.unknown': 'Unknown source',
+  'history.source.branch': 'branch {branch}',
+  'history.source.folder': 'folder {folder}',
+  'history.source.gitDetails': '{url} ({details})',
+  'history.source.localZip': '{file} (scanned locally)',
+  'history.source.json': 'JSON upload',
+
+  // Messages for the error codes of services/apiClient
+  'apiErrors.KEY_GENERATION_FAILED': 'The server could not generate an SSH key. Try again in a moment.',
+  'apiErrors.KEY_NOT_FOUND': 'This SSH key has expired or was revoked. Generate a new key and add it to the repository.',
+  'apiErrors.SCRIPT_GENERATION_FAILED': 'The server could not generate the analysis script. Try again later.',
+  'apiErrors.JOB_NOT_FOUND': 'The analysis job is no longer known to the server. It may have expired; start the analysis again.',
+  'apiErrors.JOB_FINISHED': 'The analysis had already finished.',
+  'apiErrors.TIMEOUT': 'The server did not answer in time. Try again, or analyze a smaller selection.',
+  'apiErrors.NETWORK_ERROR': 'Cannot reach the Statelessor API at {url}. Check your connection and that the backend is running.',
+  'apiErrors.HTTP_413': 'The upload is larger than the server accepts. Untick more folders and try again.',
+  'apiErrors.HTTP_429': 'The server is busy. Wait a moment and try again.',
+  'apiErrors.HTTP_502': 'The server is unavailable right now. Try again in a moment.',
+  'apiErrors.HTTP_503': 'The server is unavailable right now. Try again in a moment.',
+  'apiErrors.HTTP_504': 'The server did not answer in time. Try again in a moment.'
+};
+
+export default en;
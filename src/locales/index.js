@@ -0,0 +1,13 @@
+// UI message catalogs by locale, and the names the language switcher offers them under.
+// A new language needs a catalog here; keys it lacks are shown in English.
+import de from './de.js';
+import en from './en.js';
+import ja from './ja.js';
+
+export const LOCALES = {
+  en: 'English',
+  de: 'Deutsch',
+  ja: '日本語'
+};
+
+export const CATALOGS = { en, de, ja };
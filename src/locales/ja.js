@@ -0,0 +1,543 @@
+// Japanese messages; Japanese has no plural forms, so counted messages are plain strings
+const ja = {
+  'app.subtitle': 'ステートフルになる原因を特定し、AI 支援の修正でステートレスに',
+  'app.mockApi': 'モック API',
+  'app.mockApiHint': '応答はブラウザー内のモックバックエンドから返されます。URL に ?mock=errors、flaky、slow、offline を付けると障害を試せます。',
+  'app.rules': 'ルール',
+  'app.rulesWithCustom': 'ルール (カスタム {count} 件)',
+  'app.language': '言語',
+
+  'common.cancel': 'キャンセル',
+  'common.newAnalysis': '新しい分析',
+  'common.requestId': 'リクエスト ID {id}',
+  'common.dismiss': '閉じる',
+  'common.save': '保存',
+  'common.import': 'インポート',
+  'common.export': 'エクスポート',
+  'common.back': '戻る',
+  'common.close': '閉じる',
+  'common.delete': '削除',
+
+  'input.heading': '分析方法を選択',
+  'input.description': 'ステートフル性の分析には 3 つの方法があります。1 つ目はソースコードを ZIP でアップロードする方法、2 つ目は Git リポジトリ (GitHub、GitLab、Bitbucket、Azure DevOps、セルフホスト) を共有して認可する方法、最後はスキャンを自分で実行し、その出力をここにアップロードする方法です。小規模なプロジェクトには 1 つ目、機密性の高い資産には最後の方法をお勧めします。',
+  'input.tabs': '分析方法',
+  'input.tab.upload': 'ZIP をアップロード',
+  'input.tab.git': 'Git リポジトリ',
+  'input.tab.json': 'JSON をアップロード',
+  'input.tab.compare': '比較',
+
+  'upload.instructions': 'ソースコードをアップロードして分析できます。プロジェクトのルートフォルダーを圧縮し、その ZIP ファイルをここにアップロードしてください。',
+  'upload.repackInfo': 'アップロードの前に ZIP の内容がここに一覧表示されます。ビルド出力、依存関係、{git} は除外され、ほかのフォルダーもチェックを外せます。残ったソースファイルとプロジェクトファイルだけを再圧縮してアップロードするため、大きなプロジェクトでも小さく収まります。',
+  'upload.scanLocally': 'ローカルでスキャン',
+  'upload.scanLocallyHint': 'ZIP はこのブラウザー内で展開・スキャンされます。ソースコードがお使いのマシンから出ることはありません。',
+  'upload.title': 'ソースコードをアップロード',
+  'upload.description': '.NET または Java プロジェクトを含む ZIP ファイル',
+  'upload.chooseFile': 'ファイルを選択',
+
+  'git.url': 'リポジトリ URL',
+  'git.urlPlaceholder': 'https://gitlab.com/group/project.git または git@github.com:owner/repo.git',
+  'git.credentialsInUrl': 'URL から認証情報を削除し、代わりにアクセストークンのオプションを使用してください',
+  'git.branch': 'ブランチ (任意)',
+  'git.subfolders': 'サブフォルダー (任意)',
+  'git.testConnection': '接続をテスト',
+  'git.connectionOk': '✓ 接続に成功しました。リポジトリにアクセスできます。',
+  'git.connectionFailed': '✗ 接続に失敗しました: {message}',
+  'git.findModules': 'モジュールを検索',
+  'git.supportedHeading': '対応リポジトリ',
+  'git.supportedHosts': 'GitHub、GitLab、Bitbucket、Azure DevOps、セルフホストの Git サーバーに、HTTPS または SSH の URL で対応しています。',
+  'git.supportedAccess': '公開リポジトリは設定不要です。非公開リポジトリには、デプロイキー付きの SSH URL か、読み取り専用アクセストークン付きの HTTPS URL を使用してください。',
+  'git.accessToken': 'アクセストークン',
+  'git.publicAccess': '✓ 公開リポジトリへのアクセス',
+  'git.privateRepository': '非公開リポジトリ',
+  'git.privateRepositoryHint': 'SSH デプロイキーの代わりに、読み取り専用の {provider} アクセストークンで認証します。',
+  'git.tokenNeedsHttps': 'API が HTTPS で提供されていないため、アクセストークンを送信できません。代わりにデプロイキー付きの SSH URL を使用してください。',
+  'git.publicNoSetup': '公開リポジトリは設定不要です。',
+  'git.publicStart': '「分析を開始」をクリックするだけです。',
+  'git.sshSetup': '{provider} の SSH 設定手順',
+
+  'gitUrl.repository': '{provider} 上の {name}',
+  'gitUrl.error.required': 'リポジトリの URL を入力してください',
+  'gitUrl.error.invalid': '有効な URL ではありません。https://host/owner/repo または git@host:owner/repo.git の形式を使用してください',
+  'gitUrl.error.http': '認証情報が平文で送信されないよう、https:// の URL を使用してください',
+  'gitUrl.error.protocol': 'プロトコル {protocol} には対応していません。https または ssh を使用してください',
+  'gitUrl.error.azureSsh': 'Azure DevOps の SSH URL は git@ssh.dev.azure.com:v3/organization/project/repository の形式です',
+  'gitUrl.error.azureHttps': 'Azure DevOps の URL は https://dev.azure.com/organization/project/_git/repository の形式です',
+  'gitUrl.error.ownerAndRepo': 'URL にはオーナー (ユーザー、グループまたはワークスペース) とリポジトリの両方が必要です',
+  'gitUrl.error.singleOwner': '{provider} のリポジトリ URL には、オーナーとリポジトリ名がちょうど 1 つずつ含まれます',
+  'gitUrl.error.repoMissing': 'リポジトリ名がありません',
+
+  'scan.error.projectType': 'プロジェクトの種類を判別できませんでした。プロジェクト内に .csproj/.sln または pom.xml/build.gradle が必要です。',
+  'scan.error.noSourcesIn': '{folders} にソースファイルが見つかりません',
+  'scan.error.noSources': 'どのモジュールにも .cs または .java のソースファイルが見つかりません。',
+
+  'json.instructions': 'ローカルで分析する場合は、スクリプトをダウンロードしてプロジェクトのルートに置き、実行してください。JSON が出力されたら、この画面に戻ってアップロードします。レポートはブラウザー内で作成され、JSON がサーバーに送信されることはありません。',
+  'json.bashScript': 'Bash スクリプト',
+  'json.powershellScript': 'PowerShell スクリプト',
+  'json.customRulesNote': 'どちらのスクリプトにも、{catalog}のカスタムルール {count} 件が含まれます。',
+  'json.ruleCatalog': 'ルールカタログ',
+  'json.cliHeading': 'Node.js CLI',
+  'json.cliDescription': 'Node.js 18 以降があれば Windows、macOS、Linux で動作し、Bash、jq、PowerShell は不要です。同じ JSON に加えて SARIF も出力でき、{failOn} が問題を検出したときや {policies} の品質ゲートが失敗したときは終了コード 1 で終了するため、CI ビルドのゲートとして使えます。',
+  'json.copyCommand': 'コマンドをコピー',
+  'json.downloadRules': '--rules 用のカスタムルール',
+  'json.downloadPolicies': '--policies 用のポリシー',
+  'json.uploadTitle': '分析 JSON をアップロード',
+  'json.uploadDescription': '分析スクリプトが生成した JSON ファイル',
+  'json.chooseFile': 'JSON ファイルを選択',
+  'json.reading': 'ファイルを読み込んでいます...',
+  'json.loaded': '✓ {file} を読み込みました',
+  'json.invalid': '{file} は有効な分析ファイルではありません',
+  'json.error': '{path}: {expected} が必要ですが {actual} でした',
+  'json.moreErrors': '...ほか {count} 件のエラー',
+  'json.upgraded': '旧形式または不完全な形式から変換しました',
+
+  'compare.instructions': '改善スプリント前の分析をベースライン、最新の分析を現在として読み込んでください。検出結果はファイル、関数、カテゴリ、コードで照合されるため、移動した行も認識されます。',
+  'compare.baseline': 'ベースラインの分析',
+  'compare.current': '現在の分析',
+  'compare.fileDescription': '分析 JSON (スクリプト出力またはエクスポートした結果)',
+  'compare.invalid': '✗ {file}: 検証エラー {count} 件',
+
+  'analyze.start': '分析を開始',
+  'analyze.compare': '分析を比較',
+  'analyze.running': '分析中...',
+  'analyze.packing': 'ソースを圧縮しています...',
+  'analyze.extracting': 'アーカイブを展開しています...',
+  'analyze.scanning': '{total} 件中 {scanned} 件のファイルをスキャン中 (問題 {count} 件)',
+  'analyze.progress': '分析の進捗',
+
+  'job.packing': 'ソースを圧縮中',
+  'job.uploading': 'アップロード中',
+  'job.queued': '待機中',
+  'job.cloning': 'リポジトリをクローン中',
+  'job.extracting': 'アーカイブを展開中',
+  'job.scanning': 'スキャン中',
+  'job.scanningFiles': 'ファイルをスキャン中 ({current}/{total})',
+  'job.aggregating': '結果を集計中',
+  'job.done': '完了',
+
+  'missing.heading': '分析が見つかりません',
+  'missing.description': 'このリンクは、このブラウザーの履歴にない分析を指しています。分析はローカルにのみ保存されます。リンクと一緒に共有された分析ファイル (エクスポートした JSON 結果またはスクリプト出力) を開くと、同じフィルターで表示できます。',
+  'missing.openFile': '分析ファイルを開く',
+  'missing.loading': '分析を読み込んでいます...',
+
+  'results.scannedOn': 'スキャン日 {date}',
+  'results.modules': '{count} モジュール',
+  'results.complexity': '複雑度係数: {factor}x',
+  'results.pages': '分析ビュー',
+  'results.page.findings': '検出結果',
+  'results.page.plan': 'スプリント計画',
+  'results.heading': '分析結果',
+  'results.compareBaseline': 'ベースラインと比較',
+  'results.fixSettings': 'AI 修正の設定',
+  'results.fixSettingsHint': '修正案の取得先',
+  'results.downloadPatch': 'パッチをダウンロード ({count})',
+
+  'stats.totalFiles': 'ファイル数',
+  'stats.totalIssues': '問題の総数',
+  'stats.highSeverity': '重大度: 高',
+  'stats.mediumSeverity': '重大度: 中',
+  'stats.lowSeverity': '重大度: 低',
+  'stats.totalEffortScore': '工数スコア',
+
+  'severity.high': '高',
+  'severity.medium': '中',
+  'severity.low': '低',
+
+  'filter.search': 'コードを検索...',
+  'filter.pathGlob': 'パスのグロブ (例: src/Controllers/**)',
+  'filter.functionName': '関数名',
+  'filter.groupBy': 'グループ化',
+  'filter.groupBy.category': 'カテゴリ',
+  'filter.groupBy.module': 'モジュール',
+  'filter.groupBy.directory': 'ディレクトリ',
+  'filter.groupBy.file': 'ファイル',
+  'filter.groupBy.severity': '重大度',
+  'filter.summary': '{total} 件中 {visible} 件の検出結果を表示 • 工数: {effort}',
+  'filter.clear': 'フィルターをクリア',
+
+  'tree.label': '検出結果',
+  'tree.empty': '現在のフィルターに一致する検出結果はありません。',
+  'tree.occurrences': '({count} 件)',
+  'tree.groupLabel': '{label}、重大度 {severity}、{count} 件',
+  'tree.effort': '工数: {score}',
+  'tree.remediation': '推奨される解決策:',
+  'tree.roadmap': '実装ロードマップ',
+  'tree.suggestFixes': '修正を提案 ({count})',
+
+  'finding.label': '{file}、{line} 行目',
+  'finding.classLevel': 'クラスレベル',
+  'finding.line': '{line} 行目',
+  'finding.showContext': 'コンテキストを表示',
+  'finding.hideContext': 'コンテキストを隠す',
+  'finding.suggestFix': '修正を提案',
+  'finding.suggestFixHint': 'AI 修正エンドポイントに変更を依頼します',
+  'finding.triage': 'トリアージ',
+  'finding.copyLink': 'この検出結果へのリンクをコピー',
+
+  'export.button': 'エクスポート',
+  'export.filtered': '(フィルター適用)',
+
+  'notify.downloadScriptFailed': 'スクリプトをダウンロードできませんでした',
+  'notify.scriptRulesUnsupported': '{error}。カスタムルールを削除またはエクスポートするか、バックエンドを更新してください。',
+  'notify.invalidFile': '{file} は有効な分析ファイルではありません (エラー {count} 件)。最初のエラー: {path}: {expected} が必要ですが {actual} でした',
+  'notify.linkCopied': 'リンクをクリップボードにコピーしました',
+  'notify.commandCopied': 'コマンドをクリップボードにコピーしました',
+  'notify.copyFailed': 'クリップボードにコピーできませんでした',
+  'notify.readFileFailed': '{file} を読み込めませんでした',
+  'notify.localScanFailed': 'ローカルスキャンに失敗しました',
+  'notify.analysisFailed': '分析に失敗しました',
+  'notify.analysisFailedReason': '分析に失敗しました: {reason}',
+  'notify.moduleDetectionFailed': 'このリポジトリのモジュールを一覧表示できませんでした',
+  'notify.fixUnreachable': '{url} に接続できませんでした',
+  'notify.fixOverlap': '承認済みの別の修正が {file} の {start}-{end} 行目を変更しています。先にその修正を元に戻してください。',
+
+  'migrate.lineNumbers': '文字列の行番号を整数に変換しました',
+  'migrate.severityCase': '重大度の値を小文字にそろえました',
+  'migrate.functionNames': '欠けている関数名を "Unknown" で補いました',
+  'migrate.codeSnippets': '欠けているコード片を補いました',
+  'migrate.windowsPaths': 'Windows 形式のファイルパスをそろえました',
+  'migrate.noFindings': '検出結果のリストがないため、空のスキャンとして扱います',
+  'migrate.singleFinding': '単独の検出結果オブジェクトをリストにしました',
+  'migrate.projectTypeInferred': 'ファイル拡張子からプロジェクトの種類 "{projectType}" を推定しました',
+  'migrate.scanDateMissing': 'スキャン日時がないため、アップロード日時を使用します',
+  'migrate.findingIds': 'ID のない検出結果に ID を割り当てました',
+  'migrate.projectNameMissing': 'プロジェクト名がないため、"Untitled Project" を使用します',
+  'migrate.complexityMissing': '複雑度係数がないため、1 とみなします',
+  'migrate.summaryRebuilt': '個々の検出結果からカテゴリの集計を作り直しました',
+  'migrate.statsRecomputed': '欠けている統計を再計算しました: {stats}',
+  'migrate.actionsGenerated': '実装ロードマップを生成しました',
+
+  'comparison.dates': 'ベースライン {baseline} → 現在 {current}',
+  'comparison.new': '新規 {count} 件',
+  'comparison.fixed': '修正済み {count} 件',
+  'comparison.unchanged': '変更なし {count} 件',
+  'comparison.versus': '{delta} (前回 {baseline})',
+  'comparison.heading': 'カテゴリ別の変化',
+  'comparison.exportMarkdown': 'Markdown をエクスポート',
+  'comparison.exportJson': 'JSON をエクスポート',
+  'comparison.status.new': '新規 ({count})',
+  'comparison.status.fixed': '修正済み ({count})',
+  'comparison.status.unchanged': '変更なし ({count})',
+  'comparison.wasLine': '(以前は {line} 行目)',
+  'comparison.close': '比較を閉じる',
+
+  'dashboard.heading': 'ホットスポット',
+  'dashboard.showCharts': 'グラフを表示',
+  'dashboard.hideCharts': 'グラフを隠す',
+  'dashboard.savePng': 'PNG 画像として保存',
+  'dashboard.saveSvg': 'SVG 画像として保存',
+  'dashboard.exportFailed': 'グラフをエクスポートできませんでした: {message}',
+  'dashboard.error.pngEncoding': 'ブラウザーで PNG を生成できませんでした',
+  'dashboard.error.chartImage': 'グラフを画像としてレンダリングできませんでした',
+  'dashboard.noFindings': '検出結果なし',
+  'dashboard.metric.count': '件数で表示',
+  'dashboard.metric.effort': '工数で表示',
+  'dashboard.severity': '重大度の分布',
+  'dashboard.sliceTooltip': '{severity}: {count}',
+  'dashboard.findings': '件',
+  'dashboard.categoryCount': 'カテゴリ別の検出件数',
+  'dashboard.categoryEffort': 'カテゴリ別の工数',
+  'dashboard.treemapLabel': 'ホットスポットのツリーマップ',
+  'dashboard.treemap.count': '検出結果の場所 (件数)',
+  'dashboard.treemap.effort': '検出結果の場所 (工数)',
+  'dashboard.root': '(ルート)',
+  'dashboard.spotTooltip': '{path}: {count} 件、工数 {effort}',
+  'dashboard.topFiles': '上位 {count} ファイル',
+  'dashboard.topFunctions': '上位 {count} 関数',
+
+  'triage.state.accepted': '許容されたリスク',
+  'triage.state.false-positive': '誤検出',
+  'triage.state.wont-fix': '修正しない',
+  'triage.author': 'あなたの名前',
+  'triage.justification': 'この検出結果が問題ではない理由は?',
+  'triage.suppress': '抑制',
+
+  'suppressions.invalidFile': '{file} は有効な抑制ファイルではありません (エラー {count} 件)。最初のエラー: {path}: {expected} が必要ですが {actual} でした',
+  'suppressions.imported': '{count} 件の抑制をインポートしました。',
+  'suppressions.importFailed': 'インポートに失敗しました: {message}',
+  'suppressions.count': '抑制された検出結果 {count} 件',
+  'suppressions.excluded': '統計と工数には含まれません',
+  'suppressions.import': '抑制をインポート',
+  'suppressions.export': '抑制をエクスポート ({count})',
+  'suppressions.restore': '元に戻す',
+
+  'policy.heading': '品質ゲートのポリシー',
+  'policy.description': 'すべての分析はトリアージ後にこれらのポリシーで検査され、1 つでも違反すると不合格になります。ポリシーはこのブラウザーに保存されます。チームで共有したり CLI の {option} オプションで使ったりするにはエクスポートしてください。',
+  'policy.imported': '{count} 件のポリシーをインポートしました。適用するには保存してください。',
+  'policy.importFailed': 'ポリシーをインポートできませんでした: {message}',
+  'policy.notImported': '{count} 件のポリシーはインポートされませんでした',
+  'policy.importError': '{policy}: {messages}',
+  'policy.numbered': 'ポリシー {number}',
+  'policy.name': '名前',
+  'policy.optional': '任意',
+  'policy.metric': '指標',
+  'policy.category': 'カテゴリ',
+  'policy.operator': '演算子',
+  'policy.threshold': 'しきい値',
+  'policy.now': '現在',
+  'policy.remove': 'ポリシーを削除',
+  'policy.add': 'ポリシーを追加',
+  'policy.metric.highSeverity': '重大度「高」の検出結果',
+  'policy.metric.mediumSeverity': '重大度「中」の検出結果',
+  'policy.metric.lowSeverity': '重大度「低」の検出結果',
+  'policy.metric.totalIssues': '問題の総数',
+  'policy.metric.totalEffortScore': '工数スコアの合計',
+  'policy.metric.complexityFactor': '複雑度係数',
+  'policy.metric.categoryOccurrences': 'カテゴリの件数',
+  'policy.metric.categoryEffort': 'カテゴリの工数スコア',
+  'policy.describe.highSeverity': '重大度「高」の検出結果 {operator} {threshold}',
+  'policy.describe.mediumSeverity': '重大度「中」の検出結果 {operator} {threshold}',
+  'policy.describe.lowSeverity': '重大度「低」の検出結果 {operator} {threshold}',
+  'policy.describe.totalIssues': '問題の総数 {operator} {threshold}',
+  'policy.describe.totalEffortScore': '工数スコアの合計 {operator} {threshold}',
+  'policy.describe.complexityFactor': '複雑度係数 {operator} {threshold}',
+  'policy.describe.categoryOccurrences': '{category} の件数 {operator} {threshold}',
+  'policy.describe.categoryEffort': '{category} の工数スコア {operator} {threshold}',
+  'policy.error.metric': '指標は次のいずれかにしてください: {metrics}',
+  'policy.error.category': 'カテゴリは必須です',
+  'policy.error.operator': '演算子は次のいずれかにしてください: {operators}',
+  'policy.error.threshold': 'しきい値は 0 以上の数値にしてください',
+
+  'gate.passed': '品質ゲートに合格しました',
+  'gate.failed': '品質ゲートに不合格です',
+  'gate.allMet': '{count} 件すべてのポリシーを満たしています',
+  'gate.violated': '{count} 件中 {failed} 件のポリシーに違反しています',
+  'gate.empty': '品質ゲートのポリシーはまだありません。追加すると、分析ごとに合否が表示されます。',
+  'gate.edit': 'ポリシーを編集',
+  'gate.add': 'ポリシーを追加',
+  'gate.check': '✗ {name}: {actual} ({operator} {threshold} である必要があります)',
+
+  'rules.heading': 'ルールカタログ',
+  'rules.new': '新しいルール',
+  'rules.description': '組み込みルールはすべてのスキャンで実行されます。カスタムルールはこのブラウザーに保存され、ローカルの ZIP スキャンに追加されるほか、「JSON をアップロード」タブからダウンロードする Bash / PowerShell スクリプトに埋め込まれます。サーバー側の ZIP / Git スキャンでは組み込みルールのみを使用します。',
+  'rules.imported': '{count} 件のカスタムルールをインポートしました。',
+  'rules.importFailed': 'ルールをインポートできませんでした: {message}',
+  'rules.notImported': '{count} 件のルールはインポートされませんでした',
+  'rules.importError': '{rule}: {messages}',
+  'rules.numbered': 'ルール {number}',
+  'rules.confirmDelete': 'カスタムルール "{category}" ({regex}) を削除しますか?',
+  'rules.allLanguages': 'すべての言語',
+  'rules.counts': '組み込み {builtIn} 件 • カスタム {custom} 件',
+  'rules.rule': 'ルール',
+  'rules.language': '言語',
+  'rules.category': 'カテゴリ',
+  'rules.severity': '重大度',
+  'rules.regex': '正規表現',
+  'rules.exclude': '除外する行の正規表現 (任意)',
+  'rules.excludeColumn': '除外',
+  'rules.remediation': '対処方法',
+  'rules.engines': 'エンジン',
+  'rules.builtIn': '組み込み',
+  'rules.custom': 'カスタム',
+  'rules.test': 'テスト',
+  'rules.editHint': '編集してテスト',
+  'rules.builtInTitle': '組み込みルール {id}',
+  'rules.editTitle': '{id} を編集',
+  'rules.newTitle': '新しいカスタムルール',
+  'rules.duplicate': 'カスタムルールとして複製',
+  'rules.save': 'ルールを保存',
+  'rules.categoryPlaceholder': '例: In-Process Cache',
+  'rules.regexPlaceholder': '例: AppCache\\.Instance',
+  'rules.excludePlaceholder': '例: readonly',
+  'rules.snippet': 'テスト用コード',
+  'rules.loadSample': '{language} のサンプルを読み込む',
+  'rules.snippetPlaceholder': 'C# または Java のコードをここに貼り付けてください',
+  'rules.fixRegex': '一致を表示するには正規表現を修正してください。',
+  'rules.reported': '{count} 行を検出',
+  'rules.excluded': '{count} 行を除外',
+  'rules.caseOnly': 'PowerShell の大文字小文字を区別しない -match でのみ、さらに {count} 行',
+  'rules.engine.browser': 'ブラウザーと API (JavaScript)',
+  'rules.engine.grep': 'Bash スクリプト (grep -E)',
+  'rules.engine.powershell': 'PowerShell スクリプト (-match)',
+  'rules.compat.ok': 'OK',
+  'rules.compat.warning': '警告',
+  'rules.compat.error': 'エラー',
+  'rules.error.language': '.NET または Java を選択してください',
+  'rules.error.severity': '重大度は次のいずれかにしてください: {severities}',
+  'rules.error.category': 'カテゴリは必須です',
+  'rules.error.regex': '正規表現は必須です',
+  'rules.error.invalidRegex': '{message}',
+  'rules.error.matchesEmpty': 'この正規表現は空行に一致するため、すべての行が検出されます',
+  'rules.error.noExclude': 'スクリプトのルール表では、単独の "{value}" は「除外なし」を意味します',
+  'rules.error.remediation': '対処方法の説明は必須です',
+  'rules.error.tableUnsafe': 'タブと改行は使用できません',
+  'rules.error.duplicate': '{id} と同じ正規表現です',
+
+  'zip.contents': 'アーカイブの内容',
+  'zip.includeAll': 'すべて含める',
+  'zip.reset': 'リセット',
+  'zip.expand': '{name} を展開',
+  'zip.collapse': '{name} を折りたたむ',
+  'zip.buildOutput': 'ビルド出力',
+  'zip.share': 'アーカイブの {percent}%',
+  'zip.fileCounts': 'ソース {source} / 全 {count} ファイル',
+  'zip.size': '{count} ファイル、展開後 {size} (圧縮時 {compressed})',
+  'zip.mixed': '.NET と Java',
+  'zip.noProject': 'プロジェクトが見つかりません',
+  'zip.sourceCounts': '.cs ファイル {dotnet} 件、.java ファイル {java} 件',
+  'zip.rootFiles': 'プロジェクトのルートに {count} ファイル',
+  'zip.uploadLabel': 'アップロード:',
+  'zip.upload': '{label} ソースとプロジェクトのファイル {count} 件、約 {size}。その他のファイルは含まれません。',
+  'zip.uploadSmaller': '{label} ソースとプロジェクトのファイル {count} 件、約 {size} ({saved}% 削減)。その他のファイルは含まれません。',
+
+  'fixSettings.heading': 'AI 修正エンドポイント',
+  'fixSettings.description': 'OpenAI の Chat Completions プロトコルに対応したサーバーであれば使用できます (OpenAI、Azure OpenAI、Ollama、LM Studio など)。検出結果、その前後の行、対処方法が送信されます。モデルなしで流れを試すには、{command} を実行して {stub} のスタブを使用してください。',
+  'fixSettings.url': 'Chat Completions の URL',
+  'fixSettings.invalidUrl': 'http:// または https:// の URL を入力してください',
+  'fixSettings.model': 'モデル',
+  'fixSettings.modelPlaceholder': 'モデル (任意、例: gpt-4o-mini)',
+  'fixSettings.apiKey': 'API キー',
+  'fixSettings.apiKeyPlaceholder': 'API キー (任意)',
+  'fixSettings.apiKeyHttps': 'API キーは HTTPS のエンドポイントまたは localhost にのみ送信されます。',
+  'fixSettings.apiKeySession': 'API キーはこのブラウザーのセッション中のみ保持されます。',
+
+  'fix.heading': '修正案',
+  'fix.accepted': '承認済み',
+  'fix.loading': '{host} に修正案を問い合わせています...',
+  'fix.retry': '再試行',
+  'fix.unchanged': 'この修正案はどの行も変更しません。',
+  'fix.current': '現在',
+  'fix.proposed': '提案',
+  'fix.accept': '承認',
+  'fix.undo': '承認を取り消す',
+  'fix.edit': '編集',
+  'fix.showDiff': '差分を表示',
+  'fix.discard': '破棄',
+  'fix.error.sourceMissing': 'アップロードされたアーカイブにソースファイルが見つかりません。',
+  'fix.error.status': '修正エンドポイントが {status} を返しました',
+  'fix.error.statusReason': '修正エンドポイントが {status} を返しました: {reason}',
+  'fix.error.noCompletion': '修正エンドポイントがチャット補完を返しませんでした',
+
+  'gitHelp.deployKey.copy': '下の公開キーをコピーします',
+  'gitHelp.deployKey.title': '"Statelessor Analysis" などのタイトルを付けます',
+  'gitHelp.deployKey.add': '"Add key" をクリックします',
+  'gitHelp.deployKey.github.open': 'GitHub リポジトリの Settings → Deploy keys を開きます',
+  'gitHelp.deployKey.github.paste': '"Add deploy key" をクリックしてキーを貼り付けます',
+  'gitHelp.deployKey.github.readOnly': '"Allow write access" はオフのままにします',
+  'gitHelp.deployKey.gitlab.open': 'GitLab プロジェクトの Settings → Repository → Deploy keys を開きます',
+  'gitHelp.deployKey.gitlab.paste': '"Add new key" をクリックしてキーを貼り付けます',
+  'gitHelp.deployKey.gitlab.readOnly': '"Grant write permissions to this key" はオフのままにします',
+  'gitHelp.deployKey.bitbucket.open': 'Bitbucket リポジトリの Repository settings → Access keys を開きます',
+  'gitHelp.deployKey.bitbucket.paste': '"Add key" をクリックしてキーを貼り付けます',
+  'gitHelp.deployKey.bitbucket.label': '"Statelessor Analysis" などのラベルを付けます',
+  'gitHelp.deployKey.bitbucket.readOnly': 'Access keys は読み取り専用なので、権限の変更は不要です',
+  'gitHelp.deployKey.azure.open': 'Azure DevOps で User settings → SSH public keys を開きます',
+  'gitHelp.deployKey.azure.paste': '"New Key" をクリックしてキーを貼り付け、"Statelessor Analysis" と名前を付けます',
+  'gitHelp.deployKey.azure.permissions': 'Azure DevOps にはリポジトリ単位のデプロイキーがなく、キーはあなたの権限で動作します。読み取り専用のサービスアカウントの使用をお勧めします',
+  'gitHelp.deployKey.azure.remove': '分析が終わったらキーを削除します',
+  'gitHelp.deployKey.generic.open': 'Git サーバーでリポジトリの設定を開きます',
+  'gitHelp.deployKey.generic.add': '読み取り専用のデプロイキーまたはアクセスキーとしてキーを追加します',
+  'gitHelp.deployKey.generic.readOnly': '書き込み権限は付与しないでください',
+  'gitHelp.token.github.open': 'GitHub の Settings → Developer settings → Fine-grained personal access tokens を開きます',
+  'gitHelp.token.github.create': 'このリポジトリに限定したトークンを生成します',
+  'gitHelp.token.github.scope': '"Contents: Read-only" のみを付与します',
+  'gitHelp.token.gitlab.open': 'GitLab プロジェクトの Settings → Access tokens を開きます',
+  'gitHelp.token.gitlab.create': 'Reporter ロールのプロジェクトアクセストークンを作成します',
+  'gitHelp.token.gitlab.scope': '"read_repository" スコープのみを選択します',
+  'gitHelp.token.bitbucket.open': 'Bitbucket リポジトリの Repository settings → Access tokens を開きます',
+  'gitHelp.token.bitbucket.create': 'リポジトリアクセストークンを作成します',
+  'gitHelp.token.bitbucket.scope': '"Repositories: Read" 権限のみを選択します',
+  'gitHelp.token.azure.open': 'Azure DevOps で User settings → Personal access tokens を開きます',
+  'gitHelp.token.azure.create': 'この組織向けに有効期限の短いトークンを作成します',
+  'gitHelp.token.azure.scope': '"Code: Read" スコープのみを選択します',
+  'gitHelp.token.generic.create': 'Git サーバーでアクセストークンを作成します',
+  'gitHelp.token.generic.scope': 'このリポジトリの読み取りアクセスに限定します',
+  'gitHelp.token.paste': '下にトークンを貼り付けます。トークンはこのページのメモリ内にのみ保持され、URL ではなく HTTPS で API に送信されます。',
+
+  'modules.heading': 'モジュール',
+  'modules.effortNote': 'モジュールの工数はモジュールごとの複雑度係数、合計はリポジトリ全体の複雑度係数を使用します。',
+  'modules.module': 'モジュール',
+  'modules.type': '種類',
+  'modules.files': 'ファイル',
+  'modules.issues': '問題',
+  'modules.high': '高',
+  'modules.medium': '中',
+  'modules.low': '低',
+  'modules.effort': '工数',
+  'modules.all': 'すべてのモジュール',
+
+  'modulePicker.none': '.sln/.csproj、pom.xml、build.gradle が見つからないため、分析対象がありません。',
+  'modulePicker.label': 'モジュール ({count} 件中 {selected} 件を選択)',
+  'modulePicker.all': 'すべて',
+  'modulePicker.clear': 'なし',
+
+  'source.loading': 'ソースを読み込んでいます...',
+  'source.missing': 'アップロードされたアーカイブにソースファイルが見つかりません。',
+  'source.inFunction': '{name} 内',
+  'source.inFunctionAt': '{name} 内 ({line} 行目)',
+  'source.radius': '±{count} 行',
+
+  'plan.sprint': 'スプリント {number}',
+  'plan.weeks': '{start}-{end} 週目',
+  'plan.hours': '{hours} 時間',
+  'plan.partHours': '{total} 時間中 {hours} 時間',
+  'plan.percentDone': '{percent}% 完了',
+  'plan.actionEffort': '工数 {effort} • {hours} 時間',
+  'plan.after': '前提: {actions}',
+  'plan.hoursPerPoint': '工数ポイントあたりの時間',
+  'plan.capacity': 'チームのキャパシティ (時間/週)',
+  'plan.sprintWeeks': 'スプリントの長さ (週)',
+  'plan.complexityFactor': '複雑度係数',
+  'plan.resetFactor': '{factor}x に戻す',
+  'plan.fromAnalysis': '分析結果の値',
+  'plan.summary': 'アクション {actions} 件 • 工数 {effort} ポイント • {hours} 時間 • {capacity} 時間のスプリント {count} 回 • {doneHours} 時間完了 ({percent}%)',
+  'plan.empty': '対処アクションがないため、計画するものはありません。',
+
+  'sshKey.minutes': '{minutes} 分',
+  'sshKey.hours': '{hours} 時間 {minutes} 分',
+  'sshKey.expired': 'このキーは期限切れです。新しいキーを生成してデプロイキーを置き換えてください。',
+  'sshKey.expiresSoon': 'あと {remaining} で期限切れになります。期限が切れる前にローテーションしてデプロイキーを置き換えてください。',
+  'sshKey.expiresIn': 'あと {remaining} で期限切れ',
+  'sshKey.listExpiresIn': 'あと {remaining} で期限切れ',
+  'sshKey.noExpiry': '期限なし',
+  'sshKey.failed.generate': 'SSH キーを生成できませんでした: {message}',
+  'sshKey.failed.rotate': 'SSH キーをローテーションできませんでした: {message}',
+  'sshKey.failed.revoke': 'SSH キーを失効できませんでした: {message}',
+  'sshKey.failed.copy': 'SSH キーをコピーできませんでした: {message}',
+  'sshKey.rotated': '古いキーは失効しました。{provider} のデプロイキーを下の新しいキーに置き換えてください。',
+  'sshKey.confirmRevoke': 'キー {key} を失効させますか? 新しいキーを追加するまで、このキーを使う分析は失敗します。',
+  'sshKey.revoked': 'キーを失効させました。{provider} のデプロイキーからも削除できます。',
+  'sshKey.copied': '公開キーをクリップボードにコピーしました。',
+  'sshKey.generate': 'SSH キーを生成',
+  'sshKey.publicKey': 'SSH 公開キー',
+  'sshKey.copy': 'キーをコピー',
+  'sshKey.rotate': 'ローテーション',
+  'sshKey.revoke': '失効',
+  'sshKey.generateAnother': '別のキーを生成',
+  'sshKey.activeKeys': 'このセッションの有効なキー',
+  'sshKey.inUse': '使用中',
+  'sshKey.use': '使用',
+
+  'history.title': '過去の分析',
+  'history.empty': '完了した分析はこのブラウザに保存され、ここに表示されます。',
+  'history.confirmDelete': '「{name}」を履歴から削除しますか?',
+  'history.imported': '{count} 件の分析をインポートしました。',
+  'history.importFailed': 'インポートに失敗しました: {message}',
+  'history.renameFailed': '名前を変更できませんでした: {message}',
+  'history.error.notFound': '分析が見つかりません',
+  'history.error.noAnalyses': 'ファイルに分析が含まれていません',
+  'history.issues': '{count} 件の問題',
+  'history.high': '高 {count}',
+  'history.effort': '工数: {effort}',
+  'history.rename': '名前を変更',
+  'history.source.unknown': '不明なソース',
+  'history.source.branch': 'ブランチ {branch}',
+  'history.source.folder': 'フォルダー {folder}',
+  'history.source.gitDetails': '{url} ({details})',
+  'history.source.localZip': '{file} (ローカルでスキャン)',
+  'history.source.json': 'JSON アップロード',
+
+  'apiErrors.KEY_GENERATION_FAILED': 'サーバーが SSH キーを生成できませんでした。しばらくしてからもう一度お試しください。',
+  'apiErrors.KEY_NOT_FOUND': 'この SSH キーは期限切れか失効しています。新しいキーを生成してリポジトリに追加してください。',
+  'apiErrors.SCRIPT_GENERATION_FAILED': 'サーバーが分析スクリプトを生成できませんでした。後でもう一度お試しください。',
+  'apiErrors.JOB_NOT_FOUND': 'この分析ジョブはサーバーに存在しません。期限切れの可能性があります。分析をやり直してください。',
+  'apiErrors.JOB_FINISHED': '分析はすでに完了しています。',
+  'apiErrors.TIMEOUT': 'サーバーが時間内に応答しませんでした。もう一度試すか、対象を絞って分析してください。',
+  'apiErrors.NETWORK_ERROR': '{url} の Statelessor API に接続できません。接続状況とバックエンドが動作しているかを確認してください。',
+  'apiErrors.HTTP_413': 'アップロードがサーバーの上限を超えています。さらにフォルダーのチェックを外して、もう一度お試しください。',
+  'apiErrors.HTTP_429': 'サーバーが混み合っています。しばらく待ってからもう一度お試しください。',
+  'apiErrors.HTTP_502': 'サーバーは現在利用できません。しばらくしてからもう一度お試しください。',
+  'apiErrors.HTTP_503': 'サーバーは現在利用できません。しばらくしてからもう一度お試しください。',
+  'apiErrors.HTTP_504': 'サーバーが時間内に応答しませんでした。しばらくしてからもう一度お試しください。'
+};
+
+export default ja;
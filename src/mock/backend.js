@@ -0,0 +1,365 @@
+// In-browser stand-in for the Statelessor backend, used when REACT_APP_API_URL=mock (see
+// services/apiClient). It answers every endpoint of backend-api-spec.md from the fixtures next to
+// it, so the UI can be developed and tried without a server. Jobs advance with the clock, and keys
+// and jobs live in sessionStorage, so a reload resumes them like a real backend would.
+// ?mock=<scenario> in the page URL switches to the unhappy paths (see SCENARIOS).
+import { BUILT_IN_RULES } from '../core/rules';
+import { SCHEMA_VERSION } from '../core/schema';
+import { SCRIPT_SHELLS, replaceScriptRules } from '../core/scriptRules';
+import { pemToOpenSsh, sshFingerprint } from '../core/sshKey';
+import { read, write } from '../services/storage';
+import sampleResults from './fixtures/debug-sample.json';
+import sampleModules from './fixtures/modules.json';
+
+const STATE_KEY = 'statelessor.mockBackend';
+const LATENCY_MS = 300;
+// Longer than the client's default timeout
+const SLOW_MS = 45 * 1000;
+const FLAKY_FAILURES = 2;
+const SSH_KEY_TTL_MS = 24 * 60 * 60 * 1000;
+// Ed25519 SubjectPublicKeyInfo up to the 32 key bytes
+const ED25519_SPKI_PREFIX = [0x30, 0x2a, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x70, 0x03, 0x21, 0x00];
+
+// How long a mock job spends in each phase; 'preparing' is cloning or extracting
+const PHASE_MS = { queued: 800, preparing: 1200, scanning: 5000, aggregating: 800 };
+const JOB_MS = Object.values(PHASE_MS).reduce((sum, ms) => sum + ms, 0);
+
+export const SCENARIOS = {
+  default: 'Every request succeeds',
+  errors: 'Every endpoint answers with its documented error',
+  flaky: `GET requests fail with 503 ${FLAKY_FAILURES} times before they succeed`,
+  slow: 'Answers take longer than the client timeout',
+  offline: 'The backend cannot be reached'
+};
+
+const currentScenario = () => {
+  const scenario = new URLSearchParams(window.location.search).get('mock');
+  return SCENARIOS[scenario] ? scenario : 'default';
+};
+
+const readState = () => ({ keys: [], jobs: [], ...read(STATE_KEY, {}, 'sessionStorage') });
+
+const writeState = (state) => write(STATE_KEY, state, 'sessionStorage');
+
+const abortError = () => Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' });
+
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(abortError());
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  if (signal) {
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(abortError());
+    }, { once: true });
+  }
+});
+
+const reply = (status, body, headers = {}) => ({ status, body, headers });
+
+// ---- ssh keys ----
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+
+const createKey = async (sessionId) => {
+  const keyId = crypto.randomUUID();
+  const spki = new Uint8Array([...ED25519_SPKI_PREFIX, ...crypto.getRandomValues(new Uint8Array(32))]);
+  const publicKey = pemToOpenSsh(`-----BEGIN PUBLIC KEY-----\n${toBase64(spki)}\n-----END PUBLIC KEY-----`, `statelessor-${keyId.slice(0, 8)}`);
+  const createdAt = Date.now();
+  return {
+    keyId,
+    sessionId,
+    publicKey,
+    fingerprint: await sshFingerprint(publicKey),
+    createdAt: new Date(createdAt).toISOString(),
+    expiresAt: new Date(createdAt + SSH_KEY_TTL_MS).toISOString()
+  };
+};
+
+const activeKeys = (state) => state.keys.filter(key => Date.parse(key.expiresAt) > Date.now());
+
+const publicKeyInfo = ({ sessionId, ...key }) => key;
+
+const generateKey = async ({ body, scenario }) => {
+  if (scenario === 'errors') return reply(500, { success: false, error: 'Failed to generate SSH key', code: 'KEY_GENERATION_FAILED' });
+  const state = readState();
+  const key = await createKey(body.sessionId);
+  writeState({ ...state, keys: [...activeKeys(state), key] });
+  return reply(200, { success: true, ...publicKeyInfo(key) });
+};
+
+const listKeys = ({ query }) => reply(200, {
+  success: true,
+  keys: activeKeys(readState()).filter(key => key.sessionId === query.get('sessionId')).map(publicKeyInfo)
+});
+
+const keyNotFound = () => reply(404, { success: false, code: 'KEY_NOT_FOUND', error: 'Key not found or expired' });
+
+const revokeKey = ({ params: [keyId], scenario }) => {
+  const state = readState();
+  const key = activeKeys(state).find(k => k.keyId === keyId);
+  if (!key || scenario === 'errors') return keyNotFound();
+  writeState({ ...state, keys: activeKeys(state).filter(k => k.keyId !== keyId) });
+  return reply(200, { success: true, keyId });
+};
+
+const rotateKey = async ({ params: [keyId], scenario }) => {
+  const state = readState();
+  const key = activeKeys(state).find(k => k.keyId === keyId);
+  if (!key || scenario === 'errors') return keyNotFound();
+  const replacement = await createKey(key.sessionId);
+  writeState({ ...state, keys: [...activeKeys(state).filter(k => k.keyId !== keyId), replacement] });
+  return reply(200, { success: true, revokedKeyId: keyId, ...publicKeyInfo(replacement) });
+};
+
+// ---- scripts ----
+
+// The fixture's findings as raw script output, for trying the "Upload JSON" tab
+const rawScan = () => JSON.stringify({
+  schemaVersion: SCHEMA_VERSION,
+  projectType: sampleResults.projectType,
+  scanDate: sampleResults.scanDate,
+  rootPath: '.',
+  totalFiles: sampleResults.stats.totalFiles,
+  findings: sampleResults.detailed.map(({ id, ...finding }) => finding)
+}, null, 2);
+
+// The real rules table around a stub that prints the fixture instead of scanning
+const SCRIPT_TEMPLATES = {
+  bash: () => [
+    '#!/usr/bin/env bash',
+    '# Statelessor mock script: it writes the sample results instead of scanning. Download the script',
+    '# from a Statelessor backend to analyze a project.',
+    '# BEGIN RULES',
+    "RULES=$(cat <<'STATELESSOR_RULES'",
+    'STATELESSOR_RULES',
+    ')',
+    "cat > stateful-analysis.json <<'STATELESSOR_RESULTS'",
+    rawScan(),
+    'STATELESSOR_RESULTS',
+    'echo "Sample results written to stateful-analysis.json"',
+    ''
+  ].join('\n'),
+  powershell: () => [
+    '# Statelessor mock script: it writes the sample results instead of scanning. Download the script',
+    '# from a Statelessor backend to analyze a project.',
+    '# BEGIN RULES',
+    "$RulesTable = @'",
+    "'@",
+    "@'",
+    rawScan(),
+    "'@ | Set-Content -Path stateful-analysis.json -Encoding utf8",
+    'Write-Host "Sample results written to stateful-analysis.json"',
+    ''
+  ].join('\r\n')
+};
+
+const script = ({ params: [shell], scenario }) => {
+  if (!SCRIPT_SHELLS[shell]) return reply(404, { error: true, message: `No script for ${shell}` });
+  if (scenario === 'errors') return reply(500, { success: false, error: 'Failed to generate script', code: 'SCRIPT_GENERATION_FAILED' });
+  return reply(200, replaceScriptRules(SCRIPT_TEMPLATES[shell](), BUILT_IN_RULES, shell), {
+    'Content-Type': 'text/plain; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${SCRIPT_SHELLS[shell].filename}"`
+  });
+};
+
+// ---- git ----
+
+const testConnection = ({ body, scenario }) => {
+  if (!body.gitUrl) return reply(400, { success: false, message: 'Missing gitUrl' });
+  if (scenario === 'errors') return reply(200, { success: false, message: 'Repository not found or access denied' });
+  return reply(200, { success: true });
+};
+
+const gitModules = ({ body, scenario }) => {
+  if (!body.gitUrl) return reply(400, { success: false, message: 'Missing gitUrl' });
+  if (scenario === 'errors') return reply(200, { success: false, message: 'Could not clone the repository: authentication failed' });
+  return reply(200, { success: true, modules: sampleModules });
+};
+
+// ---- jobs ----
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const projectNameOf = (body) => {
+  if (body instanceof FormData) {
+    const file = body.get('zipFile');
+    return file && file.name ? file.name.replace(/\.zip$/i, '') : sampleResults.projectName;
+  }
+  return String(body.gitUrl || '').replace(/\.git$/, '').split(/[/:]/).pop() || sampleResults.projectName;
+};
+
+// Where a job stands `elapsed` ms after it was queued
+const progressAt = (job, elapsed) => {
+  let remaining = elapsed;
+  if (remaining < PHASE_MS.queued) return { status: 'queued', phase: 'queued', message: 'Waiting for a worker' };
+  remaining -= PHASE_MS.queued;
+  if (remaining < PHASE_MS.preparing) {
+    return job.type === 'git'
+      ? { status: 'running', phase: 'cloning', message: `Cloning ${job.gitUrl}` }
+      : { status: 'running', phase: 'extracting', message: `Extracting ${job.projectName}.zip` };
+  }
+  remaining -= PHASE_MS.preparing;
+  if (job.fail) return { status: 'failed', phase: 'scanning', error: 'Scanner crashed on Controllers/UserController.cs' };
+  if (remaining < PHASE_MS.scanning) {
+    const total = sampleResults.stats.totalFiles;
+    const current = Math.min(total, Math.floor((total * remaining) / PHASE_MS.scanning) + 1);
+    return { status: 'running', phase: 'scanning', progress: { current, total }, message: `Scanning file ${current} of ${total}` };
+  }
+  remaining -= PHASE_MS.scanning;
+  if (remaining < PHASE_MS.aggregating) return { status: 'running', phase: 'aggregating', message: 'Aggregating results' };
+  return {
+    status: 'completed',
+    phase: 'done',
+    message: `${sampleResults.stats.totalIssues} issues found`,
+    result: { ...sampleResults, projectName: job.projectName, scanDate: new Date(job.createdAt + JOB_MS).toISOString() }
+  };
+};
+
+const snapshot = (job) => {
+  const endedAt = job.cancelledAt || Date.now();
+  const state = progressAt(job, endedAt - job.createdAt);
+  return {
+    jobId: job.jobId,
+    progress: null,
+    error: null,
+    ...state,
+    ...(job.cancelledAt && !TERMINAL_STATUSES.includes(state.status) ? { status: 'cancelled', message: 'Cancelled' } : {}),
+    createdAt: new Date(job.createdAt).toISOString(),
+    updatedAt: new Date(endedAt).toISOString()
+  };
+};
+
+const analyze = ({ body, headers, scenario }) => {
+  const isZip = body instanceof FormData;
+  if (isZip && !body.get('zipFile')) return reply(400, { error: true, message: 'Missing zipFile' });
+  if (!isZip && !body.gitUrl) return reply(400, { error: true, message: 'Missing gitUrl' });
+  if (isZip && scenario === 'errors') return reply(413, { error: true, message: 'Upload too large' });
+
+  const job = {
+    jobId: crypto.randomUUID(),
+    type: isZip ? 'zip' : 'git',
+    gitUrl: isZip ? undefined : body.gitUrl,
+    projectName: projectNameOf(body),
+    fail: scenario === 'errors',
+    createdAt: Date.now(),
+    cancelledAt: null
+  };
+  const state = readState();
+  writeState({ ...state, jobs: [...state.jobs, job] });
+
+  // Clients that do not ask for a job get the finished results, as from an old backend
+  if (!/respond-async/.test(headers.get('Prefer') || '')) {
+    const done = progressAt(job, Infinity);
+    return done.status === 'completed' ? reply(200, done.result) : reply(500, { error: true, message: done.error });
+  }
+  const statusUrl = `/analyze/jobs/${job.jobId}`;
+  return reply(202, {
+    jobId: job.jobId,
+    status: 'queued',
+    statusUrl,
+    eventsUrl: `${statusUrl}/events`,
+    cancelUrl: `${statusUrl}/cancel`
+  }, { Location: statusUrl });
+};
+
+const findJob = (jobId) => readState().jobs.find(job => job.jobId === jobId);
+
+const jobNotFound = () => reply(404, { error: true, code: 'JOB_NOT_FOUND', message: 'Job not found or expired' });
+
+const jobStatus = ({ params: [jobId] }) => {
+  const job = findJob(jobId);
+  return job ? reply(200, snapshot(job)) : jobNotFound();
+};
+
+const cancelJob = ({ params: [jobId] }) => {
+  const job = findJob(jobId);
+  if (!job) return jobNotFound();
+  const current = snapshot(job);
+  if (TERMINAL_STATUSES.includes(current.status)) {
+    return reply(409, { error: true, code: 'JOB_FINISHED', message: `Job already ${current.status}` });
+  }
+  const state = readState();
+  const cancelled = { ...job, cancelledAt: Date.now() };
+  writeState({ ...state, jobs: state.jobs.map(j => (j.jobId === jobId ? cancelled : j)) });
+  return reply(200, snapshot(cancelled));
+};
+
+// ---- http ----
+
+// [method, path pattern, handler]; captured groups become params. The events stream has no entry:
+// the client polls the status URL instead (api.streams is false for the mock).
+const ROUTES = [
+  ['GET', /^\/api\/script\/(\w+)$/, script],
+  ['POST', /^\/api\/ssh\/generate$/, generateKey],
+  ['GET', /^\/api\/ssh\/keys$/, listKeys],
+  ['DELETE', /^\/api\/ssh\/keys\/([\w-]+)$/, revokeKey],
+  ['POST', /^\/api\/ssh\/keys\/([\w-]+)\/rotate$/, rotateKey],
+  ['POST', /^\/api\/git\/test-connection$/, testConnection],
+  ['POST', /^\/api\/git\/modules$/, gitModules],
+  ['POST', /^\/analyze$/, analyze],
+  ['GET', /^\/analyze\/jobs\/([\w-]+)$/, jobStatus],
+  ['POST', /^\/analyze\/jobs\/([\w-]+)\/cancel$/, cancelJob]
+];
+
+const parseBody = (body) => {
+  if (typeof body !== 'string') return body || {};
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return {};
+  }
+};
+
+// Attempts per X-Request-ID, so the flaky scenario fails a request's first tries and then lets it pass
+const attempts = new Map();
+
+const route = async (method, url, init, scenario) => {
+  const headers = new Headers(init.headers);
+  if (scenario === 'flaky' && method === 'GET') {
+    const requestId = headers.get('X-Request-ID');
+    const count = (attempts.get(requestId) || 0) + 1;
+    attempts.set(requestId, count);
+    if (count <= FLAKY_FAILURES) return reply(503, { error: true, message: 'Service temporarily unavailable' }, { 'Retry-After': '1' });
+  }
+
+  const matching = ROUTES.filter(([, pattern]) => pattern.test(url.pathname));
+  const found = matching.find(([routeMethod]) => routeMethod === method);
+  if (!found) {
+    return matching.length
+      ? reply(405, { error: true, message: 'Method not allowed' })
+      : reply(404, { error: true, message: 'Not found' });
+  }
+  const [, pattern, handler] = found;
+  return handler({
+    params: url.pathname.match(pattern).slice(1).map(decodeURIComponent),
+    query: url.searchParams,
+    headers,
+    body: parseBody(init.body),
+    scenario
+  });
+};
+
+// Same signature as window.fetch for the mock:// URLs the API client builds
+export const mockFetch = async (input, init = {}) => {
+  const scenario = currentScenario();
+  const method = (init.method || 'GET').toUpperCase();
+  const url = new URL(String(input));
+  const requestId = new Headers(init.headers).get('X-Request-ID');
+
+  await delay(scenario === 'slow' ? SLOW_MS : LATENCY_MS, init.signal);
+  if (scenario === 'offline') throw new TypeError('Failed to fetch');
+
+  const { status, body, headers } = await route(method, url, init, scenario);
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  return new Response(text, {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(requestId ? { 'X-Request-ID': requestId } : {}),
+      ...headers
+    }
+  });
+};
@@ -0,0 +1,146 @@
+// Client for the /analyze job protocol (see backend-api-spec.md, "Analysis Jobs API").
+// Submitting asks for a job with `Prefer: respond-async`; servers that predate jobs answer with the
+// finished results instead, which are passed straight through.
+import { read, remove, write } from './storage';
+
+const ACTIVE_JOB_KEY = 'statelessor.activeJob';
+const POLL_INTERVAL_MS = 1500;
+const MAX_POLL_FAILURES = 20;
+const MAX_STREAM_ERRORS = 3;
+// Uploads and servers without job support answer only when the analysis is done
+const UPLOAD_TIMEOUT_MS = 10 * 60 * 1000;
+
+const abortError = (message = 'Analysis was cancelled') => Object.assign(new Error(message), { name: 'AbortError' });
+
+// An analysis the server ran but could not finish. detail is the server's reason, if it gave one.
+const analysisFailed = (detail) => Object.assign(
+  new Error(detail ? `Analysis failed: ${detail}` : 'Analysis failed'),
+  { name: 'AnalysisError', code: 'ANALYSIS_FAILED', detail: detail || null }
+);
+
+const jobPathOf = (jobId) => `/analyze/jobs/${encodeURIComponent(jobId)}`;
+
+// Rough overall completion in percent; scanning dominates the run time
+export const jobPercent = (job) => {
+  if (!job) return 0;
+  switch (job.phase) {
+    case 'packing': return 1;
+    case 'uploading': return 2;
+    case 'queued': return 5;
+    case 'cloning':
+    case 'extracting': return 10;
+    case 'scanning': return job.progress && job.progress.total
+      ? 15 + Math.round((80 * job.progress.current) / job.progress.total)
+      : 15;
+    case 'aggregating': return 97;
+    case 'done': return 100;
+    default: return 0;
+  }
+};
+
+// Returns { jobId } or, from a server without job support, { results }
+export const submitAnalysis = async (api, { body, headers = {}, signal }) => {
+  const { data, status } = await api.post('/analyze', body, {
+    headers: { Prefer: 'respond-async', ...headers },
+    signal,
+    timeoutMs: UPLOAD_TIMEOUT_MS
+  });
+  if (status === 202 && data.jobId) return { jobId: data.jobId };
+  if (data.error) throw analysisFailed(data.message);
+  return { results: data };
+};
+
+// Resolves with the job's results. Progress snapshots come from the SSE stream, or from polling when
+// EventSource is unavailable or the stream keeps failing (e.g. behind a buffering proxy).
+// A dropped connection does not lose the job: polling retries until the server answers again.
+export const watchJob = (api, jobId, { onProgress, signal } = {}) => new Promise((resolve, reject) => {
+  const jobPath = jobPathOf(jobId);
+  let source = null;
+  let timer = null;
+  let finished = false;
+  let streamErrors = 0;
+  let pollFailures = 0;
+
+  const finish = (settle, value) => {
+    if (finished) return;
+    finished = true;
+    if (source) source.close();
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+    settle(value);
+  };
+
+  const onAbort = () => finish(reject, abortError());
+
+  const handle = (job) => {
+    if (onProgress) onProgress(job);
+    if (job.status === 'completed') finish(resolve, job.result);
+    else if (job.status === 'failed') finish(reject, analysisFailed(job.error));
+    else if (job.status === 'cancelled') finish(reject, abortError());
+  };
+
+  const poll = async () => {
+    try {
+      // Failed polls are retried below, with the job's own limit
+      const { data } = await api.get(jobPath, { signal, retries: 0 });
+      pollFailures = 0;
+      handle(data);
+    } catch (error) {
+      if (finished || error.name === 'AbortError') return;
+      if (error.status === 404) {
+        finish(reject, error);
+        return;
+      }
+      pollFailures += 1;
+      if (pollFailures > MAX_POLL_FAILURES) {
+        finish(reject, error);
+        return;
+      }
+    }
+    if (!finished) timer = setTimeout(poll, POLL_INTERVAL_MS * Math.min(pollFailures + 1, 5));
+  };
+
+  const subscribe = () => {
+    source = new EventSource(api.url(`${jobPath}/events`));
+    source.onmessage = (event) => {
+      streamErrors = 0;
+      handle(JSON.parse(event.data));
+    };
+    source.onerror = () => {
+      if (finished) return;
+      streamErrors += 1;
+      // EventSource reconnects by itself; give up on it when the server closed it for good or it keeps failing
+      if (source.readyState === EventSource.CLOSED || streamErrors >= MAX_STREAM_ERRORS) {
+        source.close();
+        source = null;
+        poll();
+      }
+    };
+  };
+
+  if (signal) {
+    if (signal.aborted) return onAbort();
+    signal.addEventListener('abort', onAbort);
+  }
+  if (typeof EventSource === 'undefined' || !api.streams) {
+    poll();
+  } else {
+    subscribe();
+  }
+});
+
+export const cancelJob = async (api, jobId) => {
+  try {
+    await api.post(`${jobPathOf(jobId)}/cancel`);
+  } catch (error) {
+    // 409 (JOB_FINISHED): the job finished before the cancel arrived
+    if (error.status !== 409) throw error;
+  }
+};
+
+// The running job is remembered so a reloaded page can resume watching it
+export const saveActiveJob = (job) => write(ACTIVE_JOB_KEY, job);
+
+export const loadActiveJob = () => read(ACTIVE_JOB_KEY, null);
+
+export const clearActiveJob = () => remove(ACTIVE_JOB_KEY);
@@ -0,0 +1,170 @@
+// Shared client for the Statelessor backend (see backend-api-spec.md). Every request carries an
+// X-Request-ID and a timeout, and fails with an ApiError: { code, status, requestId, detail } with a
+// message for the user. Idempotent GETs are retried with exponential backoff when the network, a
+// timeout or a 5xx answer is to blame; the retries keep the request id, so server logs group them.
+// REACT_APP_API_URL=mock serves every endpoint from the in-browser mock backend (src/mock).
+export const API_BASE_URL = process.env.REACT_APP_API_URL || 'https://statelessor-api.port2aws.pro';
+export const USE_MOCK_API = API_BASE_URL === 'mock';
+
+const MOCK_BASE_URL = 'mock://statelessor';
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+const MAX_RETRIES = 3;
+const RETRY_BASE_MS = 500;
+const MAX_RETRY_AFTER_MS = 10 * 1000;
+const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Codes from backend-api-spec.md, plus the ones the client raises itself. HTTP_<status> covers
+// answers without a code.
+const ERROR_MESSAGES = {
+  KEY_GENERATION_FAILED: 'The server could not generate an SSH key. Try again in a moment.',
+  KEY_NOT_FOUND: 'This SSH key has expired or was revoked. Generate a new key and add it to the repository.',
+  SCRIPT_GENERATION_FAILED: 'The server could not generate the analysis script. Try again later.',
+  JOB_NOT_FOUND: 'The analysis job is no longer known to the server. It may have expired; start the analysis again.',
+  JOB_FINISHED: 'The analysis had already finished.',
+  TIMEOUT: 'The server did not answer in time. Try again, or analyze a smaller selection.',
+  HTTP_413: 'The upload is larger than the server accepts. Untick more folders and try again.',
+  HTTP_429: 'The server is busy. Wait a moment and try again.',
+  HTTP_502: 'The server is unavailable right now. Try again in a moment.',
+  HTTP_503: 'The server is unavailable right now. Try again in a moment.',
+  HTTP_504: 'The server did not answer in time. Try again in a moment.'
+};
+
+const apiError = ({ code, status = 0, detail, requestId, retryAfterMs }) => Object.assign(
+  new Error(ERROR_MESSAGES[code] || detail || `Request failed with HTTP ${status}`),
+  { name: 'ApiError', code, status, detail: detail || null, requestId, retryAfterMs }
+);
+
+const isRetryable = (error) => error.code === 'NETWORK_ERROR' || error.code === 'TIMEOUT' || RETRY_STATUSES.includes(error.status);
+
+// Retry-After in seconds; HTTP dates are rare enough to fall back to the backoff
+const retryAfter = (response) => {
+  const seconds = Number(response.headers.get('Retry-After'));
+  return seconds > 0 ? Math.min(seconds * 1000, MAX_RETRY_AFTER_MS) : null;
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  if (signal) {
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(Object.assign(new Error('Request was cancelled'), { name: 'AbortError' }));
+    }, { once: true });
+  }
+});
+
+const isJsonBody = (body) => body != null && typeof body === 'object'
+  && !(body instanceof FormData) && !(body instanceof Blob) && !(body instanceof URLSearchParams);
+
+const readBody = async (response, responseType) => {
+  if (responseType === 'text') return response.text();
+  const text = await response.text();
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return { message: text.slice(0, 200) };
+  }
+};
+
+// Errors carry { success: false, error, code } (keys) or { error: true, code, message } (jobs).
+// REQUEST_FAILED is a { success: false } answer without a code, e.g. an unreachable repository.
+const errorFromBody = (data, status, requestId, retryAfterMs) => apiError({
+  code: data.code || (status >= 400 ? `HTTP_${status}` : 'REQUEST_FAILED'),
+  status,
+  detail: typeof data.error === 'string' ? data.error : data.message,
+  requestId,
+  retryAfterMs
+});
+
+// { url(path), streams, request(path, options), get, post, del }. streams is false when the
+// transport cannot serve EventSource streams (the mock), so callers poll instead.
+export const createApiClient = (baseUrl, { fetch: fetchImpl = (...args) => window.fetch(...args), streams = true } = {}) => {
+  const url = (path) => `${baseUrl}${path}`;
+
+  // One attempt, reading the body inside the timeout so a stalled download also times out
+  const send = async (path, init, { signal, timeoutMs, responseType, requestId }) => {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = timeoutMs ? setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs) : null;
+    const onAbort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) controller.abort();
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    try {
+      const response = await fetchImpl(url(path), { ...init, signal: controller.signal });
+      const serverRequestId = response.headers.get('X-Request-ID') || requestId;
+      if (!response.ok) {
+        throw errorFromBody(await readBody(response, 'json'), response.status, serverRequestId, retryAfter(response));
+      }
+      const data = await readBody(response, responseType);
+      if (responseType === 'json' && data.success === false) throw errorFromBody(data, response.status, serverRequestId);
+      return { data, status: response.status, headers: response.headers, requestId: serverRequestId };
+    } catch (error) {
+      if (error.name === 'ApiError') throw error;
+      if (timedOut) throw apiError({ code: 'TIMEOUT', requestId });
+      if (error.name === 'AbortError') throw error;
+      throw apiError({
+        code: 'NETWORK_ERROR',
+        detail: `Cannot reach the Statelessor API at ${baseUrl}. Check your connection and that the backend is running.`,
+        requestId
+      });
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  };
+
+  // Resolves with { data, status, headers, requestId }. body may be a plain object (sent as JSON),
+  // FormData or a string. retries defaults to MAX_RETRIES for GET and 0 otherwise.
+  const request = async (path, {
+    method = 'GET',
+    body,
+    headers = {},
+    signal,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    retries = method === 'GET' ? MAX_RETRIES : 0,
+    responseType = 'json'
+  } = {}) => {
+    const requestId = crypto.randomUUID();
+    const init = {
+      method,
+      headers: {
+        'X-Request-ID': requestId,
+        ...(isJsonBody(body) ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: isJsonBody(body) ? JSON.stringify(body) : body
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await send(path, init, { signal, timeoutMs, responseType, requestId });
+      } catch (error) {
+        if (attempt >= retries || error.name !== 'ApiError' || !isRetryable(error)) throw error;
+        const backoff = RETRY_BASE_MS * 2 ** attempt;
+        await sleep(error.retryAfterMs || backoff + Math.random() * backoff, signal);
+      }
+    }
+  };
+
+  return {
+    url,
+    streams,
+    request,
+    get: (path, options) => request(path, options),
+    post: (path, body, options) => request(path, { ...options, method: 'POST', body }),
+    del: (path, options) => request(path, { ...options, method: 'DELETE' })
+  };
+};
+
+// The mock backend is a separate chunk, downloaded only when it is used
+const mockFetch = (...args) => import('../mock/backend').then(({ mockFetch: handle }) => handle(...args));
+
+export const api = USE_MOCK_API
+  ? createApiClient(MOCK_BASE_URL, { fetch: mockFetch, streams: false })
+  : createApiClient(API_BASE_URL);
@@ -0,0 +1,46 @@
+// Saves a dashboard chart as an SVG or PNG file for reports. Charts only use SVG presentation
+// attributes, never CSS classes, so the serialized SVG looks the same outside the page.
+import { messageError } from '../core/i18n';
+import { downloadFile } from './files';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const PNG_SCALE = 2;
+
+export const serializeSvg = (svg) => {
+  const { width, height } = svg.viewBox.baseVal;
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('xmlns', SVG_NS);
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  return new XMLSerializer().serializeToString(clone);
+};
+
+export const svgToPng = (svg) => new Promise((resolve, reject) => {
+  const { width, height } = svg.viewBox.baseVal;
+  const url = URL.createObjectURL(new Blob([serializeSvg(svg)], { type: 'image/svg+xml' }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * PNG_SCALE;
+    canvas.height = height * PNG_SCALE;
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(messageError('dashboard.error.pngEncoding'))), 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(messageError('dashboard.error.chartImage'));
+  };
+  image.src = url;
+});
+
+export const exportChart = async (svg, name, format) => {
+  if (format === 'svg') {
+    downloadFile(serializeSvg(svg), `${name}.svg`, 'image/svg+xml');
+  } else {
+    downloadFile(await svgToPng(svg), `${name}.png`, 'image/png');
+  }
+};
@@ -0,0 +1,40 @@
+export const readFileAsText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = (event) => resolve(event.target.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+});
+
+export const downloadFile = (content, filename, type) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+// Reads raw script output or a results document and returns a validated results document.
+// report has the same shape the JSON tab shows: { fileName, warnings, errors, truncatedErrors }.
+// The work happens in a Web Worker, so a file with tens of thousands of findings does not freeze the page.
+export const readAnalysisFile = (file) => new Promise((resolve, reject) => {
+  const worker = new Worker(new URL('../workers/analysis.worker.js', import.meta.url));
+
+  worker.onmessage = (event) => {
+    const message = event.data;
+    worker.terminate();
+    if (message.type === 'result') {
+      resolve({ report: message.report, results: message.results });
+    } else {
+      reject(new Error(message.message));
+    }
+  };
+
+  worker.onerror = (event) => {
+    worker.terminate();
+    reject(new Error(event.message || `Could not read ${file.name}`));
+  };
+
+  worker.postMessage({ file });
+});
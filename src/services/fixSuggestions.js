@@ -0,0 +1,87 @@
+// Fix suggestions from a configurable LLM endpoint that speaks the OpenAI chat completions
+// protocol (OpenAI, Azure OpenAI, Ollama, LM Studio, vLLM, ...). `npm run job-server` serves a
+// stub at http://localhost:3001/v1/chat/completions for trying the flow without a model.
+// The endpoint and model are kept in localStorage; the API key only for the browser session.
+import { fixMessages, fixWindow, parseFixResponse } from '../core/fixes';
+import { messageError } from '../core/i18n';
+import { read, write } from './storage';
+
+const SETTINGS_KEY = 'statelessor.fixEndpoint';
+const API_KEY_KEY = 'statelessor.fixApiKey';
+
+export const DEFAULT_FIX_SETTINGS = {
+  url: process.env.REACT_APP_FIX_API_URL || '',
+  model: process.env.REACT_APP_FIX_MODEL || '',
+  apiKey: ''
+};
+
+const parseUrl = (url) => {
+  try {
+    return new URL(url);
+  } catch (error) {
+    return null;
+  }
+};
+
+export const isValidEndpoint = (url) => {
+  const parsed = parseUrl(url);
+  return !!parsed && (parsed.protocol === 'http:' || parsed.protocol === 'https:');
+};
+
+// Settings stored by an older version or set through the environment may not parse, so the host
+// falls back to the URL as written
+export const endpointHost = (url) => {
+  const parsed = parseUrl(url);
+  return parsed ? parsed.host : url;
+};
+
+// API keys, like git access tokens, only go to HTTPS endpoints or a local development server
+export const canSendApiKey = (url) => /^https:\/\//.test(url) || /^http:\/\/(localhost|127\.0\.0\.1)(:|\/|$)/.test(url);
+
+export const loadFixSettings = () => ({
+  ...DEFAULT_FIX_SETTINGS,
+  ...read(SETTINGS_KEY, {}),
+  apiKey: read(API_KEY_KEY, '', 'sessionStorage')
+});
+
+export const saveFixSettings = ({ apiKey, ...settings }) => {
+  write(SETTINGS_KEY, settings);
+  write(API_KEY_KEY, apiKey || null, 'sessionStorage');
+};
+
+// The source around a finding: its embedded context, or the whole file from the uploaded ZIP
+const loadContext = async (finding, sourceProvider) => {
+  if (finding.context) return finding.context;
+  const lines = sourceProvider ? await sourceProvider.getLines(finding.filename) : null;
+  if (!lines) throw messageError('fix.error.sourceMissing');
+  return { startLine: 1, lines };
+};
+
+// Resolves with { context, window, explanation, lines }, the shape core/fixes buildPatch expects
+export const requestFix = async (settings, finding, remediation, sourceProvider, { signal } = {}) => {
+  const context = await loadContext(finding, sourceProvider);
+  const window = fixWindow(context, finding.lineNum);
+  const headers = { 'Content-Type': 'application/json' };
+  if (settings.apiKey && canSendApiKey(settings.url)) headers.Authorization = `Bearer ${settings.apiKey}`;
+
+  const response = await fetch(settings.url, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      ...(settings.model ? { model: settings.model } : {}),
+      messages: fixMessages(finding, remediation, window),
+      temperature: 0
+    }),
+    signal
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const message = (data.error && (data.error.message || data.error)) || data.message;
+    throw message
+      ? messageError('fix.error.statusReason', { status: String(response.status), reason: message })
+      : messageError('fix.error.status', { status: String(response.status) });
+  }
+  const content = data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+  if (typeof content !== 'string') throw messageError('fix.error.noCompletion');
+  return { context, window, ...parseFixResponse(content) };
+};
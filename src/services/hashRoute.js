@@ -0,0 +1,27 @@
+import { useCallback, useEffect, useState } from 'react';
+import { formatRoute, parseRoute } from '../core/routes';
+
+// Current route from location.hash, plus navigate(route, { replace }).
+// View state changes (filters, expanded groups) replace the history entry so Back leaves the analysis.
+export const useHashRoute = () => {
+  const [route, setRoute] = useState(() => parseRoute(window.location.hash));
+
+  useEffect(() => {
+    const onHashChange = () => setRoute(parseRoute(window.location.hash));
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
+
+  const navigate = useCallback((next, { replace = false } = {}) => {
+    const hash = formatRoute(next);
+    if (hash !== window.location.hash) {
+      window.history[replace ? 'replaceState' : 'pushState'](null, '', hash);
+    }
+    setRoute(parseRoute(hash));
+  }, []);
+
+  return [route, navigate];
+};
+
+// Absolute link to a route, for copying to the clipboard
+export const routeUrl = (route) => `${window.location.origin}${window.location.pathname}${window.location.search}${formatRoute(route)}`;
@@ -0,0 +1,58 @@
+import React, { act } from 'react';
+import { createRoot } from 'react-dom/client';
+import { analysisRoute, inputRoute } from '../core/routes';
+import { routeUrl, useHashRoute } from './hashRoute';
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+let container;
+let root;
+let current;
+
+const Probe = () => {
+  current = useHashRoute();
+  return null;
+};
+
+beforeEach(() => {
+  window.history.replaceState(null, '', '/app/#/git');
+  container = document.createElement('div');
+  root = createRoot(container);
+  act(() => root.render(<Probe />));
+});
+
+afterEach(() => {
+  act(() => root.unmount());
+});
+
+describe('useHashRoute', () => {
+  it('starts from the current hash', () => {
+    expect(current[0]).toEqual(inputRoute('git'));
+  });
+
+  it('pushes a history entry when navigating, or replaces it', () => {
+    const length = window.history.length;
+    act(() => current[1](inputRoute('json')));
+    expect(window.location.hash).toBe('#/json');
+    expect(current[0]).toEqual(inputRoute('json'));
+    expect(window.history.length).toBe(length + 1);
+
+    act(() => current[1](analysisRoute('a1'), { replace: true }));
+    expect(window.location.hash).toBe('#/analysis/a1');
+    expect(window.history.length).toBe(length + 1);
+  });
+
+  it('follows hash changes made elsewhere', () => {
+    act(() => {
+      window.history.replaceState(null, '', '#/rules');
+      window.dispatchEvent(new HashChangeEvent('hashchange'));
+    });
+    expect(current[0]).toEqual({ name: 'rules' });
+  });
+});
+
+describe('routeUrl', () => {
+  it('links to the route on the current page', () => {
+    expect(routeUrl(analysisRoute('a1'))).toBe('http://localhost/app/#/analysis/a1');
+  });
+});
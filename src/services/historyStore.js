@@ -0,0 +1,98 @@
+// Local history of completed analyses, persisted in IndexedDB.
+// Entry: { id, name, source, createdAt, projectType, stats, results }
+// source is one of { type: 'zip', fileName, local }, { type: 'git', gitUrl, branch, subfolder }, { type: 'json', fileName }.
+import { messageError } from '../core/i18n';
+import { migrateResults } from '../core/migrate';
+import { RESULTS_SCHEMA, validate } from '../core/schema';
+
+const DB_NAME = 'statelessor';
+const DB_VERSION = 1;
+const STORE = 'analyses';
+const EXPORT_FORMAT = 'statelessor-history';
+const EXPORT_VERSION = 1;
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('createdAt', 'createdAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+const run = async (mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = operation(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+export const createEntry = (results, source) => ({
+  id: crypto.randomUUID(),
+  name: results.projectName,
+  source,
+  createdAt: new Date().toISOString(),
+  projectType: results.projectType,
+  stats: results.stats,
+  results
+});
+
+// Newest first
+export const listAnalyses = async () => {
+  const entries = await run('readonly', store => store.getAll());
+  return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+export const getAnalysis = (id) => run('readonly', store => store.get(id));
+
+export const saveAnalysis = async (entry) => {
+  await run('readwrite', store => store.put(entry));
+  return entry;
+};
+
+export const renameAnalysis = async (id, name) => {
+  const entry = await getAnalysis(id);
+  if (!entry) throw messageError('history.error.notFound');
+  return saveAnalysis({ ...entry, name });
+};
+
+export const deleteAnalysis = (id) => run('readwrite', store => store.delete(id));
+
+export const exportHistory = async () => ({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  entries: await listAnalyses()
+});
+
+// Accepts a history export or a single entry; existing ids are overwritten. Returns the number imported.
+export const importHistory = async (json) => {
+  const entries = json && json.format === EXPORT_FORMAT ? json.entries : [json];
+  const valid = (entries || [])
+    .filter(e => e && e.id && e.results && e.createdAt)
+    .map(e => ({ ...e, results: migrateResults(e.results, () => {}) }))
+    .filter(e => validate(RESULTS_SCHEMA, e.results).length === 0);
+  if (valid.length === 0) throw messageError('history.error.noAnalyses');
+  await run('readwrite', store => {
+    valid.forEach(entry => store.put(entry));
+    return null;
+  });
+  return valid.length;
+};
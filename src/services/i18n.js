@@ -0,0 +1,64 @@
+// UI language: the catalogs in src/locales, the chosen locale (kept in localStorage, defaulting to the
+// browser's languages) and locale-aware number and date formatting. Components call useI18n():
+// t('area.name', { count: 3 }) returns a string, or a fragment when a parameter is a React element.
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { hasMessage, interpolate, lookupMessage, matchLocale } from '../core/i18n';
+import { CATALOGS, LOCALES } from '../locales';
+import { read, write } from './storage';
+
+const LOCALE_KEY = 'statelessor.locale';
+
+const loadLocale = () => {
+  const stored = read(LOCALE_KEY, null);
+  if (LOCALES[stored]) return stored;
+  return matchLocale(navigator.languages || [navigator.language], Object.keys(LOCALES));
+};
+
+const I18nContext = createContext(null);
+
+export const I18nProvider = ({ children }) => {
+  const [locale, setLocaleState] = useState(loadLocale);
+
+  // Screen readers pick their voice from the document language
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const setLocale = useCallback((next) => {
+    setLocaleState(next);
+    write(LOCALE_KEY, next);
+  }, []);
+
+  const value = useMemo(() => {
+    const numberFormat = new Intl.NumberFormat(locale, { maximumFractionDigits: 1 });
+    const dateFormat = new Intl.DateTimeFormat(locale, { dateStyle: 'medium' });
+    const dateTimeFormat = new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short' });
+    // Dates that do not parse are shown as they came
+    const formatWith = (format) => (date) => {
+      const parsed = new Date(date);
+      return Number.isNaN(parsed.getTime()) ? String(date) : format.format(parsed);
+    };
+    const t = (key, params = {}) => {
+      const parts = interpolate(lookupMessage(CATALOGS, locale, key, params.count), params, locale);
+      if (parts.every(part => typeof part === 'string')) return parts.join('');
+      return parts.map((part, index) => <React.Fragment key={index}>{part}</React.Fragment>);
+    };
+    return {
+      locale,
+      setLocale,
+      t,
+      has: (key) => hasMessage(CATALOGS, locale, key),
+      // Errors with a catalog message (see messageError) are worded in the locale, others as they came
+      describeError: (error) => (error.key ? t(error.key, error.params) : error.message),
+      formatNumber: (number) => numberFormat.format(number),
+      formatDate: formatWith(dateFormat),
+      formatDateTime: formatWith(dateTimeFormat)
+    };
+  }, [locale, setLocale]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export const useI18n = () => useContext(I18nContext);
+
+export { LOCALES };
@@ -0,0 +1,29 @@
+// Runs the ZIP scan in a Web Worker so the archive never leaves the browser, and resolves with the
+// aggregated results document. rules defaults to the built-in rules (see scanner.scanFiles).
+import { messageError } from '../core/i18n';
+
+export const scanZipLocally = (file, { include = [], rules, projectName, onProgress } = {}) => new Promise((resolve, reject) => {
+  const worker = new Worker(new URL('../workers/scan.worker.js', import.meta.url));
+
+  worker.onmessage = (event) => {
+    const message = event.data;
+    if (message.type === 'progress') {
+      if (onProgress) onProgress(message);
+      return;
+    }
+    worker.terminate();
+    if (message.type === 'result') {
+      resolve(message.results);
+    } else {
+      // Errors of the scanner keep their catalog message across the worker boundary
+      reject(message.key ? messageError(message.key, message.params) : new Error(message.message));
+    }
+  };
+
+  worker.onerror = (event) => {
+    worker.terminate();
+    reject(new Error(event.message || 'Local scan failed'));
+  };
+
+  worker.postMessage({ file, include, rules, projectName });
+});
@@ -0,0 +1,17 @@
+// Repository checks against the backend (see backend-api-spec.md, "Git Repository Access" and
+// "Monorepos and Modules"). Both take the repository fields also sent to /analyze.
+
+// Resolves when the backend can reach the repository and branch; the ApiError says why not otherwise
+export const testGitConnection = async (api, payload) => {
+  await api.post('/api/git/test-connection', payload);
+};
+
+export const fetchGitModules = async (api, payload) => (await api.post('/api/git/modules', payload)).data.modules;
+
+// Module paths and subfolders to send as "include"; empty means the whole repository.
+// Selecting every detected module already covers any subfolder, so the list is empty then.
+export const buildInclude = (modules, selectedModules, subfolders) => {
+  if (modules && selectedModules.length === new Set(modules.map(m => m.path)).size) return [];
+  const extra = String(subfolders || '').split(',').map(s => s.trim()).filter(Boolean);
+  return [...(modules ? selectedModules : []), ...extra];
+};
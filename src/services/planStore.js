@@ -0,0 +1,23 @@
+// Sprint plan settings (shared by all analyses) and, per analysis history id, the complexity factor
+// override and the sub-actions marked done. Both live in localStorage.
+import { DEFAULT_PLAN_SETTINGS, sanitizePlanSettings } from '../core/planning';
+import { read, write } from './storage';
+
+const SETTINGS_KEY = 'statelessor.planSettings';
+const PLANS_KEY = 'statelessor.plans';
+
+export const EMPTY_PLAN_STATE = { complexityFactor: null, progress: {} };
+
+export const loadPlanSettings = () => sanitizePlanSettings(read(SETTINGS_KEY, DEFAULT_PLAN_SETTINGS));
+
+export const savePlanSettings = (settings) => write(SETTINGS_KEY, settings);
+
+export const loadPlanState = (analysisId) => {
+  const plans = read(PLANS_KEY, {});
+  return { ...EMPTY_PLAN_STATE, ...(plans && plans[analysisId]) };
+};
+
+export const savePlanState = (analysisId, state) => {
+  const plans = read(PLANS_KEY, {}) || {};
+  write(PLANS_KEY, { ...plans, [analysisId]: state });
+};
@@ -0,0 +1,22 @@
+// Quality-gate policies (core/policies), kept in localStorage and shared as a JSON file that the CLI
+// reads with --policies.
+import { exportPolicies, importPolicies } from '../core/policies';
+import { downloadFile } from './files';
+import { read, write } from './storage';
+
+const POLICIES_KEY = 'statelessor.policies';
+
+export const POLICY_FILENAME = 'statelessor-policies.json';
+
+// Stored policies are validated like imported ones, so a hand-edited entry cannot break the verdict
+export const loadPolicies = () => {
+  const stored = read(POLICIES_KEY, []);
+  if (!Array.isArray(stored)) return [];
+  const { policies, errors } = importPolicies(stored);
+  if (errors.length) console.warn('Skipped invalid policies:', errors);
+  return policies;
+};
+
+export const savePolicies = (policies) => write(POLICIES_KEY, policies);
+
+export const downloadPolicies = (policies) => downloadFile(JSON.stringify(exportPolicies(policies), null, 2), POLICY_FILENAME, 'application/json');
@@ -0,0 +1,23 @@
+// Custom rules from the rule catalog, kept in localStorage. They are added to the built-in rules for
+// local ZIP scans and embedded in downloaded analysis scripts.
+import { exportRuleSet, importRuleSet } from '../core/customRules';
+import { downloadFile } from './files';
+import { read, write } from './storage';
+
+const CUSTOM_RULES_KEY = 'statelessor.customRules';
+
+// Also the file name the CLI documentation uses for --rules
+export const RULE_SET_FILENAME = 'statelessor-custom-rules.json';
+
+// Stored rules go through the same validation as imported ones, so a hand-edited entry cannot break scans
+export const loadCustomRules = () => {
+  const stored = read(CUSTOM_RULES_KEY, []);
+  if (!Array.isArray(stored)) return [];
+  const { rules, errors } = importRuleSet(stored);
+  if (errors.length) console.warn('Skipped invalid custom rules:', errors);
+  return rules;
+};
+
+export const saveCustomRules = (rules) => write(CUSTOM_RULES_KEY, rules);
+
+export const downloadRuleSet = (rules) => downloadFile(JSON.stringify(exportRuleSet(rules), null, 2), RULE_SET_FILENAME, 'application/json');
@@ -0,0 +1,46 @@
+import { unzipSync } from 'fflate';
+import { stripCommonRoot } from '../core/scanner';
+
+// Reads individual source files out of the uploaded ZIP on demand, so findings from a
+// backend scan can still show their surrounding code without keeping the whole archive inflated.
+export const createZipSourceProvider = (file) => {
+  let bufferPromise = null;
+  let entryNames = null;
+  const cache = new Map();
+
+  const getBuffer = () => {
+    if (!bufferPromise) bufferPromise = file.arrayBuffer().then(buffer => new Uint8Array(buffer));
+    return bufferPromise;
+  };
+
+  // Maps a finding's project-relative filename to the entry name inside the archive
+  const resolveEntry = async (filename) => {
+    const buffer = await getBuffer();
+    if (!entryNames) {
+      const names = [];
+      unzipSync(buffer, {
+        filter: (entry) => {
+          if (!entry.name.endsWith('/')) names.push(entry.name);
+          return false;
+        }
+      });
+      const { paths } = stripCommonRoot(names.map(name => name.replace(/\\/g, '/')));
+      entryNames = new Map(paths.map((path, index) => [path, names[index]]));
+    }
+    return entryNames.get(filename) || entryNames.get(filename.replace(/^\.\//, ''));
+  };
+
+  const getLines = async (filename) => {
+    if (!cache.has(filename)) {
+      cache.set(filename, (async () => {
+        const entryName = await resolveEntry(filename);
+        if (!entryName) return null;
+        const entries = unzipSync(await getBuffer(), { filter: (entry) => entry.name === entryName });
+        return new TextDecoder('utf-8').decode(entries[entryName]).split(/\r?\n/);
+      })());
+    }
+    return cache.get(filename);
+  };
+
+  return { getLines };
+};
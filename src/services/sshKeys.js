@@ -0,0 +1,70 @@
+// Deploy keys generated by the backend for this browser session (see backend-api-spec.md, "SSH Key Lifecycle").
+// Only public data is kept in localStorage (key id, public key, fingerprint, expiry), so a key that was
+// already added to a repository can be reused after a reload. Private keys never leave the server.
+import { sshFingerprint } from '../core/sshKey';
+import { read, write } from './storage';
+
+const KEYS_KEY = 'statelessor.sshKeys';
+const SELECTED_KEY = 'statelessor.selectedKeyId';
+const SESSION_KEY = 'statelessor.sessionId';
+
+export const EXPIRY_WARNING_MS = 60 * 60 * 1000;
+
+export const getSessionId = () => {
+  let sessionId = read(SESSION_KEY, null);
+  if (!sessionId) {
+    sessionId = crypto.randomUUID();
+    write(SESSION_KEY, sessionId);
+  }
+  return sessionId;
+};
+
+export const isExpired = (key, now = Date.now()) => !!key.expiresAt && new Date(key.expiresAt).getTime() <= now;
+
+export const loadKeys = () => {
+  const keys = read(KEYS_KEY, []);
+  return Array.isArray(keys) ? keys.filter(key => !isExpired(key)) : [];
+};
+
+export const saveKeys = (keys) => write(KEYS_KEY, keys);
+
+export const loadSelectedKeyId = () => read(SELECTED_KEY, null);
+
+export const saveSelectedKeyId = (keyId) => write(SELECTED_KEY, keyId);
+
+// Older backends return no fingerprint; it is derived from the public key then
+const toKeyRecord = async (data) => ({
+  keyId: data.keyId,
+  publicKey: data.publicKey,
+  fingerprint: data.fingerprint || await sshFingerprint(data.publicKey).catch(() => null),
+  createdAt: data.createdAt || new Date().toISOString(),
+  expiresAt: data.expiresAt || null
+});
+
+export const generateKey = async (api) => toKeyRecord((await api.post('/api/ssh/generate', { sessionId: getSessionId() })).data);
+
+// Returns the server's active keys for this session, or null when the backend has no key listing
+export const listKeys = async (api) => {
+  try {
+    const { data } = await api.get(`/api/ssh/keys?sessionId=${encodeURIComponent(getSessionId())}`);
+    return Promise.all(data.keys.map(toKeyRecord));
+  } catch (error) {
+    if (error.status === 404 || error.status === 405) return null;
+    throw error;
+  }
+};
+
+export const revokeKey = async (api, keyId) => {
+  try {
+    await api.del(`/api/ssh/keys/${encodeURIComponent(keyId)}`);
+  } catch (error) {
+    // Already expired or revoked on the server: nothing left to revoke
+    if (error.code !== 'KEY_NOT_FOUND') throw error;
+  }
+};
+
+// Revokes keyId and returns its replacement
+export const rotateKey = async (api, keyId) => toKeyRecord((await api.post(
+  `/api/ssh/keys/${encodeURIComponent(keyId)}/rotate`,
+  { sessionId: getSessionId() }
+)).data);
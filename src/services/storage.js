@@ -0,0 +1,27 @@
+// JSON values in Web Storage, shared by the stores that remember settings between visits. Storage
+// can be full or blocked (private windows, strict cookie settings), so failures are logged and
+// reads fall back instead of breaking the page. area is 'localStorage' or 'sessionStorage'.
+export const read = (key, fallback, area = 'localStorage') => {
+  try {
+    const value = window[area].getItem(key);
+    return value == null ? fallback : JSON.parse(value);
+  } catch (error) {
+    console.warn(`Could not read ${key} from ${area}:`, error);
+    return fallback;
+  }
+};
+
+// Writing null or undefined removes the key
+export const write = (key, value, area = 'localStorage') => {
+  try {
+    if (value == null) {
+      window[area].removeItem(key);
+    } else {
+      window[area].setItem(key, JSON.stringify(value));
+    }
+  } catch (error) {
+    console.warn(`Could not write ${key} to ${area}:`, error);
+  }
+};
+
+export const remove = (key, area = 'localStorage') => write(key, null, area);
@@ -0,0 +1,17 @@
+// Keeps the working suppression list and the last triage author in localStorage,
+// so triage is re-applied to every later analysis opened in this browser.
+import { read, write } from './storage';
+
+const SUPPRESSIONS_KEY = 'statelessor.suppressions';
+const AUTHOR_KEY = 'statelessor.triageAuthor';
+
+export const loadSuppressions = () => {
+  const suppressions = read(SUPPRESSIONS_KEY, []);
+  return Array.isArray(suppressions) ? suppressions : [];
+};
+
+export const saveSuppressions = (suppressions) => write(SUPPRESSIONS_KEY, suppressions);
+
+export const loadTriageAuthor = () => read(AUTHOR_KEY, '');
+
+export const saveTriageAuthor = (author) => write(AUTHOR_KEY, author);
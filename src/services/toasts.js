@@ -0,0 +1,22 @@
+import { useCallback, useRef, useState } from 'react';
+
+// How long each kind of toast stays up; errors stay longer so there is time to read the request id
+const TOAST_MS = { info: 4000, success: 4000, error: 10000 };
+
+// Short messages shown in a corner of the page: notify(message, { type, requestId }), type being info, success or error.
+// Repeating a message that is still up replaces it instead of stacking copies.
+export const useToasts = () => {
+  const [toasts, setToasts] = useState([]);
+  const nextId = useRef(0);
+
+  const dismiss = useCallback((id) => setToasts(prev => prev.filter(toast => toast.id !== id)), []);
+
+  const notify = useCallback((message, { type = 'info', requestId = null } = {}) => {
+    nextId.current += 1;
+    const id = nextId.current;
+    setToasts(prev => [...prev.filter(toast => toast.message !== message), { id, type, message, requestId }]);
+    setTimeout(() => dismiss(id), TOAST_MS[type] || TOAST_MS.info);
+  }, [dismiss]);
+
+  return { toasts, notify, dismiss };
+};
@@ -0,0 +1,54 @@
+// Reads an uploaded ZIP's central directory for the pre-flight view (core/archive) and re-packs the
+// files worth uploading, so build output and dependencies never leave the browser.
+import { unzip, unzipSync, zip } from 'fflate';
+import { inspectArchive } from '../core/archive';
+
+// Lists the entries without inflating anything. entryName is the name inside the archive.
+export const inspectZip = async (file) => {
+  const entries = [];
+  unzipSync(new Uint8Array(await file.arrayBuffer()), {
+    filter: (entry) => {
+      entries.push({
+        name: entry.name.replace(/\\/g, '/'),
+        entryName: entry.name,
+        size: entry.originalSize,
+        compressedSize: entry.size
+      });
+      return false;
+    }
+  });
+  return inspectArchive(entries);
+};
+
+const abortError = () => Object.assign(new Error('Packing was cancelled'), { name: 'AbortError' });
+
+// A new ZIP of the same name holding only the planned files (see core/archive planRepack). Files
+// go under one top folder, the archive's own or one named after it, so scanners that strip the
+// common root see the same paths the pre-flight view showed. fflate inflates and deflates on
+// worker threads, so the page stays responsive.
+export const repackZip = async (file, inspection, files, { signal } = {}) => {
+  const top = inspection.root || file.name.replace(/\.zip$/i, '');
+  const paths = new Map(files.map(entry => [entry.entryName, `${top}/${entry.path}`]));
+  const buffer = new Uint8Array(await file.arrayBuffer());
+  const run = (start) => new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(abortError());
+      return;
+    }
+    const terminate = start((error, result) => (error ? reject(error) : resolve(result)));
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        terminate();
+        reject(abortError());
+      }, { once: true });
+    }
+  });
+
+  const entries = await run(done => unzip(buffer, { filter: (entry) => paths.has(entry.name) }, done));
+  const packed = await run(done => zip(
+    Object.fromEntries(Object.entries(entries).map(([name, data]) => [paths.get(name), data])),
+    { level: 6 },
+    done
+  ));
+  return new File([packed], file.name, { type: 'application/zip' });
+};
@@ -0,0 +1,6 @@
+// jsdom lacks the encoding and Web Crypto APIs that core modules use in the browser and in Node
+import { webcrypto } from 'crypto';
+import { TextDecoder, TextEncoder } from 'util';
+
+Object.assign(global, { TextDecoder, TextEncoder });
+Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
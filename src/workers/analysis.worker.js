@@ -0,0 +1,23 @@
+/* eslint-disable no-restricted-globals */
+import { toResults } from '../core/aggregate.js';
+import { loadAnalysisJson } from '../core/migrate.js';
+
+// Parsing, validating and aggregating a large analysis file takes seconds, so it happens here
+self.onmessage = async (event) => {
+  const { file } = event.data;
+  try {
+    const loaded = loadAnalysisJson(await file.text());
+    self.postMessage({
+      type: 'result',
+      report: {
+        fileName: file.name,
+        warnings: loaded.warnings,
+        errors: loaded.errors,
+        truncatedErrors: loaded.truncatedErrors
+      },
+      results: loaded.errors.length === 0 ? toResults(loaded.document) : null
+    });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,43 @@
+/* eslint-disable no-restricted-globals */
+import { unzipSync } from 'fflate';
+import { buildResults } from '../core/aggregate.js';
+import { RELEVANT_FILE } from '../core/archive.js';
+import { MAX_CONTEXT_LINES } from '../core/context.js';
+import { scanFiles, stripCommonRoot } from '../core/scanner.js';
+
+// Only the files needed for project detection and scanning are inflated
+const readZip = async (file) => {
+  const buffer = new Uint8Array(await file.arrayBuffer());
+  const entries = unzipSync(buffer, {
+    filter: (entry) => !entry.name.endsWith('/') && RELEVANT_FILE.test(entry.name)
+  });
+  const decoder = new TextDecoder('utf-8');
+  const names = Object.keys(entries).map(name => name.replace(/\\/g, '/'));
+  const { root, paths } = stripCommonRoot(names);
+  return {
+    root,
+    files: Object.keys(entries).map((name, index) => ({
+      path: paths[index],
+      content: decoder.decode(entries[name])
+    }))
+  };
+};
+
+self.onmessage = async (event) => {
+  const { file, include, rules, projectName } = event.data;
+  try {
+    self.postMessage({ type: 'progress', phase: 'extracting' });
+    const { root, files } = await readZip(file);
+    const raw = scanFiles(files, {
+      rootPath: root || file.name.replace(/\.zip$/i, ''),
+      contextLines: MAX_CONTEXT_LINES,
+      include,
+      rules,
+      onProgress: (progress) => self.postMessage({ type: 'progress', phase: 'scanning', ...progress })
+    });
+    // Aggregation is done here too: it is the slow part for large projects
+    self.postMessage({ type: 'result', results: buildResults(raw, { projectName }) });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message, key: error.key, params: error.params });
+  }
+};